@@ -6,29 +6,20 @@
  * - Engagement scores
  * - Sentimiento
  * - Tendencias y crecimiento
+ * - Textos de posts y comentarios por topic, anonimizados (para el ML pipeline)
  *
  * Reusable para cualquier cliente configurando topics y páginas.
  */
 
 import { Actor } from 'apify';
 import { PuppeteerCrawler } from 'crawlee';
+// Módulos compartidos con los scrapers y el ML pipeline (packages/sentiment y
+// scrapers/lib/anonymize.js en la raíz del repo; el Dockerfile los copia a la
+// misma ruta relativa)
+import { SentimentAnalyzer } from '../../../packages/sentiment/index.js';
+import { anonymizeTexts } from '../../../scrapers/lib/anonymize.js';
 
-// Palabras para análisis de sentimiento en español
-const SENTIMENT_WORDS = {
-    positive: [
-        'excelente', 'increíble', 'genial', 'fantástico', 'maravilloso', 'perfecto',
-        'bueno', 'buena', 'mejor', 'feliz', 'contento', 'gracias', 'recomiendo',
-        'éxito', 'logro', 'orgullo', 'orgulloso', 'felicidades', 'bravo', 'bien',
-        'me encanta', 'lo mejor', 'gran', 'grande', 'amor', 'amo', 'linda', 'lindo',
-        'hermoso', 'hermosa', 'bonito', 'bonita', 'interesante', 'útil', 'aprovecho'
-    ],
-    negative: [
-        'malo', 'mala', 'terrible', 'horrible', 'pésimo', 'peor', 'odio',
-        'decepción', 'decepcionado', 'triste', 'enojado', 'frustrado', 'problema',
-        'queja', 'reclamo', 'falla', 'error', 'lento', 'caro', 'costoso',
-        'no recomiendo', 'no sirve', 'nunca', 'jamás', 'mal servicio', 'estafa'
-    ]
-};
+const sentimentAnalyzer = new SentimentAnalyzer();
 
 // Inicializar Actor
 await Actor.init();
@@ -44,6 +35,7 @@ const {
     maxPostsPerPage = 50,
     includeComments = true,
     maxCommentsPerPost = 20,
+    maxTextsPerTopic = 50,
     timeframeDays = 30,
     language = 'es'
 } = input;
@@ -232,25 +224,8 @@ function analyzeTopics(posts, comments, topicsConfig) {
         const avgEngagement = mentions.length > 0 ? totalEngagement / mentions.length : 0;
         const engagementScore = Math.min(10, Math.round((avgEngagement / 100) * 10 * 10) / 10);
 
-        // Análisis de sentimiento
-        let positiveCount = 0;
-        let negativeCount = 0;
-
-        mentions.forEach(m => {
-            const text = m.text.toLowerCase();
-            SENTIMENT_WORDS.positive.forEach(word => {
-                if (text.includes(word)) positiveCount++;
-            });
-            SENTIMENT_WORDS.negative.forEach(word => {
-                if (text.includes(word)) negativeCount++;
-            });
-        });
-
-        let sentiment = 'Neutral';
-        if (positiveCount > negativeCount * 2) sentiment = 'Muy Positivo';
-        else if (positiveCount > negativeCount) sentiment = 'Positivo';
-        else if (negativeCount > positiveCount * 2) sentiment = 'Muy Negativo';
-        else if (negativeCount > positiveCount) sentiment = 'Negativo';
+        // Análisis de sentimiento (muy_positivo | positivo | neutral | negativo | muy_negativo)
+        const sentiment = sentimentAnalyzer.analyzeMultiple(mentions.map(m => m.text));
 
         // Calcular crecimiento (simulado basado en engagement)
         const growthPercent = Math.round((engagementScore - 5) * 20 + Math.random() * 30);
@@ -261,12 +236,15 @@ function analyzeTopics(posts, comments, topicsConfig) {
             mentions: mentions.length,
             engagement_score: engagementScore || 5.0,
             growth,
-            sentiment,
+            sentiment: sentiment.category,
+            sentiment_score: sentiment.score,
             top_brands: brands,
             avg_reactions: Math.round(totalReactions / Math.max(mentions.length, 1)),
             avg_comments: Math.round(totalComments / Math.max(mentions.length, 1)),
             avg_shares: Math.round(totalShares / Math.max(mentions.length, 1)),
-            sample_posts: mentions.slice(0, 3).map(m => m.text.substring(0, 100) + '...')
+            sample_posts: mentions.slice(0, 3).map(m => m.text.substring(0, 100) + '...'),
+            // Posts primero, luego comentarios; anonimizados y sin duplicados
+            texts: anonymizeTexts(mentions, { limit: maxTextsPerTopic })
         });
     });
 
@@ -301,7 +279,8 @@ const output = {
             mentions: t.mentions,
             engagement_score: t.engagement_score,
             growth: t.growth,
-            sentiment: t.sentiment.toLowerCase().replace(' ', '_'),
+            sentiment: t.sentiment,
+            sentiment_score: t.sentiment_score,
             top_brands: t.top_brands,
             avg_reactions: t.avg_reactions,
             avg_comments: t.avg_comments,
@@ -321,11 +300,13 @@ const output = {
         mentions: t.mentions,
         engagement_score: t.engagement_score,
         growth: t.growth,
-        sentiment: t.sentiment.toLowerCase().replace(' ', '_'),
+        sentiment: t.sentiment,
+        sentiment_score: t.sentiment_score,
         top_brands: t.top_brands,
         avg_reactions: t.avg_reactions,
         avg_comments: t.avg_comments,
-        avg_shares: t.avg_shares
+        avg_shares: t.avg_shares,
+        texts: t.texts
     })),
 
     metadata: {
@@ -336,7 +317,8 @@ const output = {
         posts_analyzed: collectedData.posts.length,
         comments_analyzed: collectedData.comments.length,
         pages_analyzed: facebookPages.length,
-        topics_configured: topics.length
+        topics_configured: topics.length,
+        lexicon_version: sentimentAnalyzer.lexiconVersion
     }
 };
 
@@ -0,0 +1,86 @@
+/**
+ * Alert Builder
+ *
+ * Turns the anomalies found on the daily series (ml/models/anomaly_detector.js)
+ * into dashboard alerts: one per series, for its most recent anomalous day,
+ * with the expected range, the observed value and a suggested action.
+ */
+
+// Suggested action per metric and direction
+const ACTIONS = {
+  contacts: {
+    drop: 'Revisar formularios, landing pages y la integración con HubSpot; confirmar que las campañas sigan activas',
+    spike: 'Verificar la calidad de los nuevos contactos (duplicados, spam) y la capacidad del equipo comercial'
+  },
+  deals: {
+    drop: 'Revisar campañas y formularios del programa; confirmar que los workflows de HubSpot sigan creando deals',
+    spike: 'Asegurar seguimiento comercial rápido y validar que no sean deals duplicados'
+  },
+  spend: {
+    drop: 'Verificar campañas pausadas, límites de presupuesto o problemas de facturación',
+    spike: 'Revisar pacing y presupuestos diarios; confirmar que no haya cambios de puja no planificados'
+  },
+  sessions: {
+    drop: 'Revisar el tag de GA4 y la disponibilidad del sitio; comparar con Search Console',
+    spike: 'Identificar la fuente del pico (campaña, prensa o bots) y filtrar tráfico no válido'
+  },
+  users: {
+    drop: 'Revisar el tag de GA4 y la disponibilidad del sitio; comparar con Search Console',
+    spike: 'Identificar la fuente del pico (campaña, prensa o bots) y filtrar tráfico no válido'
+  },
+  conversions: {
+    drop: 'Probar el flujo de conversión completo (formularios y eventos de GA4)',
+    spike: 'Validar que los eventos de conversión no se estén duplicando'
+  }
+};
+
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+
+const formatValue = (value, unit) => (unit === 'USD'
+  ? `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`
+  : value.toLocaleString('en-US', { maximumFractionDigits: 0 }));
+
+/**
+ * Alert for the most recent anomaly of a series (null when there is none)
+ *
+ * @param {Object} series - { id, source, metric, label, segment, unit }
+ * @param {Object} detection - detectAnomalies(...) result
+ */
+export function buildAlert(series, detection) {
+  const anomalies = detection?.anomalies || [];
+  if (anomalies.length === 0) return null;
+
+  const latest = anomalies[anomalies.length - 1];
+  // Severity of the series: the worst of its anomalous days
+  const severity = anomalies.reduce((worst, a) => (SEVERITY_RANK[a.severity] > SEVERITY_RANK[worst] ? a.severity : worst), latest.severity);
+  const change = latest.expected > 0 ? Math.round((latest.observed - latest.expected) / latest.expected * 100) : null;
+  const verb = latest.direction === 'spike' ? 'Pico' : 'Caída';
+  const days = anomalies.length > 1 ? ` · ${anomalies.length} de los últimos ${detection.checked_days} días fuera de rango` : '';
+
+  return {
+    id: `${series.id}_${latest.date}`,
+    severity,
+    source: series.source,
+    metric: series.metric,
+    segment: series.segment || null,
+    date: latest.date,
+    observed: latest.observed,
+    expected: latest.expected,
+    expected_range: { lower: latest.lower, upper: latest.upper },
+    z_score: latest.z_score,
+    direction: latest.direction,
+    anomalous_days: anomalies.length,
+    title: `${verb} en ${series.label}`,
+    message: `${formatValue(latest.observed, series.unit)} el ${latest.date} vs ${formatValue(latest.lower, series.unit)}–${formatValue(latest.upper, series.unit)} esperado${change !== null ? ` (${change > 0 ? '+' : ''}${change}%)` : ''}${days}`,
+    action: ACTIONS[series.metric]?.[latest.direction] || 'Revisar la fuente de datos y las campañas relacionadas',
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Alerts sorted by severity, then by size of the deviation
+ */
+export function sortAlerts(alerts) {
+  return [...alerts].sort((a, b) =>
+    (SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]) || (Math.abs(b.z_score) - Math.abs(a.z_score)));
+}
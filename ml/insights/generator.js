@@ -5,13 +5,12 @@
  * Prioritizes insights by impact score and confidence.
  */
 
-import SentimentAnalyzer from '../models/sentiment_analyzer.js';
+import SentimentAnalyzer, { isPositive } from '../models/sentiment_analyzer.js';
 import BudgetOptimizer from '../models/budget_optimizer.js';
 
 class InsightGenerator {
   constructor(config = {}) {
     this.sentimentAnalyzer = new SentimentAnalyzer();
-    this.budgetOptimizer = new BudgetOptimizer();
     this.config = {
       maxInsights: config.maxInsights || 10,
       minConfidence: config.minConfidence || 0.6,
@@ -32,6 +31,11 @@ class InsightGenerator {
       insights.push(...this.generateTrendInsights(data.trends));
     }
 
+    // 1b. Breakouts / drops detected by the trend predictor
+    if (data.trend_forecast?.signals?.length > 0) {
+      insights.push(...this.generateTrendSignalInsights(data.trend_forecast));
+    }
+
     // 2. Social Insights (Meta)
     if (data.meta?.aggregatedTopics) {
       insights.push(...this.generateSocialInsights(data.meta));
@@ -137,6 +141,55 @@ class InsightGenerator {
     return insights;
   }
 
+  /**
+   * Generate insights from the trend predictor's change-point signals
+   * (statistically significant breakouts / drops in search interest)
+   */
+  generateTrendSignalInsights(trendForecast) {
+    const insights = [];
+    const signals = trendForecast.signals || [];
+
+    const pText = p => p < 0.001 ? 'p<0.001' : `p=${p}`;
+
+    const breakouts = signals.filter(s => s.type === 'breakout').sort((a, b) => b.lift_pct - a.lift_pct);
+    const drops = signals.filter(s => s.type === 'drop').sort((a, b) => a.lift_pct - b.lift_pct);
+
+    breakouts.slice(0, 2).forEach(signal => {
+      insights.push({
+        id: `trend_breakout_${signal.keyword.replace(/\W+/g, '_')}`,
+        type: 'trend',
+        priority: signal.lift_pct >= 40 ? 'high' : 'medium',
+        title: `Breakout en búsquedas de "${signal.keyword}"`,
+        description: `El interés subió de ${signal.mean_before} a ${signal.mean_after}/100 desde el ${signal.change_date} (+${signal.lift_pct}%, ${pText(signal.p_value)})`,
+        action: 'Reforzar pujas y contenido para este keyword mientras dure el pico',
+        keyword: signal.keyword,
+        change: `+${signal.lift_pct}%`,
+        confidence: signal.p_value < 0.01 ? 0.9 : 0.8,
+        impact_score: Math.min(10, 6 + signal.lift_pct / 20),
+        source: 'ML Trend Predictor'
+      });
+    });
+
+    if (drops.length > 0) {
+      const signal = drops[0];
+      insights.push({
+        id: `trend_drop_${signal.keyword.replace(/\W+/g, '_')}`,
+        type: 'trend',
+        priority: 'medium',
+        title: `Caída significativa en "${signal.keyword}"`,
+        description: `El interés bajó de ${signal.mean_before} a ${signal.mean_after}/100 desde el ${signal.change_date} (${signal.lift_pct}%)${drops.length > 1 ? ` · ${drops.length - 1} keywords más en caída` : ''}`,
+        action: 'Revisar inversión en este keyword y redistribuir a términos en alza',
+        keyword: signal.keyword,
+        change: `${signal.lift_pct}%`,
+        confidence: signal.p_value < 0.01 ? 0.85 : 0.75,
+        impact_score: Math.min(9, 5 + Math.abs(signal.lift_pct) / 20),
+        source: 'ML Trend Predictor'
+      });
+    }
+
+    return insights;
+  }
+
   /**
    * Generate insights from Meta social data
    */
@@ -168,9 +221,7 @@ class InsightGenerator {
 
     // Sentiment analysis
     const sentiments = topics.map(t => t.sentiment);
-    const positiveSentiments = sentiments.filter(s =>
-      s === 'muy_positivo' || s === 'positivo' || s === 'very positive' || s === 'positive'
-    ).length;
+    const positiveSentiments = sentiments.filter(isPositive).length;
     const sentimentRatio = positiveSentiments / (sentiments.length || 1);
 
     if (sentimentRatio < 0.5 && topics.length > 3) {
@@ -343,35 +394,36 @@ class InsightGenerator {
 
   /**
    * Generate budget optimization insights
+   *
+   * @param {Object} budgetData - { current: {channel: pct}, total, recommendations? }
+   *   Uses the pipeline's recommendations when given; otherwise learns from
+   *   budgetData.historical over the channels of budgetData.current.
    */
   generateBudgetInsights(budgetData) {
     const insights = [];
+    if (!budgetData.current) return insights;
 
-    // Load historical data into optimizer
-    if (budgetData.historical) {
-      this.budgetOptimizer.batchUpdate(budgetData.historical);
+    let recommendations = budgetData.recommendations;
+    if (!recommendations) {
+      const optimizer = new BudgetOptimizer(Object.keys(budgetData.current));
+      if (budgetData.historical) {
+        optimizer.batchUpdate(budgetData.historical);
+      }
+      recommendations = optimizer.getRecommendations(budgetData.current, budgetData.total);
     }
 
-    // Get recommendations
-    const current = budgetData.current || {
-      google_search: 35,
-      meta_ads: 35,
-      youtube: 20,
-      display: 10
-    };
-
-    const recommendations = this.budgetOptimizer.getRecommendations(current, budgetData.total || 23000);
+    const actionable = recommendations.filter(r => r.type !== 'hold');
 
-    if (recommendations.length > 0) {
-      const topRec = recommendations[0];
+    if (actionable.length > 0) {
+      const topRec = actionable[0];
       insights.push({
         id: 'budget_optimization',
         type: 'budget',
-        priority: Math.abs(topRec.change) > 5 ? 'high' : 'medium',
+        priority: Math.abs(parseFloat(topRec.change)) > 5 ? 'high' : 'medium',
         title: `Optimización detectada: ${topRec.channel}`,
         description: `${topRec.type === 'increase' ? 'Aumentar' : 'Reducir'} de ${topRec.from}% a ${topRec.to}%`,
         action: topRec.reason,
-        recommendations: recommendations.slice(0, 3),
+        recommendations: actionable.slice(0, 3),
         confidence: topRec.confidence === 'high' ? 0.85 : 0.70,
         impact_score: Math.abs(parseFloat(topRec.change)) / 2,
         source: 'ML Budget Optimizer'
@@ -0,0 +1,131 @@
+/**
+ * Anomaly Detector - robust z-scores on daily series
+ *
+ * For each of the last check_days days of a series:
+ *
+ *   expected = median of the same weekday over the previous baseline_weeks
+ *   scale    = 1.4826 · MAD of the baseline residuals (value - its weekday median)
+ *   z        = (observed - expected) / scale
+ *
+ * Weekday medians remove the weekly cycle (a light STL), and median / MAD
+ * keep one bad day in the baseline from hiding the next one. The scale has
+ * floors so flat series don't flag every wobble: √expected for counts
+ * (Poisson noise) and min_scale_pct of the expected value for any series.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAD_TO_SIGMA = 1.4826;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const addDays = (day, days) => new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString().slice(0, 10);
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Severity of a robust z-score
+ */
+export function anomalySeverity(z, { threshold = 3, medium_z: mediumZ = 4.5, high_z: highZ = 6 } = {}) {
+  const size = Math.abs(z);
+  if (size >= highZ) return 'high';
+  if (size >= mediumZ) return 'medium';
+  if (size >= threshold) return 'low';
+  return null;
+}
+
+/**
+ * Anomalous days at the end of a daily series
+ *
+ * @param {Object} daily - { 'YYYY-MM-DD': value }
+ * @param {Object} [options]
+ * @param {string} [options.cutoff] - First day to ignore (partial export day and later)
+ * @param {boolean} [options.zero_fill=true] - Missing days are 0 (counts) instead of gaps
+ * @param {boolean} [options.count=true] - Poisson floor on the scale
+ * @param {number} [options.check_days=7] - Days checked at the end of the series
+ * @param {number} [options.baseline_weeks=8] - Weeks of baseline before each checked day
+ * @param {number} [options.min_baseline_days=28] - Minimum baseline points
+ * @param {number} [options.min_level=5] - Skip series whose baseline median is lower
+ * @param {number} [options.min_scale_pct=2] - Scale floor as % of the expected value
+ * @param {number} [options.threshold=3] - |z| to flag
+ * @param {number} [options.medium_z=4.5] - |z| for medium severity
+ * @param {number} [options.high_z=6] - |z| for high severity
+ * @returns {Object|null} { last_date, checked_days, anomalies: [{ date, observed, expected, lower, upper, z_score, direction, severity }] },
+ *   or null when the series is too short or too small
+ */
+export function detectAnomalies(daily, options = {}) {
+  const zeroFill = options.zero_fill ?? true;
+  const count = options.count ?? true;
+  const checkDays = options.check_days ?? 7;
+  const baselineDays = 7 * (options.baseline_weeks ?? 8);
+  const threshold = options.threshold ?? 3;
+  const minScalePct = options.min_scale_pct ?? 2;
+
+  const days = Object.keys(daily || {})
+    .filter(day => (!options.cutoff || day < options.cutoff) && Number.isFinite(Number(daily[day])))
+    .sort();
+  if (days.length === 0) return null;
+
+  const values = {};
+  if (zeroFill) {
+    for (let day = days[0]; day <= days[days.length - 1]; day = addDays(day, 1)) values[day] = Number(daily[day]) || 0;
+  } else {
+    days.forEach(day => { values[day] = Number(daily[day]); });
+  }
+  const allDays = Object.keys(values).sort();
+  const lastDate = allDays[allDays.length - 1];
+
+  const anomalies = [];
+  let checked = 0;
+  for (let offset = checkDays - 1; offset >= 0; offset--) {
+    const day = addDays(lastDate, -offset);
+    if (!(day in values)) continue;
+
+    // Baseline: the baseline_weeks before the day, grouped by weekday
+    const byWeekday = Array.from({ length: 7 }, () => []);
+    for (let back = 1; back <= baselineDays; back++) {
+      const previous = addDays(day, -back);
+      if (previous in values) byWeekday[back % 7].push(values[previous]);
+    }
+    const baselinePoints = byWeekday.reduce((sum, list) => sum + list.length, 0);
+    if (baselinePoints < (options.min_baseline_days ?? 28) || byWeekday[0].length === 0) continue;
+
+    const weekdayMedians = byWeekday.map(list => (list.length ? median(list) : null));
+    const residuals = byWeekday.flatMap((list, w) => list.map(v => v - weekdayMedians[w]));
+    const level = median(byWeekday.flat());
+    if (level < (options.min_level ?? 5)) continue;
+
+    const expected = weekdayMedians[0];
+    const center = median(residuals);
+    const mad = median(residuals.map(r => Math.abs(r - center)));
+    const scale = Math.max(
+      MAD_TO_SIGMA * mad,
+      count ? Math.sqrt(Math.max(expected, 1)) : 0,
+      Math.abs(expected) * minScalePct / 100,
+      1e-9
+    );
+
+    checked++;
+    const observed = values[day];
+    const z = (observed - expected) / scale;
+    const severity = anomalySeverity(z, { ...options, threshold });
+    if (!severity) continue;
+
+    anomalies.push({
+      date: day,
+      observed: round(observed),
+      expected: round(expected),
+      lower: round(Math.max(0, expected - threshold * scale)),
+      upper: round(expected + threshold * scale),
+      z_score: round(z),
+      direction: z > 0 ? 'spike' : 'drop',
+      severity
+    });
+  }
+
+  if (checked === 0) return null;
+  return { last_date: lastDate, checked_days: checked, anomalies };
+}
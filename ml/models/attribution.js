@@ -0,0 +1,179 @@
+/**
+ * Attribution - multi-touch channel credit for conversions
+ *
+ * Works on aggregated journeys: { path: [channel, ...], conversions, nulls },
+ * where conversions / nulls are the (possibly fractional) number of journeys
+ * with that path that did / didn't convert. Consecutive repeats of a channel
+ * count as one touch.
+ *
+ * - first_touch / last_touch: all the credit to the first / last channel
+ * - linear: equal credit to every channel of the path
+ * - markov: first-order Markov chain over the touches (start → channels →
+ *   conversion | null). The removal effect of a channel is the share of the
+ *   conversion probability lost when it is removed (its transitions go to
+ *   null); channel weights are the normalized removal effects, and each
+ *   converting path splits its credit by the weights of its channels.
+ */
+
+import { solveLinear } from './linear_algebra.js';
+
+export const ATTRIBUTION_MODELS = ['first_touch', 'last_touch', 'linear', 'markov'];
+
+const START = '(start)';
+const CONVERSION = '(conversion)';
+const NULL = '(null)';
+
+const round = (value, decimals = 4) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Path without consecutive repeats
+ */
+export function collapsePath(path) {
+  return path.filter((channel, i) => channel && channel !== path[i - 1]);
+}
+
+/**
+ * Transition weights of the chain: { from: { to: weight } }
+ */
+function transitionCounts(journeys) {
+  const counts = {};
+  const add = (from, to, weight) => {
+    if (weight <= 0) return;
+    if (!counts[from]) counts[from] = {};
+    counts[from][to] = (counts[from][to] || 0) + weight;
+  };
+
+  journeys.forEach(({ path, conversions = 0, nulls = 0 }) => {
+    const touches = collapsePath(path);
+    if (touches.length === 0) return;
+    const total = conversions + nulls;
+    add(START, touches[0], total);
+    touches.slice(1).forEach((channel, i) => add(touches[i], channel, total));
+    const last = touches[touches.length - 1];
+    add(last, CONVERSION, conversions);
+    add(last, NULL, nulls);
+  });
+  return counts;
+}
+
+/**
+ * Probability of reaching the conversion state from start, with the
+ * removed channels' transitions redirected to null
+ */
+function conversionProbability(counts, channels, removed = new Set()) {
+  const states = [START, ...channels.filter(ch => !removed.has(ch))];
+  const index = Object.fromEntries(states.map((state, i) => [state, i]));
+  const n = states.length;
+
+  // (I - Q) x = r, with Q the transient → transient probabilities and r the → conversion ones
+  const A = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+  const r = new Array(n).fill(0);
+  states.forEach((from, i) => {
+    const out = counts[from] || {};
+    const total = Object.values(out).reduce((sum, w) => sum + w, 0);
+    if (total === 0) return;
+    Object.entries(out).forEach(([to, weight]) => {
+      const p = weight / total;
+      if (to === CONVERSION) r[i] += p;
+      else if (to in index) A[i][index[to]] -= p;
+      // Removed channels and null absorb without converting
+    });
+  });
+
+  const x = solveLinear(A, r);
+  return x ? x[0] : 0;
+}
+
+/**
+ * Removal effects and normalized channel weights of the Markov model
+ *
+ * @param {Object[]} journeys - [{ path, conversions, nulls }]
+ * @returns {Object} { conversion_probability, removal_effects: {channel: effect}, weights: {channel: share} }
+ */
+export function markovRemovalEffects(journeys) {
+  const counts = transitionCounts(journeys);
+  // Every touched channel has outgoing transitions (at least to conversion or null)
+  const channels = Object.keys(counts).filter(state => state !== START).sort();
+
+  const base = conversionProbability(counts, channels);
+  const effects = {};
+  channels.forEach(channel => {
+    effects[channel] = base > 0
+      ? Math.max(0, 1 - conversionProbability(counts, channels, new Set([channel])) / base)
+      : 0;
+  });
+
+  const total = Object.values(effects).reduce((sum, e) => sum + e, 0);
+  const weights = {};
+  channels.forEach(channel => { weights[channel] = total > 0 ? effects[channel] / total : 0; });
+
+  return {
+    conversion_probability: base,
+    removal_effects: effects,
+    weights
+  };
+}
+
+/**
+ * Credit of one converting path under a model ({channel: share}, sums to 1)
+ *
+ * @param {string[]} path
+ * @param {string} model - One of ATTRIBUTION_MODELS
+ * @param {Object} [weights] - Markov channel weights (markov model only)
+ */
+export function pathCredit(path, model, weights = {}) {
+  const touches = collapsePath(path);
+  const credit = {};
+  if (touches.length === 0) return credit;
+
+  const give = (channel, share) => { credit[channel] = (credit[channel] || 0) + share; };
+
+  if (model === 'first_touch') give(touches[0], 1);
+  else if (model === 'last_touch') give(touches[touches.length - 1], 1);
+  else if (model === 'linear') touches.forEach(channel => give(channel, 1 / touches.length));
+  else if (model === 'markov') {
+    const total = touches.reduce((sum, channel) => sum + (weights[channel] || 0), 0);
+    // Channels with no removal effect at all: fall back to linear
+    touches.forEach(channel => give(channel, total > 0 ? (weights[channel] || 0) / total : 1 / touches.length));
+  } else {
+    throw new Error(`Modelo de atribución desconocido: ${model}`);
+  }
+  return credit;
+}
+
+/**
+ * Conversions credited to each channel under every model
+ *
+ * @param {Object[]} journeys - [{ path, conversions, nulls }]
+ * @returns {Object} { conversions, models: { model: {channel: credit} }, markov: { removal_effects, weights } }
+ */
+export function attributeConversions(journeys) {
+  const markov = markovRemovalEffects(journeys);
+  const models = {};
+  let conversions = 0;
+
+  ATTRIBUTION_MODELS.forEach(model => { models[model] = {}; });
+  journeys.forEach(({ path, conversions: count = 0 }) => {
+    if (count <= 0) return;
+    conversions += count;
+    ATTRIBUTION_MODELS.forEach(model => {
+      Object.entries(pathCredit(path, model, markov.weights)).forEach(([channel, share]) => {
+        models[model][channel] = (models[model][channel] || 0) + share * count;
+      });
+    });
+  });
+
+  ATTRIBUTION_MODELS.forEach(model => {
+    Object.keys(models[model]).forEach(channel => { models[model][channel] = round(models[model][channel], 2); });
+  });
+
+  return {
+    conversions: round(conversions, 2),
+    models,
+    markov: {
+      conversion_probability: round(markov.conversion_probability, 6),
+      removal_effects: Object.fromEntries(Object.entries(markov.removal_effects).map(([ch, e]) => [ch, round(e)])),
+      weights: Object.fromEntries(Object.entries(markov.weights).map(([ch, w]) => [ch, round(w)]))
+    }
+  };
+}
@@ -5,39 +5,99 @@
  * across marketing channels based on conversion performance.
  *
  * Each channel is treated as an "arm" of the bandit.
- * The algorithm learns which channels have better ROI
+ * The algorithm learns which channels have lower cost per conversion
  * and allocates more budget to winners over time.
+ *
+ * Reward model (Gamma-Poisson): conversions of a channel are Poisson with
+ * rate λ · spend, where λ = conversions per dollar has a Gamma(shape, rate)
+ * posterior. Each observation adds its conversions to shape and its spend to
+ * rate, so the projected cost per conversion (CPL, cost per matriculado) is
+ * independent of any spend unit. Three metrics are tracked per channel:
+ * leads, enrollments (matriculados) and value (enrollments weighted by deal
+ * amount); the allocation maximizes the configured objective.
+ *
+ * Bandit modes (admissions demand is seasonal, so old periods can be forgotten):
+ * - stationary:     every observation counts forever
+ * - discounted:     evidence decays with a half-life in days, so an observation
+ *                   `age` days older than the newest one weighs 0.5^(age / half_life)
+ * - sliding_window: only observations from the last `window_days` days count
+ *
+ * Observations without a `date` (e.g. cold-start priors) are treated as prior
+ * knowledge and never decay.
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BANDIT_MODES = ['stationary', 'discounted', 'sliding_window'];
+
+// leads: deals created · enrollments: expected matriculados · value: enrollments weighted by deal amount
+export const REWARD_METRICS = ['leads', 'enrollments', 'value'];
+
+/**
+ * Status of a projected CPL against HUBSPOT_CONFIG.cpl_thresholds[segment]
+ * ({ max_cpl, alert_at, pause_at }): 'ok' | 'alert' | 'over_max' | 'pause'
+ */
+export function cplStatus(cpl, thresholds) {
+  if (cpl === null || cpl === undefined || !thresholds) return null;
+  if (cpl >= thresholds.pause_at) return 'pause';
+  if (cpl > thresholds.max_cpl) return 'over_max';
+  if (cpl >= thresholds.alert_at) return 'alert';
+  return 'ok';
+}
+
 class BudgetOptimizer {
-  constructor(channels = ['google_search', 'meta_ads', 'youtube', 'display']) {
+  /**
+   * @param {string[]} channels
+   * @param {Object} [options]
+   * @param {string} [options.mode='stationary'] - One of BANDIT_MODES
+   * @param {number} [options.half_life_days=30] - Half-life for discounted mode
+   * @param {number} [options.window_days=56] - Window length for sliding_window mode
+   * @param {string} [options.objective='enrollments'] - REWARD_METRICS entry the allocation maximizes
+   */
+  constructor(channels = ['google_search', 'meta_ads', 'youtube', 'display'], options = {}) {
     this.channels = channels;
+    this.mode = options.mode || 'stationary';
+    this.halfLifeDays = options.half_life_days || 30;
+    this.windowDays = options.window_days || 56;
+    this.objective = options.objective || 'enrollments';
+
+    if (!BANDIT_MODES.includes(this.mode)) {
+      throw new Error(`Unknown bandit mode "${this.mode}" (expected ${BANDIT_MODES.join(', ')})`);
+    }
+    if (!REWARD_METRICS.includes(this.objective)) {
+      throw new Error(`Unknown objective "${this.objective}" (expected ${REWARD_METRICS.join(', ')})`);
+    }
 
-    // Beta distribution parameters for each channel
-    // alpha = successes (conversions)
-    // beta = failures (spend without conversion)
-    this.alpha = {};
-    this.beta = {};
+    // Gamma posterior of conversions per dollar, one per metric and channel
+    // shape = conversions observed (+ prior), rate = dollars spent (+ prior)
+    // All metrics of a channel share the same exposure (rate)
+    this.shape = {};
+    this.rate = {};
 
-    // Initialize with prior (1, 1) = uniform distribution
-    channels.forEach(ch => {
-      this.alpha[ch] = 1;
-      this.beta[ch] = 1;
+    // Initialize with a weak Gamma(1, 1) prior
+    REWARD_METRICS.forEach(metric => {
+      this.shape[metric] = {};
+      channels.forEach(ch => { this.shape[metric][ch] = 1; });
     });
+    channels.forEach(ch => { this.rate[ch] = 1; });
+
+    // Non-decaying part of the posterior (weak prior + undated observations)
+    this.priorShape = cloneShape(this.shape);
+    this.priorRate = { ...this.rate };
+
+    // Date of the newest observation applied (recency reference)
+    this.referenceDate = null;
+
+    // Dated increments still inside the window (sliding_window mode only)
+    this.window = [];
+
+    // Constraints dropped by the last constrained allocation
+    this.relaxedConstraints = [];
 
     // History for analysis
     this.history = [];
   }
 
-  /**
-   * Sample from Beta distribution using the Jöhnk algorithm
-   */
-  betaSample(alpha, beta) {
-    const gammaA = this.gammaSample(alpha);
-    const gammaB = this.gammaSample(beta);
-    return gammaA / (gammaA + gammaB);
-  }
-
   /**
    * Sample from Gamma distribution using Marsaglia-Tsang
    */
@@ -73,6 +133,13 @@ class BudgetOptimizer {
     return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
   }
 
+  /**
+   * Sample a conversion rate (conversions per dollar) from the posterior
+   */
+  sampleRate(channel, metric = this.objective) {
+    return this.gammaSample(this.shape[metric][channel]) / this.rate[channel];
+  }
+
   /**
    * Thompson Sampling: Select best channel based on posterior samples
    */
@@ -80,7 +147,7 @@ class BudgetOptimizer {
     const samples = {};
 
     this.channels.forEach(ch => {
-      samples[ch] = this.betaSample(this.alpha[ch], this.beta[ch]);
+      samples[ch] = this.sampleRate(ch);
     });
 
     // Return channel with highest sampled value
@@ -91,82 +158,192 @@ class BudgetOptimizer {
   /**
    * Update posterior based on observed reward
    * @param {string} channel - Channel that received budget
-   * @param {boolean} converted - Whether it led to conversion
-   * @param {number} spend - Amount spent (for penalization)
+   * @param {boolean|Object} reward - Whether it converted on the objective metric
+   *   (one lead, enrollment or value unit), or counts { conversions, enrollments?, value? }
+   *   as in batchUpdate
+   * @param {number} spend - Amount spent
    */
-  updateReward(channel, converted, spend = 100) {
+  updateReward(channel, reward, spend = 100) {
     if (!this.channels.includes(channel)) return;
 
-    if (converted) {
-      // Success: increase alpha
-      this.alpha[channel] += 1;
-    } else {
-      // Failure: increase beta (proportional to spend)
-      this.beta[channel] += spend / 100;
-    }
+    const counts = reward !== null && typeof reward === 'object'
+      ? this.rewardCounts({ ...reward, spend })
+      : { leads: 0, enrollments: 0, value: 0, [this.objective]: reward ? 1 : 0, spend };
+    this.addCounts(channel, counts);
 
     // Record history
     this.history.push({
       timestamp: new Date().toISOString(),
       channel,
-      converted,
+      objective: this.objective,
+      converted: counts[this.objective] > 0,
       spend,
-      alpha: this.alpha[channel],
-      beta: this.beta[channel]
+      shape: this.shape[this.objective][channel],
+      rate: this.rate[channel]
     });
   }
 
   /**
    * Batch update with multiple observations
-   * @param {Object[]} observations - Array of {channel, conversions, spend}
+   *
+   * Dated observations are applied in date order. In discounted mode the
+   * existing evidence decays every time the newest date moves forward, which
+   * weights each observation by its recency; in sliding_window mode evidence
+   * older than the window is removed.
+   *
+   * @param {Object[]} observations - Array of {channel, conversions, enrollments?, value?, spend, date?}
    */
   batchUpdate(observations) {
-    observations.forEach(obs => {
-      // Each conversion is a success
-      this.alpha[obs.channel] += obs.conversions || 0;
-      // Spend without conversions is failure
-      const failures = (obs.spend / 100) - (obs.conversions || 0);
-      this.beta[obs.channel] += Math.max(0, failures);
+    const undated = observations.filter(obs => !obs.date);
+    const dated = observations
+      .filter(obs => obs.date)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    undated.forEach(obs => {
+      if (!this.channels.includes(obs.channel)) return;
+      const counts = this.rewardCounts(obs);
+      this.addCounts(obs.channel, counts);
+      REWARD_METRICS.forEach(metric => { this.priorShape[metric][obs.channel] += counts[metric]; });
+      this.priorRate[obs.channel] += counts.spend;
     });
+
+    dated.forEach(obs => {
+      if (!this.channels.includes(obs.channel)) return;
+      this.advanceTo(obs.date);
+      const counts = this.rewardCounts(obs);
+      this.addCounts(obs.channel, counts);
+      if (this.mode === 'sliding_window') {
+        this.window.push({ date: obs.date, channel: obs.channel, ...counts });
+      }
+    });
+  }
+
+  /**
+   * Poisson counts and exposure of one observation. `conversions` are leads;
+   * enrollments default to 0 and value to the enrollments.
+   */
+  rewardCounts(obs) {
+    const enrollments = obs.enrollments || 0;
+    return {
+      leads: obs.conversions || 0,
+      enrollments,
+      value: obs.value ?? enrollments,
+      spend: obs.spend || 0
+    };
+  }
+
+  addCounts(channel, counts, sign = 1) {
+    REWARD_METRICS.forEach(metric => { this.shape[metric][channel] += sign * counts[metric]; });
+    this.rate[channel] += sign * counts.spend;
+  }
+
+  /**
+   * Weight of an observation from `date` relative to `asOf` (1 = newest)
+   */
+  recencyWeight(date, asOf = this.referenceDate) {
+    if (!date || !asOf || this.mode === 'stationary') return 1;
+    const ageDays = Math.max(0, (Date.parse(asOf) - Date.parse(date)) / DAY_MS);
+    if (this.mode === 'sliding_window') return ageDays < this.windowDays ? 1 : 0;
+    return Math.pow(0.5, ageDays / this.halfLifeDays);
+  }
+
+  /**
+   * Move the recency reference forward, decaying or expiring older evidence
+   */
+  advanceTo(date) {
+    if (this.referenceDate && date <= this.referenceDate) return;
+    const previous = this.referenceDate;
+    this.referenceDate = date;
+    if (!previous) return;
+
+    if (this.mode === 'discounted') {
+      const factor = this.recencyWeight(previous, date);
+      this.channels.forEach(ch => {
+        REWARD_METRICS.forEach(metric => {
+          const prior = this.priorShape[metric][ch];
+          this.shape[metric][ch] = prior + (this.shape[metric][ch] - prior) * factor;
+        });
+        this.rate[ch] = this.priorRate[ch] + (this.rate[ch] - this.priorRate[ch]) * factor;
+      });
+    } else if (this.mode === 'sliding_window') {
+      const expired = this.window.filter(entry => this.recencyWeight(entry.date, date) === 0);
+      expired.forEach(entry => this.addCounts(entry.channel, entry, -1));
+      this.window = this.window.filter(entry => !expired.includes(entry));
+    }
+  }
+
+  /**
+   * Posterior mean of conversions per dollar
+   */
+  expectedRate(channel, metric = this.objective) {
+    return this.shape[metric][channel] / this.rate[channel];
+  }
+
+  /**
+   * Posterior mean of the cost per conversion, E[1/λ] = rate / (shape - 1).
+   * Null while there are too few conversions to project a cost.
+   */
+  projectedCost(channel, metric = 'leads') {
+    const shape = this.shape[metric][channel];
+    if (shape <= 1) return null;
+    return Math.round(this.rate[channel] / (shape - 1) * 100) / 100;
   }
 
   /**
    * Get recommended budget allocation based on learned parameters
+   *
+   * Without constraints the budget is split in proportion to the expected
+   * conversions per dollar of the objective metric. With constraints the
+   * proportional split is projected onto the feasible shares (see
+   * solveConstrainedShares) and each channel reports which constraints
+   * ended up binding.
+   *
    * @param {number} totalBudget - Total budget to allocate
+   * @param {Object} [constraints] - See solveConstrainedShares
+   * @param {Object} [current] - Allocation max_step is measured from {channel: percentage}
    * @returns {Object} Allocation by channel
    */
-  getRecommendedAllocation(totalBudget = 23000) {
+  getRecommendedAllocation(totalBudget = 23000, constraints = {}, current = null) {
     // Calculate expected value for each channel
     const expectedValues = {};
-    let totalExpected = 0;
 
     this.channels.forEach(ch => {
-      // Expected value of Beta distribution = alpha / (alpha + beta)
-      expectedValues[ch] = this.alpha[ch] / (this.alpha[ch] + this.beta[ch]);
-      totalExpected += expectedValues[ch];
+      // Expected value of Gamma distribution = shape / rate
+      expectedValues[ch] = this.expectedRate(ch);
     });
 
-    // Allocate proportionally to expected values
+    const { shares, unconstrained, binding, relaxed } = solveConstrainedShares(
+      expectedValues, totalBudget, constraints, current
+    );
+
     const allocation = {};
 
     this.channels.forEach(ch => {
-      const percentage = (expectedValues[ch] / totalExpected) * 100;
+      const amount = totalBudget * shares[ch] / 100;
       allocation[ch] = {
-        percentage: Math.round(percentage * 10) / 10,
-        amount: Math.round(totalBudget * expectedValues[ch] / totalExpected),
-        expected_roi: (expectedValues[ch] * 100).toFixed(1) + '%',
-        confidence: this.getConfidence(ch)
+        percentage: Math.round(shares[ch] * 10) / 10,
+        amount: Math.round(amount),
+        projected_cpl: this.projectedCost(ch, 'leads'),
+        projected_cost_per_enrollment: this.projectedCost(ch, 'enrollments'),
+        expected_leads: Math.round(amount * this.expectedRate(ch, 'leads')),
+        expected_enrollments: Math.round(amount * this.expectedRate(ch, 'enrollments') * 10) / 10,
+        confidence: this.getConfidence(ch),
+        unconstrained_percentage: Math.round(unconstrained[ch] * 10) / 10,
+        binding: binding[ch]
       };
     });
 
+    // Constraints dropped to make the last allocation feasible (e.g. ['max_step'])
+    this.relaxedConstraints = relaxed;
+
     return allocation;
   }
 
   /**
-   * Get confidence interval for a channel
+   * Confidence from the (decayed) number of conversions behind the objective posterior
    */
   getConfidence(channel) {
-    const total = this.alpha[channel] + this.beta[channel];
+    const total = this.shape[this.objective][channel];
     if (total < 5) return 'low';
     if (total < 20) return 'medium';
     return 'high';
@@ -174,32 +351,61 @@ class BudgetOptimizer {
 
   /**
    * Compare current allocation with recommended
+   *
+   * Each recommendation carries the projected CPL and cost per enrollment of
+   * the channel and, when `cplThresholds` is given, its `cpl_status`.
+   * Moves capped by a constraint carry `binding` and `unconstrained_to`, and the
+   * reason explains the cap. Capped moves are reported even when the remaining
+   * change is small; one blocked entirely is returned with type 'hold'.
+   *
    * @param {Object} current - Current allocation {channel: percentage}
+   * @param {number} totalBudget - Total budget
+   * @param {Object} [constraints] - See solveConstrainedShares
+   * @param {Object} [cplThresholds] - { max_cpl, alert_at, pause_at }
+   * @param {Object} [stepFrom=current] - Allocation max_step is measured from (e.g. last week's recommendation)
    * @returns {Object[]} Recommendations
    */
-  getRecommendations(current, totalBudget = 23000) {
-    const recommended = this.getRecommendedAllocation(totalBudget);
+  getRecommendations(current, totalBudget = 23000, constraints = {}, cplThresholds = null, stepFrom = current) {
+    const recommended = this.getRecommendedAllocation(totalBudget, constraints, stepFrom);
     const recommendations = [];
 
     this.channels.forEach(ch => {
       const currentPct = current[ch] || 0;
       const recommendedPct = recommended[ch].percentage;
       const diff = recommendedPct - currentPct;
-
-      if (Math.abs(diff) >= 3) { // Only recommend if difference is significant
-        recommendations.push({
-          channel: ch,
-          type: diff > 0 ? 'increase' : 'decrease',
-          from: currentPct,
-          to: recommendedPct,
-          change: diff > 0 ? `+${diff.toFixed(1)}%` : `${diff.toFixed(1)}%`,
-          impact: Math.abs(diff * totalBudget / 100),
-          confidence: recommended[ch].confidence,
-          reason: diff > 0 ?
-            `${ch} muestra ROI superior (${recommended[ch].expected_roi})` :
-            `${ch} muestra menor efectividad`
-        });
+      const desiredDiff = recommended[ch].unconstrained_percentage - currentPct;
+      const binding = recommended[ch].binding;
+
+      const significant = Math.abs(diff) >= 3; // Only recommend if difference is significant
+      const blocked = !significant && binding.length > 0 && Math.abs(desiredDiff) >= 3;
+      if (!significant && !blocked) return;
+
+      const cpl = recommended[ch].projected_cpl;
+      const status = cplStatus(cpl, cplThresholds);
+      const type = Math.abs(diff) < 0.05 ? 'hold' : diff > 0 ? 'increase' : 'decrease';
+      let reason = describeCost(ch, recommended[ch], cplThresholds, diff > 0);
+      if (blocked) {
+        reason = `El modelo sugiere ${desiredDiff > 0 ? 'aumentar' : 'reducir'} ${ch} a ${recommended[ch].unconstrained_percentage}%`;
+      }
+      if (binding.length > 0) {
+        reason += ` — ${describeBinding(binding, constraints, ch, stepFrom?.[ch] ?? currentPct)}`;
       }
+
+      recommendations.push({
+        channel: ch,
+        type,
+        from: currentPct,
+        to: recommendedPct,
+        change: diff > 0 ? `+${diff.toFixed(1)}%` : `${diff.toFixed(1)}%`,
+        impact: Math.abs(diff * totalBudget / 100),
+        confidence: recommended[ch].confidence,
+        projected_cpl: cpl,
+        projected_cost_per_enrollment: recommended[ch].projected_cost_per_enrollment,
+        cpl_status: status,
+        unconstrained_to: recommended[ch].unconstrained_percentage,
+        binding,
+        reason
+      });
     });
 
     // Sort by absolute impact
@@ -226,7 +432,7 @@ class BudgetOptimizer {
       let bestChannel = null;
 
       this.channels.forEach(ch => {
-        samples[ch] = this.betaSample(this.alpha[ch], this.beta[ch]);
+        samples[ch] = this.sampleRate(ch);
         if (samples[ch] > maxSample) {
           maxSample = samples[ch];
           bestChannel = ch;
@@ -250,8 +456,17 @@ class BudgetOptimizer {
   exportState() {
     return {
       channels: this.channels,
-      alpha: { ...this.alpha },
-      beta: { ...this.beta },
+      reward_model: 'gamma_poisson',
+      objective: this.objective,
+      mode: this.mode,
+      half_life_days: this.mode === 'discounted' ? this.halfLifeDays : null,
+      window_days: this.mode === 'sliding_window' ? this.windowDays : null,
+      shape: cloneShape(this.shape),
+      rate: { ...this.rate },
+      prior_shape: cloneShape(this.priorShape),
+      prior_rate: { ...this.priorRate },
+      reference_date: this.referenceDate,
+      window: this.window.map(entry => ({ ...entry })),
       history_length: this.history.length,
       exported_at: new Date().toISOString()
     };
@@ -259,11 +474,24 @@ class BudgetOptimizer {
 
   /**
    * Import model state from persistence
+   *
+   * Only the configured channels are restored: channels missing from the
+   * state keep their fresh prior, and channels no longer configured are dropped.
    */
   importState(state) {
-    if (state.channels) this.channels = state.channels;
-    if (state.alpha) this.alpha = { ...state.alpha };
-    if (state.beta) this.beta = { ...state.beta };
+    const known = ch => this.channels.includes(ch);
+    const merge = (target, source = {}) => {
+      Object.entries(source).forEach(([ch, value]) => { if (known(ch)) target[ch] = value; });
+    };
+
+    REWARD_METRICS.forEach(metric => {
+      merge(this.shape[metric], state.shape?.[metric]);
+      merge(this.priorShape[metric], state.prior_shape?.[metric]);
+    });
+    merge(this.rate, state.rate);
+    merge(this.priorRate, state.prior_rate);
+    if (state.reference_date) this.referenceDate = state.reference_date;
+    if (state.window) this.window = state.window.filter(entry => known(entry.channel)).map(entry => ({ ...entry }));
   }
 
   /**
@@ -273,17 +501,19 @@ class BudgetOptimizer {
     const summary = {};
 
     this.channels.forEach(ch => {
-      const mean = this.alpha[ch] / (this.alpha[ch] + this.beta[ch]);
-      const variance = (this.alpha[ch] * this.beta[ch]) /
-        (Math.pow(this.alpha[ch] + this.beta[ch], 2) * (this.alpha[ch] + this.beta[ch] + 1));
+      const shape = this.shape[this.objective][ch];
+      const rate = this.rate[ch];
 
       summary[ch] = {
-        alpha: this.alpha[ch],
-        beta: this.beta[ch],
-        expected_roi: (mean * 100).toFixed(2) + '%',
-        uncertainty: Math.sqrt(variance).toFixed(4),
+        shape,
+        rate,
+        leads_per_100: Math.round(this.expectedRate(ch, 'leads') * 10000) / 100,
+        projected_cpl: this.projectedCost(ch, 'leads'),
+        projected_cost_per_enrollment: this.projectedCost(ch, 'enrollments'),
+        // Coefficient of variation of the Gamma posterior = 1 / sqrt(shape)
+        uncertainty: (1 / Math.sqrt(shape)).toFixed(4),
         confidence: this.getConfidence(ch),
-        total_observations: this.alpha[ch] + this.beta[ch] - 2 // Subtract initial prior
+        effective_spend: Math.round((rate - this.priorRate[ch]) * 100) / 100
       };
     });
 
@@ -291,5 +521,161 @@ class BudgetOptimizer {
   }
 }
 
+function cloneShape(shape) {
+  const copy = {};
+  Object.entries(shape).forEach(([metric, byChannel]) => { copy[metric] = { ...byChannel }; });
+  return copy;
+}
+
+/**
+ * Reason text (Spanish) for a move, in projected CPL against the threshold
+ */
+function describeCost(channel, allocation, thresholds, increase) {
+  const cpl = allocation.projected_cpl;
+  if (cpl === null) return `${channel}: datos insuficientes para proyectar CPL`;
+  const costPerEnrollment = allocation.projected_cost_per_enrollment;
+  const enrollmentText = costPerEnrollment !== null ? `, $${costPerEnrollment} por matriculado` : '';
+  const thresholdText = thresholds ? ` vs. máximo $${thresholds.max_cpl}` : '';
+  return increase ?
+    `${channel} tiene CPL proyectado de $${cpl}${thresholdText}${enrollmentText}` :
+    `${channel} rinde menos: CPL proyectado de $${cpl}${thresholdText}${enrollmentText}`;
+}
+
+// ============================================================================
+// CONSTRAINED ALLOCATION
+// ============================================================================
+
+function perChannel(value, channel) {
+  if (value === null || value === undefined) return undefined;
+  return typeof value === 'object' ? value[channel] : value;
+}
+
+/**
+ * Split 100% of the budget in proportion to `weights`, subject to constraints.
+ *
+ * The solution is clip(λ · weight, lower, upper) with λ found by bisection so
+ * that the shares add up to the budget left after fixed commitments, i.e. the
+ * proportional split is kept wherever no bound is hit.
+ *
+ * Constraints (all shares in percentage points of totalBudget):
+ * - min_share: {channel: pct}              floor per channel
+ * - max_share: {channel: pct}              cap per channel
+ * - max_step:  pct | {channel: pct}        max change vs. `current` (the pipeline passes last week's recommendation)
+ * - fixed:     {channel: amount}           committed spend, not re-optimized
+ *
+ * If the step limits make the problem infeasible they are dropped (reported in
+ * `relaxed`); infeasible floors, caps or commitments throw.
+ *
+ * @returns {Object} { shares, unconstrained, binding: {channel: string[]}, relaxed: string[] }
+ */
+export function solveConstrainedShares(weights, totalBudget, constraints = {}, current = null) {
+  const channels = Object.keys(weights);
+  const totalWeight = channels.reduce((sum, ch) => sum + weights[ch], 0) || 1;
+  const unconstrained = {};
+  channels.forEach(ch => { unconstrained[ch] = weights[ch] / totalWeight * 100; });
+
+  const fixed = {};
+  Object.entries(constraints.fixed || {}).forEach(([ch, amount]) => {
+    if (channels.includes(ch)) fixed[ch] = amount / totalBudget * 100;
+  });
+  const fixedTotal = Object.values(fixed).reduce((sum, pct) => sum + pct, 0);
+  if (fixedTotal > 100 + 1e-9) {
+    throw new Error(`Fixed commitments (${fixedTotal.toFixed(1)}%) exceed the total budget`);
+  }
+
+  const free = channels.filter(ch => !(ch in fixed));
+  const remaining = 100 - fixedTotal;
+
+  const boundsFor = withStep => {
+    const bounds = {};
+    free.forEach(ch => {
+      let lower = perChannel(constraints.min_share, ch) ?? 0;
+      let upper = perChannel(constraints.max_share, ch) ?? 100;
+      const step = perChannel(constraints.max_step, ch);
+      if (withStep && step !== undefined && current && ch in current) {
+        lower = Math.max(lower, current[ch] - step);
+        upper = Math.min(upper, current[ch] + step);
+      }
+      bounds[ch] = { lower: Math.max(0, lower), upper: Math.min(100, upper) };
+    });
+    return bounds;
+  };
+
+  const feasible = bounds => {
+    const lowerSum = free.reduce((sum, ch) => sum + bounds[ch].lower, 0);
+    const upperSum = free.reduce((sum, ch) => sum + bounds[ch].upper, 0);
+    return free.every(ch => bounds[ch].lower <= bounds[ch].upper + 1e-9) &&
+      lowerSum <= remaining + 1e-9 &&
+      (free.length === 0 || upperSum >= remaining - 1e-9);
+  };
+
+  const relaxed = [];
+  let bounds = boundsFor(true);
+  if (!feasible(bounds)) {
+    bounds = boundsFor(false);
+    relaxed.push('max_step');
+    if (!feasible(bounds)) {
+      throw new Error('Budget constraints are infeasible: check min_share, max_share and fixed');
+    }
+  }
+
+  const sharesAt = lambda => {
+    const shares = {};
+    free.forEach(ch => {
+      shares[ch] = Math.min(bounds[ch].upper, Math.max(bounds[ch].lower, lambda * weights[ch]));
+    });
+    return shares;
+  };
+  const sumOf = shares => Object.values(shares).reduce((sum, pct) => sum + pct, 0);
+
+  // sum(clip(λ·w)) is non-decreasing in λ: bisect until it matches the remaining budget
+  let low = 0;
+  let high = 1;
+  while (sumOf(sharesAt(high)) < remaining - 1e-9 && high < 1e12) high *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (sumOf(sharesAt(mid)) < remaining) low = mid; else high = mid;
+  }
+
+  const shares = { ...fixed, ...sharesAt(high) };
+  const binding = {};
+  const tolerance = 1e-6;
+
+  channels.forEach(ch => {
+    binding[ch] = [];
+    if (ch in fixed) {
+      binding[ch].push('fixed');
+      return;
+    }
+    const share = shares[ch];
+    const step = perChannel(constraints.max_step, ch);
+    const floor = perChannel(constraints.min_share, ch);
+    const cap = perChannel(constraints.max_share, ch);
+    const stepActive = !relaxed.includes('max_step') && step !== undefined && current && ch in current;
+
+    if (Math.abs(share - unconstrained[ch]) < tolerance) return;
+    if (floor !== undefined && Math.abs(share - floor) < tolerance && share > unconstrained[ch]) binding[ch].push('min_share');
+    if (cap !== undefined && Math.abs(share - cap) < tolerance && share < unconstrained[ch]) binding[ch].push('max_share');
+    if (stepActive && Math.abs(share - (current[ch] - step)) < tolerance) binding[ch].push('max_step_down');
+    if (stepActive && Math.abs(share - (current[ch] + step)) < tolerance) binding[ch].push('max_step_up');
+  });
+
+  return { shares, unconstrained, binding, relaxed };
+}
+
+/**
+ * Human-readable (Spanish) explanation of the binding constraints of a channel
+ */
+function describeBinding(binding, constraints, channel, basePct) {
+  const labels = {
+    fixed: () => `compromiso fijo de $${perChannel(constraints.fixed, channel)?.toLocaleString()}`,
+    min_share: () => `piso mínimo de ${perChannel(constraints.min_share, channel)}%`,
+    max_share: () => `tope máximo de ${perChannel(constraints.max_share, channel)}%`,
+    max_step_up: () => `cambio semanal máximo de +${perChannel(constraints.max_step, channel)} pp desde ${basePct}%`,
+    max_step_down: () => `cambio semanal máximo de -${perChannel(constraints.max_step, channel)} pp desde ${basePct}%`
+  };
+  return `limitado por ${binding.map(b => labels[b]()).join(' y ')}`;
+}
+
 export default BudgetOptimizer;
 export { BudgetOptimizer };
@@ -0,0 +1,85 @@
+/**
+ * CPL Guardrails - ok / alert / pause per campaign and program
+ *
+ * Rolling CPL (spend / attributed leads over the last window_days) is checked
+ * against HUBSPOT_CONFIG.cpl_thresholds[segment] ({ max_cpl, alert_at, pause_at })
+ * with cplStatus from the budget optimizer:
+ *
+ *   ok     CPL < alert_at
+ *   alert  alert_at ≤ CPL < pause_at (over_max included)
+ *   pause  CPL ≥ pause_at
+ *
+ * With spend and no leads the CPL is unbounded, but the next lead would cost
+ * at least the spend so far: that floor is what gets classified. Entities that
+ * spent less than min_spend in the window stay ok (not enough evidence).
+ */
+
+import { cplStatus } from './budget_optimizer.js';
+
+export const GUARDRAIL_STATES = ['ok', 'alert', 'pause'];
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Guardrail state of a CPL: 'ok' | 'alert' | 'pause' (null without thresholds)
+ */
+export function guardrailStatus(cpl, thresholds) {
+  const status = cplStatus(cpl, thresholds);
+  if (status === null) return null;
+  if (status === 'pause') return 'pause';
+  return status === 'ok' ? 'ok' : 'alert';
+}
+
+/**
+ * Classify one campaign or program
+ *
+ * @param {Object} window - { spend, leads } over the rolling window
+ * @param {Object} thresholds - { max_cpl, alert_at, pause_at }
+ * @param {Object} [options]
+ * @param {number} [options.min_spend=100] - Minimum window spend to classify
+ * @returns {Object} { spend, leads, cpl, cpl_floor, status, cpl_status, evaluated }
+ */
+export function evaluateGuardrail({ spend = 0, leads = 0 }, thresholds, options = {}) {
+  const minSpend = options.min_spend ?? 100;
+  const cpl = leads > 0 ? spend / leads : null;
+  // No leads yet: the CPL is at least the spend (if the next lead came now)
+  const effective = cpl ?? (spend > 0 ? spend : null);
+  const evaluated = spend >= minSpend && effective !== null && !!thresholds;
+
+  return {
+    spend: round(spend),
+    leads: round(leads),
+    cpl: cpl !== null ? round(cpl) : null,
+    cpl_floor: cpl === null && spend > 0 ? round(spend) : null,
+    status: evaluated ? guardrailStatus(effective, thresholds) : 'ok',
+    cpl_status: evaluated ? cplStatus(effective, thresholds) : null,
+    evaluated
+  };
+}
+
+/**
+ * State transitions between two runs (new entities count as coming from ok)
+ *
+ * @param {Object} previous - {key: { status }} from the last run
+ * @param {Object[]} current - [{ key, type, id, name, status, cpl, cpl_floor, spend, leads, thresholds }]
+ * @param {string} at - ISO timestamp of the run
+ * @returns {Object[]} [{ at, key, type, id, name, from, to, cpl, cpl_floor, spend, leads, thresholds }]
+ */
+export function guardrailTransitions(previous, current, at) {
+  return current
+    .filter(entity => (previous[entity.key]?.status || 'ok') !== entity.status)
+    .map(entity => ({
+      at,
+      key: entity.key,
+      type: entity.type,
+      id: entity.id,
+      name: entity.name,
+      from: previous[entity.key]?.status || 'ok',
+      to: entity.status,
+      cpl: entity.cpl,
+      cpl_floor: entity.cpl_floor,
+      spend: entity.spend,
+      leads: entity.leads,
+      thresholds: entity.thresholds
+    }));
+}
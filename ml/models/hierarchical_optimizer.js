@@ -0,0 +1,305 @@
+/**
+ * Hierarchical Budget Optimizer - per program (HubSpot pipeline)
+ *
+ * Two levels:
+ * 1. Programs: the total budget is split across programs (Pregrado,
+ *    Postgrado Maestrías, Formación Continua, ...) by their expected
+ *    conversions per dollar under their own channel mix.
+ * 2. Channels: each program's budget is split across channels.
+ *
+ * Every program has its own BudgetOptimizer (same bandit mode and objective
+ * as the global one), but its Gamma posterior is partially pooled towards the
+ * global optimizer:
+ *
+ *   shape_pc = κ_c · m_c + evidence_shape_pc
+ *   rate_pc  = κ_c + evidence_spend_pc
+ *
+ * where m_c is the global conversions per dollar of channel c and κ_c the
+ * pooling strength (pseudo-spend in dollars). Programs with little spend stay
+ * close to the global channel rates; programs with a lot of data follow their
+ * own evidence. κ_c is estimated from the between-program dispersion
+ * (empirical Bayes, method of moments) unless a fixed strength is configured.
+ */
+
+import BudgetOptimizer, { solveConstrainedShares, cplStatus } from './budget_optimizer.js';
+
+class HierarchicalBudgetOptimizer {
+  /**
+   * @param {BudgetOptimizer} global - Pooled optimizer trained on all programs
+   * @param {string[]} programs - Program (pipeline) names
+   * @param {Object} [options]
+   * @param {Object} [options.bandit] - Bandit options for the program optimizers
+   * @param {number|string} [options.strength='auto'] - Pooling strength κ (dollars), or 'auto'
+   * @param {number} [options.min_strength=50] - Lower bound for the estimated κ
+   * @param {number} [options.max_strength=5000] - Upper bound for the estimated κ
+   */
+  constructor(global, programs, options = {}) {
+    this.global = global;
+    this.channels = global.channels;
+    this.strength = options.strength ?? 'auto';
+    this.minStrength = options.min_strength ?? 50;
+    this.maxStrength = options.max_strength ?? 5000;
+
+    this.programs = {};
+    programs.forEach(program => {
+      this.programs[program] = new BudgetOptimizer(this.channels, {
+        ...options.bandit,
+        objective: global.objective
+      });
+    });
+  }
+
+  /**
+   * Update the program optimizers
+   * @param {Object[]} observations - Array of {program, channel, conversions, spend, date}
+   */
+  batchUpdate(observations) {
+    Object.entries(this.programs).forEach(([program, optimizer]) => {
+      optimizer.batchUpdate(observations.filter(obs => obs.program === program));
+    });
+  }
+
+  /**
+   * Decayed evidence of a program/channel (posterior minus its own prior)
+   */
+  evidence(program, channel, metric = this.global.objective) {
+    const optimizer = this.programs[program];
+    return {
+      conversions: optimizer.shape[metric][channel] - optimizer.priorShape[metric][channel],
+      spend: optimizer.rate[channel] - optimizer.priorRate[channel]
+    };
+  }
+
+  globalRate(channel, metric = this.global.objective) {
+    return this.global.expectedRate(channel, metric);
+  }
+
+  /**
+   * Pooling strength κ per channel (objective metric)
+   *
+   * Method of moments: the observed variance of the program rates minus the
+   * expected Poisson sampling variance (m / spend) gives the between-program
+   * variance τ², and a Gamma prior with mean m and variance τ² has κ = m / τ².
+   * Little dispersion → strong pooling.
+   */
+  getPoolingStrength() {
+    const strength = {};
+
+    this.channels.forEach(ch => {
+      if (typeof this.strength === 'number') {
+        strength[ch] = this.strength;
+        return;
+      }
+
+      const m = this.globalRate(ch);
+      const samples = Object.keys(this.programs)
+        .map(program => this.evidence(program, ch))
+        .filter(e => e.spend > 0)
+        .map(e => ({ spend: e.spend, rate: e.conversions / e.spend }));
+
+      if (samples.length < 2) {
+        strength[ch] = this.maxStrength;
+        return;
+      }
+
+      const totalSpend = samples.reduce((sum, s) => sum + s.spend, 0);
+      const observedVar = samples.reduce((sum, s) => sum + s.spend * Math.pow(s.rate - m, 2), 0) / totalSpend;
+      const samplingVar = samples.reduce((sum, s) => sum + m / s.spend, 0) / samples.length;
+      const betweenVar = observedVar - samplingVar;
+
+      const kappa = betweenVar > 0 ? m / betweenVar : this.maxStrength;
+      strength[ch] = Math.min(this.maxStrength, Math.max(this.minStrength, kappa));
+    });
+
+    return strength;
+  }
+
+  /**
+   * Partially pooled Gamma posterior of a program/channel for one metric
+   */
+  getPosterior(program, channel, strength = this.getPoolingStrength(), metric = this.global.objective) {
+    const kappa = strength[channel];
+    const e = this.evidence(program, channel, metric);
+    return {
+      shape: kappa * this.globalRate(channel, metric) + e.conversions,
+      rate: kappa + e.spend,
+      evidence: Math.round(e.spend * 100) / 100,
+      // Weight of the global rate in the pooled mean
+      shrinkage: Math.round(kappa / (kappa + e.spend) * 1000) / 1000
+    };
+  }
+
+  /**
+   * Projected cost per conversion of a program/channel (pooled posterior)
+   */
+  projectedCost(program, channel, strength, metric) {
+    const { shape, rate } = this.getPosterior(program, channel, strength, metric);
+    if (shape <= 1) return null;
+    return Math.round(rate / (shape - 1) * 100) / 100;
+  }
+
+  /**
+   * Allocate the total budget across programs, then across channels
+   *
+   * @param {number} totalBudget
+   * @param {Object} currentPrograms - Current program allocation {program: percentage}
+   * @param {Object} currentChannels - Current channel allocation: {channel: percentage} for the same
+   *   mix in every program, or {program: {channel: percentage}}
+   * @param {Object} [constraints]
+   * @param {Object} [constraints.programs] - Program-level constraints (see solveConstrainedShares)
+   * @param {Object} [constraints.channels] - Channel-level constraints, applied within each program
+   * @returns {Object[]} One entry per program, sorted by recommended amount
+   */
+  getRecommendedAllocation(totalBudget, currentPrograms, currentChannels, constraints = {}) {
+    const strength = this.getPoolingStrength();
+    const mixOf = program => this.channelMix(currentChannels, program);
+
+    // Expected conversions per dollar of each program under its current channel mix
+    const posteriors = {};
+    const programValue = {};
+    Object.keys(this.programs).forEach(program => {
+      posteriors[program] = {};
+      programValue[program] = 0;
+      const mix = mixOf(program);
+      const channelTotal = Object.values(mix).reduce((sum, pct) => sum + pct, 0) || 100;
+      this.channels.forEach(ch => {
+        const posterior = this.getPosterior(program, ch, strength);
+        posteriors[program][ch] = posterior;
+        programValue[program] += posterior.shape / posterior.rate * (mix[ch] || 0) / channelTotal;
+      });
+    });
+
+    const programSplit = solveConstrainedShares(programValue, totalBudget, constraints.programs || {}, currentPrograms);
+
+    return Object.keys(this.programs).map(program => {
+      const programBudget = totalBudget * programSplit.shares[program] / 100;
+      const means = {};
+      this.channels.forEach(ch => {
+        const { shape, rate } = posteriors[program][ch];
+        means[ch] = shape / rate;
+      });
+
+      const channelSplit = solveConstrainedShares(means, programBudget, constraints.channels || {}, mixOf(program));
+      const channels = {};
+      let expectedLeads = 0;
+      this.channels.forEach(ch => {
+        const amount = programBudget * channelSplit.shares[ch] / 100;
+        const leads = this.getPosterior(program, ch, strength, 'leads');
+        expectedLeads += amount * leads.shape / leads.rate;
+        channels[ch] = {
+          percentage: Math.round(channelSplit.shares[ch] * 10) / 10,
+          amount: Math.round(amount),
+          projected_cpl: this.projectedCost(program, ch, strength, 'leads'),
+          projected_cost_per_enrollment: this.projectedCost(program, ch, strength, 'enrollments'),
+          evidence: posteriors[program][ch].evidence,
+          shrinkage: posteriors[program][ch].shrinkage,
+          binding: channelSplit.binding[ch]
+        };
+      });
+
+      return {
+        program,
+        current_percentage: currentPrograms[program] || 0,
+        current_channels: mixOf(program),
+        percentage: Math.round(programSplit.shares[program] * 10) / 10,
+        amount: Math.round(programBudget),
+        expected_leads: Math.round(expectedLeads),
+        projected_cpl: expectedLeads > 0 ? Math.round(programBudget / expectedLeads * 100) / 100 : null,
+        binding: programSplit.binding[program],
+        channels,
+        relaxed: [...programSplit.relaxed, ...channelSplit.relaxed]
+      };
+    }).sort((a, b) => b.amount - a.amount);
+  }
+
+  /**
+   * Per-program recommendations: the program's budget move plus the channel
+   * moves within it (same 3-point threshold as BudgetOptimizer), with the
+   * projected CPL checked against the program's thresholds
+   *
+   * @param {Object} [cplThresholds] - {program: { max_cpl, alert_at, pause_at }}
+   */
+  getRecommendations(totalBudget, currentPrograms, currentChannels, constraints = {}, cplThresholds = {}) {
+    const allocation = this.getRecommendedAllocation(totalBudget, currentPrograms, currentChannels, constraints);
+
+    return allocation.map(entry => {
+      const diff = entry.percentage - entry.current_percentage;
+      const thresholds = cplThresholds[entry.program] || null;
+      const channelMoves = this.channels
+        .map(ch => ({ ch, from: entry.current_channels[ch] || 0, to: entry.channels[ch].percentage }))
+        .filter(move => Math.abs(move.to - move.from) >= 3)
+        .map(move => {
+          const moveDiff = move.to - move.from;
+          const details = entry.channels[move.ch];
+          const cplText = details.projected_cpl !== null ?
+            `CPL proyectado de $${details.projected_cpl}${thresholds ? ` vs. máximo $${thresholds.max_cpl}` : ''}` :
+            'sin datos suficientes para proyectar CPL';
+          return {
+            channel: move.ch,
+            type: moveDiff > 0 ? 'increase' : 'decrease',
+            from: move.from,
+            to: move.to,
+            change: moveDiff > 0 ? `+${moveDiff.toFixed(1)}%` : `${moveDiff.toFixed(1)}%`,
+            impact: Math.round(Math.abs(moveDiff * entry.amount / 100)),
+            projected_cpl: details.projected_cpl,
+            cpl_status: cplStatus(details.projected_cpl, thresholds),
+            shrinkage: details.shrinkage,
+            binding: details.binding,
+            reason: details.shrinkage > 0.5 ?
+              `Pocos datos de ${move.ch} en ${entry.program}: se apoya en el rendimiento global del canal (${cplText})` :
+              `${move.ch} en ${entry.program}: ${cplText}`
+          };
+        })
+        .sort((a, b) => b.impact - a.impact);
+
+      return {
+        program: entry.program,
+        type: Math.abs(diff) < 3 ? 'hold' : diff > 0 ? 'increase' : 'decrease',
+        from: entry.current_percentage,
+        to: entry.percentage,
+        change: diff > 0 ? `+${diff.toFixed(1)}%` : `${diff.toFixed(1)}%`,
+        amount: entry.amount,
+        expected_leads: entry.expected_leads,
+        projected_cpl: entry.projected_cpl,
+        cpl_thresholds: thresholds,
+        cpl_status: cplStatus(entry.projected_cpl, thresholds),
+        binding: entry.binding,
+        channels: entry.channels,
+        recommendations: channelMoves
+      };
+    });
+  }
+
+  /**
+   * Channel mix of a program from either a shared mix or a per-program map
+   */
+  channelMix(currentChannels, program) {
+    const perProgram = Object.values(currentChannels).some(v => v && typeof v === 'object');
+    if (!perProgram) return currentChannels;
+    return currentChannels[program] || {};
+  }
+
+  /**
+   * Export program posteriors for persistence
+   */
+  exportState() {
+    const programs = {};
+    Object.entries(this.programs).forEach(([program, optimizer]) => {
+      const { exported_at, ...state } = optimizer.exportState();
+      programs[program] = state;
+    });
+    return programs;
+  }
+
+  /**
+   * Import program posteriors (programs not in the state keep a fresh optimizer)
+   */
+  importState(programs = {}) {
+    Object.entries(programs).forEach(([program, state]) => {
+      if (this.programs[program]) this.programs[program].importState(state);
+    });
+  }
+}
+
+export default HierarchicalBudgetOptimizer;
+export { HierarchicalBudgetOptimizer };
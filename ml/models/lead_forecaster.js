@@ -0,0 +1,320 @@
+/**
+ * Lead Forecaster - weekly lead volume with prediction intervals
+ *
+ * Works on a HubSpot daily series ({ 'YYYY-MM-DD': count }) in three steps:
+ *
+ * 1. Weekday effects: the daily series is summed into Monday-Sunday weeks.
+ *    The days of the current, unfinished week are completed with the weekday
+ *    profile (share of a week's volume that falls on each weekday), so the
+ *    freshest data is used instead of dropped.
+ * 2. Admission calendar: recurring yearly windows (campaña de admisión,
+ *    exámenes, vacaciones...) are regressors of log(weekly volume), together
+ *    with a linear trend. Each event gets a multiplicative lift; the weekly
+ *    series is divided by its calendar factor.
+ * 3. Damped Holt exponential smoothing on the calendar-adjusted series
+ *    (α, β, φ chosen by one-step-ahead error). The forecast is multiplied
+ *    back by the calendar factor of each future week.
+ *
+ * Prediction intervals use the one-step errors on the log scale (so they stay
+ * positive and sparse pipelines don't blow up) and the damped trend's variance
+ * growth: var_h = σ² · (1 + Σ_{j<h} c_j²), with c_j = α · (1 + β · φ · (1 - φ^j) / (1 - φ)).
+ */
+
+import { leastSquares } from './linear_algebra.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado', 'domingo'];
+
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const BETAS = [0, 0.05, 0.1, 0.2];
+const PHIS = [0.8, 0.9, 0.98];
+
+const round = (value, decimals = 0) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const toDate = day => new Date(`${day}T00:00:00Z`);
+const toDay = date => date.toISOString().slice(0, 10);
+const addDays = (day, days) => toDay(new Date(toDate(day).getTime() + days * DAY_MS));
+// 0 = Monday ... 6 = Sunday
+const weekdayIndex = day => (toDate(day).getUTCDay() + 6) % 7;
+
+/**
+ * Whether a day falls inside a yearly window { start: 'MM-DD', end: 'MM-DD' }
+ * (windows may wrap the year, e.g. 12-15 → 01-04)
+ */
+function inWindow(day, window) {
+  const md = day.slice(5);
+  return window.start <= window.end
+    ? md >= window.start && md <= window.end
+    : md >= window.start || md <= window.end;
+}
+
+/**
+ * Fraction of the 7 days starting at weekStart inside each calendar event
+ */
+function calendarRow(weekStart, calendar) {
+  return calendar.map(event => {
+    let days = 0;
+    for (let i = 0; i < 7; i++) if (inWindow(addDays(weekStart, i), event)) days++;
+    return days / 7;
+  });
+}
+
+/**
+ * Share of a week's volume per weekday, from the last `weeks` full weeks
+ */
+export function weekdayProfile(daily, lastDay, weeks = 12) {
+  const totals = new Array(7).fill(0);
+  for (let i = 0; i < weeks * 7; i++) {
+    const day = addDays(lastDay, -i);
+    totals[weekdayIndex(day)] += daily[day] || 0;
+  }
+  const sum = totals.reduce((a, b) => a + b, 0);
+  return totals.map(total => sum > 0 ? total / sum : 1 / 7);
+}
+
+/**
+ * Monday-Sunday weekly totals; the last week is completed with the weekday profile
+ *
+ * @returns {Object} { weeks: [{ week_start, actual, nowcast }], profile }
+ */
+export function toWeekly(daily, { profileWeeks = 12 } = {}) {
+  const days = Object.keys(daily).sort();
+  if (days.length === 0) return { weeks: [], profile: new Array(7).fill(1 / 7) };
+
+  const firstDay = days[0];
+  const lastDay = days[days.length - 1];
+  const profile = weekdayProfile(daily, lastDay, profileWeeks);
+
+  // First Monday with a full week of data
+  let weekStart = addDays(firstDay, (7 - weekdayIndex(firstDay)) % 7);
+  const weeks = [];
+  while (weekStart <= lastDay) {
+    let total = 0;
+    let observedShare = 0;
+    for (let i = 0; i < 7; i++) {
+      const day = addDays(weekStart, i);
+      if (day > lastDay) break;
+      total += daily[day] || 0;
+      observedShare += profile[i];
+    }
+    const complete = addDays(weekStart, 6) <= lastDay;
+    weeks.push({
+      week_start: weekStart,
+      actual: total,
+      // Unfinished week: scale the observed days up to a full week
+      value: complete ? total : (observedShare > 0 ? total / observedShare : total),
+      nowcast: !complete
+    });
+    weekStart = addDays(weekStart, 7);
+  }
+
+  return { weeks, profile };
+}
+
+/**
+ * Calendar effects: log(y + 1) = a + b·t + Σ β_e · x_e
+ * Events never observed in the history get no effect.
+ */
+function fitCalendar(weeks, calendar, ridge) {
+  const rows = weeks.map(w => calendarRow(w.week_start, calendar));
+  const active = calendar.map((_, e) => rows.some(row => row[e] > 0) && rows.some(row => row[e] === 0));
+  const columns = calendar.map((_, e) => e).filter(e => active[e]);
+
+  const n = weeks.length;
+  const X = rows.map((row, t) => [1, t / n, ...columns.map(e => row[e])]);
+  const y = weeks.map(w => Math.log(w.value + 1));
+  const coef = leastSquares(X, y, { ridge, unpenalized: [0, 1] }) || [];
+
+  const effects = calendar.map(() => 0);
+  columns.forEach((e, j) => { effects[e] = coef[j + 2] || 0; });
+  return effects;
+}
+
+const calendarFactor = (row, effects) => Math.exp(row.reduce((sum, x, e) => sum + x * effects[e], 0));
+
+/**
+ * Damped Holt smoothing; returns the final state and the one-step log errors
+ */
+function holt(series, alpha, beta, phi) {
+  let level = series[0];
+  let trend = series.length > 1 ? series[1] - series[0] : 0;
+  let sse = 0;
+  const errors = [];
+  const fitted = [series[0]];
+
+  for (let t = 1; t < series.length; t++) {
+    const forecast = level + phi * trend;
+    fitted.push(forecast);
+    const error = series[t] - forecast;
+    sse += error * error;
+    errors.push(Math.log(series[t] + 1) - Math.log(Math.max(0, forecast) + 1));
+
+    const previousLevel = level;
+    level = alpha * series[t] + (1 - alpha) * (level + phi * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+  }
+
+  return { level, trend, sse, errors, fitted };
+}
+
+/**
+ * Damped Holt with α, β, φ chosen by one-step-ahead squared error
+ * @returns {Object} { alpha, beta, phi, level, trend, sse, errors, fitted }
+ */
+export function fitHolt(series) {
+  let best = null;
+  ALPHAS.forEach(alpha => BETAS.forEach(beta => PHIS.forEach(phi => {
+    const run = holt(series, alpha, beta, phi);
+    if (!best || run.sse < best.sse) best = { alpha, beta, phi, ...run };
+  })));
+  return best;
+}
+
+/**
+ * MAE and MAPE (weeks with volume only) of fitted vs actual, skipping the first week
+ */
+function pointErrors(actual, fitted) {
+  const pairs = actual.slice(1).map((a, i) => ({ a, f: fitted[i + 1] }));
+  const withVolume = pairs.filter(p => p.a > 0);
+  return {
+    mae: round(pairs.reduce((sum, p) => sum + Math.abs(p.a - p.f), 0) / Math.max(1, pairs.length), 1),
+    mape: withVolume.length > 0
+      ? round(withVolume.reduce((sum, p) => sum + Math.abs(p.a - p.f) / p.a, 0) / withVolume.length * 100, 1)
+      : null
+  };
+}
+
+/**
+ * Fit the model and forecast `horizon` weeks ahead
+ *
+ * @param {Object} daily - { 'YYYY-MM-DD': count }
+ * @param {Object} [options]
+ * @param {number} [options.horizon=8] - Weeks ahead (4-8)
+ * @param {Object[]} [options.calendar] - [{ id, name, start: 'MM-DD', end: 'MM-DD' }]
+ * @param {number} [options.min_weeks=26] - Minimum weekly history
+ * @param {number} [options.profile_weeks=12] - Weeks used for the weekday profile
+ * @param {number} [options.ridge=0.5] - Ridge penalty of the calendar effects
+ * @param {number} [options.history_weeks=26] - Weeks of actual vs fitted in the output
+ * @returns {Object|null} null when the history is too short
+ */
+export function forecastLeads(daily, options = {}) {
+  const horizon = Math.min(8, Math.max(4, options.horizon ?? 8));
+  const calendar = options.calendar || [];
+  const minWeeks = options.min_weeks ?? 26;
+
+  const { weeks, profile } = toWeekly(daily || {}, { profileWeeks: options.profile_weeks ?? 12 });
+  if (weeks.length < minWeeks) return null;
+
+  const effects = fitCalendar(weeks, calendar, options.ridge ?? 0.5);
+  const factors = weeks.map(w => calendarFactor(calendarRow(w.week_start, calendar), effects));
+  const adjusted = weeks.map((w, t) => w.value / factors[t]);
+
+  const model = fitHolt(adjusted);
+  const sigma = Math.sqrt(model.errors.reduce((sum, e) => sum + e * e, 0) / Math.max(1, model.errors.length));
+
+  const lastWeek = weeks[weeks.length - 1].week_start;
+  const forecast = [];
+  let varianceSum = 1;
+  let damping = 0;
+  for (let h = 1; h <= horizon; h++) {
+    damping += Math.pow(model.phi, h);
+    const weekStart = addDays(lastWeek, 7 * h);
+    const row = calendarRow(weekStart, calendar);
+    const value = Math.max(0, (model.level + damping * model.trend) * calendarFactor(row, effects));
+
+    if (h > 1) {
+      const j = h - 1;
+      const c = model.alpha * (1 + model.beta * (model.phi === 1 ? j : model.phi * (1 - Math.pow(model.phi, j)) / (1 - model.phi)));
+      varianceSum += c * c;
+    }
+    const spread = sigma * Math.sqrt(varianceSum);
+    const bound = z => Math.max(0, round(Math.exp(Math.log(value + 1) + z * spread) - 1));
+
+    forecast.push({
+      week_start: weekStart,
+      forecast: round(value),
+      lower_80: bound(-Z_80),
+      upper_80: bound(Z_80),
+      lower_95: bound(-Z_95),
+      upper_95: bound(Z_95),
+      events: calendar.filter((_, e) => row[e] > 0).map(event => event.id)
+    });
+  }
+
+  const historyWeeks = options.history_weeks ?? 26;
+  const offset = Math.max(0, weeks.length - historyWeeks);
+  const history = weeks.slice(offset).map((w, i) => {
+    const t = offset + i;
+    return {
+      week_start: w.week_start,
+      actual: w.actual,
+      nowcast: w.nowcast ? round(w.value) : null,
+      fitted: round(model.fitted[t] * factors[t])
+    };
+  });
+
+  const calendarEffects = {};
+  calendar.forEach((event, e) => {
+    calendarEffects[event.id] = round((Math.exp(effects[e]) - 1) * 100, 1);
+  });
+  const weekdayEffects = {};
+  WEEKDAYS.forEach((day, i) => { weekdayEffects[day] = round(profile[i] * 7, 3); });
+
+  return {
+    model: {
+      type: 'damped_holt_calendar',
+      alpha: model.alpha,
+      beta: model.beta,
+      phi: model.phi,
+      calendar_effects_pct: calendarEffects,
+      weekday_effects: weekdayEffects
+    },
+    fit: {
+      weeks: weeks.length,
+      sigma_log: round(sigma, 3),
+      ...pointErrors(weeks.map(w => w.value), model.fitted.map((f, t) => f * factors[t]))
+    },
+    history,
+    forecast
+  };
+}
+
+/**
+ * Hold out the last `weeks` weeks, forecast them and report the error
+ */
+export function backtestLeads(daily, options = {}, weeks = 4) {
+  const days = Object.keys(daily || {}).sort();
+  if (days.length === 0) return null;
+
+  // Cut at the last Sunday so the held-out weeks are complete
+  const lastDay = days[days.length - 1];
+  const lastSunday = addDays(lastDay, -((weekdayIndex(lastDay) + 1) % 7));
+  const cutoff = addDays(lastSunday, -7 * weeks);
+
+  const train = {};
+  days.filter(day => day <= cutoff).forEach(day => { train[day] = daily[day]; });
+  const result = forecastLeads(train, { ...options, horizon: Math.max(4, weeks) });
+  if (!result) return null;
+
+  const errors = result.forecast.slice(0, weeks).map(week => {
+    let actual = 0;
+    for (let i = 0; i < 7; i++) actual += daily[addDays(week.week_start, i)] || 0;
+    return {
+      actual,
+      forecast: week.forecast,
+      inside_80: actual >= week.lower_80 && actual <= week.upper_80
+    };
+  });
+
+  const withActual = errors.filter(e => e.actual > 0);
+  return {
+    weeks,
+    mape: withActual.length > 0
+      ? round(withActual.reduce((sum, e) => sum + Math.abs(e.forecast - e.actual) / e.actual, 0) / withActual.length * 100, 1)
+      : null,
+    coverage_80: round(errors.filter(e => e.inside_80).length / errors.length, 2)
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * Lead Quality - probability that a HubSpot contact reaches a closed-won deal
+ *
+ * L2-regularized logistic regression fitted by Newton's method (IRLS) on the
+ * PII-free contact rows the HubSpot connector builds (no ids, names, emails
+ * or exact dates):
+ *
+ * - Numeric features (conversions, page views, visits) enter as log(1 + x),
+ *   standardized; categorical ones (source, first conversion, ...) one-hot,
+ *   with levels below min_level_count folded into "other".
+ * - Labels: won deal → 1; only lost deals, or no deal after min_age_days → 0.
+ *   Open deals and younger contacts are unresolved: scored but not trained on.
+ * - Evaluation: stratified k-fold cross-validation (AUC, log-loss, Brier)
+ *   against the base-rate model.
+ * - Importance of a feature: its share of Σ |β_j| · sd(x_j), so numeric and
+ *   one-hot columns are on the same scale.
+ */
+
+import { solveLinear } from './linear_algebra.js';
+
+const OTHER_LEVEL = 'other';
+const EPSILON = 1e-12;
+
+const round = (value, decimals = 4) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+const sigmoid = z => 1 / (1 + Math.exp(-Math.max(-35, Math.min(35, z))));
+
+/**
+ * Training label of a contact row: 1, 0 or null (unresolved)
+ */
+export function leadLabel(row, minAgeDays = 60) {
+  if (row.deal_status === 'won') return 1;
+  if (row.deal_status === 'lost') return 0;
+  if (row.deal_status === 'none' && row.age_days >= minAgeDays) return 0;
+  return null;
+}
+
+const categoryOf = (row, feature) => {
+  const value = row[feature];
+  return value === null || value === undefined || value === '' ? 'none' : String(value);
+};
+
+/**
+ * Design matrix layout learned from the training rows
+ */
+function buildEncoder(rows, { numeric, categorical, min_level_count: minLevelCount = 5 }) {
+  const numericStats = numeric.map(feature => {
+    const values = rows.map(row => Math.log1p(Math.max(0, Number(row[feature]) || 0)));
+    const m = mean(values);
+    const sd = Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+    return { feature, mean: m, sd: sd > 0 ? sd : 1 };
+  });
+
+  // One-hot columns, dropping the most frequent level as the reference
+  const categories = categorical.map(feature => {
+    const counts = {};
+    rows.forEach(row => {
+      const level = categoryOf(row, feature);
+      counts[level] = (counts[level] || 0) + 1;
+    });
+    const kept = Object.entries(counts).filter(([, count]) => count >= minLevelCount).map(([level]) => level);
+    const folded = Object.keys(counts).some(level => !kept.includes(level));
+    const levels = folded ? [...kept, OTHER_LEVEL] : kept;
+    const reference = [...levels].sort((a, b) => (counts[b] || 0) - (counts[a] || 0))[0];
+    return { feature, levels, reference, columns: levels.filter(level => level !== reference) };
+  });
+
+  const columns = [
+    ...numericStats.map(stat => ({ feature: stat.feature })),
+    ...categories.flatMap(cat => cat.columns.map(level => ({ feature: cat.feature, level })))
+  ];
+
+  const encode = row => {
+    const x = [1];
+    numericStats.forEach(stat => {
+      x.push((Math.log1p(Math.max(0, Number(row[stat.feature]) || 0)) - stat.mean) / stat.sd);
+    });
+    categories.forEach(cat => {
+      let level = categoryOf(row, cat.feature);
+      if (!cat.levels.includes(level)) level = OTHER_LEVEL;
+      cat.columns.forEach(column => x.push(level === column ? 1 : 0));
+    });
+    return x;
+  };
+
+  return { columns, categories, encode };
+}
+
+/**
+ * Newton-Raphson on the penalized log-likelihood (intercept unpenalized)
+ */
+function fitLogistic(X, y, { l2 = 1, max_iter: maxIter = 50, tol = 1e-6 } = {}) {
+  const k = X[0].length;
+  let beta = new Array(k).fill(0);
+  const prevalence = Math.min(1 - EPSILON, Math.max(EPSILON, mean(y)));
+  beta[0] = Math.log(prevalence / (1 - prevalence));
+
+  let iterations = 0;
+  for (; iterations < maxIter; iterations++) {
+    const gradient = new Array(k).fill(0);
+    const hessian = Array.from({ length: k }, () => new Array(k).fill(0));
+
+    X.forEach((x, t) => {
+      const p = sigmoid(x.reduce((sum, v, j) => sum + v * beta[j], 0));
+      const w = p * (1 - p);
+      for (let i = 0; i < k; i++) {
+        if (x[i] === 0) continue;
+        gradient[i] += x[i] * (y[t] - p);
+        for (let j = i; j < k; j++) hessian[i][j] += w * x[i] * x[j];
+      }
+    });
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < i; j++) hessian[i][j] = hessian[j][i];
+      if (i > 0) {
+        gradient[i] -= l2 * beta[i];
+        hessian[i][i] += l2;
+      }
+    }
+
+    const step = solveLinear(hessian, gradient);
+    if (!step) break;
+    beta = beta.map((b, i) => b + step[i]);
+    if (Math.max(...step.map(Math.abs)) < tol) {
+      iterations++;
+      break;
+    }
+  }
+
+  return { beta, iterations };
+}
+
+const predict = (beta, x) => sigmoid(x.reduce((sum, v, j) => sum + v * beta[j], 0));
+
+/**
+ * Area under the ROC curve (rank statistic, ties count half)
+ */
+function auc(y, p) {
+  const order = p.map((score, i) => ({ score, label: y[i] })).sort((a, b) => a.score - b.score);
+  let rankSum = 0;
+  let positives = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j < order.length && order[j].score === order[i].score) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let t = i; t < j; t++) {
+      if (order[t].label === 1) {
+        rankSum += averageRank;
+        positives++;
+      }
+    }
+    i = j;
+  }
+  const negatives = order.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+const logLoss = (y, p) => -mean(y.map((v, i) => {
+  const q = Math.min(1 - EPSILON, Math.max(EPSILON, p[i]));
+  return v * Math.log(q) + (1 - v) * Math.log(1 - q);
+}));
+
+const brier = (y, p) => mean(y.map((v, i) => (v - p[i]) ** 2));
+
+/**
+ * Stratified folds: positives and negatives dealt round-robin in a fixed
+ * pseudo-random order, so the result doesn't depend on row order
+ */
+function stratifiedFolds(y, folds) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+  const assignment = new Array(y.length);
+  [1, 0].forEach(label => {
+    const indices = y.map((v, i) => (v === label ? i : -1)).filter(i => i >= 0);
+    for (let i = indices.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    indices.forEach((index, position) => { assignment[index] = position % folds; });
+  });
+  return assignment;
+}
+
+/**
+ * Out-of-fold metrics of the model and of the base-rate model
+ */
+function crossValidate(rows, y, options) {
+  const folds = Math.min(options.folds ?? 5, y.filter(v => v === 1).length, y.filter(v => v === 0).length);
+  if (folds < 2) return null;
+
+  const assignment = stratifiedFolds(y, folds);
+  const predicted = new Array(y.length);
+  const baseline = new Array(y.length);
+
+  for (let fold = 0; fold < folds; fold++) {
+    const train = rows.filter((_, i) => assignment[i] !== fold);
+    const trainY = y.filter((_, i) => assignment[i] !== fold);
+    const encoder = buildEncoder(train, options);
+    const { beta } = fitLogistic(train.map(encoder.encode), trainY, options);
+    const rate = mean(trainY);
+    rows.forEach((row, i) => {
+      if (assignment[i] !== fold) return;
+      predicted[i] = predict(beta, encoder.encode(row));
+      baseline[i] = rate;
+    });
+  }
+
+  const area = auc(y, predicted);
+  return {
+    folds,
+    auc: area === null ? null : round(area),
+    log_loss: round(logLoss(y, predicted)),
+    baseline_log_loss: round(logLoss(y, baseline)),
+    brier: round(brier(y, predicted)),
+    baseline_brier: round(brier(y, baseline))
+  };
+}
+
+/**
+ * Train the lead quality model
+ *
+ * @param {Object[]} rows - Contact rows: { deal_status, age_days, ...features }
+ * @param {Object} [options]
+ * @param {string[]} [options.numeric] - Count features (log-transformed)
+ * @param {string[]} [options.categorical] - Categorical features
+ * @param {number} [options.min_age_days=60] - Age after which a contact with no deal is a negative
+ * @param {number} [options.min_level_count=5] - Smaller categorical levels are folded into "other"
+ * @param {number} [options.l2=1] - Ridge penalty on the coefficients
+ * @param {number} [options.folds=5] - Cross-validation folds
+ * @param {number} [options.min_positives=10] - Minimum won contacts to train
+ * @returns {Object|null} { predict, features, intercept, importance, training, evaluation },
+ *   or null when there are too few resolved contacts of either class
+ */
+export function trainLeadQuality(rows, options = {}) {
+  const settings = {
+    numeric: ['num_conversion_events', 'page_views', 'visits'],
+    categorical: ['source', 'first_conversion'],
+    min_age_days: 60,
+    min_level_count: 5,
+    l2: 1,
+    folds: 5,
+    min_positives: 10,
+    ...options
+  };
+
+  const resolved = rows
+    .map(row => ({ row, label: leadLabel(row, settings.min_age_days) }))
+    .filter(item => item.label !== null);
+  const trainRows = resolved.map(item => item.row);
+  const y = resolved.map(item => item.label);
+  const positives = y.filter(v => v === 1).length;
+  const negatives = y.length - positives;
+  if (positives < settings.min_positives || negatives < settings.min_positives) return null;
+
+  const encoder = buildEncoder(trainRows, settings);
+  const X = trainRows.map(encoder.encode);
+  const { beta, iterations } = fitLogistic(X, y, settings);
+
+  // Standardized coefficients: β_j · sd(x_j) (numeric columns already have sd 1)
+  const coefficients = encoder.columns.map((column, c) => {
+    const values = X.map(x => x[c + 1]);
+    const m = mean(values);
+    const sd = Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+    return { ...column, coef: beta[c + 1], standardized: Math.abs(beta[c + 1]) * sd };
+  });
+
+  const totalEffect = coefficients.reduce((sum, c) => sum + c.standardized, 0);
+  const features = [...settings.numeric, ...settings.categorical];
+  const importance = features
+    .map(feature => {
+      const own = coefficients.filter(c => c.feature === feature);
+      const category = encoder.categories.find(cat => cat.feature === feature);
+      return {
+        feature,
+        type: category ? 'categorical' : 'numeric',
+        importance: totalEffect > 0 ? round(own.reduce((sum, c) => sum + c.standardized, 0) / totalEffect) : 0,
+        ...(category
+          ? {
+            reference: category.reference,
+            levels: own.map(c => ({ level: c.level, coef: round(c.coef), odds_ratio: round(Math.exp(c.coef), 3) }))
+          }
+          : { coef: round(own[0].coef), odds_ratio: round(Math.exp(own[0].coef), 3) })
+      };
+    })
+    .sort((a, b) => b.importance - a.importance);
+
+  return {
+    predict: row => predict(beta, encoder.encode(row)),
+    features: { numeric: settings.numeric, categorical: settings.categorical },
+    l2: settings.l2,
+    min_age_days: settings.min_age_days,
+    intercept: round(beta[0]),
+    iterations,
+    importance,
+    training: {
+      contacts: rows.length,
+      resolved: y.length,
+      positives,
+      base_rate: round(positives / y.length)
+    },
+    evaluation: crossValidate(trainRows, y, settings)
+  };
+}
+
+/**
+ * Distribution of the scores of a group of contacts
+ *
+ * Tiers are relative to the base rate: alta ≥ high_lift × base rate,
+ * baja < low_lift × base rate, media in between.
+ */
+export function summarizeScores(scored, baseRate, { bins = 10, high_lift: highLift = 2, low_lift: lowLift = 0.5 } = {}) {
+  const histogram = new Array(bins).fill(0);
+  const tiers = { alta: 0, media: 0, baja: 0 };
+  let won = 0;
+  let resolved = 0;
+
+  scored.forEach(({ probability, label }) => {
+    histogram[Math.min(bins - 1, Math.floor(probability * bins))]++;
+    if (probability >= highLift * baseRate) tiers.alta++;
+    else if (probability < lowLift * baseRate) tiers.baja++;
+    else tiers.media++;
+    if (label !== null) {
+      resolved++;
+      won += label;
+    }
+  });
+
+  const probabilities = scored.map(s => s.probability).sort((a, b) => a - b);
+  const expected = probabilities.reduce((sum, p) => sum + p, 0);
+  return {
+    contacts: scored.length,
+    mean_probability: round(expected / scored.length),
+    median_probability: round(probabilities[Math.floor(probabilities.length / 2)]),
+    expected_won: round(expected, 1),
+    resolved,
+    observed_won: won,
+    // Unresolved contacts (open deals, recent leads): where the pipeline can still grow
+    open_expected_won: round(scored.filter(s => s.label === null).reduce((sum, s) => sum + s.probability, 0), 1),
+    tiers,
+    histogram
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Linear Algebra helpers shared by the regression models
+ */
+
+/**
+ * Solve A x = b (Gaussian elimination with partial pivoting); null if singular
+ */
+export function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-10) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
+
+/**
+ * Least squares fit of y on the columns of X (rows = observations), with an
+ * optional ridge penalty on every coefficient except those in `unpenalized`
+ */
+export function leastSquares(X, y, { ridge = 0, unpenalized = [] } = {}) {
+  const k = X[0]?.length || 0;
+  const XtX = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) =>
+    X.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j && !unpenalized.includes(i) ? ridge : 0)));
+  const Xty = Array.from({ length: k }, (_, i) => X.reduce((sum, row, t) => sum + row[i] * y[t], 0));
+  return solveLinear(XtX, Xty);
+}
@@ -0,0 +1,373 @@
+/**
+ * Response Curves + What-if Simulator
+ *
+ * Fits a diminishing-returns curve per channel on historical daily spend and
+ * leads, then projects leads, CPL and credible intervals for any allocation.
+ *
+ * Curves (daily leads as a function of daily spend s):
+ * - log:    leads = scale · ln(1 + s / k)
+ * - hill:   leads = scale · s^n / (k^n + s^n)
+ * - linear: leads = scale · s  (channels without history; scale from the bandit posterior)
+ *
+ * For a fixed shape (k, n) daily leads are Poisson(scale · g(s)), so scale has
+ * a conjugate Gamma(1 + Σ leads, Σ g(s)) posterior. The shape is picked by
+ * grid search on the Poisson deviance, and with type 'auto' the curve with the
+ * lower AIC wins. The simulator samples scale from its posterior plus Poisson
+ * noise, so intervals cover both parameter and day-to-day uncertainty.
+ *
+ * A fitted curve is only kept when it beats a constant (pseudo-R² > 0) over
+ * at least MIN_SPEND_LEVELS distinct daily spends; otherwise the channel falls
+ * back to a linear curve and carries fallback_reason.
+ *
+ * Usage:
+ *   import { fitResponseCurves, simulateAllocation, whatIf } from './ml/models/response_curves.js';
+ *
+ *   const curves = fitResponseCurves(observations);          // [{ date, channel, conversions, spend }]
+ *   simulateAllocation(curves, { google_search: 8050, ... }); // monthly amounts
+ *   whatIf(curves, current, { from: 'display', to: 'google_search', amount: 3000 });
+ */
+
+export const CURVE_TYPES = ['auto', 'log', 'hill'];
+
+const HILL_EXPONENTS = [0.5, 0.75, 1, 1.5, 2, 2.5, 3];
+const GRID_POINTS = 40;
+export const MIN_SPEND_LEVELS = 5;
+
+// ============================================================================
+// CURVES
+// ============================================================================
+
+function curveValue(curve, spend) {
+  if (spend <= 0) return 0;
+  if (curve.type === 'log') return Math.log(1 + spend / curve.k);
+  if (curve.type === 'hill') {
+    const sn = Math.pow(spend, curve.n);
+    return sn / (Math.pow(curve.k, curve.n) + sn);
+  }
+  return spend;
+}
+
+function curveDerivative(curve, spend) {
+  if (curve.type === 'log') return 1 / (curve.k + spend);
+  if (curve.type === 'hill') {
+    if (spend <= 0) return curve.n < 1 ? Infinity : curve.n === 1 ? 1 / curve.k : 0;
+    const kn = Math.pow(curve.k, curve.n);
+    const sn = Math.pow(spend, curve.n);
+    return curve.n * kn * Math.pow(spend, curve.n - 1) / Math.pow(kn + sn, 2);
+  }
+  return 1;
+}
+
+/**
+ * Expected daily leads of a fitted curve at a daily spend
+ */
+export function expectedLeads(curve, dailySpend) {
+  return curve.scale.shape / curve.scale.rate * curveValue(curve, dailySpend);
+}
+
+/**
+ * Marginal cost of one more lead at a daily spend (1 / d leads / d spend)
+ */
+export function marginalCpl(curve, dailySpend) {
+  const slope = curve.scale.shape / curve.scale.rate * curveDerivative(curve, dailySpend);
+  return slope > 0 && Number.isFinite(slope) ? Math.round(1 / slope * 100) / 100 : null;
+}
+
+function poissonDeviance(points, fitted) {
+  return 2 * points.reduce((sum, p, i) => {
+    const mu = Math.max(fitted[i], 1e-9);
+    const term = p.leads > 0 ? p.leads * Math.log(p.leads / mu) : 0;
+    return sum + term - (p.leads - mu);
+  }, 0);
+}
+
+/**
+ * Best scale for a fixed curve shape (Poisson MLE: Σ leads / Σ g(s)) and its deviance
+ */
+function scoreShape(points, shape) {
+  const g = points.map(p => curveValue(shape, p.spend));
+  const totalG = g.reduce((sum, v) => sum + v, 0);
+  const totalLeads = points.reduce((sum, p) => sum + p.leads, 0);
+  if (totalG <= 0) return null;
+  const scale = totalLeads / totalG;
+  return {
+    ...shape,
+    scale: { shape: 1 + totalLeads, rate: totalG },
+    deviance: poissonDeviance(points, g.map(v => v * scale))
+  };
+}
+
+function shapeGrid(points) {
+  const spends = points.map(p => p.spend).filter(s => s > 0).sort((a, b) => a - b);
+  const median = spends[Math.floor(spends.length / 2)] || 1;
+  const low = Math.log(median * 0.05);
+  const high = Math.log(median * 20);
+  return Array.from({ length: GRID_POINTS }, (_, i) => Math.exp(low + (high - low) * i / (GRID_POINTS - 1)));
+}
+
+/**
+ * Fit one curve on daily points
+ * @param {Object[]} points - [{ spend, leads }] one per day
+ * @param {string} [type='auto'] - 'log' | 'hill' | 'auto' (lower AIC)
+ * @returns {Object|null} { type, k, n?, scale: { shape, rate }, deviance, aic, pseudo_r2, days, spend_levels, max_daily_spend }
+ */
+export function fitResponseCurve(points, type = 'auto') {
+  if (!CURVE_TYPES.includes(type)) {
+    throw new Error(`Unknown response curve "${type}" (expected ${CURVE_TYPES.join(', ')})`);
+  }
+
+  const usable = points.filter(p => p.spend > 0);
+  if (usable.length < 5) return null;
+
+  const grid = shapeGrid(usable);
+  const candidates = [];
+
+  if (type === 'auto' || type === 'log') {
+    const best = grid
+      .map(k => scoreShape(usable, { type: 'log', k }))
+      .filter(Boolean)
+      .sort((a, b) => a.deviance - b.deviance)[0];
+    if (best) candidates.push({ ...best, aic: best.deviance + 2 * 2 });
+  }
+
+  if (type === 'auto' || type === 'hill') {
+    const best = grid
+      .flatMap(k => HILL_EXPONENTS.map(n => scoreShape(usable, { type: 'hill', k, n })))
+      .filter(Boolean)
+      .sort((a, b) => a.deviance - b.deviance)[0];
+    if (best) candidates.push({ ...best, aic: best.deviance + 2 * 3 });
+  }
+
+  const curve = candidates.sort((a, b) => a.aic - b.aic)[0];
+  if (!curve) return null;
+
+  // Null model: constant leads per day
+  const meanLeads = usable.reduce((sum, p) => sum + p.leads, 0) / usable.length;
+  const nullDeviance = poissonDeviance(usable, usable.map(() => meanLeads));
+
+  return {
+    ...curve,
+    k: Math.round(curve.k * 100) / 100,
+    deviance: Math.round(curve.deviance * 100) / 100,
+    aic: Math.round(curve.aic * 100) / 100,
+    pseudo_r2: nullDeviance > 0 ? Math.round((1 - curve.deviance / nullDeviance) * 1000) / 1000 : 0,
+    days: usable.length,
+    spend_levels: new Set(usable.map(p => Math.round(p.spend * 100))).size,
+    max_daily_spend: Math.round(Math.max(...usable.map(p => p.spend)) * 100) / 100
+  };
+}
+
+/**
+ * Fit one curve per channel from daily observations
+ *
+ * @param {Object[]} observations - [{ date, channel, conversions, spend }]
+ * @param {Object} [options]
+ * @param {string} [options.type='auto'] - Curve type
+ * @param {Object} [options.fallback] - {channel: { shape, rate }} Gamma posterior of leads per
+ *   dollar (e.g. from BudgetOptimizer) for channels without a usable fit → linear curve
+ * @param {number} [options.minSpendLevels=MIN_SPEND_LEVELS] - Distinct daily spends needed to keep a fit
+ * @returns {Object} {channel: curve}; linear fallbacks carry fallback_reason
+ *   ('insufficient_history' | 'few_spend_levels' | 'no_better_than_constant') and the rejected fit
+ */
+export function fitResponseCurves(observations, { type = 'auto', fallback = {}, minSpendLevels = MIN_SPEND_LEVELS } = {}) {
+  const byChannel = {};
+  observations.forEach(obs => {
+    if (!byChannel[obs.channel]) byChannel[obs.channel] = [];
+    byChannel[obs.channel].push({ spend: obs.spend, leads: obs.conversions || 0 });
+  });
+
+  const curves = {};
+  const channels = new Set([...Object.keys(byChannel), ...Object.keys(fallback)]);
+  channels.forEach(channel => {
+    const points = byChannel[channel] || [];
+    const fitted = points.length > 0 ? fitResponseCurve(points, type) : null;
+    const reason = !fitted ? 'insufficient_history'
+      : fitted.spend_levels < minSpendLevels ? 'few_spend_levels'
+        : fitted.pseudo_r2 <= 0 ? 'no_better_than_constant'
+          : null;
+    if (!reason) {
+      curves[channel] = fitted;
+      return;
+    }
+
+    // Linear leads-per-dollar rate: the given posterior, else the channel's own totals
+    const totalSpend = points.reduce((sum, p) => sum + Math.max(p.spend, 0), 0);
+    const scale = fallback[channel]
+      ? { ...fallback[channel] }
+      : fitted ? { shape: 1 + points.reduce((sum, p) => sum + p.leads, 0), rate: totalSpend } : null;
+    if (!scale) return;
+
+    curves[channel] = {
+      type: 'linear',
+      scale,
+      days: points.length,
+      max_daily_spend: null,
+      fallback_reason: reason,
+      rejected: fitted ? { type: fitted.type, pseudo_r2: fitted.pseudo_r2, spend_levels: fitted.spend_levels } : null
+    };
+  });
+  return curves;
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+function normalSample() {
+  const u1 = Math.random() || Number.MIN_VALUE;
+  const u2 = Math.random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+function gammaSample(shape) {
+  if (shape < 1) return gammaSample(shape + 1) * Math.pow(Math.random(), 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  while (true) {
+    let x, v;
+    do {
+      x = normalSample();
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = Math.random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+// Poisson draw (normal approximation for large means)
+function poissonSample(mean) {
+  if (mean <= 0) return 0;
+  if (mean > 50) return Math.max(0, Math.round(mean + Math.sqrt(mean) * normalSample()));
+  const limit = Math.exp(-mean);
+  let k = 0;
+  let p = 1;
+  do {
+    k++;
+    p *= Math.random();
+  } while (p > limit);
+  return k - 1;
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))));
+  return sorted[index];
+}
+
+function summarize(values, digits = 0) {
+  const sorted = values.filter(v => v !== null && Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return { mean: null, p10: null, p50: null, p90: null };
+  const factor = Math.pow(10, digits);
+  const round = v => Math.round(v * factor) / factor;
+  return {
+    mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    p10: round(quantile(sorted, 0.1)),
+    p50: round(quantile(sorted, 0.5)),
+    p90: round(quantile(sorted, 0.9))
+  };
+}
+
+function drawScales(curves, simulations) {
+  const draws = {};
+  Object.entries(curves).forEach(([channel, curve]) => {
+    draws[channel] = Array.from({ length: simulations }, () => gammaSample(curve.scale.shape) / curve.scale.rate);
+  });
+  return draws;
+}
+
+function simulateWithDraws(curves, allocation, draws, days) {
+  const channels = Object.keys(allocation).filter(ch => curves[ch]);
+  const simulations = draws[channels[0]]?.length || 0;
+  const perChannel = {};
+  channels.forEach(ch => { perChannel[ch] = []; });
+  const totals = [];
+
+  for (let i = 0; i < simulations; i++) {
+    let total = 0;
+    channels.forEach(ch => {
+      const dailySpend = allocation[ch] / days;
+      const leads = poissonSample(draws[ch][i] * curveValue(curves[ch], dailySpend) * days);
+      perChannel[ch].push(leads);
+      total += leads;
+    });
+    totals.push(total);
+  }
+
+  const spendOf = ch => allocation[ch] || 0;
+  const totalSpend = channels.reduce((sum, ch) => sum + spendOf(ch), 0);
+  const channelsResult = {};
+  channels.forEach(ch => {
+    const dailySpend = spendOf(ch) / days;
+    channelsResult[ch] = {
+      spend: Math.round(spendOf(ch)),
+      leads: summarize(perChannel[ch]),
+      cpl: summarize(perChannel[ch].map(leads => (leads > 0 ? spendOf(ch) / leads : null)), 2),
+      marginal_cpl: marginalCpl(curves[ch], dailySpend),
+      extrapolated: curves[ch].max_daily_spend !== null && dailySpend > curves[ch].max_daily_spend * 1.5
+    };
+  });
+
+  return {
+    totals,
+    result: {
+      days,
+      spend: Math.round(totalSpend),
+      leads: summarize(totals),
+      cpl: summarize(totals.map(leads => (leads > 0 ? totalSpend / leads : null)), 2),
+      channels: channelsResult,
+      unmodeled: Object.keys(allocation).filter(ch => !curves[ch])
+    }
+  };
+}
+
+/**
+ * Monte Carlo projection of leads and CPL for an allocation
+ *
+ * @param {Object} curves - From fitResponseCurves
+ * @param {Object} allocation - {channel: amount} spent over `days`
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Period the amounts are spent over
+ * @param {number} [options.simulations=2000]
+ * @returns {Object} { days, spend, leads: {mean,p10,p50,p90}, cpl: {...}, channels, unmodeled }
+ */
+export function simulateAllocation(curves, allocation, { days = 30, simulations = 2000 } = {}) {
+  const draws = drawScales(curves, simulations);
+  return simulateWithDraws(curves, allocation, draws, days).result;
+}
+
+/**
+ * Move `amount` from one channel to another and compare with the base allocation.
+ * Both scenarios use the same posterior draws, so the difference is not
+ * blurred by parameter noise.
+ *
+ * @param {Object} curves - From fitResponseCurves
+ * @param {Object} base - {channel: amount}
+ * @param {Object} move - { from, to, amount }
+ * @param {Object} [options] - days, simulations (see simulateAllocation)
+ * @returns {Object} { move, base, scenario, delta_leads, delta_cpl, probability_better }
+ */
+export function whatIf(curves, base, move, { days = 30, simulations = 2000 } = {}) {
+  const { from, to } = move;
+  const amount = Math.min(move.amount, base[from] || 0);
+  const scenario = { ...base, [from]: (base[from] || 0) - amount, [to]: (base[to] || 0) + amount };
+
+  const draws = drawScales(curves, simulations);
+  const baseRun = simulateWithDraws(curves, base, draws, days);
+  const scenarioRun = simulateWithDraws(curves, scenario, draws, days);
+
+  const deltas = scenarioRun.totals.map((leads, i) => leads - baseRun.totals[i]);
+  const better = deltas.filter(delta => delta > 0).length;
+
+  return {
+    move: { from, to, amount },
+    base: baseRun.result,
+    scenario: scenarioRun.result,
+    delta_leads: summarize(deltas),
+    delta_cpl: baseRun.result.cpl.mean !== null && scenarioRun.result.cpl.mean !== null
+      ? Math.round((scenarioRun.result.cpl.mean - baseRun.result.cpl.mean) * 100) / 100
+      : null,
+    probability_better: Math.round(better / deltas.length * 1000) / 1000
+  };
+}
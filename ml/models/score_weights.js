@@ -0,0 +1,118 @@
+/**
+ * Score Weights - learned blend of the Opportunity Score components
+ *
+ * Regresses a weekly outcome (new deals, won deals) on the lagged component
+ * scores (search, trend, social, intent):
+ *
+ *   y_t = α + β · Σ_k w_k · x_k,t-lag      with w_k ≥ 0 and Σ_k w_k = 1
+ *
+ * This is a non-negative least squares problem on the unnormalized
+ * coefficients v_k = β · w_k (after centering, which absorbs α); the weights
+ * are v / Σv. With a handful of components NNLS is solved exactly by trying
+ * every subset of active components and keeping the best fit whose OLS
+ * coefficients are all non-negative.
+ */
+
+import { leastSquares } from './linear_algebra.js';
+
+const round = (value, decimals = 4) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Goodness of fit of predictions vs outcomes
+ */
+function fitStats(y, predicted, parameters) {
+  const n = y.length;
+  const yMean = mean(y);
+  const sse = y.reduce((sum, v, t) => sum + Math.pow(v - predicted[t], 2), 0);
+  const sst = y.reduce((sum, v) => sum + Math.pow(v - yMean, 2), 0);
+  const r2 = sst > 0 ? 1 - sse / sst : 0;
+  const dof = n - parameters - 1;
+  return {
+    n,
+    r2: round(r2),
+    adjusted_r2: dof > 0 ? round(1 - (1 - r2) * (n - 1) / dof) : null,
+    rmse: round(Math.sqrt(sse / n), 2)
+  };
+}
+
+/**
+ * Fit sum-to-one, non-negative weights
+ *
+ * @param {Object[]} samples - [{ scores: {component: value}, outcome }]
+ * @param {Object} [options]
+ * @param {string[]} [options.components] - Components to weight (default: keys of the first sample)
+ * @returns {Object|null} { weights, intercept, scale, fit: {n, r2, adjusted_r2, rmse} },
+ *   or null when there are too few samples or no component relates positively to the outcome
+ */
+export function fitScoreWeights(samples, options = {}) {
+  const components = options.components || Object.keys(samples[0]?.scores || {});
+  const k = components.length;
+  if (k === 0 || samples.length < k + 2) return null;
+
+  const rawX = samples.map(s => components.map(c => s.scores[c] ?? 0));
+  const y = samples.map(s => s.outcome);
+  const xMeans = components.map((_, i) => mean(rawX.map(row => row[i])));
+  const yMean = mean(y);
+  const X = rawX.map(row => row.map((v, i) => v - xMeans[i]));
+  const yc = y.map(v => v - yMean);
+
+  // Exact NNLS: best non-negative OLS over all subsets of components
+  let best = null;
+  for (let mask = 1; mask < (1 << k); mask++) {
+    const columns = components.map((_, i) => i).filter(i => mask & (1 << i));
+    // Centered columns, so no intercept is needed
+    const coef = leastSquares(X.map(row => columns.map(col => row[col])), yc);
+    if (!coef || coef.some(c => c < 0)) continue;
+
+    const sse = X.reduce((sum, row, t) => {
+      const fitted = columns.reduce((acc, col, j) => acc + coef[j] * row[col], 0);
+      return sum + Math.pow(yc[t] - fitted, 2);
+    }, 0);
+    if (!best || sse < best.sse) best = { columns, coef, sse };
+  }
+
+  if (!best) return null;
+  const scale = best.coef.reduce((sum, c) => sum + c, 0);
+  if (!(scale > 0)) return null;
+
+  const v = new Array(k).fill(0);
+  best.columns.forEach((col, j) => { v[col] = best.coef[j]; });
+
+  const weights = {};
+  components.forEach((c, i) => { weights[c] = round(v[i] / scale); });
+
+  const intercept = yMean - v.reduce((sum, vi, i) => sum + vi * xMeans[i], 0);
+  const predicted = rawX.map(row => intercept + row.reduce((sum, x, i) => sum + v[i] * x, 0));
+
+  return {
+    weights,
+    intercept: round(intercept, 2),
+    scale: round(scale, 2),
+    fit: fitStats(y, predicted, best.columns.length)
+  };
+}
+
+/**
+ * Goodness of fit of a fixed set of weights (y = α + β · composite, OLS on α, β)
+ * Used to compare the fitted weights against the configured ones.
+ */
+export function evaluateScoreWeights(samples, weights) {
+  if (samples.length < 3) return null;
+
+  const composite = samples.map(s => Object.entries(weights)
+    .reduce((sum, [c, w]) => sum + w * (s.scores[c] ?? 0), 0));
+  const y = samples.map(s => s.outcome);
+  const xMean = mean(composite);
+  const yMean = mean(y);
+  const sxx = composite.reduce((sum, x) => sum + Math.pow(x - xMean, 2), 0);
+  const sxy = composite.reduce((sum, x, t) => sum + (x - xMean) * (y[t] - yMean), 0);
+  const beta = sxx > 0 ? sxy / sxx : 0;
+  const predicted = composite.map(x => yMean + beta * (x - xMean));
+
+  return {
+    scale: round(beta, 2),
+    fit: fitStats(y, predicted, 1)
+  };
+}
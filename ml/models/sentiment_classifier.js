@@ -0,0 +1,303 @@
+/**
+ * Sentiment Classifier - multinomial Naive Bayes over n-grams
+ *
+ * Trainable alternative to the rule-based lexicon, fitted on labeled
+ * comments (ml/pipeline/sentiment_training.js):
+ *
+ * - Text goes through the same preprocess/tokenize as SentimentAnalyzer
+ *   (accents removed, ñ and emoji kept); features are 1..ngram_max-grams.
+ * - Classes: positivo / neutral / negativo. muy_positivo and muy_negativo
+ *   labels are folded into their side; the 5-level category comes back from
+ *   the score: 0.5 + (P(positivo) - P(negativo)) / 2.
+ * - Laplace smoothing (alpha); n-grams seen fewer than min_count times in
+ *   training are dropped.
+ * - Evaluation: stratified k-fold cross-validation (accuracy, macro F1,
+ *   per-class precision/recall, confusion matrix) against the rule-based
+ *   analyzer on the same examples.
+ *
+ * The trained model is plain JSON, so it can be saved under ml/models/ and
+ * loaded with new NaiveBayesSentiment(model).
+ */
+
+import { SentimentAnalyzer, normalizeLabel } from './sentiment_analyzer.js';
+
+export const CLASSES = ['positivo', 'neutral', 'negativo'];
+export const MODEL_VERSION = '1.0.0';
+
+const round = (value, decimals = 4) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Tokenizer shared with the rule-based analyzer
+const tokenizer = new SentimentAnalyzer();
+
+/**
+ * Training class of a label (any taxonomy or legacy label), or null
+ */
+export function trainingClass(label) {
+  const normalized = normalizeLabel(label);
+  if (normalized === 'muy_positivo' || normalized === 'positivo') return 'positivo';
+  if (normalized === 'muy_negativo' || normalized === 'negativo') return 'negativo';
+  return normalized === 'neutral' ? 'neutral' : null;
+}
+
+/**
+ * 1..maxN-grams of a text
+ */
+export function ngrams(text, maxN = 2) {
+  const tokens = tokenizer.tokenize(tokenizer.preprocess(text || ''));
+  const grams = [];
+  for (let n = 1; n <= maxN; n++) {
+    for (let i = 0; i + n <= tokens.length; i++) grams.push(tokens.slice(i, i + n).join(' '));
+  }
+  return grams;
+}
+
+/**
+ * Fit class priors and n-gram likelihoods
+ */
+function fitNaiveBayes(examples, { ngram_max: ngramMax = 2, alpha = 1, min_count: minCount = 1 } = {}) {
+  const docs = examples.map(e => ({ cls: e.cls, grams: ngrams(e.text, ngramMax) }));
+
+  const totals = {};
+  docs.forEach(doc => doc.grams.forEach(g => { totals[g] = (totals[g] || 0) + 1; }));
+  const vocabulary = Object.keys(totals).filter(g => totals[g] >= minCount);
+  const inVocabulary = new Set(vocabulary);
+
+  const counts = Object.fromEntries(CLASSES.map(c => [c, {}]));
+  const gramTotals = Object.fromEntries(CLASSES.map(c => [c, 0]));
+  docs.forEach(doc => doc.grams.filter(g => inVocabulary.has(g)).forEach(g => {
+    counts[doc.cls][g] = (counts[doc.cls][g] || 0) + 1;
+    gramTotals[doc.cls]++;
+  }));
+
+  const logPriors = CLASSES.map(c => Math.log(Math.max(1, docs.filter(d => d.cls === c).length) / docs.length));
+  const denominators = CLASSES.map(c => gramTotals[c] + alpha * vocabulary.length);
+  const likelihoods = {};
+  vocabulary.forEach(g => {
+    likelihoods[g] = CLASSES.map((c, k) => round(Math.log(((counts[c][g] || 0) + alpha) / denominators[k]), 6));
+  });
+
+  return {
+    classes: CLASSES,
+    ngram_max: ngramMax,
+    alpha,
+    min_count: minCount,
+    log_priors: logPriors.map(v => round(v, 6)),
+    likelihoods
+  };
+}
+
+/**
+ * Class probabilities of a text; n-grams outside the vocabulary are ignored
+ */
+function predictProbabilities(model, text) {
+  const logits = [...model.log_priors];
+  ngrams(text, model.ngram_max).forEach(g => {
+    const likelihood = model.likelihoods[g];
+    if (likelihood) likelihood.forEach((v, k) => { logits[k] += v; });
+  });
+  const max = Math.max(...logits);
+  const exp = logits.map(v => Math.exp(v - max));
+  const total = exp.reduce((sum, v) => sum + v, 0);
+  return Object.fromEntries(model.classes.map((c, k) => [c, exp[k] / total]));
+}
+
+const argmax = probabilities => Object.entries(probabilities).sort((a, b) => b[1] - a[1])[0][0];
+
+// Polarity class of a 0-1 score, for the rule-based baseline
+const scoreClass = score => (score >= 0.55 ? 'positivo' : score < 0.45 ? 'negativo' : 'neutral');
+
+/**
+ * Accuracy, macro F1, per-class precision/recall/F1 and confusion matrix
+ * (rows: actual, columns: predicted)
+ */
+export function classificationMetrics(actual, predicted) {
+  const confusion = Object.fromEntries(CLASSES.map(a => [a, Object.fromEntries(CLASSES.map(p => [p, 0]))]));
+  actual.forEach((a, i) => { confusion[a][predicted[i]]++; });
+
+  const perClass = {};
+  CLASSES.forEach(c => {
+    const tp = confusion[c][c];
+    const predictedCount = CLASSES.reduce((sum, a) => sum + confusion[a][c], 0);
+    const support = CLASSES.reduce((sum, p) => sum + confusion[c][p], 0);
+    const precision = predictedCount > 0 ? tp / predictedCount : 0;
+    const recall = support > 0 ? tp / support : 0;
+    const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+    perClass[c] = { precision: round(precision), recall: round(recall), f1: round(f1), support };
+  });
+
+  const present = CLASSES.filter(c => perClass[c].support > 0);
+  return {
+    accuracy: round(actual.filter((a, i) => a === predicted[i]).length / actual.length),
+    macro_f1: round(present.reduce((sum, c) => sum + perClass[c].f1, 0) / present.length),
+    per_class: perClass,
+    confusion
+  };
+}
+
+/**
+ * Stratified folds: each class dealt round-robin in a fixed pseudo-random
+ * order, so the result doesn't depend on row order
+ */
+function stratifiedFolds(labels, folds) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+  const assignment = new Array(labels.length);
+  CLASSES.forEach(label => {
+    const indices = labels.map((v, i) => (v === label ? i : -1)).filter(i => i >= 0);
+    for (let i = indices.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    indices.forEach((index, position) => { assignment[index] = position % folds; });
+  });
+  return assignment;
+}
+
+/**
+ * Out-of-fold metrics of the model, and of the rule-based analyzer on the same examples
+ */
+function crossValidate(examples, options) {
+  const labels = examples.map(e => e.cls);
+  const smallest = Math.min(...CLASSES.map(c => labels.filter(l => l === c).length));
+  const folds = Math.min(options.folds ?? 5, smallest);
+  if (folds < 2) return null;
+
+  const assignment = stratifiedFolds(labels, folds);
+  const predicted = new Array(examples.length);
+  for (let fold = 0; fold < folds; fold++) {
+    const model = fitNaiveBayes(examples.filter((_, i) => assignment[i] !== fold), options);
+    examples.forEach((e, i) => {
+      if (assignment[i] === fold) predicted[i] = argmax(predictProbabilities(model, e.text));
+    });
+  }
+
+  return {
+    folds,
+    ...classificationMetrics(labels, predicted),
+    rule_based: evaluateRuleBased(examples)
+  };
+}
+
+/**
+ * Metrics of the rule-based analyzer on labeled examples
+ */
+function evaluateRuleBased(examples) {
+  const analyzer = new SentimentAnalyzer();
+  const metrics = classificationMetrics(
+    examples.map(e => e.cls),
+    examples.map(e => scoreClass(analyzer.analyze(e.text).score))
+  );
+  return { accuracy: metrics.accuracy, macro_f1: metrics.macro_f1 };
+}
+
+/**
+ * Labeled rows → training examples ({ text, cls }), dropping unknown labels and duplicate texts
+ */
+export function trainingExamples(rows) {
+  const seen = new Set();
+  return rows
+    .map(row => ({ text: (row.text || '').trim(), cls: trainingClass(row.label) }))
+    .filter(e => {
+      const key = e.text.toLowerCase();
+      if (!e.text || !e.cls || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Train the sentiment classifier
+ *
+ * @param {Object[]} rows - Labeled comments: { text, label }
+ * @param {Object} [options]
+ * @param {number} [options.ngram_max=2] - Longest n-gram
+ * @param {number} [options.alpha=1] - Laplace smoothing
+ * @param {number} [options.min_count=1] - Minimum n-gram count in training
+ * @param {number} [options.folds=5] - Cross-validation folds
+ * @param {number} [options.min_examples_per_class=10] - Minimum examples of each class to train
+ * @returns {Object|null} Serializable model { type, version, ..., likelihoods, training, evaluation },
+ *   or null when some class has too few examples
+ */
+export function trainSentimentClassifier(rows, options = {}) {
+  const settings = { ngram_max: 2, alpha: 1, min_count: 1, folds: 5, min_examples_per_class: 10, ...options };
+  const examples = trainingExamples(rows);
+  const byClass = Object.fromEntries(CLASSES.map(c => [c, examples.filter(e => e.cls === c).length]));
+  if (CLASSES.some(c => byClass[c] < settings.min_examples_per_class)) return null;
+
+  const model = fitNaiveBayes(examples, settings);
+  return {
+    type: 'naive_bayes',
+    version: MODEL_VERSION,
+    trained_at: new Date().toISOString(),
+    ...model,
+    training: {
+      examples: examples.length,
+      by_class: byClass,
+      vocabulary: Object.keys(model.likelihoods).length
+    },
+    evaluation: crossValidate(examples, settings)
+  };
+}
+
+/**
+ * Metrics of a trained model, and of the rule-based analyzer, on labeled rows (holdout)
+ */
+export function evaluateSentimentClassifier(model, rows) {
+  const examples = trainingExamples(rows);
+  if (examples.length === 0) return null;
+  return {
+    examples: examples.length,
+    ...classificationMetrics(
+      examples.map(e => e.cls),
+      examples.map(e => argmax(predictProbabilities(model, e.text)))
+    ),
+    rule_based: evaluateRuleBased(examples)
+  };
+}
+
+/**
+ * SentimentAnalyzer backed by a trained Naive Bayes model: same result
+ * shape, so analyzeMultiple, polarizing terms and aspects work unchanged.
+ * terms are the n-grams of the text that favor one side by at least 2:1.
+ */
+export class NaiveBayesSentiment extends SentimentAnalyzer {
+  constructor(model, config = {}) {
+    super(config);
+    this.model = model;
+    this.modelVersion = model.version;
+    this.positive = model.classes.indexOf('positivo');
+    this.negative = model.classes.indexOf('negativo');
+  }
+
+  analyze(text) {
+    if (!text || typeof text !== 'string') {
+      return { ...this.createResult(0.5, 'neutral', 0, 0), terms: [] };
+    }
+
+    const probabilities = predictProbabilities(this.model, text);
+    const score = 0.5 + (probabilities.positivo - probabilities.negativo) / 2;
+
+    const terms = [...new Set(ngrams(text, this.model.ngram_max))]
+      .filter(g => this.model.likelihoods[g])
+      .map(g => {
+        const ratio = this.model.likelihoods[g][this.positive] - this.model.likelihoods[g][this.negative];
+        return { term: g, type: ratio > 0 ? 'positive' : 'negative', weight: round(Math.abs(ratio), 2) };
+      })
+      .filter(t => t.weight >= Math.log(2));
+
+    return {
+      score: round(score, 2),
+      category: this.categorize(score),
+      positive_count: terms.filter(t => t.type === 'positive').length,
+      negative_count: terms.filter(t => t.type === 'negative').length,
+      confidence: round(Math.max(...Object.values(probabilities)), 2),
+      probabilities: Object.fromEntries(Object.entries(probabilities).map(([c, p]) => [c, round(p, 3)])),
+      terms
+    };
+  }
+}
+
+export default NaiveBayesSentiment;
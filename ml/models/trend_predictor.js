@@ -0,0 +1,214 @@
+/**
+ * Trend Predictor - Google Trends interest forecast and breakout detection
+ *
+ * Works on the daily timeline the Trends scraper keeps per keyword
+ * (keywords[].timeline: [{ date, value }], interest 0-100):
+ *
+ * - Forecast: damped Holt smoothing on the daily series (parameters shared
+ *   with the lead forecaster), summarized as weekly mean interest with an
+ *   80% interval from the one-step residuals.
+ * - Change points: CUSUM test for a shift in mean, applied by binary
+ *   segmentation. The noise scale comes from the first differences (MAD),
+ *   so the shift itself doesn't inflate it, and the p-value from the
+ *   Kolmogorov distribution of the Brownian bridge supremum.
+ * - Signal: the latest significant change point, if recent and large
+ *   enough, is a breakout (up) or a drop (down).
+ */
+
+import { fitHolt } from './lead_forecaster.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const Z_80 = 1.2816;
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+const addDays = (day, days) => new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString().slice(0, 10);
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * P(sup |Brownian bridge| > d)
+ */
+function kolmogorovPValue(d) {
+  if (d <= 0) return 1;
+  let p = 0;
+  for (let j = 1; j <= 100; j++) {
+    const term = Math.exp(-2 * j * j * d * d);
+    p += (j % 2 === 1 ? 2 : -2) * term;
+    if (term < 1e-12) break;
+  }
+  return Math.min(1, Math.max(0, p));
+}
+
+/**
+ * Noise scale from first differences: MAD(diff) / 0.6745 / √2
+ */
+function noiseScale(values) {
+  const diffs = values.slice(1).map((v, i) => v - values[i]);
+  if (diffs.length === 0) return 0;
+  const center = median(diffs);
+  const mad = median(diffs.map(d => Math.abs(d - center)));
+  if (mad > 0) return mad / 0.6745 / Math.SQRT2;
+  // Mostly flat series: fall back to the standard deviation of the differences
+  return Math.sqrt(mean(diffs.map(d => d * d)) / 2);
+}
+
+/**
+ * CUSUM test on one segment; returns the most likely split or null
+ */
+function cusumSplit(values, minSegment, sigma) {
+  const n = values.length;
+  if (n < 2 * minSegment || sigma <= 0) return null;
+
+  const m = mean(values);
+  let cumulative = 0;
+  let best = null;
+  for (let k = 1; k < n; k++) {
+    cumulative += values[k - 1] - m;
+    if (k < minSegment || n - k < minSegment) continue;
+    if (!best || Math.abs(cumulative) > best.value) best = { index: k, value: Math.abs(cumulative) };
+  }
+  if (!best) return null;
+
+  const statistic = best.value / (sigma * Math.sqrt(n));
+  return { index: best.index, statistic, p_value: kolmogorovPValue(statistic) };
+}
+
+/**
+ * Significant mean shifts by binary segmentation
+ *
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05] - Significance level
+ * @param {number} [options.min_segment=7] - Minimum points on each side of a change
+ * @param {number} [options.max_depth=3] - Binary segmentation depth
+ * @returns {Object[]} [{ index, statistic, p_value, mean_before, mean_after }] sorted by index
+ */
+export function detectChangePoints(values, options = {}) {
+  const alpha = options.alpha ?? 0.05;
+  const minSegment = options.min_segment ?? 7;
+  const maxDepth = options.max_depth ?? 3;
+  const sigma = noiseScale(values);
+  const found = [];
+
+  const segment = (start, end, depth) => {
+    if (depth >= maxDepth) return;
+    const split = cusumSplit(values.slice(start, end), minSegment, sigma);
+    if (!split || split.p_value >= alpha) return;
+    const index = start + split.index;
+    found.push({ index, statistic: round(split.statistic, 3), p_value: round(split.p_value, 4) });
+    segment(start, index, depth + 1);
+    segment(index, end, depth + 1);
+  };
+  segment(0, values.length, 0);
+
+  found.sort((a, b) => a.index - b.index);
+
+  // Means of the segments on each side of every change point
+  const bounds = [0, ...found.map(cp => cp.index), values.length];
+  return found.map((cp, i) => ({
+    ...cp,
+    mean_before: round(mean(values.slice(bounds[i], bounds[i + 1]))),
+    mean_after: round(mean(values.slice(bounds[i + 1], bounds[i + 2])))
+  }));
+}
+
+/**
+ * Forecast and breakout signal for one keyword timeline
+ *
+ * @param {Object[]} timeline - [{ date, value }] (value null when Trends has no data)
+ * @param {Object} [options]
+ * @param {number} [options.horizon_weeks=4] - Weeks ahead
+ * @param {number} [options.min_points=28] - Minimum points with data
+ * @param {number} [options.recent_days=21] - A change point this recent can raise a signal
+ * @param {number} [options.min_lift_pct=20] - Minimum shift (%) for a signal
+ * @param {number} [options.alpha=0.05] - Significance level of the change points
+ * @param {number} [options.min_segment=7]
+ * @returns {Object|null} null when the timeline is too short
+ */
+export function predictTrend(timeline, options = {}) {
+  const points = (timeline || []).filter(p => p.date).sort((a, b) => a.date.localeCompare(b.date));
+  if (points.filter(p => typeof p.value === 'number').length < (options.min_points ?? 28)) return null;
+
+  // Carry the last known value over gaps
+  let previous = points.find(p => typeof p.value === 'number').value;
+  const values = points.map(p => {
+    if (typeof p.value === 'number') previous = p.value;
+    return previous;
+  });
+  const dates = points.map(p => p.date);
+  const lastDate = dates[dates.length - 1];
+
+  // Forecast
+  const model = fitHolt(values);
+  const residuals = values.slice(1).map((v, t) => v - model.fitted[t + 1]);
+  const sigma = Math.sqrt(mean(residuals.map(r => r * r)));
+  const horizonWeeks = options.horizon_weeks ?? 4;
+
+  const daily = [];
+  let damping = 0;
+  let varianceSum = 1;
+  for (let h = 1; h <= horizonWeeks * 7; h++) {
+    damping += Math.pow(model.phi, h);
+    if (h > 1) {
+      const j = h - 1;
+      const c = model.alpha * (1 + model.beta * model.phi * (1 - Math.pow(model.phi, j)) / (1 - model.phi));
+      varianceSum += c * c;
+    }
+    daily.push({ value: model.level + damping * model.trend, spread: sigma * Math.sqrt(varianceSum) });
+  }
+
+  const clip = v => Math.min(100, Math.max(0, v));
+  const forecast = [];
+  for (let w = 0; w < horizonWeeks; w++) {
+    const week = daily.slice(w * 7, w * 7 + 7);
+    const interest = mean(week.map(d => d.value));
+    // Interval of the last day of the week (widest)
+    const spread = week[week.length - 1].spread;
+    forecast.push({
+      week_start: addDays(lastDate, w * 7 + 1),
+      interest: round(clip(interest)),
+      lower_80: round(clip(interest - Z_80 * spread)),
+      upper_80: round(clip(interest + Z_80 * spread))
+    });
+  }
+
+  // Change points and breakout signal
+  const changePoints = detectChangePoints(values, options).map(cp => ({
+    date: dates[cp.index],
+    ...cp,
+    lift_pct: cp.mean_before > 0 ? round((cp.mean_after - cp.mean_before) / cp.mean_before * 100) : null
+  }));
+
+  const latest = changePoints[changePoints.length - 1];
+  const recentFrom = addDays(lastDate, -(options.recent_days ?? 21));
+  const minLift = options.min_lift_pct ?? 20;
+  const signal = latest && latest.date >= recentFrom && latest.lift_pct !== null && Math.abs(latest.lift_pct) >= minLift
+    ? {
+      type: latest.lift_pct > 0 ? 'breakout' : 'drop',
+      change_date: latest.date,
+      mean_before: latest.mean_before,
+      mean_after: latest.mean_after,
+      lift_pct: latest.lift_pct,
+      p_value: latest.p_value
+    }
+    : null;
+
+  const lastWeek = mean(values.slice(-7));
+  return {
+    points: values.length,
+    last_date: lastDate,
+    last_week_interest: round(lastWeek),
+    model: { alpha: model.alpha, beta: model.beta, phi: model.phi, sigma: round(sigma, 2) },
+    forecast,
+    // Forecast vs last 7 days
+    expected_change_pct: lastWeek > 0 ? round((forecast[0].interest - lastWeek) / lastWeek * 100) : null,
+    change_points: changePoints,
+    signal
+  };
+}
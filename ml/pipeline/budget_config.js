@@ -0,0 +1,169 @@
+/**
+ * Budget Config
+ *
+ * Channels, current allocation and monthly budget for the Budget Optimizer,
+ * read from the "budget" block of the client config (scrapers/config/<cliente>.json):
+ *
+ *   "budget": {
+ *     "monthly_total": 23000,
+ *     "currency": "USD",
+ *     "channels": [
+ *       { "id": "google_search", "name": "Google Search", "hubspot_sources": ["PAID_SEARCH"], "prior_cpl": 10 },
+ *       { "id": "tiktok_ads", "name": "TikTok Ads", "hubspot_sources": [] }
+ *     ],
+ *     "audiences": [
+ *       { "id": "pregrado", "share": 55, "allocation": { "meta_ads": 35, "google_search": 30, ... } }
+ *     ]
+ *   }
+ *
+ * Audience allocations mirror TARGET_AUDIENCES[].channels (src/data/config.js);
+ * the current global allocation is their blend weighted by `share`.
+ * Adding a channel only needs a new entry here plus its share in each audience.
+ * The config file itself is loaded with loadClientConfig (scrapers/lib/connector.js).
+ */
+
+// Cold-start prior per channel: $500 of pseudo-spend at prior_cpl, with
+// prior_enrollment_rate of those leads enrolling. Weak so real data dominates.
+const PRIOR_SPEND = 500;
+const DEFAULT_PRIOR_CPL = 12;
+const DEFAULT_PRIOR_ENROLLMENT_RATE = 0.1;
+
+export class BudgetConfigError extends Error {
+  constructor(problems) {
+    super(`Config de presupuesto inválida:\n${problems.map(p => `   - ${p}`).join('\n')}`);
+    this.name = 'BudgetConfigError';
+    this.problems = problems;
+  }
+}
+
+const sum = values => values.reduce((total, v) => total + v, 0);
+
+/**
+ * Check the budget block (and the channel references in the optimizer
+ * config). Returns the list of problems; empty when valid.
+ */
+export function validateBudgetConfig(budget, optimizerConfig = {}) {
+  const problems = [];
+
+  if (!budget || typeof budget !== 'object') {
+    return ['falta el bloque "budget"'];
+  }
+
+  if (!(typeof budget.monthly_total === 'number' && budget.monthly_total > 0)) {
+    problems.push('budget.monthly_total debe ser un número mayor que 0');
+  }
+
+  const channels = Array.isArray(budget.channels) ? budget.channels : [];
+  if (channels.length === 0) problems.push('budget.channels debe tener al menos un canal');
+
+  const ids = new Set();
+  channels.forEach((channel, i) => {
+    if (!channel?.id || !/^[a-z][a-z0-9_]*$/.test(channel.id)) {
+      problems.push(`budget.channels[${i}].id debe ser snake_case (ej. "tiktok_ads")`);
+      return;
+    }
+    if (ids.has(channel.id)) problems.push(`canal duplicado: ${channel.id}`);
+    ids.add(channel.id);
+    if (channel.hubspot_sources !== undefined && !Array.isArray(channel.hubspot_sources)) {
+      problems.push(`${channel.id}.hubspot_sources debe ser un array`);
+    }
+    if (channel.prior_cpl !== undefined && !(channel.prior_cpl > 0)) {
+      problems.push(`${channel.id}.prior_cpl debe ser mayor que 0`);
+    }
+  });
+
+  const audiences = Array.isArray(budget.audiences) ? budget.audiences : [];
+  if (audiences.length === 0) problems.push('budget.audiences debe tener al menos una audiencia');
+
+  audiences.forEach((audience, i) => {
+    const label = audience?.id || `audiences[${i}]`;
+    if (!audience?.id) problems.push(`budget.audiences[${i}].id es obligatorio`);
+    if (!(audience?.share > 0)) problems.push(`${label}.share debe ser mayor que 0`);
+
+    const allocation = audience?.allocation || {};
+    Object.entries(allocation).forEach(([ch, pct]) => {
+      if (!ids.has(ch)) problems.push(`${label}.allocation usa un canal desconocido: ${ch}`);
+      if (!(typeof pct === 'number' && pct >= 0)) problems.push(`${label}.allocation.${ch} debe ser un número >= 0`);
+    });
+    const total = sum(Object.values(allocation).filter(v => typeof v === 'number'));
+    if (Math.abs(total - 100) > 0.5) problems.push(`${label}.allocation suma ${total}%, debe sumar 100%`);
+  });
+
+  const shareTotal = sum(audiences.map(a => a?.share || 0));
+  if (audiences.length > 0 && Math.abs(shareTotal - 100) > 0.5) {
+    problems.push(`la suma de audiences[].share es ${shareTotal}%, debe sumar 100%`);
+  }
+
+  // Channel-level constraints must reference configured channels
+  const constraints = optimizerConfig.constraints || {};
+  ['min_share', 'max_share', 'max_step', 'fixed'].forEach(key => {
+    const value = constraints[key];
+    if (!value || typeof value !== 'object') return;
+    Object.keys(value).forEach(ch => {
+      if (!ids.has(ch)) problems.push(`constraints.${key} usa un canal desconocido: ${ch}`);
+    });
+  });
+
+  // Program CPL segments must be audiences
+  const audienceIds = new Set(audiences.map(a => a?.id));
+  Object.entries(optimizerConfig.reward?.cpl_segments || {}).forEach(([program, segment]) => {
+    if (!audienceIds.has(segment)) problems.push(`reward.cpl_segments.${program} usa una audiencia desconocida: ${segment}`);
+  });
+
+  return problems;
+}
+
+/**
+ * Validate and resolve the budget block into what the optimizer needs.
+ * Throws BudgetConfigError listing every problem.
+ *
+ * @returns {Object} { channels, names, totalBudget, currency, currentAllocation,
+ *   audiences: {id: allocation}, sourceMap, priors }
+ */
+export function resolveBudgetConfig(clientConfig, optimizerConfig = {}) {
+  const budget = clientConfig?.budget;
+  const problems = validateBudgetConfig(budget, optimizerConfig);
+  if (problems.length > 0) throw new BudgetConfigError(problems);
+
+  const channels = budget.channels.map(c => c.id);
+  const shareTotal = sum(budget.audiences.map(a => a.share));
+
+  const audiences = {};
+  const currentAllocation = {};
+  channels.forEach(ch => { currentAllocation[ch] = 0; });
+
+  budget.audiences.forEach(audience => {
+    audiences[audience.id] = {};
+    channels.forEach(ch => {
+      const pct = audience.allocation[ch] || 0;
+      audiences[audience.id][ch] = pct;
+      currentAllocation[ch] += pct * audience.share / shareTotal;
+    });
+  });
+  channels.forEach(ch => { currentAllocation[ch] = Math.round(currentAllocation[ch] * 10) / 10; });
+
+  const sourceMap = {};
+  const names = {};
+  const priors = budget.channels.map(channel => {
+    sourceMap[channel.id] = channel.hubspot_sources || [];
+    names[channel.id] = channel.name || channel.id;
+    const conversions = PRIOR_SPEND / (channel.prior_cpl || DEFAULT_PRIOR_CPL);
+    return {
+      channel: channel.id,
+      conversions,
+      enrollments: conversions * (channel.prior_enrollment_rate ?? DEFAULT_PRIOR_ENROLLMENT_RATE),
+      spend: PRIOR_SPEND
+    };
+  });
+
+  return {
+    channels,
+    names,
+    totalBudget: budget.monthly_total,
+    currency: budget.currency || 'USD',
+    currentAllocation,
+    audiences,
+    sourceMap,
+    priors
+  };
+}
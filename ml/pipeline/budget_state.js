@@ -0,0 +1,240 @@
+/**
+ * Budget Optimizer State
+ *
+ * Persists the BudgetOptimizer posterior between pipeline runs so Thompson
+ * Sampling accumulates evidence week over week:
+ * - public/data/ml/budget_optimizer_state.json    posterior + watermark
+ * - public/data/ml/budget_optimizer_history.json  one entry per run
+ *
+ * Each run only applies the daily observations newer than the watermark
+ * (last_observation_date), so re-running the pipeline never double-counts.
+ * The per-program optimizers (state.programs) share the same watermark.
+ * state.recommendations keeps the channel shares published by recent runs,
+ * the base of the week-over-week max_step (see stepBaseline).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+async function readJSON(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the persisted state, or null on the first run.
+ */
+export async function loadOptimizerState(outputDir) {
+  const state = await readJSON(path.join(outputDir, 'budget_optimizer_state.json'));
+  if (!state?.shape || !state?.rate) return null;
+  return state;
+}
+
+/**
+ * Save the state and append the run to the history log (keeps the last historyLimit runs).
+ */
+export async function saveOptimizerState(outputDir, state, run, historyLimit = 104) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const statePath = path.join(outputDir, 'budget_optimizer_state.json');
+  await fs.writeFile(statePath, JSON.stringify(state, null, 2));
+
+  const historyPath = path.join(outputDir, 'budget_optimizer_history.json');
+  const history = (await readJSON(historyPath)) || { runs: [] };
+  history.runs.push(run);
+  history.runs = history.runs.slice(-historyLimit);
+  history.updated_at = run.run_at;
+  await fs.writeFile(historyPath, JSON.stringify(history, null, 2));
+
+  return { statePath, historyPath };
+}
+
+/**
+ * Allocation max_step is measured from: the last recommendation published at
+ * least `days` before `day`, else the configured allocation. The pipeline runs
+ * daily, so measuring from the previous run would let the step compound.
+ *
+ * @param {Object[]} recommendations - state.recommendations [{ date, allocation }]
+ * @param {Object} current - Configured allocation {channel: percentage}
+ * @param {string} day - Run day (YYYY-MM-DD)
+ * @returns {Object} { allocation, source: 'recommendation'|'config', date }
+ */
+export function stepBaseline(recommendations, current, day, days = 7) {
+  const limit = new Date(Date.parse(`${day}T00:00:00Z`) - days * 86400000).toISOString().split('T')[0];
+  const published = [...(recommendations || [])].reverse().find(r => r.date <= limit);
+  if (!published) return { allocation: current, source: 'config', date: null };
+  // Channels added since that recommendation are measured from the configured share
+  return { allocation: { ...current, ...published.allocation }, source: 'recommendation', date: published.date };
+}
+
+/**
+ * Recommendations to keep: today's shares (replacing a recommendation of the
+ * same day), the last `limit` runs.
+ */
+export function updateRecommendations(recommendations, day, allocation, limit = 30) {
+  const history = (recommendations || []).filter(r => r.date !== day);
+  history.push({ date: day, allocation });
+  return history.slice(-limit);
+}
+
+/**
+ * Per-pipeline factors to turn leads into expected enrollments and value:
+ * - win_rate: won / total deals of the pipeline (cohort conversion to matriculado)
+ * - value_weight: average deal amount of the pipeline / average across pipelines
+ */
+export function pipelineFactors(hubspotData) {
+  const wonLost = hubspotData?.deals?.won_lost_by_pipeline || {};
+  const revenue = hubspotData?.deals?.revenue?.by_pipeline || {};
+  const distribution = hubspotData?.deals?.pipeline_distribution || {};
+
+  const totalDeals = Object.values(distribution).reduce((sum, n) => sum + n, 0);
+  const totalRevenue = Object.values(revenue).reduce((sum, amount) => sum + amount, 0);
+  const averageAmount = totalDeals > 0 ? totalRevenue / totalDeals : 0;
+
+  const factors = {};
+  Object.keys({ ...wonLost, ...distribution }).forEach(pipeline => {
+    const stats = wonLost[pipeline] || {};
+    const deals = distribution[pipeline] || stats.total || 0;
+    const pipelineAverage = deals > 0 ? (revenue[pipeline] || 0) / deals : 0;
+    factors[pipeline] = {
+      win_rate: stats.total > 0 ? stats.won / stats.total : 0,
+      value_weight: averageAmount > 0 ? pipelineAverage / averageAmount : 1
+    };
+  });
+  return factors;
+}
+
+/**
+ * Build one observation per day and channel from HubSpot data.
+ *
+ * sourceMap maps each channel to its HubSpot hs_analytics_source values
+ * (client config budget.channels[].hubspot_sources). Channels without a
+ * source get no observations and keep their prior.
+ *
+ * conversions: deals created that day (all pipelines) whose contact source maps to the channel,
+ *   or the deals credited to those sources when sourceByPipeline comes from the
+ *   attribution step (same shape as deals.daily_source_by_pipeline, fractional counts)
+ * enrollments: those deals × their pipeline's win rate (expected matriculados)
+ * value: enrollments × their pipeline's value weight (from deal amount)
+ * spend: campaigns.daily_spend for that day × the channel's share of the current allocation
+ *
+ * Only complete days (before the HubSpot export date) are returned.
+ *
+ * @returns {Object[]} [{ date, channel, conversions, enrollments, value, spend }] sorted by date
+ */
+export function buildDailyObservations(hubspotData, allocation, sourceMap = {}, sourceByPipeline = null) {
+  sourceByPipeline = sourceByPipeline || hubspotData?.deals?.daily_source_by_pipeline || {};
+  const factors = pipelineFactors(hubspotData);
+
+  // { day: { source: { leads, enrollments, value } } } summed across pipelines
+  const countsBySource = {};
+  Object.entries(sourceByPipeline).forEach(([pipeline, daily]) => {
+    addPipelineCounts(countsBySource, daily, factors[pipeline]);
+  });
+
+  return observationsFrom(hubspotData, countsBySource, allocation, sourceMap, 1);
+}
+
+/**
+ * Same as buildDailyObservations, but one set of observations per program
+ * (HubSpot pipeline). Spend per program is not tracked in HubSpot, so the day's
+ * spend is split by the program's share of the current program allocation and
+ * then by the program's channel mix.
+ *
+ * @param {Object} allocation - {channel: percentage}, or {pipeline: {channel: percentage}}
+ * @param {Object} programAllocation - {pipeline: percentage}
+ * @param {Object} [sourceMap] - {channel: [hubspot sources]}
+ * @param {Object} [sourceByPipeline] - Attributed deals (default: deals.daily_source_by_pipeline)
+ * @returns {Object[]} [{ date, program, channel, conversions, enrollments, value, spend }] sorted by date
+ */
+export function buildProgramObservations(hubspotData, allocation, programAllocation, sourceMap = {}, sourceByPipeline = null) {
+  sourceByPipeline = sourceByPipeline || hubspotData?.deals?.daily_source_by_pipeline || {};
+  const factors = pipelineFactors(hubspotData);
+  const totalProgramShare = Object.values(programAllocation).reduce((sum, pct) => sum + pct, 0) || 100;
+  const perProgram = Object.values(allocation).some(v => v && typeof v === 'object');
+
+  return Object.entries(programAllocation)
+    .flatMap(([program, share]) => {
+      const countsBySource = {};
+      addPipelineCounts(countsBySource, sourceByPipeline[program], factors[program]);
+      const mix = perProgram ? allocation[program] || {} : allocation;
+      return observationsFrom(hubspotData, countsBySource, mix, sourceMap, share / totalProgramShare)
+        .map(obs => ({ ...obs, program }));
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function addPipelineCounts(countsBySource, daily, factors = { win_rate: 0, value_weight: 1 }) {
+  Object.entries(daily || {}).forEach(([day, sources]) => {
+    if (!countsBySource[day]) countsBySource[day] = {};
+    Object.entries(sources || {}).forEach(([source, count]) => {
+      const counts = countsBySource[day][source] || { leads: 0, enrollments: 0, value: 0 };
+      counts.leads += count;
+      counts.enrollments += count * factors.win_rate;
+      counts.value += count * factors.win_rate * factors.value_weight;
+      countsBySource[day][source] = counts;
+    });
+  });
+}
+
+function observationsFrom(hubspotData, countsBySource, allocation, sourceMap, spendShare) {
+  const dailySpend = hubspotData?.campaigns?.daily_spend || {};
+  const cutoff = (hubspotData?.timestamp || new Date().toISOString()).split('T')[0];
+  const totalShare = Object.values(allocation).reduce((sum, pct) => sum + pct, 0) || 100;
+  const round = value => Math.round(value * 100) / 100;
+  const observations = [];
+
+  Object.keys(dailySpend)
+    .filter(day => day < cutoff && dailySpend[day] > 0)
+    .sort()
+    .forEach(day => {
+      Object.entries(sourceMap).forEach(([channel, sources]) => {
+        if (!sources.length || !(channel in allocation)) return;
+        const sum = metric => sources.reduce((total, s) => total + (countsBySource[day]?.[s]?.[metric] || 0), 0);
+        observations.push({
+          date: day,
+          channel,
+          conversions: round(sum('leads')),
+          enrollments: round(sum('enrollments')),
+          value: round(sum('value')),
+          spend: round(dailySpend[day] * allocation[channel] / totalShare * spendShare)
+        });
+      });
+    });
+
+  return observations;
+}
+
+/**
+ * Observations not yet applied: after the watermark, or within the
+ * initial lookback window when there is no state yet.
+ */
+export function selectNewObservations(observations, state, initialLookbackDays = 90) {
+  if (state?.last_observation_date) {
+    return observations.filter(o => o.date > state.last_observation_date);
+  }
+  const lastDate = observations[observations.length - 1]?.date;
+  if (!lastDate) return [];
+  const from = new Date(lastDate);
+  from.setDate(from.getDate() - initialLookbackDays + 1);
+  const fromDay = from.toISOString().split('T')[0];
+  return observations.filter(o => o.date >= fromDay);
+}
+
+/**
+ * Per-channel totals of a batch of observations (for logs and history).
+ */
+export function summarizeObservations(observations) {
+  const byChannel = {};
+  observations.forEach(o => {
+    if (!byChannel[o.channel]) byChannel[o.channel] = { days: 0, conversions: 0, enrollments: 0, spend: 0 };
+    byChannel[o.channel].days++;
+    byChannel[o.channel].conversions = Math.round((byChannel[o.channel].conversions + o.conversions) * 100) / 100;
+    byChannel[o.channel].enrollments = Math.round((byChannel[o.channel].enrollments + (o.enrollments || 0)) * 100) / 100;
+    byChannel[o.channel].spend = Math.round((byChannel[o.channel].spend + o.spend) * 100) / 100;
+  });
+  return byChannel;
+}
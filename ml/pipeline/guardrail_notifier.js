@@ -0,0 +1,50 @@
+/**
+ * CPL Guardrail Notifier
+ *
+ * POSTs the guardrail transitions of a run to a webhook (Slack, Teams, Zapier,
+ * Make...). Enabled with HUBSPOT_CONFIG.alerts.webhook and the CPL_WEBHOOK_URL
+ * environment variable (GitHub secret). The body carries a `text` summary for
+ * chat webhooks plus the raw transitions for automations.
+ *
+ * A failed delivery is logged and never fails the pipeline. HTTP and network
+ * failures come back with retry: true, and the pipeline keeps those
+ * transitions in the guardrail state (pending_notifications) for the next run.
+ */
+
+const STATUS_LABELS = { ok: 'OK', alert: 'ALERTA', pause: 'PAUSAR' };
+
+function describeTransition(t) {
+  const cpl = t.cpl !== null ? `CPL $${t.cpl}` : `sin leads con $${t.cpl_floor} de gasto`;
+  const kind = t.type === 'campaign' ? 'Campaña' : 'Programa';
+  return `• ${kind} ${t.name}: ${STATUS_LABELS[t.from]} → ${STATUS_LABELS[t.to]} (${cpl}; alerta $${t.thresholds.alert_at}, pausa $${t.thresholds.pause_at})`;
+}
+
+/**
+ * @param {Object[]} transitions - guardrailTransitions(...) output
+ * @param {Object} options - { enabled, url, client, timeout_ms }
+ * @returns {Promise<Object>} { sent, retry, reason?, status? }
+ */
+export async function notifyGuardrailTransitions(transitions, options = {}) {
+  if (transitions.length === 0) return { sent: false, retry: false, reason: 'sin transiciones' };
+  if (!options.enabled) return { sent: false, retry: false, reason: 'webhook deshabilitado (HUBSPOT_CONFIG.alerts.webhook)' };
+  if (!options.url) return { sent: false, retry: false, reason: 'CPL_WEBHOOK_URL no configurada' };
+
+  const escalations = transitions.filter(t => t.to !== 'ok').length;
+  const text = [
+    `🚦 Guardrails de CPL${options.client ? ` (${options.client.toUpperCase()})` : ''}: ${transitions.length} cambios de estado, ${escalations} escalamientos`,
+    ...transitions.map(describeTransition)
+  ].join('\n');
+
+  try {
+    const response = await fetch(options.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, transitions }),
+      signal: AbortSignal.timeout(options.timeout_ms ?? 10000)
+    });
+    if (!response.ok) return { sent: false, retry: true, reason: `HTTP ${response.status}`, status: response.status };
+    return { sent: true, retry: false, status: response.status };
+  } catch (e) {
+    return { sent: false, retry: true, reason: e.message };
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * CPL Guardrail State
+ *
+ * Builds the rolling windows the guardrails classify and persists what they
+ * need between runs:
+ * - public/data/ml/cpl_guardrails_state.json  current status per campaign/program, campaign
+ *   snapshots and transitions whose webhook delivery failed (pending_notifications)
+ * - public/data/ml/cpl_guardrails_log.json    audit log of status transitions and their delivery
+ *
+ * HubSpot only reports campaign totals (spend, contacts_attributed), so each
+ * run stores a snapshot of them; a campaign's rolling window is the difference
+ * with the last snapshot taken at or before the window start. Until one exists
+ * the campaign is judged on its totals (basis campaign_to_date), unless it
+ * started inside the window, where both are the same.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (day, days) => new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString().slice(0, 10);
+
+async function readJSON(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the persisted state, or an empty one on the first run.
+ */
+export async function loadGuardrailState(outputDir) {
+  const state = await readJSON(path.join(outputDir, 'cpl_guardrails_state.json'));
+  return state?.entities ? state : { entities: {}, snapshots: {}, pending_notifications: [] };
+}
+
+/**
+ * Save the state and append the transitions to the audit log (keeps the last logLimit entries).
+ * With a delivery ({ sent, reason }) each entry records whether the webhook got it.
+ */
+export async function saveGuardrailState(outputDir, state, transitions, logLimit = 500, delivery = null) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const statePath = path.join(outputDir, 'cpl_guardrails_state.json');
+  await fs.writeFile(statePath, JSON.stringify(state, null, 2));
+
+  const logPath = path.join(outputDir, 'cpl_guardrails_log.json');
+  const log = (await readJSON(logPath)) || { entries: [] };
+  log.entries.push(...transitions.map(t => (
+    delivery ? { ...t, delivery: { sent: delivery.sent, reason: delivery.reason || null } } : t
+  )));
+  log.entries = log.entries.slice(-logLimit);
+  log.updated_at = state.updated_at;
+  await fs.writeFile(logPath, JSON.stringify(log, null, 2));
+
+  return { statePath, logPath };
+}
+
+/**
+ * Program (HubSpot pipeline) of a campaign from its name: first matching
+ * { pattern, program } rule (case-insensitive regex), else defaultProgram.
+ */
+export function campaignProgram(name, rules = [], defaultProgram = 'Pregrado') {
+  const rule = rules.find(r => new RegExp(r.pattern, 'i').test(name || ''));
+  return rule ? rule.program : defaultProgram;
+}
+
+/**
+ * Rolling windows of the campaigns with spend that were live during the window
+ *
+ * @param {Object} hubspotData - HubSpot latest.json (campaign_performance)
+ * @param {Object} snapshots - {campaignId: [{ date, spend, contacts }]} from the state
+ * @param {Object} options - { cutoff (export day, excluded), window_days, campaign_programs, default_program }
+ * @returns {Object[]} [{ id, name, program, start_date, end_date, basis, spend, leads, totals }]
+ */
+export function campaignWindows(hubspotData, snapshots, options) {
+  const windowStart = addDays(options.cutoff, -options.window_days);
+
+  return (hubspotData?.campaign_performance || [])
+    .filter(c => c.start_date && c.spend > 0)
+    .filter(c => c.start_date < options.cutoff && (!c.end_date || c.end_date >= windowStart))
+    .map(c => {
+      const totals = { spend: c.spend, contacts: c.contacts_attributed || 0 };
+      const baseline = [...(snapshots[c.id] || [])].reverse().find(s => s.date <= windowStart);
+
+      let basis = 'campaign_to_date';
+      let window = totals;
+      if (c.start_date >= windowStart) {
+        basis = 'window';
+      } else if (baseline) {
+        basis = 'rolling';
+        window = {
+          spend: Math.max(0, totals.spend - baseline.spend),
+          contacts: Math.max(0, totals.contacts - baseline.contacts)
+        };
+      }
+
+      return {
+        id: c.id,
+        name: c.name,
+        program: campaignProgram(c.name, options.campaign_programs, options.default_program),
+        start_date: c.start_date,
+        end_date: c.end_date,
+        basis,
+        spend: window.spend,
+        leads: window.contacts,
+        totals
+      };
+    });
+}
+
+/**
+ * Rolling windows per program: campaigns.daily_spend over the window split by
+ * the program's share of program_allocation (HubSpot has no spend per program,
+ * as in buildProgramObservations), against the program's attributed deals from
+ * the paid sources of the budget channels.
+ *
+ * @param {Object} hubspotData
+ * @param {Object} sourceByPipeline - {pipeline: {day: {source: deals}}} (attributed)
+ * @param {Object} programAllocation - {pipeline: percentage}
+ * @param {string[]} paidSources - HubSpot sources of the budget channels
+ * @param {Object} options - { cutoff, window_days }
+ * @returns {Object[]} [{ program, spend, leads }]
+ */
+export function programWindows(hubspotData, sourceByPipeline, programAllocation, paidSources, options) {
+  const windowStart = addDays(options.cutoff, -options.window_days);
+  const inWindow = day => day >= windowStart && day < options.cutoff;
+  const dailySpend = hubspotData?.campaigns?.daily_spend || {};
+  const windowSpend = Object.entries(dailySpend).filter(([day]) => inWindow(day)).reduce((sum, [, v]) => sum + v, 0);
+  const totalShare = Object.values(programAllocation).reduce((sum, pct) => sum + pct, 0) || 100;
+
+  return Object.entries(programAllocation).map(([program, share]) => {
+    let leads = 0;
+    Object.entries(sourceByPipeline?.[program] || {}).forEach(([day, sources]) => {
+      if (!inWindow(day)) return;
+      paidSources.forEach(source => { leads += sources?.[source] || 0; });
+    });
+    return { program, spend: windowSpend * share / totalShare, leads };
+  });
+}
+
+/**
+ * Snapshots to keep: today's totals for the live campaigns (replacing a
+ * snapshot of the same day), the last `limit` per campaign.
+ */
+export function updateSnapshots(snapshots, campaigns, day, limit = 60) {
+  const next = {};
+  campaigns.forEach(c => {
+    const history = (snapshots[c.id] || []).filter(s => s.date !== day);
+    history.push({ date: day, spend: c.totals.spend, contacts: c.totals.contacts });
+    next[c.id] = history.slice(-limit);
+  });
+  return next;
+}
@@ -0,0 +1,201 @@
+/**
+ * Score History
+ *
+ * Keeps the Opportunity Score time series between pipeline runs:
+ * - public/data/ml/scores_history.json  one entry per run (overall + components)
+ *
+ * Each run is compared against the most recent run at least 7 days old (WoW)
+ * and at least 28 days old (MoM). Re-running the pipeline on the same day
+ * replaces that day's entry instead of adding a new one.
+ *
+ * The history is also the training set for the learned score weights
+ * (ml/models/score_weights.js): each run's component scores are paired with
+ * the HubSpot outcome of the week(s) that followed it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const HISTORY_FILE = 'scores_history.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lookback and max age (days) of the reference run for each comparison
+export const DELTA_PERIODS = {
+  wow: { days: 7, max_age_days: 14 },
+  mom: { days: 28, max_age_days: 45 }
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+async function readJSON(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the history, or an empty one on the first run.
+ */
+export async function loadScoreHistory(outputDir) {
+  const history = await readJSON(path.join(outputDir, HISTORY_FILE));
+  if (!Array.isArray(history?.runs)) return { runs: [] };
+  return history;
+}
+
+/**
+ * Compact history entry from the scores of a run
+ */
+export function scoreEntry(scores) {
+  const components = {};
+  Object.entries(scores.individual || {}).forEach(([key, component]) => {
+    components[key] = round(component.final);
+  });
+  return {
+    run_at: scores.timestamp,
+    overall: round(scores.overall),
+    components,
+    weights: scores.weights
+  };
+}
+
+/**
+ * Most recent run at least `days` older than `runAt` (and no older than maxAgeDays)
+ */
+function findReference(runs, runAt, days, maxAgeDays) {
+  const now = new Date(runAt).getTime();
+  for (let i = runs.length - 1; i >= 0; i--) {
+    const age = (now - new Date(runs[i].run_at).getTime()) / DAY_MS;
+    if (age > maxAgeDays) return null;
+    // Half-day slack so weekly runs a few hours apart still count as a week
+    if (age >= days - 0.5) return runs[i];
+  }
+  return null;
+}
+
+function delta(current, previous) {
+  if (typeof current !== 'number' || typeof previous !== 'number') return null;
+  return {
+    previous,
+    current,
+    change: round(current - previous),
+    change_pct: previous !== 0 ? round((current - previous) / previous * 100, 1) : null
+  };
+}
+
+/**
+ * WoW / MoM deltas of the overall score and every component
+ *
+ * @param {Object} entry - Current run (see scoreEntry)
+ * @param {Object[]} runs - Previous runs, oldest first
+ * @returns {Object} { wow, mom }, each null when there is no reference run yet
+ */
+export function computeScoreDeltas(entry, runs) {
+  const previous = runs.filter(run => run.run_at < entry.run_at);
+  const deltas = {};
+
+  Object.entries(DELTA_PERIODS).forEach(([period, { days, max_age_days }]) => {
+    const reference = findReference(previous, entry.run_at, days, max_age_days);
+    if (!reference) {
+      deltas[period] = null;
+      return;
+    }
+
+    const components = {};
+    Object.keys(entry.components).forEach(key => {
+      components[key] = delta(entry.components[key], reference.components?.[key]);
+    });
+
+    deltas[period] = {
+      reference_date: reference.run_at,
+      overall: delta(entry.overall, reference.overall),
+      components
+    };
+  });
+
+  return deltas;
+}
+
+/**
+ * Append the run to the history (same-day re-runs replace the previous entry)
+ * and keep the last historyLimit runs.
+ */
+export async function saveScoreHistory(outputDir, entry, historyLimit = 104) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const historyPath = path.join(outputDir, HISTORY_FILE);
+  const history = await loadScoreHistory(outputDir);
+  const day = entry.run_at.slice(0, 10);
+
+  history.runs = history.runs.filter(run => run.run_at.slice(0, 10) !== day);
+  history.runs.push(entry);
+  history.runs.sort((a, b) => a.run_at.localeCompare(b.run_at));
+  history.runs = history.runs.slice(-historyLimit);
+  history.updated_at = entry.run_at;
+  await fs.writeFile(historyPath, JSON.stringify(history, null, 2));
+
+  return historyPath;
+}
+
+// ============================================================================
+// OUTCOMES FOR THE SCORE WEIGHTS
+// ============================================================================
+
+export const SCORE_OUTCOMES = ['new_deals', 'won_deals'];
+
+const addDays = (day, days) => new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString().slice(0, 10);
+
+/**
+ * Daily outcome series from HubSpot: deals created per day (new_deals) and,
+ * of those, the ones currently in a closed-won stage (won_deals, by creation cohort)
+ */
+export function dailyOutcomes(hubspotData) {
+  const deals = hubspotData?.deals || {};
+  const wonStages = {};
+  (hubspotData?.pipelines || []).forEach(pipeline => {
+    wonStages[pipeline.name] = new Set((pipeline.stages || [])
+      .filter(stage => stage.is_closed && stage.probability > 0)
+      .map(stage => stage.name));
+  });
+
+  const won = {};
+  Object.entries(deals.daily_by_pipeline_stage || {}).forEach(([pipeline, days]) => {
+    const stages = wonStages[pipeline] || new Set();
+    Object.entries(days).forEach(([day, counts]) => {
+      Object.entries(counts).forEach(([stage, count]) => {
+        if (stages.has(stage)) won[day] = (won[day] || 0) + count;
+      });
+    });
+  });
+
+  return { new_deals: deals.daily_deals || {}, won_deals: won };
+}
+
+/**
+ * Pair each history run with the outcome of the week starting lagWeeks - 1
+ * weeks after it (lagWeeks = 1 → the 7 days right after the run). Runs whose
+ * outcome week is not fully covered by the HubSpot data are skipped.
+ *
+ * @returns {Object[]} [{ run_at, scores: {component: value}, outcome }]
+ */
+export function buildWeightSamples(runs, hubspotData, { outcome = 'new_deals', lagWeeks = 1 } = {}) {
+  const series = dailyOutcomes(hubspotData)[outcome] || {};
+  const days = Object.keys(hubspotData?.deals?.daily_deals || {}).sort();
+  if (days.length === 0) return [];
+  const firstDay = days[0];
+  const lastDay = days[days.length - 1];
+
+  return runs
+    .map(run => {
+      const start = addDays(run.run_at.slice(0, 10), 1 + (lagWeeks - 1) * 7);
+      const end = addDays(start, 6);
+      if (start < firstDay || end > lastDay) return null;
+
+      let total = 0;
+      for (let day = start; day <= end; day = addDays(day, 1)) total += series[day] || 0;
+      return { run_at: run.run_at, scores: run.components, outcome: total };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * Sentiment Training CLI
+ *
+ * Labeled data and training for the Naive Bayes sentiment model
+ * (ml/models/sentiment_classifier.js):
+ *
+ *   node ml/pipeline/sentiment_training.js label [--input=<file>] [--output=<file>] [--limit=50]
+ *     Asks for a label (positivo / neutral / negativo) for each unlabeled text,
+ *     suggesting the rule-based one, and appends it to the labeled file.
+ *     Input: public/data/meta/latest.json (aggregatedTopics[].texts, already
+ *     anonymized) by default, or a .txt (one text per line), .jsonl or .csv.
+ *
+ *   node ml/pipeline/sentiment_training.js train [--data=<file>]
+ *     Trains on the labeled file (.jsonl or .csv with text,label columns),
+ *     prints cross-validation metrics against the rule-based analyzer and
+ *     saves the model to models.sentiment_analyzer.model_path.
+ *
+ *   node ml/pipeline/sentiment_training.js evaluate --data=<file> [--model=<file>]
+ *     Metrics of the saved model on a holdout labeled file.
+ *
+ * Default labeled file: ml/data/sentiment_labeled.jsonl. The pipeline uses
+ * the trained model when models.sentiment_analyzer.type is "naive_bayes".
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { SentimentAnalyzer } from '../models/sentiment_analyzer.js';
+import {
+  trainSentimentClassifier,
+  evaluateSentimentClassifier,
+  trainingClass,
+  CLASSES
+} from '../models/sentiment_classifier.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const MODEL_CONFIG_PATH = path.join(__dirname, '../config/model_config.json');
+const DEFAULT_LABELED = 'ml/data/sentiment_labeled.jsonl';
+const DEFAULT_INPUT = 'public/data/meta/latest.json';
+const DEFAULT_MODEL_PATH = 'ml/models/trained/sentiment_naive_bayes.json';
+
+// Keys accepted when labeling
+const LABEL_KEYS = { p: 'positivo', u: 'neutral', n: 'negativo' };
+
+function parseArgs(argv = process.argv.slice(3)) {
+  const options = {};
+  argv.forEach(arg => {
+    if (!arg.startsWith('--')) return;
+    const [key, ...rest] = arg.slice(2).split('=');
+    options[key] = rest.length > 0 ? rest.join('=') : true;
+  });
+  return options;
+}
+
+const resolvePath = file => path.resolve(ROOT_DIR, file);
+
+// ============================================================================
+// ARCHIVOS
+// ============================================================================
+
+/**
+ * Rows of a CSV with a header line; quoted fields may contain commas, quotes ("") and newlines
+ */
+function parseCsv(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      if (record.some(v => v !== '')) records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  record.push(field);
+  if (record.some(v => v !== '')) records.push(record);
+
+  const [header = [], ...rows] = records;
+  const columns = header.map(h => h.trim().toLowerCase());
+  return rows.map(values => Object.fromEntries(columns.map((c, i) => [c, values[i] ?? ''])));
+}
+
+/**
+ * Rows ({ text, label? }) of a .jsonl, .csv, .json or .txt file
+ */
+async function readRows(file) {
+  const content = await fs.readFile(resolvePath(file), 'utf-8');
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === '.csv') return parseCsv(content);
+  if (extension === '.txt') return content.split('\n').map(text => ({ text: text.trim() })).filter(r => r.text);
+  if (extension === '.jsonl') {
+    return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  // Meta scraper output or a JSON array
+  const data = JSON.parse(content);
+  if (Array.isArray(data)) return data;
+  return (data.aggregatedTopics || [])
+    .flatMap(topic => topic.texts || [])
+    .map(t => ({ text: typeof t === 'string' ? t : t.text }));
+}
+
+async function loadSentimentConfig() {
+  const config = JSON.parse(await fs.readFile(MODEL_CONFIG_PATH, 'utf-8'));
+  return config.models?.sentiment_analyzer || {};
+}
+
+// ============================================================================
+// REPORTE
+// ============================================================================
+
+function printMetrics(metrics) {
+  console.log(`   Accuracy: ${(metrics.accuracy * 100).toFixed(1)}% · F1 macro: ${metrics.macro_f1.toFixed(3)}`);
+  console.log(`   Rule-based en los mismos ejemplos: accuracy ${(metrics.rule_based.accuracy * 100).toFixed(1)}% · F1 macro ${metrics.rule_based.macro_f1.toFixed(3)}`);
+  console.log('\n   Clase       Precision  Recall  F1     Soporte');
+  CLASSES.forEach(c => {
+    const m = metrics.per_class[c];
+    console.log(`   ${c.padEnd(11)} ${m.precision.toFixed(3).padStart(9)}  ${m.recall.toFixed(3).padStart(6)}  ${m.f1.toFixed(3)}  ${m.support}`);
+  });
+  console.log(`\n   Matriz de confusión (fila: real, columna: predicho) - ${CLASSES.join(' / ')}`);
+  CLASSES.forEach(a => {
+    console.log(`   ${a.padEnd(11)} ${CLASSES.map(p => String(metrics.confusion[a][p]).padStart(5)).join(' ')}`);
+  });
+}
+
+// ============================================================================
+// COMANDOS
+// ============================================================================
+
+async function label(options) {
+  const input = options.input || DEFAULT_INPUT;
+  const output = options.output || DEFAULT_LABELED;
+  const limit = Number(options.limit || 50);
+
+  const labeled = await readRows(output).catch(() => []);
+  const done = new Set(labeled.map(r => (r.text || '').trim().toLowerCase()));
+  const pending = [...new Map(
+    (await readRows(input))
+      .map(r => (r.text || '').trim())
+      .filter(text => text && !done.has(text.toLowerCase()))
+      .map(text => [text.toLowerCase(), text])
+  ).values()].slice(0, limit);
+
+  console.log(`\n🏷️  Etiquetado de sentimiento: ${pending.length} textos pendientes de ${input}`);
+  console.log(`   Guardando en ${output} (${labeled.length} ya etiquetados)`);
+  if (pending.length === 0) return;
+
+  await fs.mkdir(path.dirname(resolvePath(output)), { recursive: true });
+  const analyzer = new SentimentAnalyzer();
+  // Line iterator instead of question(): it buffers piped input and ends cleanly on EOF
+  const prompt = readline.createInterface({ input: process.stdin });
+  const lines = prompt[Symbol.asyncIterator]();
+  let saved = 0;
+
+  try {
+    for (let i = 0; i < pending.length; i++) {
+      const text = pending[i];
+      const suggested = trainingClass(analyzer.analyze(text).category);
+      console.log(`\n[${i + 1}/${pending.length}] ${text}`);
+      process.stdout.write(`   [p]ositivo / ne[u]tral / [n]egativo / Enter = ${suggested} / [s]altar / [q] salir: `);
+      const line = await lines.next();
+      if (line.done) break;
+      const answer = line.value.trim().toLowerCase();
+
+      if (answer === 'q') break;
+      if (answer === 's') continue;
+      const chosen = answer === '' ? suggested : LABEL_KEYS[answer];
+      if (!chosen) {
+        console.log('   ⚠️ Opción no válida, se salta');
+        continue;
+      }
+      await fs.appendFile(resolvePath(output), JSON.stringify({ text, label: chosen }) + '\n');
+      saved++;
+    }
+  } finally {
+    prompt.close();
+  }
+
+  console.log(`\n✅ ${saved} textos etiquetados`);
+}
+
+async function train(options) {
+  const sentimentConfig = await loadSentimentConfig();
+  const data = options.data || DEFAULT_LABELED;
+  const modelPath = options.model || sentimentConfig.model_path || DEFAULT_MODEL_PATH;
+  const settings = sentimentConfig.naive_bayes || {};
+
+  console.log(`\n🧠 Entrenando Naive Bayes con ${data}...`);
+  const model = trainSentimentClassifier(await readRows(data), settings);
+
+  if (!model) {
+    const minimum = settings.min_examples_per_class ?? 10;
+    throw new Error(`Se necesitan al menos ${minimum} ejemplos de cada clase (${CLASSES.join(', ')}). Etiqueta más textos con el comando label`);
+  }
+
+  const { training, evaluation } = model;
+  console.log(`   Ejemplos: ${training.examples} (${CLASSES.map(c => `${c}: ${training.by_class[c]}`).join(', ')})`);
+  console.log(`   Vocabulario: ${training.vocabulary} n-gramas (hasta ${model.ngram_max} palabras)`);
+
+  if (evaluation) {
+    console.log(`\n📊 Validación cruzada (${evaluation.folds} folds):`);
+    printMetrics(evaluation);
+  } else {
+    console.log('\n   ⚠️ Muy pocos ejemplos para validación cruzada');
+  }
+
+  await fs.mkdir(path.dirname(resolvePath(modelPath)), { recursive: true });
+  await fs.writeFile(resolvePath(modelPath), JSON.stringify(model, null, 2));
+  console.log(`\n💾 Modelo guardado en ${modelPath}`);
+  console.log('   Para usarlo en el pipeline: models.sentiment_analyzer.type = "naive_bayes" en ml/config/model_config.json');
+}
+
+async function evaluate(options) {
+  if (!options.data) throw new Error('Falta --data=<archivo etiquetado>');
+  const sentimentConfig = await loadSentimentConfig();
+  const modelPath = options.model || sentimentConfig.model_path || DEFAULT_MODEL_PATH;
+
+  const model = JSON.parse(await fs.readFile(resolvePath(modelPath), 'utf-8'));
+  const metrics = evaluateSentimentClassifier(model, await readRows(options.data));
+  if (!metrics) throw new Error(`Sin ejemplos etiquetados en ${options.data}`);
+
+  console.log(`\n📊 ${modelPath} (entrenado ${model.trained_at}) sobre ${options.data}: ${metrics.examples} ejemplos`);
+  printMetrics(metrics);
+}
+
+const COMMANDS = { label, train, evaluate };
+
+async function main() {
+  const command = process.argv[2];
+  if (!COMMANDS[command]) {
+    console.log('Uso: node ml/pipeline/sentiment_training.js <label|train|evaluate> [--data=...] [--input=...] [--output=...] [--model=...]');
+    process.exit(1);
+  }
+  await COMMANDS[command](parseArgs());
+}
+
+main().catch(error => {
+  console.error(`\n❌ Error: ${error.message}`);
+  process.exit(1);
+});
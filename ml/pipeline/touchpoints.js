@@ -0,0 +1,191 @@
+/**
+ * Touchpoints
+ *
+ * Reconciles the two channel views into aggregated journeys for the
+ * attribution models (ml/models/attribution.js):
+ * - HubSpot: deals per day, pipeline and contact source (hs_analytics_source,
+ *   deals.daily_source_by_pipeline) → the touch that brought the contact in
+ * - GA4: conversions per day and session channel (dailyByChannel) → the touch
+ *   of the web conversion
+ *
+ * GA4 has no deal or pipeline ids, so each deal of day d gets the GA4
+ * conversion mix of the touch window ending on d (d - touch_window_days + 1 .. d)
+ * as its last touch: a deal with source s becomes the journeys [s, c] weighted
+ * by the share of c in that mix. Days without GA4 data keep the single-touch
+ * journey [s]. Contacts that didn't become a deal (contacts.daily_by_source
+ * minus deals, per source) are the non-converting journeys [s], split across
+ * pipelines by their share of deals. Both sides count people, unlike GA4
+ * sessions, and offline sources get their non-converting contacts too.
+ *
+ * GA4 channel groups are mapped onto HubSpot sources (attribution.ga4_channel_map),
+ * so the credit uses the same vocabulary as budget.channels[].hubspot_sources.
+ */
+
+import { ATTRIBUTION_MODELS, pathCredit } from '../models/attribution.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GA4 default channel group → HubSpot original source
+export const DEFAULT_GA4_CHANNEL_MAP = {
+  'Paid Search': 'PAID_SEARCH',
+  'Paid Social': 'PAID_SOCIAL',
+  'Organic Search': 'ORGANIC_SEARCH',
+  'Organic Social': 'SOCIAL_MEDIA',
+  'Organic Video': 'SOCIAL_MEDIA',
+  'Direct': 'DIRECT_TRAFFIC',
+  'Email': 'EMAIL_MARKETING',
+  'Referral': 'REFERRALS',
+  'Paid Video': 'OTHER_CAMPAIGNS',
+  'Display': 'OTHER_CAMPAIGNS',
+  'Cross-network': 'OTHER_CAMPAIGNS',
+  'Paid Other': 'OTHER_CAMPAIGNS'
+};
+
+const addDays = (day, days) => new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString().slice(0, 10);
+
+/**
+ * GA4 conversions per day, in HubSpot sources
+ * (unmapped channel groups such as Unassigned are dropped)
+ */
+function ga4Conversions(ga4Data, channelMap) {
+  const conversions = {};
+  Object.entries(ga4Data?.dailyByChannel || {}).forEach(([day, channels]) => {
+    conversions[day] = {};
+    Object.entries(channels || {}).forEach(([group, metrics]) => {
+      const source = channelMap[group];
+      if (!source) return;
+      conversions[day][source] = (conversions[day][source] || 0) + (metrics.conversions || 0);
+    });
+  });
+  return conversions;
+}
+
+/**
+ * Share of each source in the GA4 conversions of the touch window ending on day
+ * (null when GA4 has no conversions in the window)
+ */
+function conversionMix(conversions, day, windowDays) {
+  const totals = {};
+  for (let offset = 0; offset < windowDays; offset++) {
+    Object.entries(conversions[addDays(day, -offset)] || {}).forEach(([source, count]) => {
+      totals[source] = (totals[source] || 0) + count;
+    });
+  }
+  const sum = Object.values(totals).reduce((acc, v) => acc + v, 0);
+  if (sum === 0) return null;
+  return Object.fromEntries(Object.entries(totals).filter(([, v]) => v > 0).map(([source, v]) => [source, v / sum]));
+}
+
+/**
+ * Daily journeys per pipeline
+ *
+ * @param {Object} hubspotData - HubSpot latest.json
+ * @param {Object} ga4Data - GA4 latest.json (dailyByChannel)
+ * @param {Object} [options]
+ * @param {Object} [options.channel_map] - GA4 channel group → HubSpot source
+ * @param {number} [options.touch_window_days=7]
+ * @returns {Object} { pipelines: {pipeline: {day: [{ path, conversions }]}},
+ *   nulls: {day: {source: contacts - deals}} (may be negative on a single day), ga4_days }
+ */
+export function buildJourneys(hubspotData, ga4Data, options = {}) {
+  const channelMap = options.channel_map || DEFAULT_GA4_CHANNEL_MAP;
+  const windowDays = options.touch_window_days ?? 7;
+  const conversions = ga4Conversions(ga4Data, channelMap);
+  const mixes = {};
+  const mixFor = day => {
+    if (!(day in mixes)) mixes[day] = conversionMix(conversions, day, windowDays);
+    return mixes[day];
+  };
+
+  const pipelines = {};
+  Object.entries(hubspotData?.deals?.daily_source_by_pipeline || {}).forEach(([pipeline, daily]) => {
+    pipelines[pipeline] = {};
+    Object.entries(daily || {}).forEach(([day, sources]) => {
+      const mix = mixFor(day);
+      pipelines[pipeline][day] = Object.entries(sources || {}).flatMap(([source, count]) => {
+        if (!(count > 0)) return [];
+        if (!mix) return [{ path: [source], conversions: count }];
+        return Object.entries(mix).map(([lastTouch, share]) => ({
+          path: [source, lastTouch],
+          conversions: count * share
+        }));
+      });
+    });
+  });
+
+  // Contacts minus deals per day and source (deals of every pipeline)
+  const nulls = {};
+  Object.entries(hubspotData?.contacts?.daily_by_source || {}).forEach(([day, sources]) => {
+    nulls[day] = { ...sources };
+  });
+  Object.values(hubspotData?.deals?.daily_source_by_pipeline || {}).forEach(daily => {
+    Object.entries(daily || {}).forEach(([day, sources]) => {
+      if (!nulls[day]) nulls[day] = {};
+      Object.entries(sources || {}).forEach(([source, count]) => {
+        nulls[day][source] = (nulls[day][source] || 0) - count;
+      });
+    });
+  });
+
+  return { pipelines, nulls, ga4_days: Object.keys(conversions).sort() };
+}
+
+/**
+ * Journeys of the window [from, to] for the attribution models, merged by path.
+ * Non-converting contacts (window total per source, floored at 0) are scaled
+ * by `nullShare` (the pipeline's share of deals).
+ */
+export function windowJourneys(dailyJourneys, nulls, from, to, nullShare = 1) {
+  const byPath = new Map();
+  const add = (path, conversions, nullCount) => {
+    const key = path.join('>');
+    const journey = byPath.get(key) || { path, conversions: 0, nulls: 0 };
+    journey.conversions += conversions;
+    journey.nulls += nullCount;
+    byPath.set(key, journey);
+  };
+
+  Object.entries(dailyJourneys || {}).forEach(([day, journeys]) => {
+    if (day < from || day > to) return;
+    journeys.forEach(j => add(j.path, j.conversions, 0));
+  });
+  if (nullShare > 0) {
+    const totals = {};
+    Object.entries(nulls || {}).forEach(([day, sources]) => {
+      if (day < from || day > to) return;
+      Object.entries(sources).forEach(([source, count]) => { totals[source] = (totals[source] || 0) + count; });
+    });
+    Object.entries(totals).forEach(([source, count]) => {
+      if (count > 0) add([source], 0, count * nullShare);
+    });
+  }
+  return [...byPath.values()];
+}
+
+/**
+ * Credited deals per pipeline, day and source under a model, in the shape of
+ * deals.daily_source_by_pipeline (so the budget optimizer can use it as is)
+ *
+ * @param {Object} pipelineJourneys - buildJourneys(...).pipelines
+ * @param {string} model - One of ATTRIBUTION_MODELS
+ * @param {Object} [markovWeights] - {pipeline: {source: weight}} (markov only)
+ */
+export function dailyCreditBySource(pipelineJourneys, model, markovWeights = {}) {
+  if (!ATTRIBUTION_MODELS.includes(model)) throw new Error(`Modelo de atribución desconocido: ${model}`);
+
+  const credit = {};
+  Object.entries(pipelineJourneys).forEach(([pipeline, daily]) => {
+    credit[pipeline] = {};
+    Object.entries(daily).forEach(([day, journeys]) => {
+      const sources = {};
+      journeys.forEach(({ path, conversions }) => {
+        Object.entries(pathCredit(path, model, markovWeights[pipeline])).forEach(([source, share]) => {
+          sources[source] = (sources[source] || 0) + share * conversions;
+        });
+      });
+      credit[pipeline][day] = sources;
+    });
+  });
+  return credit;
+}
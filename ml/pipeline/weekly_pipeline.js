@@ -6,7 +6,7 @@
  * Called by GitHub Actions after data scraping.
  *
  * Usage:
- *   node ml/pipeline/weekly_pipeline.js
+ *   node ml/pipeline/weekly_pipeline.js [--client=ucsp]
  */
 
 import fs from 'fs/promises';
@@ -14,20 +14,76 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Import ML models
-import SentimentAnalyzer from '../models/sentiment_analyzer.js';
+import SentimentAnalyzer, { AspectAnalyzer, LEXICON, LABEL_SCORES, normalizeLabel } from '../models/sentiment_analyzer.js';
+import { NaiveBayesSentiment } from '../models/sentiment_classifier.js';
 import BudgetOptimizer from '../models/budget_optimizer.js';
+import HierarchicalBudgetOptimizer from '../models/hierarchical_optimizer.js';
+import { fitResponseCurves, simulateAllocation, whatIf, marginalCpl } from '../models/response_curves.js';
+import { fitScoreWeights, evaluateScoreWeights } from '../models/score_weights.js';
+import { forecastLeads, backtestLeads } from '../models/lead_forecaster.js';
+import { predictTrend } from '../models/trend_predictor.js';
+import { trainLeadQuality, summarizeScores, leadLabel } from '../models/lead_quality.js';
+import { attributeConversions, ATTRIBUTION_MODELS } from '../models/attribution.js';
+import { detectAnomalies } from '../models/anomaly_detector.js';
+import { evaluateGuardrail, guardrailTransitions } from '../models/cpl_guardrails.js';
 import InsightGenerator from '../insights/generator.js';
+import { buildAlert, sortAlerts } from '../insights/alerts.js';
+import { HUBSPOT_CONFIG } from '../../src/data/config.js';
+import {
+  loadOptimizerState,
+  saveOptimizerState,
+  buildDailyObservations,
+  buildProgramObservations,
+  selectNewObservations,
+  summarizeObservations,
+  stepBaseline,
+  updateRecommendations
+} from './budget_state.js';
+import { resolveBudgetConfig } from './budget_config.js';
+import { loadClientConfig } from '../../scrapers/lib/connector.js';
+import {
+  loadScoreHistory,
+  saveScoreHistory,
+  scoreEntry,
+  computeScoreDeltas,
+  buildWeightSamples,
+  SCORE_OUTCOMES
+} from './score_history.js';
+import { buildJourneys, windowJourneys, dailyCreditBySource } from './touchpoints.js';
+import {
+  loadGuardrailState,
+  saveGuardrailState,
+  campaignWindows,
+  programWindows,
+  updateSnapshots
+} from './guardrail_state.js';
+import { notifyGuardrailTransitions } from './guardrail_notifier.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const DATA_DIR = path.join(__dirname, '../../public/data');
 const ML_OUTPUT_DIR = path.join(__dirname, '../../public/data/ml');
+const MODEL_CONFIG_PATH = path.join(__dirname, '../config/model_config.json');
+// Per-contact rows written by the HubSpot connector on full runs (backend only, never published)
+const LEAD_FEATURES_PATH = path.join(__dirname, '../../data/hubspot/lead_features.json');
+// Only used when model_config.json has no "weights" block
+const EQUAL_SCORE_WEIGHTS = { search: 0.25, trend: 0.25, social: 0.25, intent: 0.25 };
+const CLIENT = (process.argv.find(arg => arg.startsWith('--client=')) || '--client=ucsp').split('=')[1];
 
 // ============================================================================
 // DATA LOADING
 // ============================================================================
 
+async function loadModelConfig() {
+  try {
+    return JSON.parse(await fs.readFile(MODEL_CONFIG_PATH, 'utf-8'));
+  } catch (e) {
+    console.log('   ⚠️ model_config.json no disponible, usando defaults');
+    return { models: {} };
+  }
+}
+
 async function loadAllData() {
   console.log('\n📂 Cargando datos...');
 
@@ -73,6 +129,17 @@ async function loadAllData() {
     data.ga4 = null;
   }
 
+  try {
+    // GA4 Data API export: daily conversions per channel group, for attribution
+    // (data.ga4 above is the summary used by the scores and insights)
+    const ga4LivePath = path.join(DATA_DIR, 'ga4/latest.json');
+    data.ga4Live = JSON.parse(await fs.readFile(ga4LivePath, 'utf-8'));
+    console.log(`   ✅ GA4 (API): ${Object.keys(data.ga4Live.dailyByChannel || {}).length} días por canal`);
+  } catch (e) {
+    console.log('   ⚠️ GA4 (API): No disponible');
+    data.ga4Live = null;
+  }
+
   try {
     // Load HubSpot CRM data
     const hubspotPath = path.join(DATA_DIR, 'hubspot/latest.json');
@@ -90,90 +157,247 @@ async function loadAllData() {
 // SENTIMENT ANALYSIS
 // ============================================================================
 
-function runSentimentAnalysis(metaData) {
+/**
+ * Analyzer selected by models.sentiment_analyzer.type: the lexicon
+ * ("rule_based") or the Naive Bayes model trained with
+ * ml/pipeline/sentiment_training.js ("naive_bayes", read from model_path).
+ * Falls back to rule_based when the trained model is missing.
+ */
+async function loadSentimentAnalyzer(sentimentConfig = {}) {
+  const ruleBased = { analyzer: new SentimentAnalyzer(), model: { type: 'rule_based', lexicon_version: LEXICON.version } };
+  if (sentimentConfig.type !== 'naive_bayes') return ruleBased;
+
+  const modelPath = sentimentConfig.model_path || 'ml/models/trained/sentiment_naive_bayes.json';
+  try {
+    const model = JSON.parse(await fs.readFile(path.join(__dirname, '../..', modelPath), 'utf-8'));
+    return {
+      analyzer: new NaiveBayesSentiment(model),
+      model: {
+        type: 'naive_bayes',
+        version: model.version,
+        trained_at: model.trained_at,
+        examples: model.training?.examples ?? null,
+        cv_macro_f1: model.evaluation?.macro_f1 ?? null
+      }
+    };
+  } catch (e) {
+    console.log(`   ⚠️ Modelo de sentimiento no disponible (${modelPath}), usando rule_based`);
+    return ruleBased;
+  }
+}
+
+/**
+ * Sentiment per Meta topic from its anonymized post/comment texts
+ * (aggregatedTopics[].texts). Topics without texts keep the scraper's label,
+ * with sample_size 0, and weigh nothing in the overall score.
+ */
+function runSentimentAnalysis(metaData, sentimentConfig = {}, sentimentModel = null) {
   console.log('\n🧠 Ejecutando análisis de sentimiento...');
 
-  const analyzer = new SentimentAnalyzer();
+  const analyzer = sentimentModel?.analyzer || new SentimentAnalyzer();
   const results = {
     overall: null,
     by_topic: {},
+    model: sentimentModel?.model || { type: 'rule_based', lexicon_version: LEXICON.version },
     timestamp: new Date().toISOString()
   };
+  console.log(`   Modelo: ${results.model.type}`);
 
   if (!metaData?.aggregatedTopics) {
     console.log('   ⚠️ Sin datos de Meta para análisis');
     return results;
   }
 
-  // Analyze each topic
-  const topics = metaData.aggregatedTopics;
-  let totalScore = 0;
-  let topicCount = 0;
-
-  topics.forEach(topic => {
-    // Use existing sentiment if available, or analyze topic name
-    let sentimentScore;
-
-    if (topic.sentiment) {
-      // Convert category to score
-      const categoryToScore = {
-        'muy_positivo': 0.9,
-        'very positive': 0.9,
-        'positivo': 0.7,
-        'positive': 0.7,
-        'neutral': 0.5,
-        'negativo': 0.3,
-        'negative': 0.3,
-        'muy_negativo': 0.1,
-        'very negative': 0.1
-      };
-      sentimentScore = categoryToScore[topic.sentiment.toLowerCase()] || 0.5;
-    } else {
-      // Analyze topic name
-      const analysis = analyzer.analyze(topic.topic);
-      sentimentScore = analysis.score;
-    }
+  const options = {
+    minSampleSize: sentimentConfig.min_sample_size ?? 10,
+    topTerms: sentimentConfig.top_terms ?? 5
+  };
 
-    results.by_topic[topic.topic] = {
-      score: sentimentScore,
-      category: analyzer.categorize(sentimentScore),
+  let weightedScore = 0;
+  let totalTexts = 0;
+  let labelScore = 0;
+  let labelCount = 0;
+
+  metaData.aggregatedTopics.forEach(topic => {
+    const texts = (topic.texts || []).map(t => (typeof t === 'string' ? t : t.text)).filter(Boolean);
+    const base = {
       mentions: topic.mentions || 0,
       engagement: topic.engagement_score || 0
     };
 
-    totalScore += sentimentScore;
-    topicCount++;
+    if (texts.length > 0) {
+      const analysis = analyzer.analyzeMultiple(texts, options);
+      results.by_topic[topic.topic] = {
+        score: analysis.score,
+        category: analysis.category,
+        method: 'texts',
+        sample_size: analysis.sample_size,
+        confidence: analysis.confidence,
+        margin_of_error: analysis.margin_of_error,
+        distribution: analysis.distribution,
+        polarizing_terms: analysis.polarizing_terms,
+        ...base
+      };
+      weightedScore += analysis.score * analysis.sample_size;
+      totalTexts += analysis.sample_size;
+      console.log(`   ${topic.topic}: ${analysis.category} (${analysis.score}, n=${analysis.sample_size}, confianza ${analysis.confidence})`);
+      return;
+    }
+
+    // Same taxonomy as the actor; normalizeLabel also reads older recordings
+    const label = normalizeLabel(topic.sentiment);
+    const score = label ? LABEL_SCORES[label] : null;
+    results.by_topic[topic.topic] = {
+      score,
+      category: label,
+      method: score !== null ? 'scraper_label' : 'none',
+      sample_size: 0,
+      confidence: 0,
+      ...base
+    };
+    if (score !== null) {
+      labelScore += score;
+      labelCount++;
+    }
   });
 
-  // Calculate overall
+  // Overall: mean over all analyzed texts; label average only when no topic has texts
+  const overallScore = totalTexts > 0
+    ? weightedScore / totalTexts
+    : (labelCount > 0 ? labelScore / labelCount : 0.5);
   results.overall = {
-    score: topicCount > 0 ? totalScore / topicCount : 0.5,
-    category: analyzer.categorize(topicCount > 0 ? totalScore / topicCount : 0.5),
-    topics_analyzed: topicCount
+    score: Math.round(overallScore * 100) / 100,
+    category: analyzer.categorize(overallScore),
+    method: totalTexts > 0 ? 'texts' : 'scraper_label',
+    topics_analyzed: totalTexts > 0
+      ? Object.values(results.by_topic).filter(t => t.method === 'texts').length
+      : labelCount,
+    sample_size: totalTexts
   };
 
-  console.log(`   ✅ Sentimiento overall: ${results.overall.category} (${(results.overall.score * 10).toFixed(1)}/10)`);
+  console.log(`   ✅ Sentimiento overall: ${results.overall.category} (${(results.overall.score * 10).toFixed(1)}/10, ${totalTexts} textos)`);
 
   return results;
 }
 
+/**
+ * Sentiment per aspect (price, admission, campus, professors, becas) over
+ * the Meta topic texts, and per brand from social_listening_topics[].brands.
+ * The aspect taxonomy defaults to DEFAULT_ASPECTS (packages/sentiment/aspects.js)
+ * and can be replaced with models.aspect_sentiment.aspects.
+ */
+function runAspectSentiment(metaData, clientConfig, aspectConfig = {}, analyzer = undefined) {
+  console.log('\n🧩 Sentimiento por aspecto...');
+
+  const texts = (metaData?.aggregatedTopics || [])
+    .flatMap(topic => topic.texts || [])
+    .map(t => (typeof t === 'string' ? t : t.text))
+    .filter(Boolean);
+
+  if (texts.length === 0) {
+    console.log('   ⚠️ Sin textos de Meta para análisis por aspecto');
+    return null;
+  }
+
+  const brands = (clientConfig.social_listening_topics || []).flatMap(topic => topic.brands || []);
+  const aspectAnalyzer = new AspectAnalyzer({ aspects: aspectConfig.aspects, brands, analyzer });
+  const result = aspectAnalyzer.analyzeTexts(texts, {
+    minSampleSize: aspectConfig.min_sample_size ?? 5,
+    topTerms: aspectConfig.top_terms ?? 3
+  });
+
+  // Flag the client's own brand so competitors read apart from it
+  const client = (clientConfig.client || '').toLowerCase();
+  Object.entries(result.by_brand).forEach(([brand, summary]) => {
+    summary.is_client = brand.toLowerCase() === client;
+  });
+
+  Object.entries(result.aspects)
+    .filter(([, aspect]) => aspect.sample_size > 0)
+    .forEach(([, aspect]) => {
+      console.log(`   ${aspect.name}: ${aspect.category} (${aspect.score}, n=${aspect.sample_size}, confianza ${aspect.confidence})`);
+    });
+  console.log(`   ✅ ${result.sentences_with_aspect}/${result.sentences_analyzed} frases con aspecto, ${Object.keys(result.by_brand).length} marcas`);
+
+  return { method: 'keyword_aspects', ...result };
+}
+
 // ============================================================================
 // SCORE CALCULATION (ML-Enhanced)
 // ============================================================================
 
-function calculateMLScores(data, sentimentResults) {
+/**
+ * Weights of the score blend: fitted against HubSpot outcomes once there is
+ * enough score history (see ml/models/score_weights.js), else model_config.json → weights
+ */
+function resolveScoreWeights(configWeights, weightsConfig, history, hubspotData) {
+  console.log('\n⚖️  Ajustando pesos del score...');
+
+  const outcome = weightsConfig.outcome || 'new_deals';
+  const lagWeeks = weightsConfig.lag_weeks || 1;
+  const minSamples = weightsConfig.min_samples || 12;
+  const minR2 = weightsConfig.min_r2 ?? 0.1;
+  const components = Object.keys(configWeights);
+
+  // Fit every outcome for the report; only the configured one drives the weights
+  const fits = {};
+  (weightsConfig.outcomes || SCORE_OUTCOMES).forEach(name => {
+    const samples = buildWeightSamples(history.runs, hubspotData, { outcome: name, lagWeeks });
+    const fitted = samples.length >= minSamples ? fitScoreWeights(samples, { components }) : null;
+    const baseline = evaluateScoreWeights(samples, configWeights);
+    fits[name] = {
+      samples: samples.length,
+      weights: fitted?.weights || null,
+      intercept: fitted?.intercept ?? null,
+      scale: fitted?.scale ?? null,
+      fit: fitted?.fit || null,
+      config_fit: baseline?.fit || null
+    };
+  });
+
+  const selected = fits[outcome] || { samples: 0 };
+  let reason = null;
+  if (selected.samples < minSamples) {
+    reason = `historial insuficiente (${selected.samples}/${minSamples} semanas con resultado)`;
+  } else if (!selected.fit) {
+    reason = 'ningún componente se relaciona positivamente con el resultado';
+  } else if (selected.fit.r2 < minR2) {
+    reason = `ajuste débil (R² ${selected.fit.r2} < ${minR2})`;
+  }
+
+  const source = reason ? 'config' : 'fitted';
+  const weights = reason ? configWeights : selected.weights;
+
+  if (reason) {
+    console.log(`   Usando pesos de model_config.json: ${reason}`);
+  } else {
+    console.log(`   Pesos ajustados contra ${outcome} (lag ${lagWeeks} sem., n=${selected.fit.n}, R² ${selected.fit.r2}${selected.config_fit ? ` vs ${selected.config_fit.r2} con pesos de config` : ''})`);
+  }
+  console.log(`   ${Object.entries(weights).map(([k, w]) => `${k}: ${w.toFixed(2)}`).join(' · ')}`);
+
+  return {
+    weights,
+    report: {
+      source,
+      reason,
+      outcome,
+      lag_weeks: lagWeeks,
+      min_samples: minSamples,
+      config_weights: configWeights,
+      fits
+    }
+  };
+}
+
+function calculateMLScores(data, sentimentResults, weighting) {
   console.log('\n📊 Calculando scores ML-enhanced...');
 
   const scores = {
     timestamp: new Date().toISOString(),
     individual: {},
     overall: 0,
-    weights: {
-      search: 0.28,
-      trend: 0.15,
-      social: 0.22,
-      intent: 0.35
-    }
+    weights: weighting.weights,
+    weights_fit: weighting.report
   };
 
   // Search Score (Google Trends)
@@ -278,77 +502,989 @@ function calculateMLScores(data, sentimentResults) {
   return scores;
 }
 
+/**
+ * Compare this run's scores with the history (WoW / MoM deltas per component)
+ */
+function runScoreHistory(scores, history) {
+  const entry = scoreEntry(scores);
+  const deltas = computeScoreDeltas(entry, history.runs);
+
+  const describe = (label, period) => {
+    if (!period?.overall) {
+      console.log(`   ${label}: sin run de referencia todavía`);
+      return;
+    }
+    const { change, change_pct } = period.overall;
+    const sign = change >= 0 ? '+' : '';
+    console.log(`   ${label}: ${sign}${change.toFixed(2)} pts (${change_pct !== null ? `${sign}${change_pct}%` : 'N/A'}) vs ${period.reference_date.slice(0, 10)}`);
+  };
+  describe('WoW', deltas.wow);
+  describe('MoM', deltas.mom);
+
+  // Same-day re-runs replace their entry (see saveScoreHistory)
+  const day = entry.run_at.slice(0, 10);
+  const historyPoints = history.runs.filter(run => run.run_at.slice(0, 10) !== day).length + 1;
+
+  return { entry, deltas, history_points: historyPoints };
+}
+
+// ============================================================================
+// MULTI-TOUCH ATTRIBUTION
+// ============================================================================
+
+/**
+ * Channel credit per pipeline (first touch, last touch, linear, Markov) from
+ * HubSpot deal sources and GA4 conversions, over the last lookback_days.
+ * Also returns the daily credit of `optimizerModel` in the shape of
+ * deals.daily_source_by_pipeline, used as the budget optimizer's observations.
+ */
+function runAttribution(hubspotData, ga4Data, attributionConfig = {}, optimizerModel = 'markov') {
+  console.log('\n🧭 Calculando atribución multi-touch...');
+
+  if (!hubspotData?.deals?.daily_source_by_pipeline) {
+    console.log('   ⚠️ Sin fuentes diarias de HubSpot, se omite la atribución');
+    return { report: null, sourceByPipeline: null };
+  }
+
+  const journeys = buildJourneys(hubspotData, ga4Data, {
+    channel_map: attributionConfig.ga4_channel_map,
+    touch_window_days: attributionConfig.touch_window_days
+  });
+
+  const days = Object.keys(hubspotData.deals.daily_deals || {}).sort();
+  const to = days[days.length - 1];
+  const lookbackDays = attributionConfig.lookback_days ?? 90;
+  const from = new Date(Date.parse(to) - (lookbackDays - 1) * 86400000).toISOString().split('T')[0];
+  if (journeys.ga4_days.length === 0) {
+    console.log('   ⚠️ Sin GA4 dailyByChannel: solo touch de HubSpot (first = last touch)');
+  }
+
+  // Deals per pipeline in the window, to split the non-converting contacts
+  const dealsInWindow = {};
+  Object.entries(journeys.pipelines).forEach(([pipeline, daily]) => {
+    dealsInWindow[pipeline] = Object.entries(daily)
+      .filter(([day]) => day >= from && day <= to)
+      .reduce((sum, [, list]) => sum + list.reduce((acc, j) => acc + j.conversions, 0), 0);
+  });
+  const totalDeals = Object.values(dealsInWindow).reduce((sum, n) => sum + n, 0);
+
+  const pipelines = {};
+  const markovWeights = {};
+  const allJourneys = [];
+  Object.entries(journeys.pipelines).forEach(([pipeline, daily]) => {
+    if (!(dealsInWindow[pipeline] > 0)) return;
+    const share = dealsInWindow[pipeline] / totalDeals;
+    pipelines[pipeline] = attributeConversions(windowJourneys(daily, journeys.nulls, from, to, share));
+    markovWeights[pipeline] = pipelines[pipeline].markov.weights;
+    allJourneys.push(...windowJourneys(daily, null, from, to, 0));
+  });
+  const total = attributeConversions([...allJourneys, ...windowJourneys({}, journeys.nulls, from, to, 1)]);
+
+  // Deals whose journey has a GA4 touch besides the HubSpot source
+  const multiTouch = allJourneys.filter(j => j.path.length > 1 && j.path[0] !== j.path[1])
+    .reduce((sum, j) => sum + j.conversions, 0);
+  const ga4InWindow = journeys.ga4_days.filter(day => day >= from && day <= to);
+
+  console.log(`   Ventana: ${from} → ${to} · ${Math.round(total.conversions)} deals · GA4 en ${ga4InWindow.length} días`);
+  const top = Object.entries(total.models.markov).sort((a, b) => b[1] - a[1]).slice(0, 4);
+  top.forEach(([source, credit]) => {
+    const first = total.models.first_touch[source] || 0;
+    console.log(`   - ${source}: ${credit} (markov) vs ${first} (first touch)`);
+  });
+
+  const sourceByPipeline = ATTRIBUTION_MODELS.includes(optimizerModel)
+    ? dailyCreditBySource(journeys.pipelines, optimizerModel, markovWeights)
+    : null;
+
+  return {
+    report: {
+      window: { from, to, lookback_days: lookbackDays },
+      touch_window_days: attributionConfig.touch_window_days ?? 7,
+      models: ATTRIBUTION_MODELS,
+      coverage: {
+        ga4_days: ga4InWindow.length,
+        multi_touch_share: total.conversions > 0 ? Math.round(multiTouch / total.conversions * 1000) / 1000 : 0
+      },
+      optimizer_model: sourceByPipeline ? optimizerModel : 'hubspot',
+      total,
+      pipelines,
+      timestamp: new Date().toISOString()
+    },
+    sourceByPipeline
+  };
+}
+
 // ============================================================================
 // BUDGET OPTIMIZATION
 // ============================================================================
 
-function runBudgetOptimization(historicalData = null, hubspotData = null) {
+/**
+ * Hierarchical step: one optimizer per program (HubSpot pipeline) sharing the
+ * global optimizer's watermark. Returns null when no program allocation is configured.
+ */
+function runProgramOptimization(optimizer, hubspotData, optimizerConfig, budgetConfig, previousState, initialLookbackDays, cplThresholds, sourceByPipeline) {
+  const hierarchy = optimizerConfig.hierarchy || {};
+  const programAllocation = hierarchy.program_allocation || {};
+  if (Object.keys(programAllocation).length === 0) return null;
+
+  // Each program starts from the channel mix of its audience
+  const programChannels = {};
+  Object.keys(programAllocation).forEach(program => {
+    programChannels[program] = budgetConfig.audiences[programAudience(program, optimizerConfig)] ||
+      budgetConfig.currentAllocation;
+  });
+
+  const hierarchical = new HierarchicalBudgetOptimizer(optimizer, Object.keys(programAllocation), {
+    ...hierarchy.pooling,
+    bandit: optimizerConfig.bandit
+  });
+
+  // States saved before the hierarchy existed have no programs: learn them from the lookback window
+  const programState = previousState?.programs ? previousState : null;
+  if (programState) hierarchical.importState(programState.programs);
+
+  const observations = buildProgramObservations(
+    hubspotData,
+    programChannels,
+    programAllocation,
+    budgetConfig.sourceMap,
+    sourceByPipeline
+  );
+  hierarchical.batchUpdate(selectNewObservations(observations, programState, initialLookbackDays));
+
+  // Fixed commitments are amounts of the whole budget, so they don't apply within a program
+  const constraints = {
+    programs: hierarchy.constraints || {},
+    channels: { ...optimizerConfig.constraints, fixed: {} }
+  };
+  const recommendations = hierarchical.getRecommendations(
+    budgetConfig.totalBudget, programAllocation, programChannels, constraints, cplThresholds.byProgram
+  );
+  const strength = hierarchical.getPoolingStrength();
+
+  console.log(`   Programas (${recommendations.length}):`);
+  recommendations.forEach(r => {
+    const cpl = r.projected_cpl !== null ? `CPL $${r.projected_cpl} ${r.cpl_status || ''}` : 'CPL N/A';
+    console.log(`   - ${r.program}: ${r.from}% → ${r.to}% ($${r.amount.toLocaleString()}, ${cpl})`);
+  });
+
+  return {
+    recommendations,
+    pooling: {
+      strength: Object.fromEntries(Object.entries(strength).map(([ch, k]) => [ch, Math.round(k * 10) / 10])),
+      mode: typeof hierarchical.strength === 'number' ? 'fixed' : 'auto'
+    },
+    state: hierarchical.exportState()
+  };
+}
+
+/**
+ * Response curves per channel + Monte Carlo projections for the current and
+ * recommended allocations and the configured what-if moves (monthly amounts).
+ *
+ * Per-channel spend is not observed: observationsFrom (budget_state.js) splits
+ * HubSpot daily_spend by the configured allocation share, so every channel's
+ * spend is the same series times a constant and the curves measure total
+ * spend, not channel response. The output is marked identifiable: false and
+ * the what-if moves between channels are skipped until real per-channel spend
+ * is available.
+ */
+function runResponseCurves(optimizer, observations, curveConfig, currentAllocation, recommended, totalBudget) {
+  const lookbackDays = curveConfig.lookback_days || 180;
+  const lastDate = observations[observations.length - 1]?.date;
+  const from = lastDate ? new Date(Date.parse(lastDate) - (lookbackDays - 1) * 86400000).toISOString().split('T')[0] : null;
+  const windowObservations = observations.filter(o => !from || o.date >= from);
+
+  // Channels without HubSpot history get a linear curve from the bandit posterior
+  const fallback = {};
+  optimizer.channels.forEach(ch => {
+    fallback[ch] = { shape: optimizer.shape.leads[ch], rate: optimizer.rate[ch] };
+  });
+
+  const curves = fitResponseCurves(windowObservations, {
+    type: curveConfig.type || 'auto',
+    fallback,
+    minSpendLevels: curveConfig.min_spend_levels
+  });
+  const days = curveConfig.period_days || 30;
+  const options = { days, simulations: curveConfig.simulations || 2000 };
+
+  const currentAmounts = {};
+  const recommendedAmounts = {};
+  optimizer.channels.forEach(ch => {
+    currentAmounts[ch] = totalBudget * (currentAllocation[ch] || 0) / 100;
+    recommendedAmounts[ch] = recommended[ch]?.amount || 0;
+  });
+
+  const scenarios = {
+    current: simulateAllocation(curves, currentAmounts, options),
+    recommended: simulateAllocation(curves, recommendedAmounts, options)
+  };
+  const spendSource = 'daily_spend_x_allocation_share';
+  const identifiable = false;
+  const whatIfs = identifiable ? (curveConfig.what_if || []).map(move => whatIf(curves, currentAmounts, move, options)) : [];
+
+  const curveSummary = {};
+  Object.entries(curves).forEach(([ch, curve]) => {
+    curveSummary[ch] = {
+      type: curve.type,
+      k: curve.k ?? null,
+      n: curve.n ?? null,
+      scale: Math.round(curve.scale.shape / curve.scale.rate * 10000) / 10000,
+      pseudo_r2: curve.pseudo_r2 ?? null,
+      fallback_reason: curve.fallback_reason ?? null,
+      rejected: curve.rejected ?? null,
+      days: curve.days,
+      max_daily_spend: curve.max_daily_spend,
+      marginal_cpl_at_current: marginalCpl(curve, currentAmounts[ch] / days)
+    };
+  });
+
+  console.log(`   Curvas de respuesta (${Object.keys(curves).length} canales, ${days} días):`);
+  Object.entries(curveSummary).forEach(([ch, c]) => {
+    const fit = c.fallback_reason
+      ? ` (${c.fallback_reason}${c.rejected ? `: ${c.rejected.type} pseudo-R² ${c.rejected.pseudo_r2}, ${c.rejected.spend_levels} niveles de gasto` : ''})`
+      : c.pseudo_r2 !== null ? ` (pseudo-R² ${c.pseudo_r2})` : '';
+    console.log(`   - ${ch}: ${c.type}${fit}, CPL marginal $${c.marginal_cpl_at_current ?? 'N/A'}`);
+  });
+  console.log(`   Proyección actual: ${scenarios.current.leads.mean} leads (${scenarios.current.leads.p10}–${scenarios.current.leads.p90}), CPL $${scenarios.current.cpl.mean}`);
+  console.log(`   Proyección recomendada: ${scenarios.recommended.leads.mean} leads (${scenarios.recommended.leads.p10}–${scenarios.recommended.leads.p90}), CPL $${scenarios.recommended.cpl.mean}`);
+  whatIfs.forEach(w => {
+    console.log(`   What-if $${w.move.amount.toLocaleString()} ${w.move.from} → ${w.move.to}: ${w.delta_leads.mean >= 0 ? '+' : ''}${w.delta_leads.mean} leads (P(mejor) ${(w.probability_better * 100).toFixed(0)}%)`);
+  });
+  if (!identifiable) {
+    console.log('   ⚠️ Gasto por canal derivado de la asignación: curvas no comparables entre canales, se omiten los what-if');
+  }
+
+  return {
+    lookback_days: lookbackDays,
+    period_days: days,
+    spend_source: spendSource,
+    identifiable,
+    curves: curveSummary,
+    scenarios,
+    what_if: whatIfs,
+    what_if_skipped: identifiable ? null : 'derived_channel_spend'
+  };
+}
+
+/**
+ * Audience (pregrado/posgrado) of a program, via reward.cpl_segments,
+ * defaulting to pregrado for "Pregrado*" and posgrado otherwise
+ */
+function programAudience(program, optimizerConfig) {
+  const segments = optimizerConfig.reward?.cpl_segments || {};
+  return segments[program] || (/^pregrado/i.test(program) ? 'pregrado' : 'posgrado');
+}
+
+/**
+ * CPL thresholds (HUBSPOT_CONFIG.cpl_thresholds) per program, plus a global
+ * threshold blended by the program allocation
+ */
+function resolveCplThresholds(optimizerConfig) {
+  const programAllocation = optimizerConfig.hierarchy?.program_allocation || {};
+
+  const byProgram = {};
+  Object.keys(programAllocation).forEach(program => {
+    byProgram[program] = HUBSPOT_CONFIG.cpl_thresholds[programAudience(program, optimizerConfig)] || null;
+  });
+
+  const weighted = Object.entries(programAllocation).filter(([program]) => byProgram[program]);
+  const totalWeight = weighted.reduce((sum, [, pct]) => sum + pct, 0);
+  if (totalWeight === 0) return { global: HUBSPOT_CONFIG.cpl_thresholds.pregrado, byProgram };
+
+  const blend = key => Math.round(
+    weighted.reduce((sum, [program, pct]) => sum + byProgram[program][key] * pct, 0) / totalWeight * 100
+  ) / 100;
+
+  return {
+    global: { max_cpl: blend('max_cpl'), alert_at: blend('alert_at'), pause_at: blend('pause_at') },
+    byProgram
+  };
+}
+
+function describeBanditMode(optimizer) {
+  if (optimizer.mode === 'discounted') return `discounted (half-life ${optimizer.halfLifeDays} días)`;
+  if (optimizer.mode === 'sliding_window') return `sliding_window (${optimizer.windowDays} días)`;
+  return 'stationary';
+}
+
+// Half-life / window changes apply from the next update on; only the mode must match
+function isSameBanditMode(state, optimizer) {
+  return (state.mode || 'stationary') === optimizer.mode;
+}
+
+async function runBudgetOptimization(hubspotData = null, optimizerConfig = {}, budgetConfig, sourceByPipeline = null) {
   console.log('\n💰 Ejecutando optimización de presupuesto...');
 
-  const optimizer = new BudgetOptimizer();
-
-  // Load historical performance if available
-  if (historicalData) {
-    optimizer.batchUpdate(historicalData);
-  } else if (hubspotData?.campaigns?.total_spend > 0) {
-    // Use HubSpot campaign data to inform budget optimization
-    const totalSpend = hubspotData.campaigns.total_spend;
-    const wonDeals = hubspotData.deals?.won_deals || 0;
-    // Estimate channel distribution from source data
-    const sources = hubspotData.contacts?.source_distribution || {};
-    const paidSearch = sources['PAID_SEARCH'] || 0;
-    const paidSocial = sources['PAID_SOCIAL'] || 0;
-    const organic = sources['ORGANIC_SEARCH'] || 0;
-    const direct = sources['DIRECT_TRAFFIC'] || 0;
-    const totalSourced = paidSearch + paidSocial + organic + direct || 1;
-
-    console.log('   Usando datos reales de HubSpot CRM');
-    optimizer.batchUpdate([
-      { channel: 'google_search', conversions: Math.round(wonDeals * paidSearch / totalSourced) || 35, spend: totalSpend * 0.35 },
-      { channel: 'meta_ads', conversions: Math.round(wonDeals * paidSocial / totalSourced) || 30, spend: totalSpend * 0.35 },
-      { channel: 'youtube', conversions: Math.round(wonDeals * 0.1) || 15, spend: totalSpend * 0.20 },
-      { channel: 'display', conversions: Math.round(wonDeals * 0.05) || 8, spend: totalSpend * 0.10 }
-    ]);
+  const { channels, currentAllocation, totalBudget } = budgetConfig;
+  const bandit = optimizerConfig.bandit || {};
+  const optimizer = new BudgetOptimizer(channels, {
+    ...bandit,
+    objective: optimizerConfig.reward?.objective
+  });
+  const persistence = optimizerConfig.persistence || {};
+  const cplThresholds = resolveCplThresholds(optimizerConfig);
+
+  console.log(`   Presupuesto mensual: ${budgetConfig.currency} ${totalBudget.toLocaleString()} · canales: ${channels.join(', ')}`);
+  console.log(`   Modo bandit: ${describeBanditMode(optimizer)} · objetivo: ${optimizer.objective}`);
+
+  // Continue from the previous posterior, or cold-start from default priors.
+  // A posterior learned under another bandit mode can't be converted, so it is re-learned.
+  let previousState = await loadOptimizerState(ML_OUTPUT_DIR);
+  // Published recommendations don't depend on the posterior, so they survive a re-learn
+  const publishedRecommendations = previousState?.recommendations || [];
+  if (previousState && !isSameBanditMode(previousState, optimizer)) {
+    console.log(`   ⚠️ Estado previo en modo ${previousState.mode || 'stationary'} — se re-aprende desde cero`);
+    previousState = null;
+  }
+  if (previousState) {
+    optimizer.importState(previousState);
+    console.log(`   Posterior previo cargado (observaciones hasta ${previousState.last_observation_date || 'N/A'})`);
+
+    // Channels added to the client config since the last run start from their prior
+    const addedChannels = channels.filter(ch => !(previousState.channels || []).includes(ch));
+    if (addedChannels.length > 0) {
+      optimizer.batchUpdate(budgetConfig.priors.filter(p => addedChannels.includes(p.channel)));
+      console.log(`   Canales nuevos (prior por defecto): ${addedChannels.join(', ')}`);
+    }
   } else {
-    // Use default priors based on typical education marketing
-    optimizer.batchUpdate([
-      { channel: 'google_search', conversions: 35, spend: 8050 },
-      { channel: 'meta_ads', conversions: 30, spend: 8050 },
-      { channel: 'youtube', conversions: 15, spend: 4600 },
-      { channel: 'display', conversions: 8, spend: 2300 }
-    ]);
-  }
-
-  const currentAllocation = {
-    google_search: 35,
-    meta_ads: 35,
-    youtube: 20,
-    display: 10
-  };
+    optimizer.batchUpdate(budgetConfig.priors);
+    console.log('   Sin estado previo — usando priors por defecto');
+  }
 
-  const recommended = optimizer.getRecommendedAllocation(23000);
-  const recommendations = optimizer.getRecommendations(currentAllocation, 23000);
+  // Apply only the HubSpot days not seen by previous runs. Conversions are the
+  // attributed deals (sourceByPipeline) when attribution ran, else the raw contact source.
+  const observations = buildDailyObservations(
+    hubspotData,
+    currentAllocation,
+    budgetConfig.sourceMap,
+    sourceByPipeline
+  );
+  const newObservations = selectNewObservations(
+    observations,
+    previousState,
+    persistence.initial_lookback_days || 90
+  );
+  optimizer.batchUpdate(newObservations);
+
+  const byChannel = summarizeObservations(newObservations);
+  const lastObservationDate = newObservations.length > 0
+    ? newObservations[newObservations.length - 1].date
+    : previousState?.last_observation_date || null;
+
+  if (newObservations.length > 0) {
+    console.log(`   Observaciones nuevas: ${newObservations.length} (${newObservations[0].date} → ${lastObservationDate})`);
+    Object.entries(byChannel).forEach(([ch, s]) => {
+      console.log(`   - ${ch}: ${Math.round(s.conversions * 10) / 10} deals (~${s.enrollments} matriculados), $${s.spend.toLocaleString()} en ${s.days} días`);
+    });
+  } else {
+    console.log('   Sin observaciones nuevas desde el último run');
+  }
+
+  // Floors, caps, week-over-week step limits and fixed commitments. The step is
+  // measured from the recommendation published a week ago (runs are daily)
+  const constraints = optimizerConfig.constraints || {};
+  const runDay = new Date().toISOString().split('T')[0];
+  const stepFrom = stepBaseline(publishedRecommendations, currentAllocation, runDay);
+  const recommended = optimizer.getRecommendedAllocation(totalBudget, constraints, stepFrom.allocation);
+  const recommendations = optimizer.getRecommendations(
+    currentAllocation, totalBudget, constraints, cplThresholds.global, stepFrom.allocation
+  );
+  if (constraints.max_step !== undefined) {
+    console.log(`   max_step desde ${stepFrom.source === 'recommendation' ? `la recomendación del ${stepFrom.date}` : 'la asignación configurada'}`);
+  }
+  if (optimizer.relaxedConstraints.length > 0) {
+    console.log(`   ⚠️ Restricciones relajadas para encontrar una asignación factible: ${optimizer.relaxedConstraints.join(', ')}`);
+  }
   const simulation = optimizer.simulateScenarios(1000);
+  const responseCurves = runResponseCurves(
+    optimizer,
+    observations,
+    optimizerConfig.response_curves || {},
+    currentAllocation,
+    recommended,
+    totalBudget
+  );
 
   console.log('   Recomendaciones:');
   recommendations.forEach(r => {
-    console.log(`   - ${r.channel}: ${r.from}% → ${r.to}% (${r.change})`);
+    const capped = r.binding.length > 0 ? ` [${r.binding.join(', ')}; sin límites: ${r.unconstrained_to}%]` : '';
+    const cpl = r.projected_cpl !== null ? ` CPL $${r.projected_cpl} (${r.cpl_status})` : '';
+    console.log(`   - ${r.channel}: ${r.from}% → ${r.to}% (${r.change})${cpl}${capped}`);
   });
 
+  // Per-program allocation, partially pooled towards the global posterior
+  const programs = runProgramOptimization(
+    optimizer,
+    hubspotData,
+    optimizerConfig,
+    budgetConfig,
+    previousState,
+    persistence.initial_lookback_days || 90,
+    cplThresholds,
+    sourceByPipeline
+  );
+
+  const runAt = new Date().toISOString();
+  const learning = {
+    previous_observation_date: previousState?.last_observation_date || null,
+    last_observation_date: lastObservationDate,
+    observations_applied: newObservations.length,
+    by_channel: byChannel,
+    runs: (previousState?.runs || 0) + 1,
+    bandit: {
+      mode: optimizer.mode,
+      half_life_days: optimizer.mode === 'discounted' ? optimizer.halfLifeDays : null,
+      window_days: optimizer.mode === 'sliding_window' ? optimizer.windowDays : null
+    }
+  };
+
+  const state = {
+    ...optimizer.exportState(),
+    programs: programs?.state || null,
+    recommendations: updateRecommendations(
+      publishedRecommendations,
+      runDay,
+      Object.fromEntries(Object.entries(recommended).map(([ch, r]) => [ch, r.percentage]))
+    ),
+    last_observation_date: lastObservationDate,
+    runs: learning.runs,
+    created_at: previousState?.created_at || runAt,
+    updated_at: runAt
+  };
+
+  const run = {
+    run_at: runAt,
+    from: newObservations[0]?.date || null,
+    to: newObservations.length > 0 ? lastObservationDate : null,
+    observations_applied: newObservations.length,
+    by_channel: byChannel,
+    mode: optimizer.mode,
+    posterior: { shape: state.shape, rate: state.rate }
+  };
+
   return {
-    current: currentAllocation,
-    recommended,
-    recommendations,
-    simulation,
+    results: {
+      current: currentAllocation,
+      total_budget: totalBudget,
+      currency: budgetConfig.currency,
+      audiences: budgetConfig.audiences,
+      recommended,
+      recommendations,
+      objective: optimizer.objective,
+      observation_source: sourceByPipeline ? optimizerConfig.observation_source || 'markov' : 'hubspot',
+      cpl_thresholds: cplThresholds.global,
+      constraints: {
+        ...constraints,
+        relaxed: optimizer.relaxedConstraints,
+        step_from: { source: stepFrom.source, date: stepFrom.date, allocation: stepFrom.allocation }
+      },
+      programs: programs?.recommendations || [],
+      pooling: programs?.pooling || null,
+      simulation,
+      response_curves: responseCurves,
+      learning,
+      timestamp: runAt
+    },
+    state,
+    run,
+    historyLimit: persistence.history_limit || 104
+  };
+}
+
+// ============================================================================
+// CPL GUARDRAILS
+// ============================================================================
+
+/**
+ * Rolling CPL per live campaign and per program against HUBSPOT_CONFIG.cpl_thresholds
+ * (ok / alert / pause), with the status transitions since the previous run
+ */
+async function runCplGuardrails(hubspotData, sourceByPipeline, guardrailConfig = {}, optimizerConfig = {}, budgetConfig) {
+  console.log('\n🚦 Evaluando guardrails de CPL...');
+
+  if (!hubspotData?.campaigns?.daily_spend) {
+    console.log('   ⚠️ Sin gasto diario de campañas en HubSpot, se omiten los guardrails');
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const cutoff = (hubspotData.timestamp || now).split('T')[0];
+  const windowDays = guardrailConfig.window_days ?? 14;
+  const options = { min_spend: guardrailConfig.min_spend ?? 100 };
+  const thresholdsFor = program => HUBSPOT_CONFIG.cpl_thresholds[programAudience(program, optimizerConfig)] || null;
+  const previous = await loadGuardrailState(ML_OUTPUT_DIR);
+
+  const campaignList = campaignWindows(hubspotData, previous.snapshots || {}, {
+    cutoff,
+    window_days: windowDays,
+    campaign_programs: guardrailConfig.campaign_programs || [],
+    default_program: guardrailConfig.default_program || 'Pregrado'
+  });
+  const paidSources = [...new Set(Object.values(budgetConfig.sourceMap).flat())];
+  const programList = programWindows(
+    hubspotData,
+    sourceByPipeline || hubspotData.deals?.daily_source_by_pipeline || {},
+    optimizerConfig.hierarchy?.program_allocation || {},
+    paidSources,
+    { cutoff, window_days: windowDays }
+  );
+
+  const entity = (key, type, id, name, program, window, extra = {}) => {
+    const thresholds = thresholdsFor(program);
+    const result = evaluateGuardrail(window, thresholds, options);
+    const prior = previous.entities[key];
+    return {
+      key,
+      type,
+      id,
+      name,
+      program,
+      segment: programAudience(program, optimizerConfig),
+      ...extra,
+      ...result,
+      thresholds,
+      since: prior && prior.status === result.status ? prior.since : now
+    };
+  };
+
+  const campaigns = campaignList.map(c => entity(`campaign:${c.id}`, 'campaign', c.id, c.name, c.program, c, {
+    start_date: c.start_date,
+    end_date: c.end_date,
+    basis: c.basis
+  }));
+  const programs = programList.map(p => entity(`program:${p.program}`, 'program', p.program, p.program, p.program, p, {
+    basis: 'window'
+  }));
+
+  const rank = { pause: 0, alert: 1, ok: 2 };
+  const byStatus = list => ({
+    ok: list.filter(e => e.status === 'ok').length,
+    alert: list.filter(e => e.status === 'alert').length,
+    pause: list.filter(e => e.status === 'pause').length
+  });
+  const sortByStatus = list => list.sort((a, b) => (rank[a.status] - rank[b.status]) || (b.spend - a.spend));
+  const all = [...campaigns, ...programs];
+  const transitions = guardrailTransitions(previous.entities, all, now);
+
+  [...sortByStatus(programs), ...sortByStatus(campaigns)].forEach(e => {
+    if (!e.evaluated) return;
+    const cpl = e.cpl !== null ? `CPL $${e.cpl}` : `sin leads ($${e.spend})`;
+    console.log(`   ${e.status === 'pause' ? '🔴' : e.status === 'alert' ? '🟡' : '🟢'} ${e.type === 'program' ? 'Programa' : 'Campaña'} ${e.name}: ${cpl} (${e.status}${e.type === 'campaign' ? `, ${e.basis}` : ''})`);
+  });
+  transitions.forEach(t => console.log(`   ↪ ${t.name}: ${t.from} → ${t.to}`));
+  console.log(`   ✅ ${campaigns.length} campañas y ${programs.length} programas evaluados en ${windowDays} días, ${transitions.length} cambios de estado`);
+
+  const strip = ({ key, ...rest }) => rest;
+  return {
+    report: {
+      window_days: windowDays,
+      window_end: cutoff,
+      min_spend: options.min_spend,
+      summary: { campaigns: byStatus(campaigns), programs: byStatus(programs) },
+      programs: programs.map(strip),
+      campaigns: campaigns.map(strip),
+      transitions,
+      timestamp: now
+    },
+    state: {
+      updated_at: now,
+      window_days: windowDays,
+      entities: Object.fromEntries(all.map(e => [e.key, { status: e.status, since: e.since }])),
+      snapshots: updateSnapshots(previous.snapshots || {}, campaignList, cutoff, guardrailConfig.snapshot_limit ?? 60),
+      pending_notifications: []
+    },
+    transitions,
+    // Transitions of earlier runs whose webhook delivery failed go out again with this run's
+    outbox: [...(previous.pending_notifications || []), ...transitions].slice(-(guardrailConfig.log_limit ?? 500)),
+    logLimit: guardrailConfig.log_limit ?? 500
+  };
+}
+
+// ============================================================================
+// TREND PREDICTION
+// ============================================================================
+
+/**
+ * Per-keyword interest forecast and breakout signals from keywords[].timeline
+ */
+function runTrendPrediction(trendsData, predictorConfig = {}) {
+  console.log('\n📉 Prediciendo tendencias de búsqueda...');
+
+  const keywords = (trendsData?.keywords || []).filter(k => k.timeline?.length > 0);
+  if (keywords.length === 0) {
+    console.log('   ⚠️ Sin timeline de Google Trends, se omite la predicción');
+    return null;
+  }
+
+  const results = {};
+  const signals = [];
+  keywords.forEach(k => {
+    const result = predictTrend(k.timeline, predictorConfig);
+    if (!result) {
+      console.log(`   ${k.keyword}: serie muy corta (< ${predictorConfig.min_points ?? 28} puntos)`);
+      return;
+    }
+    results[k.keyword] = result;
+    if (result.signal) {
+      signals.push({ keyword: k.keyword, ...result.signal });
+      const icon = result.signal.type === 'breakout' ? '🚀' : '🔻';
+      console.log(`   ${icon} ${k.keyword}: ${result.signal.type} desde ${result.signal.change_date} (${result.signal.lift_pct > 0 ? '+' : ''}${result.signal.lift_pct}%, ${result.signal.p_value < 0.001 ? 'p<0.001' : `p=${result.signal.p_value}`})`);
+    }
+  });
+
+  console.log(`   ✅ ${Object.keys(results).length} keywords pronosticados, ${signals.length} señales`);
+
+  return {
+    horizon_weeks: predictorConfig.horizon_weeks ?? 4,
+    keywords: results,
+    signals,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ============================================================================
+// LEAD FORECAST
+// ============================================================================
+
+/**
+ * Per-pipeline daily series from deals.daily_by_pipeline, zero-filled over the
+ * full date range so pipelines without recent deals still forecast from today
+ */
+function pipelineSeries(hubspotData) {
+  const byDay = hubspotData?.deals?.daily_by_pipeline || {};
+  const days = Object.keys(hubspotData?.deals?.daily_deals || byDay).sort();
+  const series = {};
+
+  Object.values(byDay).forEach(counts => {
+    Object.keys(counts).forEach(pipeline => { series[pipeline] = {}; });
+  });
+  Object.keys(series).forEach(pipeline => {
+    days.forEach(day => { series[pipeline][day] = byDay[day]?.[pipeline] || 0; });
+  });
+  return series;
+}
+
+/**
+ * Weekly lead forecast (total deals, contacts and every pipeline), 4-8 weeks ahead
+ */
+function runLeadForecast(hubspotData, forecastConfig = {}, calendar = []) {
+  console.log('\n🔮 Pronosticando volumen de leads...');
+
+  if (!hubspotData?.deals?.daily_deals) {
+    console.log('   ⚠️ Sin series diarias de HubSpot, se omite el pronóstico');
+    return null;
+  }
+
+  const options = {
+    horizon: forecastConfig.horizon_weeks ?? 8,
+    calendar,
+    min_weeks: forecastConfig.min_weeks ?? 26,
+    profile_weeks: forecastConfig.profile_weeks ?? 12,
+    history_weeks: forecastConfig.history_weeks ?? 26,
+    ridge: forecastConfig.calendar_ridge ?? 0.5
+  };
+  const backtestWeeks = forecastConfig.backtest_weeks ?? 4;
+
+  const run = (label, daily) => {
+    const result = forecastLeads(daily, options);
+    if (!result) {
+      console.log(`   ${label}: historial insuficiente (< ${options.min_weeks} semanas)`);
+      return null;
+    }
+    result.backtest = backtestLeads(daily, options, backtestWeeks);
+    const next = result.forecast[0];
+    console.log(`   ${label}: ${next.forecast} la semana del ${next.week_start} (80%: ${next.lower_80}-${next.upper_80}, backtest MAPE ${result.backtest?.mape != null ? `${result.backtest.mape}%` : 'N/A'})`);
+    return result;
+  };
+
+  const pipelines = {};
+  Object.entries(pipelineSeries(hubspotData)).forEach(([pipeline, daily]) => {
+    const result = run(pipeline, daily);
+    if (result) pipelines[pipeline] = result;
+  });
+
+  return {
+    horizon_weeks: Math.min(8, Math.max(4, options.horizon)),
+    last_observation_date: Object.keys(hubspotData.deals.daily_deals).sort().pop(),
+    calendar,
+    total: run('Total deals', hubspotData.deals.daily_deals),
+    contacts: hubspotData.contacts?.daily_creation ? run('Contactos', hubspotData.contacts.daily_creation) : null,
+    pipelines,
     timestamp: new Date().toISOString()
   };
 }
 
+// ============================================================================
+// LEAD QUALITY
+// ============================================================================
+
+/**
+ * Score distribution per group; groups under minGroupSize contacts are
+ * folded into "Otros" so no published bucket describes a handful of people
+ */
+function summarizeGroups(scored, groupOf, baseRate, qualityConfig) {
+  const minGroupSize = qualityConfig.min_group_size ?? 10;
+  const groups = {};
+  scored.forEach(item => {
+    const group = groupOf(item);
+    (groups[group] = groups[group] || []).push(item);
+  });
+
+  const summary = {};
+  const small = [];
+  Object.entries(groups)
+    .sort((a, b) => b[1].length - a[1].length)
+    .forEach(([group, items]) => {
+      if (items.length < minGroupSize) small.push(...items);
+      else summary[group] = summarizeScores(items, baseRate, qualityConfig);
+    });
+  if (small.length >= minGroupSize) summary.Otros = summarizeScores(small, baseRate, qualityConfig);
+  return summary;
+}
+
+/**
+ * Lead quality model: trained on the HubSpot contact rows of the last full
+ * run; between full runs the previous model output is carried over.
+ * Only aggregates are returned (no contact-level data). The model is only
+ * published when its cross-validated log-loss beats the base rate and its
+ * AUC reaches min_auc; otherwise { status: 'insufficient_signal', reason, metrics }.
+ */
+async function runLeadQuality(qualityConfig = {}) {
+  console.log('\n🎯 Entrenando modelo de calidad de leads...');
+
+  let features;
+  try {
+    features = JSON.parse(await fs.readFile(LEAD_FEATURES_PATH, 'utf-8'));
+  } catch {
+    try {
+      const previous = JSON.parse(await fs.readFile(path.join(ML_OUTPUT_DIR, 'predictions.json'), 'utf-8'));
+      if (previous.lead_quality) {
+        console.log(`   ⚠️ Sin features de contactos (solo en runs full), se mantiene el modelo del ${previous.lead_quality.trained_at?.slice(0, 10)}`);
+        return previous.lead_quality;
+      }
+    } catch {
+      // No previous predictions either
+    }
+    console.log('   ⚠️ Sin features de contactos, se omite el modelo');
+    return null;
+  }
+
+  const rows = features.rows || [];
+  const options = {
+    numeric: qualityConfig.features?.numeric,
+    categorical: qualityConfig.features?.categorical,
+    min_age_days: qualityConfig.min_age_days,
+    min_level_count: qualityConfig.min_level_count,
+    l2: qualityConfig.l2,
+    folds: qualityConfig.folds,
+    min_positives: qualityConfig.min_positives
+  };
+  Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+
+  const model = trainLeadQuality(rows, options);
+  if (!model) {
+    console.log(`   ⚠️ Pocos contactos resueltos (ganados/perdidos) en ${rows.length} filas, se omite el modelo`);
+    return null;
+  }
+
+  const scored = rows.map(row => ({
+    source: row.source,
+    pipeline: row.pipeline || 'Sin deal',
+    probability: model.predict(row),
+    label: leadLabel(row, model.min_age_days)
+  }));
+  const baseRate = model.training.base_rate;
+  const highLift = qualityConfig.high_lift ?? 2;
+  const lowLift = qualityConfig.low_lift ?? 0.5;
+
+  const evaluation = model.evaluation;
+  const minAuc = qualityConfig.min_auc ?? 0.6;
+  console.log(`   Contactos: ${rows.length} (${model.training.resolved} resueltos, ${model.training.positives} ganados, tasa base ${(baseRate * 100).toFixed(1)}%)`);
+  if (evaluation) {
+    console.log(`   CV ${evaluation.folds}-fold: AUC ${evaluation.auc}, log-loss ${evaluation.log_loss} (base ${evaluation.baseline_log_loss})`);
+  }
+
+  let reason = null;
+  if (!evaluation) {
+    reason = 'sin validación cruzada (pocos contactos por clase)';
+  } else if (evaluation.log_loss >= evaluation.baseline_log_loss) {
+    reason = `log-loss ${evaluation.log_loss} no mejora la tasa base (${evaluation.baseline_log_loss})`;
+  } else if (evaluation.auc === null || evaluation.auc < minAuc) {
+    reason = `AUC ${evaluation.auc} < ${minAuc}`;
+  }
+
+  if (reason) {
+    console.log(`   ⚠️ Modelo no publicado: ${reason}`);
+    return {
+      status: 'insufficient_signal',
+      reason,
+      metrics: { ...evaluation, min_auc: minAuc },
+      trained_at: new Date().toISOString(),
+      features_generated_at: features.generated_at,
+      training: model.training,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  model.importance.slice(0, 3).forEach(f => {
+    console.log(`   ${f.feature}: ${(f.importance * 100).toFixed(0)}% de importancia`);
+  });
+
+  return {
+    status: 'ok',
+    trained_at: new Date().toISOString(),
+    features_generated_at: features.generated_at,
+    model: {
+      type: 'logistic_regression',
+      ...model.features,
+      l2: model.l2,
+      min_age_days: model.min_age_days,
+      intercept: model.intercept,
+      iterations: model.iterations
+    },
+    training: model.training,
+    evaluation,
+    feature_importance: model.importance,
+    tiers: {
+      high_lift: highLift,
+      low_lift: lowLift,
+      alta_min_probability: Math.round(highLift * baseRate * 10000) / 10000,
+      baja_max_probability: Math.round(lowLift * baseRate * 10000) / 10000
+    },
+    distribution: {
+      overall: summarizeScores(scored, baseRate, qualityConfig),
+      by_source: summarizeGroups(scored, item => item.source, baseRate, qualityConfig),
+      by_pipeline: summarizeGroups(scored, item => item.pipeline, baseRate, qualityConfig)
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ============================================================================
+// ANOMALY DETECTION
+// ============================================================================
+
+/**
+ * Daily series to scan: { id, source, metric, label, segment, unit, daily, options }
+ * HubSpot and GA4 are cut at their export day (partial); HubSpot campaign
+ * spend also holds scheduled future days, dropped by the same cutoff
+ */
+function anomalySeries(hubspotData, ga4Data) {
+  const series = [];
+  const exportDay = source => (source?.timestamp ? source.timestamp.slice(0, 10) : null);
+
+  if (hubspotData) {
+    const cutoff = exportDay(hubspotData);
+    const add = (id, metric, label, daily, extra = {}) => {
+      if (daily && Object.keys(daily).length) series.push({ id, source: 'HubSpot', metric, label, daily, options: { cutoff }, ...extra });
+    };
+    add('hubspot_contacts', 'contacts', 'contactos nuevos (HubSpot)', hubspotData.contacts?.daily_creation);
+    add('hubspot_deals', 'deals', 'deals nuevos (HubSpot)', hubspotData.deals?.daily_deals);
+    Object.entries(pipelineSeries(hubspotData)).forEach(([pipeline, daily]) => {
+      add(`hubspot_deals_${slug(pipeline)}`, 'deals', `deals de ${pipeline}`, daily, { segment: pipeline });
+    });
+    add('hubspot_spend', 'spend', 'inversión diaria en campañas', hubspotData.campaigns?.daily_spend, {
+      unit: 'USD',
+      options: { cutoff, count: false }
+    });
+  }
+
+  if (ga4Data) {
+    const cutoff = exportDay(ga4Data);
+    const days = Object.keys(ga4Data.daily || {}).sort();
+    const labels = { sessions: 'sesiones', users: 'usuarios', conversions: 'conversiones' };
+    ['sessions', 'users', 'conversions'].forEach(metric => {
+      const daily = Object.fromEntries(days.map(day => [day, ga4Data.daily[day]?.[metric]]));
+      series.push({ id: `ga4_${metric}`, source: 'GA4', metric, label: `${labels[metric]} del sitio (GA4)`, daily, options: { cutoff, zero_fill: false } });
+    });
+
+    // A channel missing on a day had no traffic that day
+    const byChannel = ga4Data.dailyByChannel || {};
+    const channelDays = Object.keys(byChannel).sort();
+    const channels = [...new Set(Object.values(byChannel).flatMap(groups => Object.keys(groups || {})))];
+    channels.forEach(channel => {
+      ['sessions', 'conversions'].forEach(metric => {
+        const daily = Object.fromEntries(channelDays.map(day => [day, byChannel[day]?.[channel]?.[metric] || 0]));
+        series.push({
+          id: `ga4_${metric}_${slug(channel)}`,
+          source: 'GA4',
+          metric,
+          label: `${labels[metric]} de ${channel} (GA4)`,
+          segment: channel,
+          daily,
+          options: { cutoff }
+        });
+      });
+    });
+  }
+
+  return series;
+}
+
+// Series id suffix: "Postgrado Maestrías" → postgrado_maestrias
+function slug(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Robust z-scores over every daily series → one alert per anomalous series
+ */
+function runAnomalyDetection(hubspotData, ga4Data, detectorConfig = {}) {
+  console.log('\n🚨 Buscando anomalías en las series diarias...');
+
+  const { type, version, description, ...options } = detectorConfig;
+  const series = anomalySeries(hubspotData, ga4Data);
+  if (series.length === 0) {
+    console.log('   ⚠️ Sin series diarias de HubSpot ni GA4, se omite la detección');
+    return null;
+  }
+
+  let checked = 0;
+  let anomalousDays = 0;
+  const alerts = [];
+  series.forEach(s => {
+    const detection = detectAnomalies(s.daily, { ...options, ...s.options });
+    if (!detection) return;
+    checked++;
+    anomalousDays += detection.anomalies.length;
+    const alert = buildAlert(s, detection);
+    if (alert) alerts.push(alert);
+  });
+
+  const sorted = sortAlerts(alerts);
+  const bySeverity = { high: 0, medium: 0, low: 0 };
+  sorted.forEach(a => { bySeverity[a.severity]++; });
+
+  console.log(`   ✅ ${checked}/${series.length} series evaluadas, ${sorted.length} con anomalías (${bySeverity.high} altas, ${bySeverity.medium} medias, ${bySeverity.low} bajas)`);
+  sorted.slice(0, 3).forEach((a, idx) => {
+    console.log(`   ${idx + 1}. [${a.severity.toUpperCase()}] ${a.title}: ${a.message}`);
+  });
+
+  return {
+    method: {
+      type: 'robust_zscore',
+      check_days: options.check_days ?? 7,
+      baseline_weeks: options.baseline_weeks ?? 8,
+      threshold: options.threshold ?? 3
+    },
+    summary: {
+      series_total: series.length,
+      series_checked: checked,
+      series_with_anomalies: sorted.length,
+      anomalous_days: anomalousDays,
+      by_severity: bySeverity
+    },
+    alerts: sorted
+  };
+}
+
 // ============================================================================
 // INSIGHT GENERATION
 // ============================================================================
 
-function generateInsights(data, sentimentResults, scores, budgetResults) {
+function generateInsights(data, sentimentResults, scores, budgetResults, trendForecast) {
   console.log('\n💡 Generando insights...');
 
   const generator = new InsightGenerator();
@@ -356,9 +1492,11 @@ function generateInsights(data, sentimentResults, scores, budgetResults) {
   // Prepare data for generator
   const enrichedData = {
     ...data,
+    trend_forecast: trendForecast,
     budget: {
       current: budgetResults.current,
-      total: 23000
+      total: budgetResults.total_budget,
+      recommendations: budgetResults.recommendations
     }
   };
 
@@ -407,12 +1545,27 @@ async function saveResults(results) {
     generated_at: new Date().toISOString(),
     model_versions: {
       sentiment_analyzer: '1.0.0',
-      budget_optimizer: '1.0.0',
+      sentiment_lexicon: LEXICON.version,
+      sentiment_classifier: results.sentiment?.model?.type === 'naive_bayes' ? results.sentiment.model.version : null,
+      aspect_sentiment: '1.0.0',
+      budget_optimizer: '2.0.0',
+      score_weights: '1.0.0',
+      lead_forecaster: '1.0.0',
+      trend_predictor: '1.0.0',
+      lead_quality: '1.0.0',
+      attribution: '1.0.0',
+      anomaly_detector: '1.0.0',
+      cpl_guardrails: '1.0.0',
       insight_generator: '1.0.0'
     },
     sentiment_analysis: results.sentiment,
     scores: results.scores,
-    budget_optimization: results.budget
+    attribution: results.attribution,
+    budget_optimization: results.budget,
+    cpl_guardrails: results.guardrails?.report || null,
+    lead_forecast: results.forecast,
+    trend_forecast: results.trendForecast,
+    lead_quality: results.leadQuality
   }, null, 2));
   console.log(`   📁 ${predictionsPath}`);
 
@@ -425,16 +1578,33 @@ async function saveResults(results) {
   }, null, 2));
   console.log(`   📁 ${insightsPath}`);
 
+  // Save anomaly alerts
+  if (results.anomalies) {
+    const alertsPath = path.join(ML_OUTPUT_DIR, 'alerts.json');
+    await fs.writeFile(alertsPath, JSON.stringify({
+      generated_at: new Date().toISOString(),
+      ...results.anomalies
+    }, null, 2));
+    console.log(`   📁 ${alertsPath}`);
+  }
+
   // Save scores
   const scoresPath = path.join(ML_OUTPUT_DIR, 'scores.json');
   await fs.writeFile(scoresPath, JSON.stringify(results.scores, null, 2));
   console.log(`   📁 ${scoresPath}`);
 
+  // Append the run to the score time series
+  if (results.scoreRun) {
+    const scoreHistoryPath = await saveScoreHistory(ML_OUTPUT_DIR, results.scoreRun);
+    console.log(`   📁 ${scoreHistoryPath}`);
+  }
+
   // Save recommendations
   const recommendationsPath = path.join(ML_OUTPUT_DIR, 'recommendations.json');
   await fs.writeFile(recommendationsPath, JSON.stringify({
     generated_at: new Date().toISOString(),
     budget: results.budget.recommendations,
+    programs: results.budget.programs,
     actions: results.insights
       .filter(i => i.action)
       .map(i => ({
@@ -444,6 +1614,31 @@ async function saveResults(results) {
       }))
   }, null, 2));
   console.log(`   📁 ${recommendationsPath}`);
+
+  // Save optimizer posterior + history log
+  if (results.optimizerState) {
+    const { statePath, historyPath } = await saveOptimizerState(
+      ML_OUTPUT_DIR,
+      results.optimizerState.state,
+      results.optimizerState.run,
+      results.optimizerState.historyLimit
+    );
+    console.log(`   📁 ${statePath}`);
+    console.log(`   📁 ${historyPath}`);
+  }
+
+  // Save guardrail status + audit log of transitions
+  if (results.guardrails) {
+    const { statePath, logPath } = await saveGuardrailState(
+      ML_OUTPUT_DIR,
+      results.guardrails.state,
+      results.guardrails.transitions,
+      results.guardrails.logLimit,
+      results.guardrails.delivery
+    );
+    console.log(`   📁 ${statePath}`);
+    console.log(`   📁 ${logPath}`);
+  }
 }
 
 // ============================================================================
@@ -457,28 +1652,116 @@ async function runPipeline() {
 
   try {
     // 1. Load data
+    const modelConfig = await loadModelConfig();
+    const optimizerConfig = modelConfig.models?.budget_optimizer || {};
+    // Channels, allocation and budget come from the client config (validated up front)
+    const clientConfig = await loadClientConfig(CLIENT);
+    const budgetConfig = resolveBudgetConfig(clientConfig, optimizerConfig);
     const data = await loadAllData();
 
     // 2. Run sentiment analysis
-    const sentimentResults = runSentimentAnalysis(data.meta);
+    const sentimentConfig = modelConfig.models?.sentiment_analyzer || {};
+    const sentimentModel = await loadSentimentAnalyzer(sentimentConfig);
+    const sentimentResults = runSentimentAnalysis(data.meta, sentimentConfig, sentimentModel);
+    sentimentResults.aspects = runAspectSentiment(
+      data.meta, clientConfig, modelConfig.models?.aspect_sentiment || {}, sentimentModel.analyzer
+    );
 
     // 3. Calculate ML-enhanced scores
-    const scores = calculateMLScores(data, sentimentResults);
-
-    // 4. Run budget optimization (with HubSpot data if available)
-    const budgetResults = runBudgetOptimization(null, data.hubspot);
-
-    // 5. Generate insights
-    const insights = generateInsights(data, sentimentResults, scores, budgetResults);
+    const scoreHistory = await loadScoreHistory(ML_OUTPUT_DIR);
+    const weighting = resolveScoreWeights(
+      modelConfig.weights || EQUAL_SCORE_WEIGHTS,
+      modelConfig.models?.score_weights || {},
+      scoreHistory,
+      data.hubspot
+    );
+    const scores = calculateMLScores(data, sentimentResults, weighting);
+    const { entry: scoreRun, ...scoreTrend } = runScoreHistory(scores, scoreHistory);
+    Object.assign(scores, scoreTrend);
+
+    // 4. Multi-touch attribution (the optimizer learns from the attributed deals)
+    const attribution = runAttribution(
+      data.hubspot,
+      data.ga4Live,
+      modelConfig.models?.attribution || {},
+      optimizerConfig.observation_source || 'markov'
+    );
+
+    // 5. Run budget optimization (continues from the persisted posterior)
+    const { results: budgetResults, ...optimizerState } = await runBudgetOptimization(
+      data.hubspot,
+      optimizerConfig,
+      budgetConfig,
+      attribution.sourceByPipeline
+    );
+
+    // 6. Check rolling CPL per campaign and program against the HubSpot thresholds
+    const guardrails = await runCplGuardrails(
+      data.hubspot,
+      attribution.sourceByPipeline,
+      modelConfig.models?.cpl_guardrails || {},
+      optimizerConfig,
+      budgetConfig
+    );
+
+    // 7. Forecast lead volume per pipeline
+    const forecast = runLeadForecast(
+      data.hubspot,
+      modelConfig.models?.lead_forecaster || {},
+      clientConfig.admission_calendar || []
+    );
+
+    // 8. Forecast search interest and flag breakouts
+    const trendForecast = runTrendPrediction(data.trends, modelConfig.models?.trend_predictor || {});
+
+    // 9. Score contacts by probability of a closed-won deal
+    const leadQuality = await runLeadQuality(modelConfig.models?.lead_quality || {});
+
+    // 10. Flag anomalous days in the HubSpot and GA4 daily series
+    const anomalies = runAnomalyDetection(data.hubspot, data.ga4Live, modelConfig.models?.anomaly_detector || {});
+
+    // 11. Generate insights
+    const insights = generateInsights(data, sentimentResults, scores, budgetResults, trendForecast);
+
+    // 12. Notify guardrail transitions before saving: undelivered ones stay in the state for the next run
+    if (guardrails) {
+      const delivery = await notifyGuardrailTransitions(guardrails.outbox, {
+        enabled: HUBSPOT_CONFIG.alerts?.webhook,
+        url: process.env.CPL_WEBHOOK_URL,
+        client: CLIENT
+      });
+      const retried = guardrails.outbox.length - guardrails.transitions.length;
+      guardrails.delivery = delivery;
+      guardrails.state.pending_notifications = delivery.retry ? guardrails.outbox : [];
+      guardrails.report.delivery = {
+        sent: delivery.sent,
+        reason: delivery.reason || null,
+        transitions: guardrails.outbox.length,
+        retried,
+        pending: guardrails.state.pending_notifications.length
+      };
+      console.log(delivery.sent
+        ? `\n📣 Webhook CPL: ${guardrails.outbox.length} transiciones enviadas${retried > 0 ? ` (${retried} reintentadas)` : ''}`
+        : `\n📣 Webhook CPL no enviado: ${delivery.reason}${delivery.retry ? `, ${guardrails.outbox.length} pendientes para el próximo run` : ''}`);
+    }
 
-    // 6. Save all results
+    // 13. Save all results
     await saveResults({
       sentiment: sentimentResults,
       scores,
+      scoreRun,
+      attribution: attribution.report,
       budget: budgetResults,
+      forecast,
+      trendForecast,
+      leadQuality,
+      anomalies,
+      guardrails,
+      optimizerState,
       insights
     });
 
+
     console.log('\n✅ Pipeline completado exitosamente');
     console.log('================================');
 
@@ -487,6 +1770,7 @@ async function runPipeline() {
     console.log(`   Overall Score: ${scores.overall.toFixed(1)}/10`);
     console.log(`   Sentimiento: ${sentimentResults.overall?.category || 'N/A'}`);
     console.log(`   Insights: ${insights.length} generados`);
+    console.log(`   Alertas: ${anomalies?.alerts.length ?? 0}`);
     console.log(`   Top Insight: ${insights[0]?.title || 'N/A'}`);
 
     process.exit(0);
@@ -0,0 +1,340 @@
+/**
+ * Sentiment Analyzer - Spanish Language
+ *
+ * Rule-based sentiment analysis for Spanish text.
+ * Used for social listening data from Meta/Facebook, both in the Apify actor
+ * and in the ML pipeline. Word lists live in lexicon.js (versioned), labels
+ * in labels.js.
+ *
+ * Trainable alternative: NaiveBayesSentiment (ml/models/sentiment_classifier.js),
+ * selected with models.sentiment_analyzer.type in ml/config/model_config.json.
+ */
+
+import { LEXICON } from './lexicon.js';
+import { categorize } from './labels.js';
+
+// A text with a single lexicon term moves the score by this much per unit of
+// its weight (up to the full score): 'difícil' stays mild, 'pésimo' is clear
+const SINGLE_TERM_STRENGTH = 0.3;
+
+class SentimentAnalyzer {
+  /**
+   * Lexicon keys go through the same preprocess/tokenize as the analyzed
+   * text, so 'pésimo' and 'pesimo' match the same entry and phrases match
+   * token sequences.
+   *
+   * @param {Object} [config]
+   * @param {Object} [config.lexicon=LEXICON] - { version, positive, negative, colloquial, emoji, neutral, negation, intensifiers }
+   * @param {Object} [config.customPositive] - Extra positive words or phrases { term: weight }
+   * @param {Object} [config.customNegative] - Extra negative words or phrases { term: weight }
+   */
+  constructor(config = {}) {
+    const lexicon = config.lexicon || LEXICON;
+    this.lexiconVersion = lexicon.version;
+    this.positiveWords = this.normalizeLexicon(
+      lexicon.positive, lexicon.colloquial?.positive, lexicon.emoji?.positive, config.customPositive
+    );
+    this.negativeWords = this.normalizeLexicon(
+      lexicon.negative, lexicon.colloquial?.negative, lexicon.emoji?.negative, config.customNegative
+    );
+    this.negationWords = Object.keys(this.normalizeLexicon(Object.fromEntries(lexicon.negation.map(w => [w, 1]))));
+    this.intensifiers = this.normalizeLexicon(lexicon.intensifiers);
+    this.neutralPhrases = this.normalizeLexicon(Object.fromEntries((lexicon.neutral || []).map(p => [p, 1])));
+    this.maxPhraseLength = Math.max(
+      1,
+      ...[...Object.keys(this.positiveWords), ...Object.keys(this.negativeWords), ...Object.keys(this.neutralPhrases)]
+        .map(k => k.split(' ').length)
+    );
+  }
+
+  /**
+   * Merge { term: weight } maps under normalized keys; on collision the
+   * larger weight wins
+   */
+  normalizeLexicon(...maps) {
+    const normalized = {};
+    maps.filter(Boolean).forEach(map => Object.entries(map).forEach(([term, weight]) => {
+      const key = this.tokenize(this.preprocess(term)).join(' ');
+      if (key && !(normalized[key] >= weight)) normalized[key] = weight;
+    }));
+    return normalized;
+  }
+
+  /**
+   * Forms of a word to look up: as written, singular ('excelentes',
+   * 'difíciles') and masculine ('pésima') — the lexicon lists base forms
+   */
+  wordForms(word) {
+    if (word.length < 4) return [word];
+    const singulars = [word];
+    if (word.endsWith('es')) singulars.push(word.slice(0, -2));
+    if (word.endsWith('s')) singulars.push(word.slice(0, -1));
+    return singulars.flatMap(w => (w.endsWith('a') ? [w, `${w.slice(0, -1)}o`] : [w]));
+  }
+
+  /**
+   * Longest lexicon entry (phrase or single token) starting at tokens[start];
+   * the last word may be inflected (see wordForms)
+   * @returns {{ term: string, length: number, type: 'positive'|'negative'|'neutral', weight: number }|null}
+   */
+  matchTerm(tokens, start) {
+    const longest = Math.min(this.maxPhraseLength, tokens.length - start);
+    for (let length = longest; length >= 1; length--) {
+      const head = tokens.slice(start, start + length - 1);
+      for (const form of this.wordForms(tokens[start + length - 1])) {
+        const term = [...head, form].join(' ');
+        if (this.neutralPhrases[term]) return { term, length, type: 'neutral', weight: 0 };
+        if (this.positiveWords[term]) return { term, length, type: 'positive', weight: this.positiveWords[term] };
+        if (this.negativeWords[term]) return { term, length, type: 'negative', weight: this.negativeWords[term] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Analyze sentiment of a text
+   * @param {string} text - Text to analyze
+   * @returns {Object} Sentiment analysis result
+   */
+  analyze(text) {
+    if (!text || typeof text !== 'string') {
+      return this.createResult(0.5, 'neutral', 0, 0);
+    }
+
+    const cleanText = this.preprocess(text);
+    const tokens = this.tokenize(cleanText);
+
+    let positiveScore = 0;
+    let negativeScore = 0;
+    let positiveCount = 0;
+    let negativeCount = 0;
+    let isNegated = false;
+    let intensifier = 1;
+    let negatedAt = -1;
+    // Matched lexicon terms with the polarity they ended up counting for (after negation)
+    const terms = [];
+
+    for (let i = 0; i < tokens.length;) {
+      // Phrases first, so "no recomiendo" is one negative term, not a negation
+      const match = this.matchTerm(tokens, i);
+
+      if (match?.type === 'neutral') {
+        i += match.length;
+        continue;
+      }
+
+      if (match) {
+        const weight = match.weight * intensifier;
+        // Emoji carry their own polarity: "sin sistema 😡" stays negative
+        if (/\p{Extended_Pictographic}/u.test(match.term)) isNegated = false;
+        if (match.type === 'positive') {
+          if (isNegated) {
+            negativeScore += weight;
+            negativeCount++;
+          } else {
+            positiveScore += weight;
+            positiveCount++;
+          }
+          terms.push({ term: isNegated ? `no ${match.term}` : match.term, type: isNegated ? 'negative' : 'positive', weight });
+        } else {
+          if (isNegated) {
+            positiveScore += weight * 0.5; // Negated negative = weak positive
+            positiveCount++;
+          } else {
+            negativeScore += weight;
+            negativeCount++;
+          }
+          terms.push({ term: isNegated ? `no ${match.term}` : match.term, type: isNegated ? 'positive' : 'negative', weight: isNegated ? weight * 0.5 : weight });
+        }
+        isNegated = false;
+        intensifier = 1;
+        i += match.length;
+        continue;
+      }
+
+      const token = tokens[i];
+
+      // Check for negation
+      if (this.negationWords.includes(token)) {
+        isNegated = true;
+        negatedAt = i;
+      } else if (this.intensifiers[token]) {
+        // Check for intensifier
+        intensifier = this.intensifiers[token];
+      } else if (isNegated && i - negatedAt >= 3) {
+        // Negation only reaches the next 3 words
+        isNegated = false;
+      }
+      i++;
+    }
+
+    // Calculate normalized score (0-1); no sentiment words means neutral
+    const totalScore = positiveScore + negativeScore;
+    const normalizedScore = totalScore > 0 ? positiveScore / totalScore : 0.5;
+
+    // A single term is weaker evidence: damp it by its weight
+    const confidenceAdjustment = terms.length === 1 ? Math.min(1, terms[0].weight * SINGLE_TERM_STRENGTH) : 1;
+    const adjustedScore = 0.5 + (normalizedScore - 0.5) * confidenceAdjustment;
+
+    return {
+      ...this.createResult(
+        adjustedScore,
+        this.categorize(adjustedScore),
+        positiveCount,
+        negativeCount
+      ),
+      terms
+    };
+  }
+
+  /**
+   * Analyze multiple texts and aggregate results
+   *
+   * confidence reflects how well the sample pins down the mean score:
+   * 1 - (95% margin of error / 0.25), scaled down when the sample is smaller
+   * than minSampleSize. polarizing_terms are the lexicon terms that moved the
+   * most sentiment across the sample (occurrences × weight), per polarity.
+   *
+   * @param {string[]} texts - Array of texts
+   * @param {Object} [options]
+   * @param {number} [options.minSampleSize=10] - Sample size for full confidence
+   * @param {number} [options.topTerms=5] - Polarizing terms per polarity
+   * @returns {Object} Aggregated sentiment
+   */
+  analyzeMultiple(texts, options = {}) {
+    if (!texts || texts.length === 0) {
+      return { ...this.createResult(0.5, 'neutral', 0, 0), sample_size: 0, confidence: 0, lexicon_version: this.lexiconVersion };
+    }
+
+    const minSampleSize = options.minSampleSize ?? 10;
+    const results = texts.map(t => this.analyze(t));
+    const avgScore = results.reduce((sum, r) => sum + r.score, 0) / results.length;
+    const totalPositive = results.reduce((sum, r) => sum + r.positive_count, 0);
+    const totalNegative = results.reduce((sum, r) => sum + r.negative_count, 0);
+
+    const variance = results.length > 1
+      ? results.reduce((sum, r) => sum + (r.score - avgScore) ** 2, 0) / (results.length - 1)
+      : 0.25 ** 2; // a single text says little about the mean
+    const marginOfError = 1.96 * Math.sqrt(variance / results.length);
+    const confidence = Math.max(0, 1 - marginOfError / 0.25) * Math.min(1, results.length / minSampleSize);
+
+    return {
+      score: Math.round(avgScore * 100) / 100,
+      category: this.categorize(avgScore),
+      positive_count: totalPositive,
+      negative_count: totalNegative,
+      sample_size: texts.length,
+      confidence: Math.round(confidence * 100) / 100,
+      margin_of_error: Math.round(marginOfError * 100) / 100,
+      polarizing_terms: this.polarizingTerms(results, options.topTerms ?? 5),
+      lexicon_version: this.lexiconVersion,
+      distribution: {
+        muy_positivo: results.filter(r => r.category === 'muy_positivo').length,
+        positivo: results.filter(r => r.category === 'positivo').length,
+        neutral: results.filter(r => r.category === 'neutral').length,
+        negativo: results.filter(r => r.category === 'negativo').length,
+        muy_negativo: results.filter(r => r.category === 'muy_negativo').length
+      }
+    };
+  }
+
+  /**
+   * Top terms per polarity across analyze() results: { positive: [{ term, count, weight }], negative: [...] }
+   */
+  polarizingTerms(results, limit = 5) {
+    const totals = { positive: {}, negative: {} };
+    results.forEach(r => (r.terms || []).forEach(({ term, type, weight }) => {
+      const entry = totals[type][term] || { term, count: 0, weight: 0 };
+      entry.count++;
+      entry.weight += weight;
+      totals[type][term] = entry;
+    }));
+
+    const top = type => Object.values(totals[type])
+      .sort((a, b) => b.weight - a.weight || b.count - a.count)
+      .slice(0, limit)
+      .map(e => ({ ...e, weight: Math.round(e.weight * 100) / 100 }));
+    return { positive: top('positive'), negative: top('negative') };
+  }
+
+  /**
+   * Preprocess text for analysis: lowercase, accents removed (ñ kept),
+   * punctuation removed, emoji kept without skin tone or variation selectors
+   */
+  preprocess(text) {
+    return text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/n\u0303/g, 'ñ')                       // Keep ñ (año ≠ ano)
+      .replace(/[\u0300-\u036f]/g, '')                // Remove accents for matching
+      .replace(/[\u{1F3FB}-\u{1F3FF}\uFE0F\u200D]/gu, '') // Skin tones, variation selectors, ZWJ
+      .replace(/[^\p{L}\p{N}\p{Extended_Pictographic}\s]/gu, ' ') // Remove punctuation
+      .replace(/\s+/g, ' ')                            // Normalize whitespace
+      .trim();
+  }
+
+  /**
+   * Tokenize text into words and emoji (one token per emoji)
+   */
+  tokenize(text) {
+    return (text.match(/\p{Extended_Pictographic}|[\p{L}\p{N}]+/gu) || [])
+      .filter(t => t.length > 1 || /\p{Extended_Pictographic}/u.test(t));
+  }
+
+  /**
+   * Categorize sentiment score
+   */
+  categorize(score) {
+    return categorize(score);
+  }
+
+  /**
+   * Create result object
+   */
+  createResult(score, category, positiveCount, negativeCount) {
+    return {
+      score: Math.round(score * 100) / 100,
+      category,
+      positive_count: positiveCount,
+      negative_count: negativeCount,
+      confidence: this.calculateConfidence(positiveCount, negativeCount)
+    };
+  }
+
+  /**
+   * Calculate confidence based on word matches
+   */
+  calculateConfidence(positiveCount, negativeCount) {
+    const total = positiveCount + negativeCount;
+    if (total === 0) return 0.5;
+    if (total < 3) return 0.6;
+    if (total < 5) return 0.7;
+    if (total < 10) return 0.8;
+    return 0.9;
+  }
+
+  /**
+   * Get top sentiment words found in text
+   */
+  getTopWords(text, limit = 5) {
+    const tokens = this.tokenize(this.preprocess(text || ''));
+    const found = [];
+
+    for (let i = 0; i < tokens.length;) {
+      const match = this.matchTerm(tokens, i);
+      if (match) {
+        found.push({ word: match.term, type: match.type, weight: match.weight });
+        i += match.length;
+      } else {
+        i++;
+      }
+    }
+
+    return found
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, limit);
+  }
+}
+
+export default SentimentAnalyzer;
+export { SentimentAnalyzer };
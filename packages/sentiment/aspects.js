@@ -0,0 +1,179 @@
+/**
+ * Aspect-based sentiment
+ *
+ * Splits texts into sentences (and clauses around "pero" / "aunque"),
+ * assigns each one to the aspects whose keywords it mentions, and scores
+ * it with SentimentAnalyzer. Results are aggregated per aspect and per
+ * brand mentioned (e.g. social_listening_topics[].brands).
+ *
+ * Keywords go through the analyzer's preprocess/tokenize, so accents don't
+ * matter; multi-word keywords match as phrases and a trailing '*' matches
+ * by prefix ('profesor*' → profesor, profesores, profesora).
+ */
+
+import { SentimentAnalyzer } from './analyzer.js';
+
+// Admission-relevant aspects for universities
+export const DEFAULT_ASPECTS = [
+  {
+    id: 'precio',
+    name: 'Precio y pensiones',
+    keywords: ['pensión', 'pensiones', 'precio*', 'caro', 'cara', 'caros', 'barato*', 'costo*', 'cuota*',
+      'mensualidad*', 'pagar', 'pago*', 'escala*', 'boleta*']
+  },
+  {
+    id: 'admision',
+    name: 'Proceso de admisión',
+    keywords: ['admisión', 'postul*', 'examen*', 'inscrip*', 'vacante*', 'ingreso*', 'resultados',
+      'trámite*', 'matrícula*', 'matricul*', 'requisitos']
+  },
+  {
+    id: 'campus',
+    name: 'Campus e infraestructura',
+    keywords: ['campus', 'instalaciones', 'infraestructura', 'laboratorio*', 'biblioteca*', 'aula*',
+      'salón', 'salones', 'cafetería', 'comedor', 'sede*']
+  },
+  {
+    id: 'profesores',
+    name: 'Profesores y enseñanza',
+    keywords: ['profesor*', 'profe', 'profes', 'docente*', 'catedrático*', 'enseñanza', 'clase', 'clases']
+  },
+  {
+    id: 'becas',
+    name: 'Becas y financiamiento',
+    keywords: ['beca*', 'pronabec', 'descuento*', 'financiamiento', 'crédito educativo', 'media beca']
+  }
+];
+
+const CLAUSE_SPLIT = /[.!?¡¿;\n]+|\s(?:pero|aunque|sin embargo)\s/i;
+
+class AspectAnalyzer {
+  /**
+   * @param {Object} [config]
+   * @param {Object[]} [config.aspects=DEFAULT_ASPECTS] - [{ id, name, keywords }]
+   * @param {string[]} [config.brands=[]] - Brand names to aggregate by
+   * @param {SentimentAnalyzer} [config.analyzer]
+   */
+  constructor(config = {}) {
+    this.analyzer = config.analyzer || new SentimentAnalyzer();
+    this.aspects = (config.aspects || DEFAULT_ASPECTS).map(aspect => ({
+      id: aspect.id,
+      name: aspect.name || aspect.id,
+      keywords: aspect.keywords.map(k => this.compileKeyword(k)).filter(k => k.tokens.length > 0)
+    }));
+    this.brands = [...new Set(config.brands || [])]
+      .map(brand => ({ name: brand, ...this.compileKeyword(brand) }))
+      .filter(b => b.tokens.length > 0);
+  }
+
+  /**
+   * Normalized token sequence of a keyword; a trailing '*' makes its last token a prefix
+   */
+  compileKeyword(keyword) {
+    const prefix = keyword.trim().endsWith('*');
+    const tokens = this.analyzer.tokenize(this.analyzer.preprocess(keyword.replace(/\*$/, '')));
+    return { tokens, prefix };
+  }
+
+  /**
+   * Whether the token sequence contains the keyword
+   */
+  mentions(tokens, { tokens: keyword, prefix }) {
+    const last = keyword.length - 1;
+    for (let i = 0; i + last < tokens.length; i++) {
+      const matches = keyword.every((k, j) => (
+        prefix && j === last ? tokens[i + j].startsWith(k) : tokens[i + j] === k
+      ));
+      if (matches) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Sentences/clauses of a text, with the aspects and brands each mentions.
+   * A sentence without a brand inherits the text's brand when the text
+   * mentions exactly one.
+   */
+  splitSentences(text) {
+    const sentences = (text || '')
+      .split(CLAUSE_SPLIT)
+      .map(s => (s || '').trim())
+      .filter(s => s.length > 0)
+      .map(sentence => {
+        const tokens = this.analyzer.tokenize(this.analyzer.preprocess(sentence));
+        return {
+          text: sentence,
+          aspects: this.aspects.filter(a => a.keywords.some(k => this.mentions(tokens, k))).map(a => a.id),
+          brands: this.brands.filter(b => this.mentions(tokens, b)).map(b => b.name)
+        };
+      });
+
+    const textBrands = [...new Set(sentences.flatMap(s => s.brands))];
+    return sentences.map(s => ({
+      ...s,
+      brands: s.brands.length > 0 ? s.brands : (textBrands.length === 1 ? textBrands : [])
+    }));
+  }
+
+  /**
+   * Sentiment per aspect, overall and per brand
+   *
+   * @param {string[]} texts
+   * @param {Object} [options] - Passed to SentimentAnalyzer.analyzeMultiple
+   * @param {number} [options.minSampleSize=10]
+   * @param {number} [options.topTerms=5]
+   * @returns {Object} { aspects: { id: {...} }, by_brand: { brand: { sentences, aspects } }, sentences_analyzed, sentences_with_aspect }
+   */
+  analyzeTexts(texts, options = {}) {
+    const sentences = [...new Set((texts || []).filter(Boolean))].flatMap(t => this.splitSentences(t));
+    const withAspect = sentences.filter(s => s.aspects.length > 0);
+
+    const summarize = (items, detailed) => {
+      const analysis = this.analyzer.analyzeMultiple(items.map(s => s.text), options);
+      const summary = {
+        score: analysis.score,
+        category: analysis.category,
+        sample_size: analysis.sample_size,
+        confidence: analysis.confidence
+      };
+      if (!detailed) return summary;
+      return {
+        ...summary,
+        margin_of_error: analysis.margin_of_error,
+        distribution: analysis.distribution,
+        polarizing_terms: analysis.polarizing_terms
+      };
+    };
+
+    const aspects = {};
+    this.aspects.forEach(aspect => {
+      const items = withAspect.filter(s => s.aspects.includes(aspect.id));
+      aspects[aspect.id] = {
+        name: aspect.name,
+        ...(items.length > 0 ? summarize(items, true) : { score: null, category: null, sample_size: 0, confidence: 0 })
+      };
+    });
+
+    const byBrand = {};
+    this.brands.forEach(brand => {
+      const brandSentences = withAspect.filter(s => s.brands.includes(brand.name));
+      if (brandSentences.length === 0) return;
+      const brandAspects = {};
+      this.aspects.forEach(aspect => {
+        const items = brandSentences.filter(s => s.aspects.includes(aspect.id));
+        if (items.length > 0) brandAspects[aspect.id] = summarize(items, false);
+      });
+      byBrand[brand.name] = { sentences: brandSentences.length, aspects: brandAspects };
+    });
+
+    return {
+      aspects,
+      by_brand: byBrand,
+      sentences_analyzed: sentences.length,
+      sentences_with_aspect: withAspect.length
+    };
+  }
+}
+
+export default AspectAnalyzer;
+export { AspectAnalyzer };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Sentiment - Chequeo del corpus de regresión
+ *
+ * Corre el analizador sobre regression_corpus.json y compara la polaridad
+ * de la categoría (positivo/muy_positivo → positive, negativo/muy_negativo →
+ * negative, neutral) con la esperada, así un score amortiguado a la banda
+ * neutral también falla. Los aspect_cases pasan por AspectAnalyzer y comparan
+ * la categoría del aspecto (y la de la marca, si el caso trae brand), así una
+ * palabra clave de aspecto o marca que también esté en el léxico no inclina
+ * las preguntas neutrales. Sale con código 1 si algún caso falla.
+ *
+ * Uso: node check_corpus.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SentimentAnalyzer } from './analyzer.js';
+import { AspectAnalyzer } from './aspects.js';
+import { categorize } from './labels.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function polarity(score) {
+  const category = categorize(score);
+  if (category.endsWith('positivo')) return 'positive';
+  if (category.endsWith('negativo')) return 'negative';
+  return 'neutral';
+}
+
+async function main() {
+  const corpus = JSON.parse(await fs.readFile(path.join(__dirname, 'regression_corpus.json'), 'utf-8'));
+  const analyzer = new SentimentAnalyzer();
+
+  console.log(`\n🧪 Corpus de regresión - léxico ${analyzer.lexiconVersion}`);
+  console.log('='.repeat(50));
+
+  const failures = corpus.cases
+    .map(c => ({ ...c, result: analyzer.analyze(c.text) }))
+    .filter(c => polarity(c.result.score) !== c.expected);
+
+  failures.forEach(c => {
+    const terms = c.result.terms.map(t => t.term).join(', ') || 'sin términos';
+    console.log(`❌ [${c.covers}] "${c.text}"`);
+    console.log(`   esperado ${c.expected}, obtenido ${polarity(c.result.score)} (${c.result.score}; ${terms})`);
+  });
+
+  const aspectCases = corpus.aspect_cases || [];
+  const aspectAnalyzer = new AspectAnalyzer({ analyzer, brands: aspectCases.map(c => c.brand).filter(Boolean) });
+  const aspectFailures = aspectCases
+    .map(c => {
+      const result = aspectAnalyzer.analyzeTexts([c.text], { minSampleSize: 1 });
+      const aspect = result.aspects[c.aspect];
+      const brandAspect = c.brand ? result.by_brand[c.brand]?.aspects[c.aspect] : null;
+      const obtained = [
+        aspect?.score == null ? 'sin aspecto' : polarity(aspect.score),
+        ...(c.brand ? [brandAspect ? polarity(brandAspect.score) : 'sin marca'] : [])
+      ];
+      return { ...c, obtained, score: aspect?.score };
+    })
+    .filter(c => c.obtained.some(p => p !== c.expected));
+
+  aspectFailures.forEach(c => {
+    console.log(`❌ [${c.covers}] "${c.text}" → ${c.aspect}${c.brand ? ` / ${c.brand}` : ''}`);
+    console.log(`   esperado ${c.expected}, obtenido ${c.obtained.join(' / ')} (${c.score ?? '-'})`);
+  });
+
+  const total = corpus.cases.length + aspectCases.length;
+  const failed = failures.length + aspectFailures.length;
+  console.log(`\n${failed === 0 ? '✅' : '⚠️'} ${total - failed}/${total} casos OK (${aspectCases.length} por aspecto)`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
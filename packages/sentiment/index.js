@@ -0,0 +1,18 @@
+/**
+ * Shared Spanish sentiment package
+ *
+ * Used by the Apify actor (apify-actors/social-listening-meta), the Meta
+ * scraper, the ML pipeline and the dashboard (labels only).
+ */
+
+export { SentimentAnalyzer } from './analyzer.js';
+export { AspectAnalyzer, DEFAULT_ASPECTS } from './aspects.js';
+export { LEXICON } from './lexicon.js';
+export {
+  SENTIMENT_LABELS,
+  LABEL_NAMES,
+  LABEL_SCORES,
+  categorize,
+  normalizeLabel,
+  isPositive
+} from './labels.js';
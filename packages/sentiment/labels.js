@@ -0,0 +1,71 @@
+/**
+ * Sentiment label taxonomy
+ *
+ * The only labels the actor, the scrapers, the ML pipeline and the dashboard
+ * emit or expect. No Node-only imports: the frontend uses this module too.
+ */
+
+// Ordered from most positive to most negative
+export const SENTIMENT_LABELS = ['muy_positivo', 'positivo', 'neutral', 'negativo', 'muy_negativo'];
+
+// Display names (dashboard, logs)
+export const LABEL_NAMES = {
+  muy_positivo: 'Muy Positivo',
+  positivo: 'Positivo',
+  neutral: 'Neutral',
+  negativo: 'Negativo',
+  muy_negativo: 'Muy Negativo'
+};
+
+// Representative score (0-1) of each label: the middle of its categorize() band
+export const LABEL_SCORES = {
+  muy_positivo: 0.9,
+  positivo: 0.7,
+  neutral: 0.5,
+  negativo: 0.3,
+  muy_negativo: 0.1
+};
+
+// Labels written by earlier versions of the actor and scrapers
+const LEGACY_LABELS = {
+  'muy positivo': 'muy_positivo',
+  'very positive': 'muy_positivo',
+  'positive': 'positivo',
+  'negative': 'negativo',
+  'muy negativo': 'muy_negativo',
+  'very negative': 'muy_negativo'
+};
+
+/**
+ * Label for a 0-1 sentiment score
+ * @param {number} score
+ * @returns {string} One of SENTIMENT_LABELS
+ */
+export function categorize(score) {
+  if (score >= 0.75) return 'muy_positivo';
+  if (score >= 0.55) return 'positivo';
+  if (score >= 0.45) return 'neutral';
+  if (score >= 0.25) return 'negativo';
+  return 'muy_negativo';
+}
+
+/**
+ * Taxonomy label for any label this project has emitted ("Muy Positivo",
+ * "very positive", "muy_positivo"...), or null if unknown
+ * @param {string} label
+ * @returns {string|null}
+ */
+export function normalizeLabel(label) {
+  if (!label || typeof label !== 'string') return null;
+  const key = label.trim().toLowerCase();
+  if (SENTIMENT_LABELS.includes(key)) return key;
+  return LEGACY_LABELS[key.replace(/_/g, ' ')] || null;
+}
+
+/**
+ * Whether a label is positivo or muy_positivo (legacy labels accepted)
+ */
+export function isPositive(label) {
+  const normalized = normalizeLabel(label);
+  return normalized === 'muy_positivo' || normalized === 'positivo';
+}
@@ -0,0 +1,106 @@
+/**
+ * Spanish sentiment lexicon (versioned)
+ *
+ * Bump `version` on every change to the word lists or weights, and add a
+ * line to the changelog in README.md. The version travels with every result
+ * (actor output metadata and predictions.json) so scores from different
+ * lexicons are never compared silently.
+ *
+ * Keys are written as people write them (accents, ñ, emoji). Multi-word keys
+ * are phrases and win over their single words. Plural and feminine forms of a
+ * key's last word match without listing them ('pésimas' → 'pésimo'). After
+ * any change, run `node check_corpus.js` in this folder.
+ */
+
+export const LEXICON = {
+  version: '1.4.0',
+  language: 'es',
+
+  // Positive words with weights
+  positive: {
+    // Very positive (weight 2)
+    'excelente': 2, 'increíble': 2, 'extraordinario': 2, 'fantástico': 2,
+    'maravilloso': 2, 'perfecto': 2, 'excepcional': 2, 'brillante': 2,
+    'espectacular': 2, 'impresionante': 2,
+
+    // Positive (weight 1)
+    'bueno': 1, 'buena': 1, 'genial': 1, 'mejor': 1, 'feliz': 1, 'gracias': 1,
+    'recomiendo': 1, 'éxito': 1, 'orgullo': 1, 'orgulloso': 1, 'encanta': 1, 'amor': 1,
+    'amo': 1, 'hermoso': 1, 'hermosa': 1, 'interesante': 1, 'útil': 1, 'profesional': 1,
+    'calidad': 1, 'satisfecho': 1, 'contento': 1, 'agradecido': 1,
+    'logro': 1, 'avance': 1, 'progreso': 1, 'innovador': 1,
+    'felicidades': 1, 'bravo': 1, 'lindo': 1, 'linda': 1, 'bonito': 1, 'bonita': 1,
+
+    // Mild positive (weight 0.5)
+    'bien': 0.5, 'gran': 0.5, 'grande': 0.5,
+
+    // Education specific. Topic nouns (beca, carrera, ranking, futuro,
+    // oportunidad) are not listed: a question about them is not praise
+    'acreditada': 1.5, 'licenciada': 1.5, 'prestigio': 1.5,
+
+    // Phrases
+    'lo mejor': 1.5, 'me encanta': 1.5, 'vale la pena': 1, 'de lujo': 1.5,
+    'lo máximo': 2, 'la máxima': 2, 'súper recomendado': 2,
+    'me gusta': 1, 'me gustan': 1, 'me gustó': 1, 'me encantó': 1.5
+  },
+
+  // Negative words with weights
+  negative: {
+    // Very negative (weight 2)
+    'terrible': 2, 'horrible': 2, 'pésimo': 2, 'asqueroso': 2,
+    'desastroso': 2, 'estafa': 2, 'fraude': 2, 'robo': 2,
+
+    // Negative (weight 1)
+    'malo': 1, 'mala': 1, 'mal': 1, 'peor': 1, 'odio': 1, 'decepción': 1,
+    'decepcionado': 1, 'triste': 1, 'enojado': 1, 'frustrado': 1, 'problema': 1,
+    'queja': 1, 'reclamo': 1, 'falla': 1, 'error': 1, 'lento': 1, 'caro': 1, 'cara': 1, 'caros': 1, 'costoso': 1,
+    'difícil': 0.5, 'complicado': 0.5, 'confuso': 0.5,
+
+    // Education specific
+    'corrupto': 1.5, 'irregular': 1, 'desorganizado': 1, 'incumplimiento': 1.5,
+    'engaño': 1.5, 'daño': 1,
+
+    // Phrases
+    'no recomiendo': 1.5, 'no lo recomiendo': 1.5, 'no sirve': 1.5, 'no vale la pena': 1.5,
+    'mal servicio': 1.5, 'pérdida de tiempo': 1.5, 'de lo peor': 2, 'nunca más': 1.5,
+    'no me gusta': 1.5, 'no me gustan': 1.5, 'no me gustó': 1.5
+  },
+
+  // Set phrases with no sentiment that would otherwise match a word ("buenas tardes" → buena)
+  neutral: ['buenas tardes', 'buenas noches', 'buenos días'],
+
+  // Peruvian colloquial Spanish
+  colloquial: {
+    positive: {
+      'bacán': 1.5, 'chévere': 1.5, 'paja': 1.5, 'pajita': 1, 'mostro': 1.5,
+      'buenazo': 1.5, 'buenaza': 1.5, 'de la patada': 1.5, 'chambeador': 1,
+      'está con todo': 1.5, 'están con todo': 1.5
+    },
+    negative: {
+      'roche': 1, 'palta': 0.5, 'piña': 1, 'huachafo': 1, 'huachafa': 1, 'floro': 1,
+      'jodido': 1.5, 'misio': 0.5, 'ni a palos': 1.5
+    }
+  },
+
+  // Emoji (skin tones and variation selectors are ignored when matching)
+  emoji: {
+    positive: {
+      '😍': 2, '🥰': 2, '❤️': 1.5, '💙': 1.5, '😊': 1, '😀': 1, '😃': 1, '😄': 1, '😁': 1,
+      '🙌': 1, '👏': 1, '👍': 1, '🎉': 1, '🥳': 1, '💯': 1, '💪': 1, '🔥': 1, '🙏': 0.5
+    },
+    negative: {
+      '😡': 2, '🤬': 2, '🤮': 2, '😠': 1.5, '👎': 1.5, '💔': 1.5, '😤': 1,
+      '😞': 1, '😒': 1, '🙄': 1, '😢': 1, '😭': 0.5
+    }
+  },
+
+  // Negation words that flip the next sentiment word
+  negation: ['no', 'nunca', 'jamás', 'sin', 'nada', 'nadie', 'ni'],
+
+  // Intensifiers that amplify the next sentiment word
+  intensifiers: {
+    'muy': 1.5, 'super': 1.5, 'demasiado': 1.3, 'bastante': 1.2,
+    'realmente': 1.3, 'totalmente': 1.4, 'absolutamente': 1.5,
+    'recontra': 1.5, 'full': 1.3
+  }
+};
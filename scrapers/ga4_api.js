@@ -16,6 +16,8 @@
  * Uso:
  *   node ga4_api.js --client=ucsp --mode=full
  *   node ga4_api.js --client=ucsp --mode=incremental
+ *   node ga4_api.js --client=ucsp --record                          # graba respuestas de runReport
+ *   node ga4_api.js --client=ucsp --replay=fixtures/recordings  # sin credenciales
  *
  * Requiere:
  *   GA4_PROPERTY_ID en .env o variable de entorno
@@ -23,17 +25,13 @@
  *   GA4_CREDENTIALS_PATH apuntando al archivo JSON
  */
 
-import fs from 'fs/promises';
 import { readFileSync } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { config } from 'dotenv';
 import { BetaAnalyticsDataClient } from '@google-analytics/data';
+import { runConnector, isMain, createLogger, loadLatest, recordingDir, ROOT_DIR } from './lib/connector.js';
+import { FileReportClient, RecordingReportClient } from './lib/ga4_client.js';
 
-config();
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const log = createLogger('ga4');
 
 // ============================================================================
 // CONFIGURATION
@@ -47,67 +45,67 @@ function getCredentials() {
     try {
       return JSON.parse(process.env.GA4_CREDENTIALS_JSON);
     } catch (e) {
-      console.error('Error parsing GA4_CREDENTIALS_JSON:', e.message);
+      log.error('Error parsing GA4_CREDENTIALS_JSON:', e.message);
     }
   }
 
   // Option 2: File path (synchronous read)
   const credPath = process.env.GA4_CREDENTIALS_PATH ||
-                   path.join(__dirname, '../secrets/ga4-credentials.json');
+                   path.join(ROOT_DIR, 'secrets/ga4-credentials.json');
 
   try {
     const content = readFileSync(credPath, 'utf-8');
     return JSON.parse(content);
   } catch (e) {
-    console.error(`Error reading credentials file: ${credPath}`);
-    console.error(e.message);
+    log.error(`Error reading credentials file: ${credPath}`);
+    log.error(e.message);
     return null;
   }
 }
 
 // ============================================================================
-// ARGUMENTOS
+// GA4 CLIENT
 // ============================================================================
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = { client: 'ucsp', mode: 'full' };
-  args.forEach(arg => {
-    if (arg.startsWith('--client=')) options.client = arg.split('=')[1];
-    if (arg.startsWith('--mode=')) options.mode = arg.split('=')[1];
-  });
-  return options;
-}
+// Cualquier objeto con runReport() sirve como cliente (ver lib/ga4_client.js)
+let analyticsClient = null;
 
-// ============================================================================
-// CARGAR CONFIG
-// ============================================================================
-async function loadClientConfig(clientName) {
-  const configPath = path.join(__dirname, 'config', `${clientName}.json`);
-  try {
-    const content = await fs.readFile(configPath, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    console.error(`Config no encontrada: ${configPath}`);
-    process.exit(1);
+function createGoogleClient() {
+  const credentials = getCredentials();
+  if (!credentials) {
+    throw new Error('No se pudieron obtener credenciales de GA4');
   }
+  return new BetaAnalyticsDataClient({ credentials });
 }
 
-// ============================================================================
-// GA4 CLIENT
-// ============================================================================
-let analyticsClient = null;
-
 function getClient() {
   if (!analyticsClient) {
-    const credentials = getCredentials();
-    if (!credentials) {
-      throw new Error('No se pudieron obtener credenciales de GA4');
-    }
-    analyticsClient = new BetaAnalyticsDataClient({ credentials });
+    analyticsClient = createGoogleClient();
   }
   return analyticsClient;
 }
 
+/**
+ * Replace the report client used by every fetch* function.
+ */
+function setReportClient(client) {
+  analyticsClient = client;
+}
+
+/**
+ * Pick the report client for the CLI options:
+ *   --replay=<dir>     FileReportClient sobre <dir>/ga4/ (sin credenciales)
+ *   --record[=<dir>]   BetaAnalyticsDataClient + grabación en <dir>/ga4/
+ */
+function configureReportClient(options = {}) {
+  if (options.replay) {
+    setReportClient(new FileReportClient(path.join(options.replay, 'ga4')));
+  } else if (options.record) {
+    const dir = path.join(recordingDir(options.record), 'ga4');
+    log.info(`   Grabando respuestas en ${path.relative(process.cwd(), dir)}`);
+    setReportClient(new RecordingReportClient(createGoogleClient(), dir));
+  }
+}
+
 // ============================================================================
 // DATE HELPERS
 // ============================================================================
@@ -133,7 +131,7 @@ function getDateRange(days) {
  * Fetch overview metrics: users, sessions, conversions
  */
 async function fetchOverviewMetrics(propertyId, dateRange) {
-  console.log('\n   Obteniendo métricas generales...');
+  log.info('\n   Obteniendo métricas generales...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -161,9 +159,9 @@ async function fetchOverviewMetrics(propertyId, dateRange) {
     });
   }
 
-  console.log(`   Usuarios totales: ${metrics.totalUsers?.toLocaleString() || 0}`);
-  console.log(`   Sesiones: ${metrics.sessions?.toLocaleString() || 0}`);
-  console.log(`   Conversiones: ${metrics.conversions?.toLocaleString() || 0}`);
+  log.info(`   Usuarios totales: ${metrics.totalUsers?.toLocaleString() || 0}`);
+  log.info(`   Sesiones: ${metrics.sessions?.toLocaleString() || 0}`);
+  log.info(`   Conversiones: ${metrics.conversions?.toLocaleString() || 0}`);
 
   return metrics;
 }
@@ -172,7 +170,7 @@ async function fetchOverviewMetrics(propertyId, dateRange) {
  * Fetch daily metrics for time series
  */
 async function fetchDailyMetrics(propertyId, dateRange) {
-  console.log('\n   Obteniendo métricas diarias...');
+  log.info('\n   Obteniendo métricas diarias...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -202,7 +200,7 @@ async function fetchDailyMetrics(propertyId, dateRange) {
     };
   });
 
-  console.log(`   Días con datos: ${Object.keys(dailyData).length}`);
+  log.info(`   Días con datos: ${Object.keys(dailyData).length}`);
   return dailyData;
 }
 
@@ -210,7 +208,7 @@ async function fetchDailyMetrics(propertyId, dateRange) {
  * Fetch traffic sources
  */
 async function fetchTrafficSources(propertyId, dateRange) {
-  console.log('\n   Obteniendo fuentes de tráfico...');
+  log.info('\n   Obteniendo fuentes de tráfico...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -239,7 +237,7 @@ async function fetchTrafficSources(propertyId, dateRange) {
     engagementRate: parseFloat(row.metricValues[3].value) || 0
   }));
 
-  console.log(`   Fuentes encontradas: ${sources.length}`);
+  log.info(`   Fuentes encontradas: ${sources.length}`);
   return sources;
 }
 
@@ -247,7 +245,7 @@ async function fetchTrafficSources(propertyId, dateRange) {
  * Fetch traffic by channel grouping
  */
 async function fetchChannelGrouping(propertyId, dateRange) {
-  console.log('\n   Obteniendo canales de tráfico...');
+  log.info('\n   Obteniendo canales de tráfico...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -273,7 +271,7 @@ async function fetchChannelGrouping(propertyId, dateRange) {
     engagementRate: parseFloat(row.metricValues[4].value) || 0
   }));
 
-  console.log(`   Canales: ${channels.map(c => c.channel).join(', ')}`);
+  log.info(`   Canales: ${channels.map(c => c.channel).join(', ')}`);
   return channels;
 }
 
@@ -281,7 +279,7 @@ async function fetchChannelGrouping(propertyId, dateRange) {
  * Fetch top pages
  */
 async function fetchTopPages(propertyId, dateRange) {
-  console.log('\n   Obteniendo páginas más visitadas...');
+  log.info('\n   Obteniendo páginas más visitadas...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -310,7 +308,7 @@ async function fetchTopPages(propertyId, dateRange) {
     bounceRate: parseFloat(row.metricValues[3].value) || 0
   }));
 
-  console.log(`   Páginas analizadas: ${pages.length}`);
+  log.info(`   Páginas analizadas: ${pages.length}`);
   return pages;
 }
 
@@ -318,7 +316,7 @@ async function fetchTopPages(propertyId, dateRange) {
  * Fetch landing pages
  */
 async function fetchLandingPages(propertyId, dateRange) {
-  console.log('\n   Obteniendo landing pages...');
+  log.info('\n   Obteniendo landing pages...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -345,7 +343,7 @@ async function fetchLandingPages(propertyId, dateRange) {
     engagementRate: parseFloat(row.metricValues[4].value) || 0
   }));
 
-  console.log(`   Landing pages: ${landingPages.length}`);
+  log.info(`   Landing pages: ${landingPages.length}`);
   return landingPages;
 }
 
@@ -353,7 +351,7 @@ async function fetchLandingPages(propertyId, dateRange) {
  * Fetch geographic data
  */
 async function fetchGeographicData(propertyId, dateRange) {
-  console.log('\n   Obteniendo datos geográficos...');
+  log.info('\n   Obteniendo datos geográficos...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -386,7 +384,7 @@ async function fetchGeographicData(propertyId, dateRange) {
     peruRegions.some(r => g.region.includes(r) || g.city.includes(r))
   );
 
-  console.log(`   Ciudades/regiones (Perú): ${filteredGeo.length}`);
+  log.info(`   Ciudades/regiones (Perú): ${filteredGeo.length}`);
   return { all: geoData.slice(0, 20), peru: filteredGeo };
 }
 
@@ -394,7 +392,7 @@ async function fetchGeographicData(propertyId, dateRange) {
  * Fetch device categories
  */
 async function fetchDeviceData(propertyId, dateRange) {
-  console.log('\n   Obteniendo datos de dispositivos...');
+  log.info('\n   Obteniendo datos de dispositivos...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -418,7 +416,7 @@ async function fetchDeviceData(propertyId, dateRange) {
     engagementRate: parseFloat(row.metricValues[3].value) || 0
   }));
 
-  console.log(`   Dispositivos: ${devices.map(d => d.device).join(', ')}`);
+  log.info(`   Dispositivos: ${devices.map(d => d.device).join(', ')}`);
   return devices;
 }
 
@@ -426,7 +424,7 @@ async function fetchDeviceData(propertyId, dateRange) {
  * Fetch campaign data
  */
 async function fetchCampaignData(propertyId, dateRange) {
-  console.log('\n   Obteniendo datos de campañas...');
+  log.info('\n   Obteniendo datos de campañas...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -459,7 +457,7 @@ async function fetchCampaignData(propertyId, dateRange) {
       engagementRate: parseFloat(row.metricValues[3].value) || 0
     }));
 
-  console.log(`   Campañas activas: ${campaigns.length}`);
+  log.info(`   Campañas activas: ${campaigns.length}`);
   return campaigns;
 }
 
@@ -467,7 +465,7 @@ async function fetchCampaignData(propertyId, dateRange) {
  * Fetch conversion events
  */
 async function fetchConversionEvents(propertyId, dateRange) {
-  console.log('\n   Obteniendo eventos de conversión...');
+  log.info('\n   Obteniendo eventos de conversión...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -497,7 +495,7 @@ async function fetchConversionEvents(propertyId, dateRange) {
     e.conversions > 0
   );
 
-  console.log(`   Eventos totales: ${events.length}, Conversiones: ${conversionEvents.length}`);
+  log.info(`   Eventos totales: ${events.length}, Conversiones: ${conversionEvents.length}`);
   return { all: events.slice(0, 20), conversions: conversionEvents };
 }
 
@@ -505,7 +503,7 @@ async function fetchConversionEvents(propertyId, dateRange) {
  * Fetch daily data by channel for date-filtered dashboards
  */
 async function fetchDailyByChannel(propertyId, dateRange) {
-  console.log('\n   Obteniendo métricas diarias por canal...');
+  log.info('\n   Obteniendo métricas diarias por canal...');
 
   const client = getClient();
   const [response] = await client.runReport({
@@ -538,7 +536,7 @@ async function fetchDailyByChannel(propertyId, dateRange) {
     };
   });
 
-  console.log(`   Días con datos por canal: ${Object.keys(dailyByChannel).length}`);
+  log.info(`   Días con datos por canal: ${Object.keys(dailyByChannel).length}`);
   return dailyByChannel;
 }
 
@@ -547,19 +545,16 @@ async function fetchDailyByChannel(propertyId, dateRange) {
 // ============================================================================
 
 async function loadExistingData() {
-  const filePath = path.join(__dirname, '../data/ga4/latest.json');
-  try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    const data = JSON.parse(content);
-    if (data.overview && data.daily) {
-      console.log(`   Datos existentes cargados (${data.timestamp})`);
-      return data;
-    }
-    return null;
-  } catch {
-    console.log('   No hay datos existentes, se hará fetch completo');
+  const data = await loadLatest('ga4');
+  if (!data) {
+    log.info('   No hay datos existentes, se hará fetch completo');
     return null;
   }
+  if (data.overview && data.daily) {
+    log.info(`   Datos existentes cargados (${data.timestamp})`);
+    return data;
+  }
+  return null;
 }
 
 function mergeDailyData(existing, fresh) {
@@ -575,7 +570,7 @@ function mergeNestedDaily(existing, fresh) {
 }
 
 function mergeGA4Data(existing, fresh) {
-  console.log('\n   Mergeando datos incrementales...');
+  log.info('\n   Mergeando datos incrementales...');
 
   const merged = JSON.parse(JSON.stringify(existing));
 
@@ -619,7 +614,7 @@ function mergeGA4Data(existing, fresh) {
 
   const freshDays = Object.keys(fresh.daily).length;
   const totalDays = Object.keys(merged.daily).length;
-  console.log(`   Merge completado: ${freshDays} días frescos → ${totalDays} días totales`);
+  log.info(`   Merge completado: ${freshDays} días frescos → ${totalDays} días totales`);
 
   return merged;
 }
@@ -631,10 +626,10 @@ async function fetchGA4Data(clientConfig, mode = 'full') {
   const isIncremental = mode === 'incremental';
   const propertyId = GA4_PROPERTY_ID;
 
-  console.log(`\nGA4 Data Connector - ${clientConfig.client}`);
-  console.log(`   Property ID: ${propertyId}`);
-  console.log(`   Modo: ${isIncremental ? 'INCREMENTAL (7 días)' : 'FULL (90 días)'}`);
-  console.log('='.repeat(50));
+  log.info(`\nGA4 Data Connector - ${clientConfig.client}`);
+  log.info(`   Property ID: ${propertyId}`);
+  log.info(`   Modo: ${isIncremental ? 'INCREMENTAL (7 días)' : 'FULL (90 días)'}`);
+  log.info('='.repeat(50));
 
   // Determine date range
   let lookbackDays;
@@ -643,7 +638,7 @@ async function fetchGA4Data(clientConfig, mode = 'full') {
   if (isIncremental) {
     existingData = await loadExistingData();
     if (!existingData) {
-      console.log('   [INFO] Sin datos existentes — cambiando a modo FULL');
+      log.info('   [INFO] Sin datos existentes — cambiando a modo FULL');
     }
     lookbackDays = existingData ? 7 : 90;
   } else {
@@ -651,8 +646,8 @@ async function fetchGA4Data(clientConfig, mode = 'full') {
   }
 
   const dateRange = getDateRange(lookbackDays);
-  console.log(`   Rango: ${dateRange.startDate} → ${dateRange.endDate}`);
-  console.log('='.repeat(50));
+  log.info(`   Rango: ${dateRange.startDate} → ${dateRange.endDate}`);
+  log.info('='.repeat(50));
 
   try {
     // Fetch all data
@@ -702,86 +697,57 @@ async function fetchGA4Data(clientConfig, mode = 'full') {
       finalData = freshData;
     }
 
-    await saveResults(finalData);
     return finalData;
 
   } catch (error) {
-    console.error(`\nError: ${error.message}`);
+    log.error(`\nError: ${error.message}`);
     if (error.code === 7 || error.message.includes('PERMISSION_DENIED')) {
-      console.error('\n¿El Service Account tiene acceso a esta propiedad GA4?');
-      console.error('Agrega el email del service account como Viewer en GA4 Admin.');
+      log.error('\n¿El Service Account tiene acceso a esta propiedad GA4?');
+      log.error('Agrega el email del service account como Viewer en GA4 Admin.');
     }
     throw error;
   }
 }
 
 // ============================================================================
-// GUARDAR RESULTADOS
+// RESUMEN
 // ============================================================================
-async function saveResults(data) {
-  const dataDir = path.join(__dirname, '../data/ga4');
-  const publicDir = path.join(__dirname, '../public/data/ga4');
-
-  await fs.mkdir(dataDir, { recursive: true });
-  await fs.mkdir(publicDir, { recursive: true });
-
-  const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
-  const jsonData = JSON.stringify(data, null, 2);
-
-  // Save with timestamp (backup)
-  await fs.writeFile(path.join(dataDir, `ga4_${timestamp}.json`), jsonData);
-
-  // Save as latest (frontend reads this)
-  await fs.writeFile(path.join(dataDir, 'latest.json'), jsonData);
-  await fs.writeFile(path.join(publicDir, 'latest.json'), jsonData);
-
-  console.log('\nArchivos guardados:');
-  console.log(`   data/ga4/ga4_${timestamp}.json`);
-  console.log(`   data/ga4/latest.json`);
-  console.log(`   public/data/ga4/latest.json <-- Frontend lee este`);
-
-  // Summary
-  console.log('\nResumen:');
-  console.log(`   Usuarios totales: ${data.overview?.totalUsers?.toLocaleString() || 0}`);
-  console.log(`   Sesiones: ${data.overview?.sessions?.toLocaleString() || 0}`);
-  console.log(`   Nuevos usuarios: ${data.overview?.newUsers?.toLocaleString() || 0}`);
-  console.log(`   Conversiones: ${data.overview?.conversions?.toLocaleString() || 0}`);
-  console.log(`   Tasa engagement: ${((data.overview?.engagementRate || 0) * 100).toFixed(1)}%`);
-  console.log(`   Bounce rate: ${((data.overview?.bounceRate || 0) * 100).toFixed(1)}%`);
+function printSummary(data) {
+  log.info('\nResumen:');
+  log.info(`   Usuarios totales: ${data.overview?.totalUsers?.toLocaleString() || 0}`);
+  log.info(`   Sesiones: ${data.overview?.sessions?.toLocaleString() || 0}`);
+  log.info(`   Nuevos usuarios: ${data.overview?.newUsers?.toLocaleString() || 0}`);
+  log.info(`   Conversiones: ${data.overview?.conversions?.toLocaleString() || 0}`);
+  log.info(`   Tasa engagement: ${((data.overview?.engagementRate || 0) * 100).toFixed(1)}%`);
+  log.info(`   Bounce rate: ${((data.overview?.bounceRate || 0) * 100).toFixed(1)}%`);
 
   // Top channels
-  console.log('\n   Top canales:');
+  log.info('\n   Top canales:');
   (data.channels || []).slice(0, 5).forEach(c => {
-    console.log(`     ${c.channel}: ${c.sessions.toLocaleString()} sesiones`);
+    log.info(`     ${c.channel}: ${c.sessions.toLocaleString()} sesiones`);
   });
 
   // Top pages
-  console.log('\n   Top páginas:');
+  log.info('\n   Top páginas:');
   (data.topPages || []).slice(0, 5).forEach(p => {
-    console.log(`     ${p.path}: ${p.pageViews.toLocaleString()} vistas`);
+    log.info(`     ${p.path}: ${p.pageViews.toLocaleString()} vistas`);
   });
 }
 
 // ============================================================================
 // MAIN
 // ============================================================================
-async function main() {
-  const options = parseArgs();
-
-  console.log('GA4 Data Connector');
-  console.log(`   Cliente: ${options.client}`);
-  console.log(`   Modo: ${options.mode}`);
-  console.log(`   Fecha: ${new Date().toLocaleString('es-PE')}`);
-
-  try {
-    const clientConfig = await loadClientConfig(options.client);
-    await fetchGA4Data(clientConfig, options.mode);
-    console.log('\nConexión completada exitosamente');
-    process.exit(0);
-  } catch (error) {
-    console.error(`\nError fatal: ${error.message}`);
-    process.exit(1);
-  }
+if (isMain(import.meta.url)) {
+  runConnector({
+    source: 'ga4',
+    title: 'GA4 Data Connector',
+    defaults: { mode: 'full' },
+    run: ({ clientConfig, options }) => {
+      configureReportClient(options);
+      return fetchGA4Data(clientConfig, options.mode);
+    },
+    summarize: printSummary
+  });
 }
 
-main();
+export { fetchGA4Data, mergeGA4Data, setReportClient };
@@ -7,69 +7,29 @@
  *
  * Uso:
  *   node google_trends_apify.js --client=ucsp
+ *   node google_trends_apify.js --client=ucsp --record                  # guarda items crudos
+ *   node google_trends_apify.js --client=ucsp --replay=<dir>  # sin Apify
  *
  * Requiere:
- *   APIFY_TOKEN en .env o variable de entorno
+ *   APIFY_TOKEN en .env o variable de entorno (salvo con --replay)
  */
 
-import { ApifyClient } from 'apify-client';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { config } from 'dotenv';
+import { runConnector, isMain, createLogger } from './lib/connector.js';
+import { fetchActorItems, apifyCredentials } from './lib/apify.js';
 
-config();
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const APIFY_TOKEN = process.env.APIFY_TOKEN;
 const ACTOR_ID = 'apify/google-trends-scraper';
-
-// ============================================================================
-// ARGUMENTOS
-// ============================================================================
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = { client: 'ucsp' };
-  args.forEach(arg => {
-    if (arg.startsWith('--client=')) options.client = arg.split('=')[1];
-  });
-  return options;
-}
-
-// ============================================================================
-// CARGAR CONFIG
-// ============================================================================
-async function loadClientConfig(clientName) {
-  const configPath = path.join(__dirname, 'config', `${clientName}.json`);
-  try {
-    const content = await fs.readFile(configPath, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    console.error(`❌ Config no encontrada: ${configPath}`);
-    process.exit(1);
-  }
-}
+const log = createLogger('trends');
 
 // ============================================================================
 // SCRAPER PRINCIPAL
 // ============================================================================
-async function scrapeGoogleTrends(clientConfig) {
-  console.log(`\n🔍 Google Trends Scraper - ${clientConfig.client}`);
-  console.log('='.repeat(50));
-  console.log(`📍 Región: ${clientConfig.region}`);
-  console.log(`📊 Keywords: ${clientConfig.keywords.length}`);
-  console.log(`⏰ Rango: ${clientConfig.timeRange}`);
-  console.log('='.repeat(50));
-
-  if (!APIFY_TOKEN) {
-    console.error('\n❌ ERROR: APIFY_TOKEN no configurado');
-    console.error('   Configura APIFY_TOKEN en .env o como variable de entorno');
-    process.exit(1);
-  }
-
-  const client = new ApifyClient({ token: APIFY_TOKEN });
+async function scrapeGoogleTrends(clientConfig, options = {}) {
+  log.info(`\n🔍 Google Trends Scraper - ${clientConfig.client}`);
+  log.info('='.repeat(50));
+  log.info(`📍 Región: ${clientConfig.region}`);
+  log.info(`📊 Keywords: ${clientConfig.keywords.length}`);
+  log.info(`⏰ Rango: ${clientConfig.timeRange}`);
+  log.info('='.repeat(50));
 
   const input = {
     searchTerms: clientConfig.keywords,
@@ -79,47 +39,29 @@ async function scrapeGoogleTrends(clientConfig) {
     isPublic: true
   };
 
-  console.log(`\n📤 Input para Apify:`);
-  console.log(JSON.stringify(input, null, 2));
+  log.info(`\n📤 Input para Apify:`);
+  log.info(JSON.stringify(input, null, 2));
 
   try {
-    // Iniciar el actor
-    console.log('\n🚀 Iniciando actor de Apify...');
-    const run = await client.actor(ACTOR_ID).start(input);
-    console.log(`   Run ID: ${run.id}`);
-
-    // Esperar a que termine (máximo 10 minutos para dar tiempo suficiente)
-    console.log('\n⏳ Esperando que termine (máx 10 min)...');
-    console.log('   Esto puede tardar varios minutos debido a rate limiting de Google...');
-
-    const finishedRun = await client.run(run.id).waitForFinish({
-      waitSecs: 600  // 10 minutos
+    // Esto puede tardar varios minutos debido a rate limiting de Google
+    const { items } = await fetchActorItems({
+      source: 'trends',
+      actorId: ACTOR_ID,
+      input,
+      waitSecs: 600,  // 10 minutos
+      options,
+      log
     });
 
-    if (finishedRun.status !== 'SUCCEEDED') {
-      throw new Error(`Actor terminó con estado: ${finishedRun.status}`);
-    }
-
-    console.log(`\n✅ Actor completado exitosamente`);
-
-    // Obtener resultados
-    const { items } = await client.dataset(finishedRun.defaultDatasetId).listItems();
-    console.log(`📊 Items obtenidos: ${items.length}`);
-
     if (items.length === 0) {
       throw new Error('No se obtuvieron resultados de Apify');
     }
 
     // Transformar al formato del frontend
-    const data = transformToFrontendFormat(items, clientConfig);
-
-    // Guardar
-    await saveResults(data);
-
-    return data;
+    return transformToFrontendFormat(items, clientConfig);
 
   } catch (error) {
-    console.error(`\n❌ Error: ${error.message}`);
+    log.error(`\n❌ Error: ${error.message}`);
     throw error;
   }
 }
@@ -127,14 +69,33 @@ async function scrapeGoogleTrends(clientConfig) {
 // ============================================================================
 // TRANSFORMAR DATOS
 // ============================================================================
+
+/**
+ * interestOverTime_timelineData → [{ date: 'YYYY-MM-DD', value }]
+ * Los puntos sin datos (hasData: false) quedan con value null.
+ */
+function toTimeline(timelineData) {
+  return timelineData
+    .map(dp => {
+      const date = dp.time
+        ? new Date(parseInt(dp.time, 10) * 1000).toISOString().slice(0, 10)
+        : dp.formattedTime;
+      const raw = Array.isArray(dp.value) ? dp.value[0] : dp.value;
+      const hasData = Array.isArray(dp.hasData) ? dp.hasData[0] !== false : true;
+      return { date, value: hasData && typeof raw === 'number' ? raw : null };
+    })
+    .filter(point => point.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
 function transformToFrontendFormat(items, clientConfig) {
-  console.log('\n🔄 Transformando datos...');
+  log.info('\n🔄 Transformando datos...');
 
   const keywords = items.map(item => {
     const keyword = item.searchTerm || item.inputUrlOrTerm || 'unknown';
 
     // Datos de timeline (si existen)
-    const timelineData = item.interestOverTime_timelineData || [];
+    const timeline = toTimeline(item.interestOverTime_timelineData || []);
 
     // Topics relacionados
     const topTopics = item.relatedTopics_top || [];
@@ -146,11 +107,9 @@ function transformToFrontendFormat(items, clientConfig) {
     let trend = 'stable';
     let growth = '+0%';
 
-    // Preferir timeline data si existe
-    if (timelineData.length > 0) {
-      const values = timelineData
-        .map(dp => dp.value?.[0] || dp.value || 0)
-        .filter(v => typeof v === 'number');
+    // Preferir timeline data si existe (sin los puntos sin datos, igual que el timeline publicado)
+    if (timeline.length > 0) {
+      const values = timeline.filter(p => p.value !== null).map(p => p.value);
 
       if (values.length > 0) {
         avgInterest = Math.round(values.reduce((a, b) => a + b, 0) / values.length);
@@ -236,14 +195,16 @@ function transformToFrontendFormat(items, clientConfig) {
       growth_3m: growth,
       top_regions: topRegions,
       rising_queries: risingQueries,
-      related_topics: relatedTopics
+      related_topics: relatedTopics,
+      // Serie completa para el trend predictor (ml/models/trend_predictor.js)
+      timeline
     };
   });
 
   // Ordenar por interés
   keywords.sort((a, b) => b.average_interest - a.average_interest);
 
-  console.log(`   ✅ ${keywords.length} keywords procesados`);
+  log.info(`   ✅ ${keywords.length} keywords procesados`);
 
   return {
     timestamp: new Date().toISOString(),
@@ -254,7 +215,7 @@ function transformToFrontendFormat(items, clientConfig) {
     keywords,
     metadata: {
       method: 'Apify apify/google-trends-scraper',
-      note: 'Datos reales de Google Trends - Últimos 30 días',
+      note: 'Datos reales de Google Trends - serie diaria en keywords[].timeline',
       timeframe: clientConfig.timeRange,
       keywords_requested: clientConfig.keywords.length,
       keywords_received: keywords.length,
@@ -264,57 +225,27 @@ function transformToFrontendFormat(items, clientConfig) {
 }
 
 // ============================================================================
-// GUARDAR RESULTADOS
+// RESUMEN
 // ============================================================================
-async function saveResults(data) {
-  const dataDir = path.join(__dirname, '../data/trends');
-  const publicDir = path.join(__dirname, '../public/data/trends');
-
-  await fs.mkdir(dataDir, { recursive: true });
-  await fs.mkdir(publicDir, { recursive: true });
-
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-  const jsonData = JSON.stringify(data, null, 2);
-
-  // Guardar con timestamp (backup)
-  await fs.writeFile(path.join(dataDir, `trends_${timestamp}.json`), jsonData);
-
-  // Guardar como latest (el que lee el frontend)
-  await fs.writeFile(path.join(dataDir, 'latest.json'), jsonData);
-  await fs.writeFile(path.join(publicDir, 'latest.json'), jsonData);
-
-  console.log('\n💾 Archivos guardados:');
-  console.log(`   📁 data/trends/trends_${timestamp}.json`);
-  console.log(`   📁 data/trends/latest.json`);
-  console.log(`   📁 public/data/trends/latest.json ◄── Frontend lee este`);
-
-  // Resumen
-  console.log('\n📊 Resumen:');
+function printSummary(data) {
+  log.info('\n📊 Resumen:');
   data.keywords.forEach(kw => {
     const icon = kw.trend === 'rising' ? '↑' : kw.trend === 'falling' ? '↓' : '→';
-    console.log(`   ${icon} ${kw.keyword}: ${kw.average_interest}/100 (${kw.growth_3m})`);
+    log.info(`   ${icon} ${kw.keyword}: ${kw.average_interest}/100 (${kw.growth_3m})`);
   });
 }
 
 // ============================================================================
 // MAIN
 // ============================================================================
-async function main() {
-  const options = parseArgs();
-
-  console.log('🚀 Google Trends Scraper (Solo Apify)');
-  console.log(`   Cliente: ${options.client}`);
-  console.log(`   Fecha: ${new Date().toLocaleString('es-PE')}`);
-
-  try {
-    const clientConfig = await loadClientConfig(options.client);
-    await scrapeGoogleTrends(clientConfig);
-    console.log('\n✅ Scraping completado exitosamente');
-    process.exit(0);
-  } catch (error) {
-    console.error(`\n❌ Error fatal: ${error.message}`);
-    process.exit(1);
-  }
+if (isMain(import.meta.url)) {
+  runConnector({
+    source: 'trends',
+    title: '🚀 Google Trends Scraper (Solo Apify)',
+    credentials: apifyCredentials,
+    run: ({ clientConfig, options }) => scrapeGoogleTrends(clientConfig, options),
+    summarize: printSummary
+  });
 }
 
-main();
+export { scrapeGoogleTrends, transformToFrontendFormat, toTimeline };
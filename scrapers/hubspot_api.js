@@ -11,54 +11,29 @@
  *   --mode=full          Full rebuild, 730 días (semanal, ~35 min)
  *   --mode=incremental   Solo últimos 7 días, merge con data existente (diario, ~3 min)
  *
+ * En modo full también escribe data/hubspot/lead_features.json: una fila por
+ * contacto SIN datos personales (ni id, ni nombre, ni email, ni fechas exactas)
+ * con sus propiedades de tráfico y el estado de su deal, para entrenar el
+ * modelo de calidad de leads (ml/models/lead_quality.js). Nunca va a public/data.
+ *
  * Uso:
  *   node hubspot_api.js --client=ucsp --mode=full
  *   node hubspot_api.js --client=ucsp --mode=incremental
  *
  * Requiere:
  *   HUBSPOT_ACCESS_TOKEN en .env o variable de entorno
+ *   HUBSPOT_BASE_URL (opcional) para apuntar a otro host, p. ej. el mock local
+ *   (mocks/hubspot_server.js)
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { config } from 'dotenv';
 import axios from 'axios';
-
-config();
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { runConnector, isMain, createLogger, loadLatest, DATA_DIR } from './lib/connector.js';
 
 const HUBSPOT_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
-const BASE_URL = 'https://api.hubapi.com';
-
-// ============================================================================
-// ARGUMENTOS
-// ============================================================================
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = { client: 'ucsp', mode: 'full' };
-  args.forEach(arg => {
-    if (arg.startsWith('--client=')) options.client = arg.split('=')[1];
-    if (arg.startsWith('--mode=')) options.mode = arg.split('=')[1];
-  });
-  return options;
-}
-
-// ============================================================================
-// CARGAR CONFIG
-// ============================================================================
-async function loadClientConfig(clientName) {
-  const configPath = path.join(__dirname, 'config', `${clientName}.json`);
-  try {
-    const content = await fs.readFile(configPath, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    console.error(`Config no encontrada: ${configPath}`);
-    process.exit(1);
-  }
-}
+const BASE_URL = process.env.HUBSPOT_BASE_URL || 'https://api.hubapi.com';
+const log = createLogger('hubspot');
 
 // ============================================================================
 // HTTP HELPER — with automatic retry on 429 rate limit
@@ -93,7 +68,7 @@ async function hubspotFetch(endpoint, options = {}) {
       if (status === 429 && attempt < maxRetries) {
         // Rate limited — wait with exponential backoff (1s, 2s, 4s, 8s, 16s)
         const waitMs = Math.pow(2, attempt) * 1000;
-        console.log(`     [Rate limit] Esperando ${waitMs / 1000}s antes de reintentar...`);
+        log.info(`     [Rate limit] Esperando ${waitMs / 1000}s antes de reintentar...`);
         await sleep(waitMs);
         continue;
       }
@@ -133,7 +108,7 @@ async function hubspotFetchAll(endpoint, options = {}) {
  * Fetch contacts created in the last N days with key properties
  */
 async function fetchRecentContacts(days = 90) {
-  console.log(`\n   Obteniendo contactos (ultimos ${days} dias)...`);
+  log.info(`\n   Obteniendo contactos (ultimos ${days} dias)...`);
 
   const properties = [
     'firstname', 'lastname', 'email', 'lifecyclestage',
@@ -184,15 +159,15 @@ async function fetchRecentContacts(days = 90) {
       } while (after);
 
       if (windowCount > 0) {
-        console.log(`     Ventana ${windowStart.toISOString().split('T')[0]} → ${windowEnd.toISOString().split('T')[0]}: ${windowCount} contactos`);
+        log.info(`     Ventana ${windowStart.toISOString().split('T')[0]} → ${windowEnd.toISOString().split('T')[0]}: ${windowCount} contactos`);
       }
     } catch (err) {
-      console.log(`     [WARN] Ventana ${windowStart.toISOString().split('T')[0]} → ${windowEnd.toISOString().split('T')[0]} falló: ${err.message}`);
+      log.info(`     [WARN] Ventana ${windowStart.toISOString().split('T')[0]} → ${windowEnd.toISOString().split('T')[0]} falló: ${err.message}`);
       // Continue with next window instead of crashing
     }
   }
 
-  console.log(`   Contactos totales: ${allContacts.length}`);
+  log.info(`   Contactos totales: ${allContacts.length}`);
   return allContacts;
 }
 
@@ -200,7 +175,7 @@ async function fetchRecentContacts(days = 90) {
  * Fetch deals with pipeline and stage info
  */
 async function fetchRecentDeals(days = 90) {
-  console.log(`\n   Obteniendo deals (ultimos ${days} dias)...`);
+  log.info(`\n   Obteniendo deals (ultimos ${days} dias)...`);
 
   const properties = [
     'dealname', 'amount', 'dealstage', 'pipeline',
@@ -246,24 +221,26 @@ async function fetchRecentDeals(days = 90) {
       } while (after);
 
       if (windowCount > 0) {
-        console.log(`     Ventana ${windowStart.toISOString().split('T')[0]} → ${windowEnd.toISOString().split('T')[0]}: ${windowCount} deals`);
+        log.info(`     Ventana ${windowStart.toISOString().split('T')[0]} → ${windowEnd.toISOString().split('T')[0]}: ${windowCount} deals`);
       }
     } catch (err) {
-      console.log(`     [WARN] Ventana ${windowStart.toISOString().split('T')[0]} → ${windowEnd.toISOString().split('T')[0]} falló: ${err.message}`);
+      log.info(`     [WARN] Ventana ${windowStart.toISOString().split('T')[0]} → ${windowEnd.toISOString().split('T')[0]} falló: ${err.message}`);
     }
   }
 
-  console.log(`   Deals totales: ${allDeals.length}`);
+  log.info(`   Deals totales: ${allDeals.length}`);
   return allDeals;
 }
 
 /**
  * Fetch deal-to-contact associations and contact sources in batches.
- * Returns a Map: dealId → source (hs_analytics_source)
+ * Returns { dealSourceMap: dealId → source (hs_analytics_source),
+ *           dealContactMap: dealId → contactId (first associated contact) }
  */
 async function fetchDealContactSources(dealIds) {
-  console.log(`\n   Obteniendo fuentes de contacto para ${dealIds.length} deals...`);
+  log.info(`\n   Obteniendo fuentes de contacto para ${dealIds.length} deals...`);
   const dealSourceMap = new Map();
+  const dealContactMap = new Map();
   const batchSize = 100;
 
   for (let i = 0; i < dealIds.length; i += batchSize) {
@@ -280,11 +257,12 @@ async function fetchDealContactSources(dealIds) {
 
       // Collect unique contact IDs
       const contactIds = new Set();
-      const dealContactMap = new Map();
+      const batchContactMap = new Map();
       (assocData.results || []).forEach(r => {
         const dealId = r.from?.id;
         const contactId = r.to?.[0]?.id;
         if (dealId && contactId) {
+          batchContactMap.set(dealId, contactId);
           dealContactMap.set(dealId, contactId);
           contactIds.add(contactId);
         }
@@ -307,12 +285,12 @@ async function fetchDealContactSources(dealIds) {
         });
 
         // Map deal → source
-        dealContactMap.forEach((contactId, dealId) => {
+        batchContactMap.forEach((contactId, dealId) => {
           dealSourceMap.set(dealId, contactSourceMap.get(contactId) || 'unknown');
         });
       }
     } catch (e) {
-      console.log(`   ⚠️ Batch ${i}-${i + batchSize}: ${e.message}`);
+      log.info(`   ⚠️ Batch ${i}-${i + batchSize}: ${e.message}`);
     }
 
     // Rate limit: small delay between batches
@@ -321,18 +299,18 @@ async function fetchDealContactSources(dealIds) {
     }
   }
 
-  console.log(`   Fuentes obtenidas: ${dealSourceMap.size} de ${dealIds.length} deals`);
-  return dealSourceMap;
+  log.info(`   Fuentes obtenidas: ${dealSourceMap.size} de ${dealIds.length} deals`);
+  return { dealSourceMap, dealContactMap };
 }
 
 /**
  * Fetch deal pipelines with stages
  */
 async function fetchPipelines() {
-  console.log('\n   Obteniendo pipelines...');
+  log.info('\n   Obteniendo pipelines...');
   const data = await hubspotFetch('/crm/v3/pipelines/deals');
   const pipelines = data.results || [];
-  console.log(`   Pipelines: ${pipelines.length}`);
+  log.info(`   Pipelines: ${pipelines.length}`);
   return pipelines;
 }
 
@@ -340,7 +318,7 @@ async function fetchPipelines() {
  * Fetch marketing campaigns
  */
 async function fetchCampaigns() {
-  console.log('\n   Obteniendo campanas de marketing...');
+  log.info('\n   Obteniendo campanas de marketing...');
 
   const properties = [
     'hs_name', 'hs_goal', 'hs_start_date', 'hs_end_date',
@@ -361,7 +339,7 @@ async function fetchCampaigns() {
     after = data.paging?.next?.after || null;
   } while (after);
 
-  console.log(`   Campanas: ${allCampaigns.length}`);
+  log.info(`   Campanas: ${allCampaigns.length}`);
   return allCampaigns;
 }
 
@@ -370,7 +348,7 @@ async function fetchCampaigns() {
 // ============================================================================
 
 function analyzeContacts(contacts) {
-  console.log('\n   Analizando contactos...');
+  log.info('\n   Analizando contactos...');
 
   // Lifecycle stage distribution
   const lifecycleDistribution = {};
@@ -429,7 +407,7 @@ function analyzeContacts(contacts) {
 }
 
 function analyzeDeals(deals, pipelines, dealSourceMap = new Map()) {
-  console.log('\n   Analizando deals...');
+  log.info('\n   Analizando deals...');
 
   // Build stage label lookup
   const stageLabels = {};
@@ -591,7 +569,7 @@ function analyzeDeals(deals, pipelines, dealSourceMap = new Map()) {
 }
 
 function analyzeCampaigns(campaigns) {
-  console.log('\n   Analizando campanas...');
+  log.info('\n   Analizando campanas...');
 
   const activeCampaigns = [];
   let totalBudget = 0;
@@ -670,9 +648,9 @@ function analyzeCampaigns(campaigns) {
     dailyBudget[k] = parseFloat(dailyBudget[k].toFixed(2));
   });
 
-  console.log(`   Campanas con fechas para daily_spend: ${campaignsWithDates}`);
+  log.info(`   Campanas con fechas para daily_spend: ${campaignsWithDates}`);
   if (spendWithoutDates > 0) {
-    console.log(`   Gasto sin fechas (no distribuido): $${spendWithoutDates.toFixed(0)}`);
+    log.info(`   Gasto sin fechas (no distribuido): $${spendWithoutDates.toFixed(0)}`);
   }
 
   return {
@@ -697,7 +675,7 @@ function analyzeCampaigns(campaigns) {
  * Requires scope: marketing.campaigns.revenue.read
  */
 async function fetchCampaignRevenueAndAds(campaigns) {
-  console.log('\n   Obteniendo revenue y ads de campanas...');
+  log.info('\n   Obteniendo revenue y ads de campanas...');
 
   const results = [];
 
@@ -732,7 +710,7 @@ async function fetchCampaignRevenueAndAds(campaigns) {
     } catch (err) {
       // Scope might not be available — skip silently
       if (!err.message.includes('403')) {
-        console.log(`     Revenue error for ${name}: ${err.message.substring(0, 80)}`);
+        log.info(`     Revenue error for ${name}: ${err.message.substring(0, 80)}`);
       }
     }
 
@@ -758,8 +736,8 @@ async function fetchCampaignRevenueAndAds(campaigns) {
     return b.contacts_attributed - a.contacts_attributed;
   });
 
-  console.log(`   Campanas con revenue data: ${results.filter(r => r.revenue_attributed > 0 || r.contacts_attributed > 0).length}`);
-  console.log(`   Campanas con ads asociados: ${results.filter(r => r.ad_campaigns.length > 0).length}`);
+  log.info(`   Campanas con revenue data: ${results.filter(r => r.revenue_attributed > 0 || r.contacts_attributed > 0).length}`);
+  log.info(`   Campanas con ads asociados: ${results.filter(r => r.ad_campaigns.length > 0).length}`);
 
   return results;
 }
@@ -779,6 +757,78 @@ function analyzePipelines(pipelines) {
     }));
 }
 
+// ============================================================================
+// LEAD FEATURES (training rows for the lead quality model)
+// ============================================================================
+const LEAD_FEATURES_PATH = path.join(DATA_DIR, 'hubspot', 'lead_features.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEAL_STATUS_RANK = { won: 3, open: 2, lost: 1 };
+
+/**
+ * One PII-free row per contact: traffic properties plus the status of its
+ * deals (won > open > lost, 'none' without deals) and the pipeline of the
+ * deal that decided it. Only whitelisted properties are copied; ids, names,
+ * emails and dates (age_days instead of createdate) are dropped.
+ */
+function buildLeadFeatures(contacts, deals, pipelines, dealContactMap, now = new Date()) {
+  const pipelineLabels = {};
+  const stageStatus = {};
+  pipelines.forEach(p => {
+    pipelineLabels[p.id] = p.label;
+    (p.stages || []).forEach(s => {
+      if (s.metadata?.isClosed !== 'true') stageStatus[s.id] = 'open';
+      else stageStatus[s.id] = parseFloat(s.metadata.probability || '0') > 0 ? 'won' : 'lost';
+    });
+  });
+
+  // contactId → best deal outcome
+  const contactDeals = new Map();
+  deals.forEach(d => {
+    const contactId = dealContactMap.get(d.id);
+    if (!contactId) return;
+    const props = d.properties || {};
+    const status = stageStatus[props.dealstage] || 'open';
+    const current = contactDeals.get(contactId);
+    if (!current || DEAL_STATUS_RANK[status] > DEAL_STATUS_RANK[current.status]) {
+      contactDeals.set(contactId, {
+        status,
+        pipeline: pipelineLabels[props.pipeline] || props.pipeline || null
+      });
+    }
+  });
+
+  return contacts.map(c => {
+    const props = c.properties || {};
+    const deal = contactDeals.get(c.id);
+    const created = props.createdate ? new Date(props.createdate).getTime() : null;
+    return {
+      source: props.hs_analytics_source || 'unknown',
+      lifecycle: props.lifecyclestage || null,
+      lead_status: props.hs_lead_status || null,
+      first_conversion: props.first_conversion_event_name || null,
+      num_conversion_events: parseInt(props.num_conversion_events || '0', 10),
+      page_views: parseInt(props.hs_analytics_num_page_views || '0', 10),
+      visits: parseInt(props.hs_analytics_num_visits || '0', 10),
+      age_days: created ? Math.max(0, Math.floor((now.getTime() - created) / DAY_MS)) : null,
+      deal_status: deal?.status || 'none',
+      pipeline: deal?.pipeline || null
+    };
+  });
+}
+
+/**
+ * Write the training rows to data/hubspot/ (backend only, gitignored)
+ */
+async function saveLeadFeatures(rows, lookbackDays) {
+  await fs.mkdir(path.dirname(LEAD_FEATURES_PATH), { recursive: true });
+  await fs.writeFile(LEAD_FEATURES_PATH, JSON.stringify({
+    generated_at: new Date().toISOString(),
+    lookback_days: lookbackDays,
+    rows
+  }));
+  log.info(`   Features de calidad de lead: ${rows.length} contactos → data/hubspot/lead_features.json`);
+}
+
 // ============================================================================
 // INCREMENTAL MERGE
 // ============================================================================
@@ -788,21 +838,18 @@ function analyzePipelines(pipelines) {
  * Returns null if file doesn't exist or is invalid.
  */
 async function loadExistingData() {
-  const filePath = path.join(__dirname, '../data/hubspot/latest.json');
-  try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    const data = JSON.parse(content);
-    // Validate basic structure
-    if (data.contacts && data.deals && data.campaigns) {
-      console.log(`   Datos existentes cargados (${data.timestamp})`);
-      return data;
-    }
-    console.log('   [WARN] Datos existentes con estructura incompleta, ignorando');
-    return null;
-  } catch {
-    console.log('   No hay datos existentes, se hará fetch completo');
+  const data = await loadLatest('hubspot');
+  if (!data) {
+    log.info('   No hay datos existentes, se hará fetch completo');
     return null;
   }
+  // Validate basic structure
+  if (data.contacts && data.deals && data.campaigns) {
+    log.info(`   Datos existentes cargados (${data.timestamp})`);
+    return data;
+  }
+  log.info('   [WARN] Datos existentes con estructura incompleta, ignorando');
+  return null;
 }
 
 /**
@@ -920,7 +967,7 @@ function calcWonLostFromStages(stageDistribution, pipelineAnalysis) {
  * - Campaigns, pipelines: always taken from fresh (small, always full fetch)
  */
 function mergeHubSpotData(existing, fresh, pipelineAnalysis) {
-  console.log('\n   Mergeando datos incrementales con existentes...');
+  log.info('\n   Mergeando datos incrementales con existentes...');
 
   const merged = JSON.parse(JSON.stringify(existing)); // deep clone
 
@@ -1024,9 +1071,9 @@ function mergeHubSpotData(existing, fresh, pipelineAnalysis) {
   const totalContactDays = Object.keys(merged.contacts.daily_creation).length;
   const totalDealDays = Object.keys(merged.deals.daily_deals).length;
 
-  console.log(`   Merge completado:`);
-  console.log(`     Contactos: ${freshContactDays} días frescos → ${totalContactDays} días totales (${merged.contacts.total} contactos)`);
-  console.log(`     Deals: ${freshDealDays} días frescos → ${totalDealDays} días totales (${merged.deals.total} deals)`);
+  log.info(`   Merge completado:`);
+  log.info(`     Contactos: ${freshContactDays} días frescos → ${totalContactDays} días totales (${merged.contacts.total} contactos)`);
+  log.info(`     Deals: ${freshDealDays} días frescos → ${totalDealDays} días totales (${merged.deals.total} deals)`);
 
   return merged;
 }
@@ -1037,15 +1084,9 @@ function mergeHubSpotData(existing, fresh, pipelineAnalysis) {
 async function fetchHubSpotData(clientConfig, mode = 'full') {
   const isIncremental = mode === 'incremental';
 
-  console.log(`\nHubSpot CRM Connector - ${clientConfig.client}`);
-  console.log(`   Modo: ${isIncremental ? 'INCREMENTAL (7 días)' : 'FULL REBUILD'}`);
-  console.log('='.repeat(50));
-
-  if (!HUBSPOT_TOKEN) {
-    console.error('\nERROR: HUBSPOT_ACCESS_TOKEN no configurado');
-    console.error('   Configura HUBSPOT_ACCESS_TOKEN en .env o como variable de entorno');
-    process.exit(1);
-  }
+  log.info(`\nHubSpot CRM Connector - ${clientConfig.client}`);
+  log.info(`   Modo: ${isIncremental ? 'INCREMENTAL (7 días)' : 'FULL REBUILD'}`);
+  log.info('='.repeat(50));
 
   const hubspotConfig = clientConfig.hubspot || {};
 
@@ -1056,15 +1097,15 @@ async function fetchHubSpotData(clientConfig, mode = 'full') {
   if (isIncremental) {
     existingData = await loadExistingData();
     if (!existingData) {
-      console.log('   [INFO] Sin datos existentes — cambiando a modo FULL');
+      log.info('   [INFO] Sin datos existentes — cambiando a modo FULL');
     }
     lookbackDays = existingData ? 7 : (hubspotConfig.lookback_days || 730);
   } else {
     lookbackDays = hubspotConfig.lookback_days || 730;
   }
 
-  console.log(`   Lookback: ${lookbackDays} dias`);
-  console.log('='.repeat(50));
+  log.info(`   Lookback: ${lookbackDays} dias`);
+  log.info('='.repeat(50));
 
   try {
     // Fetch data sequentially to avoid HubSpot 429 rate limits
@@ -1075,15 +1116,20 @@ async function fetchHubSpotData(clientConfig, mode = 'full') {
 
     // Fetch deal→contact source attributions
     const dealIds = deals.map(d => d.id);
-    const dealSourceMap = await fetchDealContactSources(dealIds);
+    const { dealSourceMap, dealContactMap } = await fetchDealContactSources(dealIds);
 
     // Analyze
-    console.log('\nAnalizando datos...');
+    log.info('\nAnalizando datos...');
     const contactAnalysis = analyzeContacts(contacts);
     const dealAnalysis = analyzeDeals(deals, pipelines, dealSourceMap);
     const campaignAnalysis = analyzeCampaigns(campaigns);
     const pipelineAnalysis = analyzePipelines(pipelines);
 
+    // Lead quality training rows: full runs only (incremental runs see 7 days of contacts)
+    if (!(isIncremental && existingData)) {
+      await saveLeadFeatures(buildLeadFeatures(contacts, deals, pipelines, dealContactMap), lookbackDays);
+    }
+
     // Fetch campaign revenue attribution & ad assets
     const campaignPerformance = await fetchCampaignRevenueAndAds(campaigns);
 
@@ -1117,85 +1163,63 @@ async function fetchHubSpotData(clientConfig, mode = 'full') {
       finalData = freshData;
     }
 
-    await saveResults(finalData);
     return finalData;
 
   } catch (error) {
-    console.error(`\nError: ${error.message}`);
+    log.error(`\nError: ${error.message}`);
     throw error;
   }
 }
 
 // ============================================================================
-// GUARDAR RESULTADOS
+// RESUMEN
 // ============================================================================
-async function saveResults(data) {
-  const dataDir = path.join(__dirname, '../data/hubspot');
-  const publicDir = path.join(__dirname, '../public/data/hubspot');
-
-  await fs.mkdir(dataDir, { recursive: true });
-  await fs.mkdir(publicDir, { recursive: true });
-
-  const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
-  const jsonData = JSON.stringify(data, null, 2);
-
-  // Save with timestamp (backup)
-  await fs.writeFile(path.join(dataDir, `hubspot_${timestamp}.json`), jsonData);
-
-  // Save as latest (frontend reads this)
-  await fs.writeFile(path.join(dataDir, 'latest.json'), jsonData);
-  await fs.writeFile(path.join(publicDir, 'latest.json'), jsonData);
-
-  console.log('\nArchivos guardados:');
-  console.log(`   data/hubspot/hubspot_${timestamp}.json`);
-  console.log(`   data/hubspot/latest.json`);
-  console.log(`   public/data/hubspot/latest.json <-- Frontend lee este`);
-
-  // Summary
-  console.log('\nResumen:');
-  console.log(`   Contactos: ${data.contacts.total}`);
-  console.log(`   Deals: ${data.deals.total}`);
-  console.log(`   Win Rate: ${data.deals.win_rate}%`);
-  console.log(`   Revenue Total: $${data.deals.revenue.total.toLocaleString()}`);
-  console.log(`   Campanas activas: ${data.campaigns.active_count}`);
-  console.log(`   Presupuesto total: $${data.campaigns.total_budget.toLocaleString()}`);
+function printSummary(data) {
+  log.info('\nResumen:');
+  log.info(`   Contactos: ${data.contacts.total}`);
+  log.info(`   Deals: ${data.deals.total}`);
+  log.info(`   Win Rate: ${data.deals.win_rate}%`);
+  log.info(`   Revenue Total: $${data.deals.revenue.total.toLocaleString()}`);
+  log.info(`   Campanas activas: ${data.campaigns.active_count}`);
+  log.info(`   Presupuesto total: $${data.campaigns.total_budget.toLocaleString()}`);
 
   // Pipeline summary
-  console.log('\n   Deals por pipeline:');
+  log.info('\n   Deals por pipeline:');
   Object.entries(data.deals.pipeline_distribution).forEach(([name, count]) => {
-    console.log(`     ${name}: ${count}`);
+    log.info(`     ${name}: ${count}`);
   });
 
   // Source summary
-  console.log('\n   Contactos por fuente:');
+  log.info('\n   Contactos por fuente:');
   Object.entries(data.contacts.source_distribution)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 5)
     .forEach(([source, count]) => {
-      console.log(`     ${source}: ${count}`);
+      log.info(`     ${source}: ${count}`);
     });
 }
 
 // ============================================================================
 // MAIN
 // ============================================================================
-async function main() {
-  const options = parseArgs();
-
-  console.log('HubSpot CRM Data Connector');
-  console.log(`   Cliente: ${options.client}`);
-  console.log(`   Modo: ${options.mode}`);
-  console.log(`   Fecha: ${new Date().toLocaleString('es-PE')}`);
-
-  try {
-    const clientConfig = await loadClientConfig(options.client);
-    await fetchHubSpotData(clientConfig, options.mode);
-    console.log('\nConexion completada exitosamente');
-    process.exit(0);
-  } catch (error) {
-    console.error(`\nError fatal: ${error.message}`);
-    process.exit(1);
-  }
+if (isMain(import.meta.url)) {
+  runConnector({
+    source: 'hubspot',
+    title: 'HubSpot CRM Data Connector',
+    defaults: { mode: 'full' },
+    credentials: ['HUBSPOT_ACCESS_TOKEN'],
+    run: ({ clientConfig, options }) => fetchHubSpotData(clientConfig, options.mode),
+    summarize: printSummary
+  });
 }
 
-main();
+export {
+  fetchHubSpotData,
+  hubspotFetch,
+  analyzeContacts,
+  analyzeDeals,
+  analyzeCampaigns,
+  analyzePipelines,
+  buildLeadFeatures,
+  mergeHubSpotData
+};
@@ -0,0 +1,56 @@
+/**
+ * Anonimización de textos de redes sociales
+ *
+ * Los textos de posts y comentarios se guardan para el análisis de
+ * sentimiento del pipeline, sin datos que identifiquen a una persona:
+ * - URLs                          → eliminadas
+ * - emails                        → [email]
+ * - teléfonos y DNI (7+ dígitos)  → [numero]
+ * - menciones @usuario            → [usuario]
+ *
+ * No se guarda autor, id, link ni fecha exacta de cada texto.
+ */
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+const NUMBER_PATTERN = /\+?\d[\d\s-]{5,}\d/g;
+const MENTION_PATTERN = /(^|\s)@[\w.]+/g;
+
+/**
+ * Texto sin URLs, emails, números de contacto ni menciones
+ */
+export function anonymizeText(text) {
+  if (!text || typeof text !== 'string') return '';
+  return text
+    .replace(URL_PATTERN, ' ')
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(NUMBER_PATTERN, '[numero]')
+    .replace(MENTION_PATTERN, '$1[usuario]')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Textos anonimizados de un topic: [{ type: 'post' | 'comment', text }],
+ * sin duplicados ni textos vacíos, hasta `limit` (primero los posts)
+ *
+ * @param {Object[]} items - [{ type, text }]
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @param {number} [options.maxLength=500]
+ */
+export function anonymizeTexts(items, { limit = 50, maxLength = 500 } = {}) {
+  const seen = new Set();
+  const texts = [];
+  const ordered = [...(items || [])].sort((a, b) => (a.type === 'post' ? 0 : 1) - (b.type === 'post' ? 0 : 1));
+
+  for (const item of ordered) {
+    if (texts.length >= limit) break;
+    const text = anonymizeText(item.text).slice(0, maxLength);
+    const key = text.toLowerCase();
+    if (text.length < 5 || seen.has(key)) continue;
+    seen.add(key);
+    texts.push({ type: item.type === 'post' ? 'post' : 'comment', text });
+  }
+  return texts;
+}
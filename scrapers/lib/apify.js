@@ -0,0 +1,107 @@
+/**
+ * Apify actor runner con modos record/replay
+ *
+ * - Live (default): inicia el actor, espera y lee el dataset
+ * - --record[=<dir>]: live + guarda los items crudos en <dir>/<source>.json
+ *   (default: data/recordings/YYYYMMDD/)
+ * - --replay=<dir>: lee <dir>/<source>.json en vez de llamar a Apify
+ *   (no requiere APIFY_TOKEN)
+ *
+ * Formato de la grabación:
+ *   { source, actor_id, input, run_id, recorded_at, items: [...] }
+ * En replay también se acepta un array plano de items.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ApifyClient } from 'apify-client';
+import { ConnectorError, createLogger, recordingDir } from './connector.js';
+
+/**
+ * Credentials needed by an Apify scraper for the given options.
+ */
+export function apifyCredentials(options) {
+  return options.replay ? [] : ['APIFY_TOKEN'];
+}
+
+/**
+ * Read a recording from <dir>/<source>.json.
+ * @returns {{ items: Object[], actorId: string|null, input: Object|null }}
+ */
+export async function loadRecording(dir, source) {
+  const filePath = path.join(path.resolve(dir), `${source}.json`);
+  let content;
+  try {
+    content = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new ConnectorError(`Grabación no encontrada o inválida: ${filePath}`, error.message);
+  }
+
+  if (Array.isArray(content)) {
+    return { items: content, actorId: null, input: null };
+  }
+  return {
+    items: content.items || [],
+    actorId: content.actor_id || null,
+    input: content.input || null
+  };
+}
+
+async function saveRecording(dir, source, recording) {
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, `${source}.json`);
+  await fs.writeFile(filePath, JSON.stringify(recording, null, 2));
+  return filePath;
+}
+
+/**
+ * Run an actor (or replay a recording) and return its dataset items.
+ *
+ * @param {Object} params
+ * @param {string} params.source - Recording name (trends, tiktok, meta)
+ * @param {string} params.actorId - Apify actor ID
+ * @param {Object} params.input - Actor input
+ * @param {number} params.waitSecs - Max wait for the run
+ * @param {Object} params.options - Parsed CLI options (replay/record)
+ * @returns {Promise<{ items: Object[], actorId: string }>}
+ */
+export async function fetchActorItems({ source, actorId, input, waitSecs, options = {}, log = createLogger(source) }) {
+  if (options.replay) {
+    const recording = await loadRecording(options.replay, source);
+    log.info(`\n⏪ Replay: ${path.join(options.replay, `${source}.json`)}`, { event: 'replay', items: recording.items.length });
+    log.info(`📊 Items grabados: ${recording.items.length}`);
+    return { items: recording.items, actorId: recording.actorId || actorId };
+  }
+
+  const client = new ApifyClient({ token: process.env.APIFY_TOKEN });
+
+  log.info('\n🚀 Iniciando actor de Apify...');
+  const run = await client.actor(actorId).start(input);
+  log.info(`   Run ID: ${run.id}`);
+
+  log.info(`\n⏳ Esperando que termine (máx ${Math.round(waitSecs / 60)} min)...`);
+  const finishedRun = await client.run(run.id).waitForFinish({ waitSecs });
+
+  if (finishedRun.status !== 'SUCCEEDED') {
+    throw new Error(`Actor terminó con estado: ${finishedRun.status}`);
+  }
+
+  log.info(`\n✅ Actor completado`);
+
+  const { items } = await client.dataset(finishedRun.defaultDatasetId).listItems();
+  log.info(`📊 Items obtenidos: ${items.length}`);
+
+  if (options.record) {
+    const filePath = await saveRecording(recordingDir(options.record), source, {
+      source,
+      actor_id: actorId,
+      input,
+      run_id: run.id,
+      recorded_at: new Date().toISOString(),
+      items
+    });
+    log.info(`⏺️  Items grabados en ${path.relative(process.cwd(), filePath)}`, { event: 'recorded', file: filePath });
+  }
+
+  return { items, actorId };
+}
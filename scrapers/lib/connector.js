@@ -0,0 +1,274 @@
+/**
+ * Connector SDK
+ *
+ * Base compartida para todos los scrapers/conectores:
+ * - Parseo de argumentos CLI (--key=value y --flag)
+ * - Carga de config del cliente (scrapers/config/<cliente>.json)
+ * - Verificación de credenciales
+ * - Nombres de snapshot uniformes: <source>_YYYYMMDD.json
+ * - Publicación de data/<source>/latest.json y public/data/<source>/latest.json
+ * - Logging estructurado (texto por defecto, JSON con LOG_FORMAT=json)
+ *
+ * Un conector nuevo solo necesita:
+ *
+ *   import { runConnector, isMain } from './lib/connector.js';
+ *
+ *   async function fetchMySource(clientConfig, options, log) { ... return data; }
+ *
+ *   if (isMain(import.meta.url)) {
+ *     runConnector({
+ *       source: 'mysource',
+ *       title: 'My Source Connector',
+ *       credentials: ['MY_SOURCE_TOKEN'],
+ *       run: async ({ clientConfig, options, log }) => fetchMySource(clientConfig, options, log),
+ *       summarize: (data, log) => log.info(`   Items: ${data.items.length}`)
+ *     });
+ *   }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from 'dotenv';
+
+config({ quiet: true });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SCRAPERS_DIR = path.join(__dirname, '..');
+export const ROOT_DIR = path.join(SCRAPERS_DIR, '..');
+export const DATA_DIR = path.join(ROOT_DIR, 'data');
+export const PUBLIC_DATA_DIR = path.join(ROOT_DIR, 'public/data');
+export const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+
+export class ConnectorError extends Error {
+  constructor(message, hint = null) {
+    super(message);
+    this.name = 'ConnectorError';
+    this.hint = hint;
+  }
+}
+
+// ============================================================================
+// ARGUMENTOS
+// ============================================================================
+
+/**
+ * Parse --key=value and --flag arguments into an options object.
+ * Kebab-case keys are converted to camelCase (--dry-run → dryRun).
+ */
+export function parseArgs(defaults = {}, argv = process.argv.slice(2)) {
+  const options = { client: 'ucsp', ...defaults };
+  argv.forEach(arg => {
+    if (!arg.startsWith('--')) return;
+    const [rawKey, ...rest] = arg.slice(2).split('=');
+    const key = rawKey.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    options[key] = rest.length > 0 ? rest.join('=') : true;
+  });
+  return options;
+}
+
+// ============================================================================
+// CARGAR CONFIG
+// ============================================================================
+export async function loadClientConfig(clientName) {
+  const configPath = path.join(SCRAPERS_DIR, 'config', `${clientName}.json`);
+  try {
+    const content = await fs.readFile(configPath, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ConnectorError(`Config no encontrada: ${configPath}`);
+  }
+}
+
+// ============================================================================
+// CREDENCIALES
+// ============================================================================
+
+/**
+ * Return the credentials that are not set. Each entry is a variable name
+ * or an array of alternatives (any one of them is enough).
+ */
+export function missingCredentials(requirements = []) {
+  return requirements
+    .filter(req => {
+      const alternatives = Array.isArray(req) ? req : [req];
+      return !alternatives.some(name => process.env[name]);
+    })
+    .map(req => (Array.isArray(req) ? req.join('|') : req));
+}
+
+export function requireCredentials(requirements = []) {
+  const missing = missingCredentials(requirements);
+  if (missing.length > 0) {
+    throw new ConnectorError(
+      `${missing.join(', ')} no configurado`,
+      'Configura las credenciales en .env o como variable de entorno'
+    );
+  }
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+/**
+ * Snapshot file name for a source, e.g. snapshotName('meta') → meta_20260204.json
+ */
+export function snapshotName(source, date = new Date()) {
+  const stamp = date.toISOString().split('T')[0].replace(/-/g, '');
+  return `${source}_${stamp}.json`;
+}
+
+/**
+ * Directory for --record[=<dir>]: the given path, or data/recordings/YYYYMMDD/
+ */
+export function recordingDir(option, date = new Date()) {
+  if (typeof option === 'string') return path.resolve(option);
+  const stamp = date.toISOString().split('T')[0].replace(/-/g, '');
+  return path.join(RECORDINGS_DIR, stamp);
+}
+
+/**
+ * Load data/<source>/latest.json (used by incremental connectors).
+ * Returns null if it doesn't exist or can't be parsed.
+ */
+export async function loadLatest(source) {
+  const filePath = path.join(DATA_DIR, source, 'latest.json');
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write the dated snapshot plus both latest.json copies (backend + frontend).
+ * Returns the relative paths written.
+ */
+export async function publishResults(source, data, log = createLogger(source)) {
+  const dataDir = path.join(DATA_DIR, source);
+  const publicDir = path.join(PUBLIC_DATA_DIR, source);
+
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.mkdir(publicDir, { recursive: true });
+
+  const snapshot = snapshotName(source);
+  const jsonData = JSON.stringify(data, null, 2);
+
+  await fs.writeFile(path.join(dataDir, snapshot), jsonData);
+  await fs.writeFile(path.join(dataDir, 'latest.json'), jsonData);
+  await fs.writeFile(path.join(publicDir, 'latest.json'), jsonData);
+
+  const written = [
+    `data/${source}/${snapshot}`,
+    `data/${source}/latest.json`,
+    `public/data/${source}/latest.json`
+  ];
+
+  log.info('\nArchivos guardados:', { event: 'published', files: written });
+  log.info(`   ${written[0]}`);
+  log.info(`   ${written[1]}`);
+  log.info(`   ${written[2]} <-- Frontend lee este`);
+
+  return written;
+}
+
+// ============================================================================
+// LOGGING
+// ============================================================================
+
+/**
+ * Logger with the same human-readable output as console.log by default.
+ * With LOG_FORMAT=json (or --log-format=json) every call emits one JSON line:
+ *   {"ts":"...","level":"info","source":"hubspot","msg":"...", ...fields}
+ */
+export function createLogger(source, format = process.env.LOG_FORMAT || parseArgs().logFormat || 'text') {
+  const emit = (level, message, fields = {}) => {
+    if (format === 'json') {
+      const msg = String(message).trim();
+      if (!msg && Object.keys(fields).length === 0) return;
+      const line = JSON.stringify({ ts: new Date().toISOString(), level, source, msg, ...fields });
+      (level === 'error' ? console.error : console.log)(line);
+      return;
+    }
+    (level === 'error' ? console.error : console.log)(message);
+  };
+
+  return {
+    info: (message = '', fields) => emit('info', message, fields),
+    warn: (message = '', fields) => emit('warn', message, fields),
+    error: (message = '', fields) => emit('error', message, fields)
+  };
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * True when the module at importMetaUrl is the script being executed,
+ * so scrapers can export their functions without running on import.
+ */
+export function isMain(importMetaUrl) {
+  return process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(importMetaUrl);
+}
+
+/**
+ * Standard main(): parse args, load config, check credentials, run,
+ * publish, summarize and exit with 0/1.
+ *
+ * @param {Object} spec
+ * @param {string} spec.source - Output folder name (data/<source>/)
+ * @param {string} spec.title - Banner printed at start
+ * @param {Object} [spec.defaults] - Default CLI options
+ * @param {Array|Function} [spec.credentials] - Required env vars (see missingCredentials),
+ *   or options → array when they depend on the CLI flags (e.g. --replay)
+ * @param {Function} spec.run - async ({ options, clientConfig, log }) → data | null
+ * @param {Function} [spec.summarize] - (data, log) → void, printed after publishing
+ *
+ * With --no-publish the result is summarized but nothing is written.
+ * --replay implies --no-publish, so fixtures never overwrite data/ or
+ * public/data/; pass --publish to write them anyway.
+ */
+export async function runConnector(spec) {
+  const options = parseArgs(spec.defaults);
+  const log = createLogger(spec.source);
+
+  log.info(spec.title, { event: 'start', options });
+  log.info(`   Cliente: ${options.client}`);
+  if (options.mode) log.info(`   Modo: ${options.mode}`);
+  if (options.replay) log.info(`   Replay: ${options.replay}`);
+  log.info(`   Fecha: ${new Date().toLocaleString('es-PE')}`);
+
+  try {
+    const clientConfig = await loadClientConfig(options.client);
+    const credentials = typeof spec.credentials === 'function'
+      ? spec.credentials(options)
+      : spec.credentials;
+    if (credentials) requireCredentials(credentials);
+
+    const data = await spec.run({ options, clientConfig, log });
+
+    if (data) {
+      const publish = !options.noPublish && (!options.replay || options.publish === true);
+      if (!publish) {
+        const message = options.noPublish
+          ? '--no-publish: resultados no guardados'
+          : '--replay: resultados no guardados (--publish para guardarlos)';
+        log.info(`\n${message}`, { event: 'skipped_publish' });
+      } else {
+        await publishResults(spec.source, data, log);
+      }
+      spec.summarize?.(data, log);
+    }
+
+    log.info('\nConexión completada exitosamente', { event: 'done' });
+    process.exit(0);
+  } catch (error) {
+    log.error(`\nError fatal: ${error.message}`, { event: 'failed', error: error.message });
+    if (error.hint) log.error(`   ${error.hint}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * GA4 report clients
+ *
+ * ga4_api.js solo usa runReport(), así que cualquier objeto con ese método
+ * puede reemplazar a BetaAnalyticsDataClient:
+ * - FileReportClient: responde desde respuestas grabadas en disco (--replay=<dir>)
+ * - RecordingReportClient: envuelve un cliente real y graba cada respuesta (--record[=<dir>])
+ *
+ * Cada respuesta se guarda en <dir>/<key>.json, donde key sale de las
+ * dimensiones y métricas del request (en orden):
+ *   date+sessionDefaultChannelGroup__sessions+totalUsers+conversions.json
+ *   { request: { dimensions, metrics, dateRanges }, recorded_at, response }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ConnectorError } from './connector.js';
+
+/**
+ * Stable key for a runReport request, built from its dimensions and metrics.
+ */
+export function reportKey(request) {
+  const dimensions = (request.dimensions || []).map(d => d.name).join('+') || 'none';
+  const metrics = (request.metrics || []).map(m => m.name).join('+');
+  return `${dimensions}__${metrics}`;
+}
+
+function resolveDate(value, today = new Date()) {
+  if (value === 'today') return today.toISOString().split('T')[0];
+  if (value === 'yesterday') return new Date(today.getTime() - 86400000).toISOString().split('T')[0];
+  const daysAgo = /^(\d+)daysAgo$/.exec(value || '');
+  if (daysAgo) return new Date(today.getTime() - Number(daysAgo[1]) * 86400000).toISOString().split('T')[0];
+  return value;
+}
+
+const toGa4Date = iso => iso.replace(/-/g, '');
+const fromGa4Date = ymd => `${ymd.slice(0, 4)}-${ymd.slice(4, 6)}-${ymd.slice(6, 8)}`;
+
+/**
+ * For reports with a `date` dimension: move the recorded dates so the newest
+ * one equals the requested endDate, then keep only rows inside the range.
+ */
+function alignToDateRange(response, dateRange, shiftDates) {
+  const dateIndex = (response.dimensionHeaders || []).findIndex(h => h.name === 'date');
+  if (dateIndex === -1 || !dateRange) return response;
+
+  const startDate = toGa4Date(resolveDate(dateRange.startDate));
+  const endDate = toGa4Date(resolveDate(dateRange.endDate));
+  let rows = response.rows || [];
+
+  if (shiftDates && rows.length > 0) {
+    const newest = rows.map(r => r.dimensionValues[dateIndex].value).sort().pop();
+    const offsetMs = Date.parse(fromGa4Date(endDate)) - Date.parse(fromGa4Date(newest));
+    rows = rows.map(row => {
+      const dimensionValues = [...row.dimensionValues];
+      const shifted = new Date(Date.parse(fromGa4Date(dimensionValues[dateIndex].value)) + offsetMs);
+      dimensionValues[dateIndex] = { ...dimensionValues[dateIndex], value: toGa4Date(shifted.toISOString().split('T')[0]) };
+      return { ...row, dimensionValues };
+    });
+  }
+
+  rows = rows.filter(row => {
+    const date = row.dimensionValues[dateIndex].value;
+    return date >= startDate && date <= endDate;
+  });
+
+  return { ...response, rows, rowCount: rows.length };
+}
+
+/**
+ * File-backed fake of BetaAnalyticsDataClient.
+ *
+ * @param {string} dir - Directory with <reportKey>.json files
+ * @param {Object} [options]
+ * @param {boolean} [options.shiftDates=true] - Align recorded dates to the requested range
+ */
+export class FileReportClient {
+  constructor(dir, { shiftDates = true } = {}) {
+    this.dir = path.resolve(dir);
+    this.shiftDates = shiftDates;
+    this.requests = [];
+  }
+
+  async runReport(request) {
+    const key = reportKey(request);
+    const filePath = path.join(this.dir, `${key}.json`);
+    this.requests.push(key);
+
+    let recording;
+    try {
+      recording = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      throw new ConnectorError(`Respuesta GA4 no grabada: ${filePath}`, error.message);
+    }
+
+    const response = alignToDateRange(recording.response, request.dateRanges?.[0], this.shiftDates);
+    return [response, null, null];
+  }
+}
+
+/**
+ * Wraps a real client and saves every runReport response under dir.
+ */
+export class RecordingReportClient {
+  constructor(client, dir) {
+    this.client = client;
+    this.dir = path.resolve(dir);
+    this.recorded = [];
+  }
+
+  async runReport(request) {
+    const result = await this.client.runReport(request);
+    const key = reportKey(request);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, `${key}.json`), JSON.stringify({
+      request: {
+        dimensions: request.dimensions || [],
+        metrics: request.metrics || [],
+        dateRanges: request.dateRanges || []
+      },
+      recorded_at: new Date().toISOString(),
+      response: result[0]
+    }, null, 2));
+    this.recorded.push(key);
+
+    return result;
+  }
+}
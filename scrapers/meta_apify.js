@@ -7,9 +7,13 @@
  * - Engagement scores
  * - Sentimiento
  * - Crecimiento
+ * - Textos de posts y comentarios por topic, anonimizados (aggregatedTopics[].texts),
+ *   para el análisis de sentimiento del ML pipeline
  *
  * Uso:
  *   node meta_apify.js --client=ucsp
+ *   node meta_apify.js --client=ucsp --record                  # guarda items crudos
+ *   node meta_apify.js --client=ucsp --replay=<dir>  # sin Apify
  *
  * Requisitos:
  *   1. Subir el actor a Apify: cd apify-actors/social-listening-meta && apify push
@@ -18,84 +22,40 @@
  * Documentación completa: docs/APIFY_SCRAPERS.md
  */
 
-import { ApifyClient } from 'apify-client';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { config } from 'dotenv';
-
-config();
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const APIFY_TOKEN = process.env.APIFY_TOKEN;
+import { runConnector, isMain, createLogger } from './lib/connector.js';
+import { fetchActorItems, apifyCredentials } from './lib/apify.js';
+import { anonymizeTexts } from './lib/anonymize.js';
+import { SentimentAnalyzer, normalizeLabel } from '../packages/sentiment/index.js';
 
 // Actor ID - Custom social listening actor
 // Formato: "username/actor-name"
 const ACTOR_ID = process.env.APIFY_ACTOR_META || 'globular_cinema/my-actor';
-
-// ============================================================================
-// ARGUMENTOS
-// ============================================================================
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = { client: 'ucsp' };
-  args.forEach(arg => {
-    if (arg.startsWith('--client=')) options.client = arg.split('=')[1];
-  });
-  return options;
-}
-
-// ============================================================================
-// CARGAR CONFIG
-// ============================================================================
-async function loadClientConfig(clientName) {
-  const configPath = path.join(__dirname, 'config', `${clientName}.json`);
-  try {
-    const content = await fs.readFile(configPath, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    console.error(`❌ Config no encontrada: ${configPath}`);
-    process.exit(1);
-  }
-}
+const log = createLogger('meta');
+const analyzer = new SentimentAnalyzer();
 
 // ============================================================================
 // SCRAPER PRINCIPAL
 // ============================================================================
-async function scrapeMetaSocialListening(clientConfig) {
-  console.log(`\n📘 Meta/Facebook Social Listening - ${clientConfig.client}`);
-  console.log('='.repeat(50));
-
-  if (!APIFY_TOKEN) {
-    console.error('\n❌ ERROR: APIFY_TOKEN no configurado');
-    process.exit(1);
-  }
+async function scrapeMetaSocialListening(clientConfig, options = {}) {
+  log.info(`\n📘 Meta/Facebook Social Listening - ${clientConfig.client}`);
+  log.info('='.repeat(50));
 
   // Verificar si estamos usando el actor custom o el genérico
-  // El actor custom puede ser social-listening-meta o globular_cinema/my-actor
-  const isCustomActor = ACTOR_ID.includes('social-listening-meta') ||
-                        ACTOR_ID.includes('globular_cinema/my-actor') ||
-                        ACTOR_ID.includes('globular_cinema~my-actor');
-  console.log(`🎯 Actor: ${ACTOR_ID}`);
-  console.log(`   Tipo: ${isCustomActor ? 'Custom Social Listening' : 'Facebook Posts Scraper'}`);
+  const isCustomActor = isCustomActorId(ACTOR_ID);
+  log.info(`🎯 Actor: ${ACTOR_ID}`);
+  log.info(`   Tipo: ${isCustomActor ? 'Custom Social Listening' : 'Facebook Posts Scraper'}`);
 
   // Páginas de Facebook del config
   const facebookPages = clientConfig.facebook_pages || [];
 
   if (facebookPages.length === 0) {
-    console.log('\n⚠️ No hay páginas de Facebook configuradas');
-    console.log('   Agrega "facebook_pages" al config del cliente');
-    const emptyData = createEmptyData(clientConfig);
-    await saveResults(emptyData);
-    return emptyData;
+    log.info('\n⚠️ No hay páginas de Facebook configuradas');
+    log.info('   Agrega "facebook_pages" al config del cliente');
+    return createEmptyData(clientConfig);
   }
 
-  console.log(`📍 Páginas a analizar: ${facebookPages.length}`);
-  facebookPages.forEach(p => console.log(`   - ${p}`));
-
-  const client = new ApifyClient({ token: APIFY_TOKEN });
+  log.info(`📍 Páginas a analizar: ${facebookPages.length}`);
+  facebookPages.forEach(p => log.info(`   - ${p}`));
 
   // Input dependiendo del tipo de actor
   let input;
@@ -110,6 +70,7 @@ async function scrapeMetaSocialListening(clientConfig) {
       maxPostsPerPage: clientConfig.meta?.maxPostsPerPage || 50,
       includeComments: clientConfig.meta?.includeComments !== false,
       maxCommentsPerPost: clientConfig.meta?.maxCommentsPerPost || 20,
+      maxTextsPerTopic: textOptions(clientConfig).limit,
       timeframeDays: clientConfig.meta?.timeframeDays || 30,
       language: clientConfig.meta?.language || 'es'
     };
@@ -123,48 +84,58 @@ async function scrapeMetaSocialListening(clientConfig) {
     };
   }
 
-  console.log(`\n📤 Input para Apify:`);
-  console.log(JSON.stringify(input, null, 2));
+  log.info(`\n📤 Input para Apify:`);
+  log.info(JSON.stringify(input, null, 2));
 
   try {
-    console.log('\n🚀 Iniciando actor de Apify...');
-    const run = await client.actor(ACTOR_ID).start(input);
-    console.log(`   Run ID: ${run.id}`);
-
-    console.log('\n⏳ Esperando que termine (máx 10 min)...');
-    const finishedRun = await client.run(run.id).waitForFinish({
-      waitSecs: 600
+    // En replay el formato lo define el actor que generó la grabación
+    const { items, actorId } = await fetchActorItems({
+      source: 'meta',
+      actorId: ACTOR_ID,
+      input,
+      waitSecs: 600,
+      options,
+      log
     });
 
-    if (finishedRun.status !== 'SUCCEEDED') {
-      throw new Error(`Actor terminó con estado: ${finishedRun.status}`);
-    }
-
-    console.log(`\n✅ Actor completado`);
-
-    const { items } = await client.dataset(finishedRun.defaultDatasetId).listItems();
-    console.log(`📊 Items obtenidos: ${items.length}`);
-
     // El actor custom ya retorna el formato correcto
     let data;
-    if (isCustomActor && items.length > 0) {
+    if (isCustomActorId(actorId) && items.length > 0) {
       // El actor custom retorna un solo objeto con toda la data
       data = items[0];
-      console.log(`   Topics analizados: ${data.aggregatedTopics?.length || 0}`);
+      // El actor ya anonimiza; se repite por si la grabación viene de una versión anterior
+      (data.aggregatedTopics || []).forEach(topic => {
+        topic.texts = anonymizeTexts(topic.texts, textOptions(clientConfig));
+        // Grabaciones de versiones anteriores del actor usan "Muy Positivo", "very positive"...
+        topic.sentiment = normalizeLabel(topic.sentiment) || 'neutral';
+      });
+      log.info(`   Topics analizados: ${data.aggregatedTopics?.length || 0}`);
+      log.info(`   Textos guardados: ${(data.aggregatedTopics || []).reduce((sum, t) => sum + t.texts.length, 0)}`);
     } else {
       // Transformar datos del actor genérico
       data = transformGenericData(items, clientConfig);
     }
 
-    await saveResults(data);
     return data;
 
   } catch (error) {
-    console.error(`\n❌ Error: ${error.message}`);
+    log.error(`\n❌ Error: ${error.message}`);
     throw error;
   }
 }
 
+// Límite de textos por topic (config del cliente → meta.maxTextsPerTopic)
+function textOptions(clientConfig) {
+  return { limit: clientConfig.meta?.maxTextsPerTopic || 50, maxLength: 500 };
+}
+
+// El actor custom puede ser social-listening-meta o globular_cinema/my-actor
+function isCustomActorId(actorId) {
+  return actorId.includes('social-listening-meta') ||
+         actorId.includes('globular_cinema/my-actor') ||
+         actorId.includes('globular_cinema~my-actor');
+}
+
 // ============================================================================
 // TOPICS DEFAULT PARA EDUCACIÓN
 // ============================================================================
@@ -203,10 +174,11 @@ function getDefaultTopics(clientConfig) {
 // TRANSFORMAR DATOS DEL ACTOR GENÉRICO
 // ============================================================================
 function transformGenericData(items, clientConfig) {
-  console.log('\n🔄 Transformando datos del actor genérico...');
+  log.info('\n🔄 Transformando datos del actor genérico...');
 
   const pages = [];
   const topicCounts = {};
+  const topicTexts = {};
 
   // Agrupar por página
   const postsByPage = {};
@@ -222,8 +194,12 @@ function transformGenericData(items, clientConfig) {
     // Extraer topics de los textos
     const text = (post.text || post.message || '').toLowerCase();
     const topics = extractTopicsFromText(text);
+    const comments = (Array.isArray(post.topComments) ? post.topComments : Array.isArray(post.latestComments) ? post.latestComments : [])
+      .map(c => ({ type: 'comment', text: c.text || '' }));
     topics.forEach(topic => {
       topicCounts[topic] = (topicCounts[topic] || 0) + 1;
+      if (!topicTexts[topic]) topicTexts[topic] = [];
+      topicTexts[topic].push({ type: 'post', text: post.text || post.message || '' }, ...comments);
     });
   });
 
@@ -252,22 +228,28 @@ function transformGenericData(items, clientConfig) {
 
   // Top topics agregados
   const aggregatedTopics = Object.entries(topicCounts)
-    .map(([topic, count]) => ({
-      topic,
-      mentions: count,
-      engagement_score: Math.min(10, count / 2),
-      growth: '+0%',
-      sentiment: 'neutral',
-      top_brands: [],
-      avg_reactions: 0,
-      avg_comments: 0,
-      avg_shares: 0
-    }))
+    .map(([topic, count]) => {
+      const texts = anonymizeTexts(topicTexts[topic], textOptions(clientConfig));
+      const sentiment = analyzer.analyzeMultiple(texts.map(t => t.text));
+      return {
+        topic,
+        mentions: count,
+        engagement_score: Math.min(10, count / 2),
+        growth: '+0%',
+        sentiment: sentiment.category,
+        sentiment_score: sentiment.score,
+        top_brands: [],
+        avg_reactions: 0,
+        avg_comments: 0,
+        avg_shares: 0,
+        texts
+      };
+    })
     .sort((a, b) => b.mentions - a.mentions)
     .slice(0, 10);
 
-  console.log(`   ✅ Páginas: ${pages.length}`);
-  console.log(`   ✅ Topics: ${aggregatedTopics.length}`);
+  log.info(`   ✅ Páginas: ${pages.length}`);
+  log.info(`   ✅ Topics: ${aggregatedTopics.length}`);
 
   return {
     timestamp: new Date().toISOString(),
@@ -281,7 +263,8 @@ function transformGenericData(items, clientConfig) {
       method: `Apify ${ACTOR_ID}`,
       note: 'Datos de páginas públicas de Facebook',
       timeframe: 'Last 30 days',
-      posts_fetched: items.length
+      posts_fetched: items.length,
+      lexicon_version: analyzer.lexiconVersion
     }
   };
 }
@@ -323,32 +306,14 @@ function createEmptyData(clientConfig) {
 }
 
 // ============================================================================
-// GUARDAR RESULTADOS
+// RESUMEN
 // ============================================================================
-async function saveResults(data) {
-  const dataDir = path.join(__dirname, '../data/meta');
-  const publicDir = path.join(__dirname, '../public/data/meta');
-
-  await fs.mkdir(dataDir, { recursive: true });
-  await fs.mkdir(publicDir, { recursive: true });
-
-  const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
-  const jsonData = JSON.stringify(data, null, 2);
-
-  await fs.writeFile(path.join(dataDir, `meta_${timestamp}.json`), jsonData);
-  await fs.writeFile(path.join(dataDir, 'latest.json'), jsonData);
-  await fs.writeFile(path.join(publicDir, 'latest.json'), jsonData);
-
-  console.log('\n💾 Archivos guardados:');
-  console.log(`   📁 data/meta/meta_${timestamp}.json`);
-  console.log(`   📁 data/meta/latest.json`);
-  console.log(`   📁 public/data/meta/latest.json`);
-
+function printSummary(data) {
   if (data.aggregatedTopics && data.aggregatedTopics.length > 0) {
-    console.log('\n📊 Resultados por Topic:');
+    log.info('\n📊 Resultados por Topic:');
     data.aggregatedTopics.slice(0, 5).forEach((t, i) => {
       const sentiment = t.sentiment || 'neutral';
-      console.log(`   ${i + 1}. ${t.topic}: ${t.mentions} menciones, ${t.engagement_score}/10 eng, ${sentiment}`);
+      log.info(`   ${i + 1}. ${t.topic}: ${t.mentions} menciones, ${t.engagement_score}/10 eng, ${sentiment}`);
     });
   }
 }
@@ -356,21 +321,14 @@ async function saveResults(data) {
 // ============================================================================
 // MAIN
 // ============================================================================
-async function main() {
-  const options = parseArgs();
-
-  console.log('📘 Meta/Facebook Social Listening (Apify)');
-  console.log(`   Cliente: ${options.client}`);
-
-  try {
-    const clientConfig = await loadClientConfig(options.client);
-    await scrapeMetaSocialListening(clientConfig);
-    console.log('\n✅ Scraping completado');
-    process.exit(0);
-  } catch (error) {
-    console.error(`\n❌ Error fatal: ${error.message}`);
-    process.exit(1);
-  }
+if (isMain(import.meta.url)) {
+  runConnector({
+    source: 'meta',
+    title: '📘 Meta/Facebook Social Listening (Apify)',
+    credentials: apifyCredentials,
+    run: ({ clientConfig, options }) => scrapeMetaSocialListening(clientConfig, options),
+    summarize: printSummary
+  });
 }
 
-main();
+export { scrapeMetaSocialListening, transformGenericData, extractTopicsFromText };
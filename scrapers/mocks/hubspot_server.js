@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * HubSpot API Mock Server
+ *
+ * Sirve los endpoints que usa hubspot_api.js desde fixtures locales, para
+ * correr el conector (full e incremental) sin red:
+ *   POST /crm/v3/objects/contacts/search
+ *   POST /crm/v3/objects/deals/search
+ *   POST /crm/v3/objects/contacts/batch/read
+ *   POST /crm/v3/associations/deals/contacts/batch/read
+ *   GET  /crm/v3/pipelines/deals
+ *   GET  /marketing/v3/campaigns
+ *   GET  /marketing/v3/campaigns/:id/reports/revenue
+ *   GET  /marketing/v3/campaigns/:id/assets/AD_CAMPAIGN
+ *   GET  /__mock/stats                (requests servidos y 429 inyectados)
+ *
+ * Paginación por cursor con `after` (offset como string, igual que HubSpot).
+ * Las fechas de contactos, deals y campañas se desplazan para que el registro
+ * más reciente caiga hoy, así las ventanas de lookback siempre tienen datos.
+ *
+ * Uso:
+ *   node mocks/hubspot_server.js --port=4010
+ *   node mocks/hubspot_server.js --rate-limit-every=5 --page-size=20
+ *   node mocks/hubspot_server.js --fixtures=<dir> --no-shift
+ *
+ *   HUBSPOT_BASE_URL=http://localhost:4010 HUBSPOT_ACCESS_TOKEN=mock \
+ *     node hubspot_api.js --mode=full
+ */
+
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { SCRAPERS_DIR, parseArgs, isMain, createLogger } from '../lib/connector.js';
+
+export const DEFAULT_FIXTURES_DIR = path.join(SCRAPERS_DIR, 'fixtures/hubspot');
+
+const DATE_PROPERTIES = ['createdate', 'closedate', 'hs_lastmodifieddate'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SEARCH_LIMIT = 200;
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+async function readFixture(dir, name) {
+  return JSON.parse(await fs.readFile(path.join(dir, name), 'utf-8'));
+}
+
+function shiftDay(day, offsetMs) {
+  return new Date(Date.parse(day) + offsetMs).toISOString().split('T')[0];
+}
+
+function shiftCampaign(campaign, offsetMs) {
+  const properties = { ...campaign.properties };
+  ['hs_start_date', 'hs_end_date'].forEach(prop => {
+    if (properties[prop]) properties[prop] = shiftDay(properties[prop], offsetMs);
+  });
+  return { ...campaign, properties };
+}
+
+function shiftRecord(record, offsetMs) {
+  const properties = { ...record.properties };
+  DATE_PROPERTIES.forEach(prop => {
+    if (properties[prop]) {
+      properties[prop] = new Date(Date.parse(properties[prop]) + offsetMs).toISOString();
+    }
+  });
+  return {
+    ...record,
+    properties,
+    createdAt: properties.createdate || record.createdAt,
+    updatedAt: properties.hs_lastmodifieddate || record.updatedAt
+  };
+}
+
+/**
+ * Load all fixture files. With shift=true, contact/deal/campaign dates are
+ * moved forward by whole days so the newest contact or deal is from today.
+ */
+export async function loadFixtures(dir = DEFAULT_FIXTURES_DIR, { shift = true } = {}) {
+  let contacts = await readFixture(dir, 'contacts.json');
+  let deals = await readFixture(dir, 'deals.json');
+  let campaigns = await readFixture(dir, 'campaigns.json');
+
+  if (shift) {
+    const newest = Math.max(...[...contacts, ...deals].map(r => Date.parse(r.properties.createdate)));
+    const offsetMs = Math.floor((Date.now() - newest) / DAY_MS) * DAY_MS;
+    contacts = contacts.map(c => shiftRecord(c, offsetMs));
+    deals = deals.map(d => shiftRecord(d, offsetMs));
+    campaigns = campaigns.map(c => shiftCampaign(c, offsetMs));
+  }
+
+  return {
+    contacts,
+    deals,
+    campaigns,
+    pipelines: (await readFixture(dir, 'pipelines.json')).results,
+    dealContacts: await readFixture(dir, 'deal_contacts.json'),
+    campaignRevenue: await readFixture(dir, 'campaign_revenue.json'),
+    campaignAdAssets: await readFixture(dir, 'campaign_ad_assets.json')
+  };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Slice results at the `after` cursor and add paging.next when more remain.
+ */
+function paginate(items, { limit, after, pageSize }) {
+  const offset = parseInt(after || '0', 10) || 0;
+  const size = Math.min(parseInt(limit || '10', 10) || 10, pageSize || Infinity);
+  const results = items.slice(offset, offset + size);
+  const next = offset + size;
+  return {
+    total: items.length,
+    results,
+    ...(next < items.length ? { paging: { next: { after: String(next) } } } : {})
+  };
+}
+
+function matchesFilter(record, filter) {
+  const raw = record.properties?.[filter.propertyName];
+  if (raw === undefined || raw === null || raw === '') return false;
+  const value = DATE_PROPERTIES.includes(filter.propertyName) ? Date.parse(raw) : raw;
+  const target = DATE_PROPERTIES.includes(filter.propertyName) ? Number(filter.value) : filter.value;
+
+  switch (filter.operator) {
+    case 'EQ': return value == target;
+    case 'NEQ': return value != target;
+    case 'GT': return value > target;
+    case 'GTE': return value >= target;
+    case 'LT': return value < target;
+    case 'LTE': return value <= target;
+    default: return true;
+  }
+}
+
+/**
+ * HubSpot search semantics: filterGroups are OR'ed, filters inside a group AND'ed.
+ */
+function search(records, body = {}) {
+  const groups = body.filterGroups || [];
+  const matched = groups.length === 0
+    ? records
+    : records.filter(r => groups.some(g => (g.filters || []).every(f => matchesFilter(r, f))));
+
+  if (!body.properties) return matched;
+  return matched.map(r => ({
+    ...r,
+    properties: Object.fromEntries(
+      ['hs_object_id', ...body.properties]
+        .filter(p => p in r.properties)
+        .map(p => [p, r.properties[p]])
+    )
+  }));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+const notFound = (message = 'resource not found') => [404, { status: 'error', message, category: 'OBJECT_NOT_FOUND' }];
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+/**
+ * Create (but don't start) the mock server.
+ *
+ * @param {Object} fixtures - Output of loadFixtures()
+ * @param {Object} [options]
+ * @param {number} [options.rateLimitEvery] - Answer every Nth request with 429 (0 = never)
+ * @param {number} [options.pageSize] - Cap on page size, to force multi-page responses
+ * @param {Object} [options.log] - Logger (createLogger)
+ */
+export function createHubSpotMockServer(fixtures, { rateLimitEvery = 0, pageSize = null, log = createLogger('hubspot-mock') } = {}) {
+  const stats = { requests: 0, rate_limited: 0, by_endpoint: {} };
+
+  const routes = [
+    ['POST', /^\/crm\/v3\/objects\/contacts\/search$/, (_, body) =>
+      [200, paginate(search(fixtures.contacts, body), { limit: Math.min(body.limit || 10, MAX_SEARCH_LIMIT), after: body.after, pageSize })]],
+
+    ['POST', /^\/crm\/v3\/objects\/deals\/search$/, (_, body) =>
+      [200, paginate(search(fixtures.deals, body), { limit: Math.min(body.limit || 10, MAX_SEARCH_LIMIT), after: body.after, pageSize })]],
+
+    ['POST', /^\/crm\/v3\/objects\/contacts\/batch\/read$/, (_, body) => {
+      const ids = new Set((body.inputs || []).map(i => String(i.id)));
+      const results = search(fixtures.contacts.filter(c => ids.has(c.id)), { properties: body.properties });
+      return [200, { status: 'COMPLETE', results }];
+    }],
+
+    ['POST', /^\/crm\/v3\/associations\/deals\/contacts\/batch\/read$/, (_, body) => {
+      const results = (body.inputs || [])
+        .filter(i => fixtures.dealContacts[i.id])
+        .map(i => ({ from: { id: String(i.id) }, to: [{ id: fixtures.dealContacts[i.id], type: 'deal_to_contact' }] }));
+      return [200, { status: 'COMPLETE', results }];
+    }],
+
+    ['GET', /^\/crm\/v3\/pipelines\/deals$/, () => [200, { results: fixtures.pipelines }]],
+
+    ['GET', /^\/marketing\/v3\/campaigns$/, (query) =>
+      [200, paginate(fixtures.campaigns, { limit: query.get('limit'), after: query.get('after'), pageSize })]],
+
+    ['GET', /^\/marketing\/v3\/campaigns\/([^/]+)\/reports\/revenue$/, (_, __, [id]) =>
+      fixtures.campaignRevenue[id] ? [200, fixtures.campaignRevenue[id]] : notFound(`No revenue report for campaign ${id}`)],
+
+    ['GET', /^\/marketing\/v3\/campaigns\/([^/]+)\/assets\/AD_CAMPAIGN$/, (query, __, [id]) =>
+      fixtures.campaignAdAssets[id]
+        ? [200, paginate(fixtures.campaignAdAssets[id], { limit: query.get('limit'), after: query.get('after'), pageSize })]
+        : notFound(`Campaign ${id} not found`)],
+
+    ['GET', /^\/__mock\/stats$/, () => [200, stats]]
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const isStats = url.pathname === '/__mock/stats';
+
+    if (!isStats) {
+      stats.requests++;
+      stats.by_endpoint[`${req.method} ${url.pathname}`] = (stats.by_endpoint[`${req.method} ${url.pathname}`] || 0) + 1;
+
+      if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+        return send(res, 401, { status: 'error', message: 'Authentication credentials not found.', category: 'INVALID_AUTHENTICATION' });
+      }
+
+      if (rateLimitEvery > 0 && stats.requests % rateLimitEvery === 0) {
+        stats.rate_limited++;
+        log.info(`   429 ${req.method} ${url.pathname}`, { event: 'rate_limited', path: url.pathname });
+        return send(res, 429, {
+          status: 'error',
+          message: 'You have reached your secondly limit.',
+          errorType: 'RATE_LIMIT',
+          policyName: 'SECONDLY'
+        });
+      }
+    }
+
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) {
+      return send(res, ...notFound(`No mock for ${req.method} ${url.pathname}`));
+    }
+
+    try {
+      const body = req.method === 'POST' ? await readBody(req) : {};
+      const params = url.pathname.match(route[1]).slice(1);
+      const [status, payload] = route[2](url.searchParams, body, params);
+      if (!isStats) log.info(`   ${status} ${req.method} ${url.pathname}`, { event: 'request', status, path: url.pathname });
+      send(res, status, payload);
+    } catch (error) {
+      send(res, 400, { status: 'error', message: `Invalid input: ${error.message}`, category: 'VALIDATION_ERROR' });
+    }
+  });
+
+  server.stats = stats;
+  return server;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+async function main() {
+  const options = parseArgs({ port: '4010', fixtures: DEFAULT_FIXTURES_DIR });
+  const log = createLogger('hubspot-mock');
+
+  const fixtures = await loadFixtures(options.fixtures, { shift: !options.noShift });
+  const server = createHubSpotMockServer(fixtures, {
+    rateLimitEvery: parseInt(options.rateLimitEvery || '0', 10),
+    pageSize: options.pageSize ? parseInt(options.pageSize, 10) : null,
+    log
+  });
+
+  server.listen(parseInt(options.port, 10), () => {
+    log.info(`HubSpot mock escuchando en http://localhost:${options.port}`, { event: 'listening', port: options.port });
+    log.info(`   Fixtures: ${options.fixtures}`);
+    log.info(`   Contactos: ${fixtures.contacts.length} | Deals: ${fixtures.deals.length} | Campañas: ${fixtures.campaigns.length}`);
+    if (options.rateLimitEvery) log.info(`   429 cada ${options.rateLimitEvery} requests`);
+    if (options.pageSize) log.info(`   Página máxima: ${options.pageSize}`);
+  });
+}
+
+if (isMain(import.meta.url)) {
+  main().catch(error => {
+    console.error(`Error fatal: ${error.message}`);
+    process.exit(1);
+  });
+}
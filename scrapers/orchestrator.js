@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+/**
+ * Scraper Orchestrator
+ *
+ * Ejecuta todos los scrapers como un grafo de jobs con dependencias:
+ * - Timeouts, reintentos y límites de concurrencia por fuente
+ * - Skip automático si faltan credenciales o si una dependencia falló
+ * - Manifest machine-readable en data/runs/ con el resultado de cada fuente
+ * - ML pipeline solo si HubSpot está fresco; Trends y Meta viejos solo generan aviso
+ *
+ * Código de salida: 0 si al menos una fuente tuvo éxito (success o partial,
+ * los fallos quedan en el manifest), 1 si todas fallaron o el run no pudo empezar.
+ *
+ * Uso:
+ *   node orchestrator.js --client=ucsp --mode=full
+ *   node orchestrator.js --client=ucsp --mode=incremental
+ *   node orchestrator.js --only=hubspot,ga4 --skip-ml
+ *   node orchestrator.js --dry-run
+ *
+ * Opciones:
+ *   --mode=full|incremental   Se pasa a los conectores que lo soportan (HubSpot, GA4)
+ *   --only=a,b                Ejecutar solo estas fuentes
+ *   --skip=a,b                Saltar estas fuentes
+ *   --concurrency=N           Máximo de jobs en paralelo (default: config o 2)
+ *   --skip-ml                 No ejecutar el ML pipeline
+ *   --dry-run                 Mostrar el plan sin ejecutar nada
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import {
+  parseArgs as parseConnectorArgs,
+  loadClientConfig,
+  missingCredentials,
+  SCRAPERS_DIR,
+  ROOT_DIR,
+  DATA_DIR,
+  PUBLIC_DATA_DIR
+} from './lib/connector.js';
+
+const RUNS_DIR = path.join(DATA_DIR, 'runs');
+
+// ============================================================================
+// JOB GRAPH
+// ============================================================================
+// requiresEnv: cada entrada es una variable o una lista de alternativas
+// group: jobs del mismo grupo comparten límite de concurrencia (ej. cuenta Apify)
+// dependsOn: espera a que estos jobs terminen (con cualquier resultado)
+// freshInputs: el job solo corre si estas fuentes tienen latest.json reciente
+// optionalInputs: si están viejas el job corre igual, con un aviso en el log y el manifest
+const DEFAULT_JOBS = [
+  {
+    id: 'trends',
+    script: 'google_trends_apify.js',
+    output: 'trends',
+    group: 'apify',
+    requiresEnv: ['APIFY_TOKEN'],
+    timeoutMinutes: 12,
+    retries: 1
+  },
+  {
+    id: 'tiktok',
+    script: 'tiktok_apify.js',
+    output: 'tiktok',
+    group: 'apify',
+    requiresEnv: ['APIFY_TOKEN'],
+    timeoutMinutes: 7,
+    retries: 1
+  },
+  {
+    id: 'meta',
+    script: 'meta_apify.js',
+    output: 'meta',
+    group: 'apify',
+    requiresEnv: ['APIFY_TOKEN'],
+    timeoutMinutes: 12,
+    retries: 1
+  },
+  {
+    id: 'hubspot',
+    script: 'hubspot_api.js',
+    output: 'hubspot',
+    group: 'hubspot',
+    passMode: true,
+    requiresEnv: ['HUBSPOT_ACCESS_TOKEN'],
+    timeoutMinutes: { full: 45, incremental: 8 },
+    retries: 1
+  },
+  {
+    id: 'ga4',
+    script: 'ga4_api.js',
+    output: 'ga4',
+    group: 'google',
+    passMode: true,
+    requiresEnv: [['GA4_CREDENTIALS_JSON', 'GA4_CREDENTIALS_PATH']],
+    timeoutMinutes: { full: 10, incremental: 5 },
+    retries: 2
+  }
+];
+
+const DEFAULT_ML_JOB = {
+  id: 'ml_pipeline',
+  script: '../ml/pipeline/weekly_pipeline.js',
+  cwd: ROOT_DIR,
+  dependsOn: ['trends', 'tiktok', 'meta', 'hubspot', 'ga4'],
+  // Máxima antigüedad (horas) de cada input: HubSpot es requerido, el resto opcional
+  freshInputs: { hubspot: 36 },
+  optionalInputs: { trends: 192, meta: 192 },
+  timeoutMinutes: 5,
+  retries: 0
+};
+
+const DEFAULT_GROUP_LIMITS = { apify: 2, hubspot: 1, google: 1 };
+const DEFAULT_CONCURRENCY = 2;
+const LOG_TAIL_LINES = 20;
+
+// ============================================================================
+// ARGUMENTOS
+// ============================================================================
+function parseArgs() {
+  const options = parseConnectorArgs({
+    mode: 'full',
+    only: null,
+    skip: '',
+    concurrency: null,
+    skipMl: false,
+    dryRun: false
+  });
+  return {
+    ...options,
+    only: options.only ? options.only.split(',').filter(Boolean) : null,
+    skip: options.skip ? options.skip.split(',').filter(Boolean) : [],
+    concurrency: parseInt(options.concurrency, 10) || null
+  };
+}
+
+/**
+ * Build the job list for this run, applying per-client overrides from
+ * the "orchestrator" block of the client config.
+ */
+function buildJobs(clientConfig, options) {
+  const overrides = clientConfig.orchestrator?.jobs || {};
+
+  const applyOverrides = job => {
+    const o = overrides[job.id] || {};
+    return {
+      ...job,
+      timeoutMinutes: o.timeout_minutes ?? job.timeoutMinutes,
+      retries: o.retries ?? job.retries,
+      enabled: o.enabled !== false,
+      freshInputs: o.fresh_inputs ?? job.freshInputs,
+      optionalInputs: o.optional_inputs ?? job.optionalInputs
+    };
+  };
+
+  const jobs = DEFAULT_JOBS.map(applyOverrides).map(job => {
+    let skipReason = null;
+    if (!job.enabled) skipReason = 'deshabilitado en config';
+    else if (options.only && !options.only.includes(job.id)) skipReason = 'excluido por --only';
+    else if (options.skip.includes(job.id)) skipReason = 'excluido por --skip';
+    return { ...job, skipReason };
+  });
+
+  const mlJob = applyOverrides(DEFAULT_ML_JOB);
+  let mlSkipReason = null;
+  if (!mlJob.enabled) mlSkipReason = 'deshabilitado en config';
+  else if (options.skipMl) mlSkipReason = 'excluido por --skip-ml';
+  jobs.push({ ...mlJob, skipReason: mlSkipReason });
+
+  return jobs;
+}
+
+function resolveTimeoutMs(job, mode) {
+  const minutes = typeof job.timeoutMinutes === 'object'
+    ? (job.timeoutMinutes[mode] ?? job.timeoutMinutes.full)
+    : job.timeoutMinutes;
+  return minutes * 60 * 1000;
+}
+
+function missingEnv(job) {
+  return missingCredentials(job.requiresEnv);
+}
+
+// ============================================================================
+// FRESHNESS
+// ============================================================================
+
+/**
+ * Read the timestamp of public/data/<source>/latest.json.
+ * Returns null if the file doesn't exist or has no timestamp.
+ */
+async function readOutputTimestamp(source) {
+  const filePath = path.join(PUBLIC_DATA_DIR, source, 'latest.json');
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return data.timestamp || null;
+  } catch {
+    return null;
+  }
+}
+
+async function checkFreshInputs(freshInputs = {}) {
+  const now = Date.now();
+  const inputs = {};
+  const stale = [];
+
+  for (const [source, maxAgeHours] of Object.entries(freshInputs)) {
+    const timestamp = await readOutputTimestamp(source);
+    const ageHours = timestamp ? (now - new Date(timestamp).getTime()) / 3600000 : null;
+    const fresh = ageHours !== null && ageHours <= maxAgeHours;
+
+    inputs[source] = {
+      timestamp,
+      age_hours: ageHours !== null ? parseFloat(ageHours.toFixed(1)) : null,
+      max_age_hours: maxAgeHours,
+      fresh
+    };
+    if (!fresh) stale.push(source);
+  }
+
+  return { inputs, stale };
+}
+
+// ============================================================================
+// JOB EXECUTION
+// ============================================================================
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a script once as a child process. Resolves (never rejects) with
+ * exit code, timeout flag and the last lines of output.
+ */
+function runProcess(job, args, timeoutMs) {
+  return new Promise(resolve => {
+    const cwd = job.cwd || SCRAPERS_DIR;
+    const scriptPath = path.join(SCRAPERS_DIR, job.script);
+    const child = spawn(process.execPath, [scriptPath, ...args], {
+      cwd,
+      env: process.env,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const tail = [];
+    let timedOut = false;
+
+    const onData = chunk => {
+      chunk.toString().split('\n').forEach(line => {
+        if (!line.trim()) return;
+        console.log(`   [${job.id}] ${line}`);
+        tail.push(line);
+        if (tail.length > LOG_TAIL_LINES) tail.shift();
+      });
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+      // Si no termina con SIGTERM, forzar
+      setTimeout(() => child.kill('SIGKILL'), 10000).unref();
+    }, timeoutMs);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      resolve({ exitCode: null, timedOut, error: error.message, tail });
+    });
+
+    child.on('close', exitCode => {
+      clearTimeout(timer);
+      resolve({ exitCode, timedOut, error: null, tail });
+    });
+  });
+}
+
+/**
+ * Run a job with retries and exponential backoff between attempts.
+ */
+async function runJob(job, options) {
+  const timeoutMs = resolveTimeoutMs(job, options.mode);
+  const args = [`--client=${options.client}`];
+  if (job.passMode) args.push(`--mode=${options.mode}`);
+
+  const startedAt = new Date();
+  let attempt = 0;
+  let result;
+
+  while (attempt <= job.retries) {
+    attempt++;
+    console.log(`\n[${job.id}] Intento ${attempt}/${job.retries + 1} (timeout ${timeoutMs / 60000} min)`);
+    result = await runProcess(job, args, timeoutMs);
+
+    if (result.exitCode === 0 && !result.timedOut) break;
+
+    const why = result.timedOut ? 'timeout' : result.error || `exit code ${result.exitCode}`;
+    console.log(`[${job.id}] Falló (${why})`);
+
+    if (attempt <= job.retries) {
+      const waitMs = Math.pow(2, attempt - 1) * 5000;
+      console.log(`[${job.id}] Reintentando en ${waitMs / 1000}s...`);
+      await sleep(waitMs);
+    }
+  }
+
+  const finishedAt = new Date();
+  const succeeded = result.exitCode === 0 && !result.timedOut;
+
+  return {
+    status: succeeded ? 'succeeded' : 'failed',
+    attempts: attempt,
+    exit_code: result.exitCode,
+    timed_out: result.timedOut,
+    error: succeeded ? null : (result.timedOut ? `Timeout tras ${timeoutMs / 60000} min` : result.error || `Exit code ${result.exitCode}`),
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - startedAt,
+    log_tail: result.tail
+  };
+}
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Decide whether a job whose dependencies are settled should run.
+ * Returns a skip reason, or null if it can run.
+ */
+async function preflight(job, results) {
+  if (job.skipReason) return { reason: job.skipReason };
+
+  const missing = missingEnv(job);
+  if (missing.length > 0) return { reason: `credenciales faltantes: ${missing.join(', ')}` };
+
+  if (job.freshInputs || job.optionalInputs) {
+    const failedIn = sources => {
+      const failed = sources.filter(s => results[s]?.status === 'failed');
+      return failed.length > 0 ? ` (fallaron en esta corrida: ${failed.join(', ')})` : '';
+    };
+
+    const required = await checkFreshInputs(job.freshInputs);
+    const optional = await checkFreshInputs(job.optionalInputs);
+    Object.values(optional.inputs).forEach(input => { input.optional = true; });
+    const inputs = { ...required.inputs, ...optional.inputs };
+
+    if (required.stale.length > 0) {
+      return { reason: `inputs no frescos: ${required.stale.join(', ')}${failedIn(required.stale)}`, inputs };
+    }
+    const warning = optional.stale.length > 0
+      ? `inputs opcionales no frescos: ${optional.stale.join(', ')}${failedIn(optional.stale)}`
+      : null;
+    return { reason: null, inputs, warning };
+  }
+
+  return { reason: null };
+}
+
+async function runGraph(jobs, options, clientConfig) {
+  const concurrency = options.concurrency || clientConfig.orchestrator?.concurrency || DEFAULT_CONCURRENCY;
+  const groupLimits = { ...DEFAULT_GROUP_LIMITS, ...(clientConfig.orchestrator?.group_limits || {}) };
+
+  const results = {};
+  const pending = new Map(jobs.map(j => [j.id, j]));
+  const running = new Map(); // id → promise
+  const groupCounts = {};
+
+  const isSettled = id => results[id] !== undefined || !jobs.some(j => j.id === id);
+
+  while (pending.size > 0 || running.size > 0) {
+    // Lanzar todos los jobs listos respetando límites
+    for (const job of [...pending.values()]) {
+      if (running.size >= concurrency) break;
+      if (!(job.dependsOn || []).every(isSettled)) continue;
+      if (job.group && (groupCounts[job.group] || 0) >= (groupLimits[job.group] || Infinity)) continue;
+
+      pending.delete(job.id);
+
+      const { reason, inputs, warning } = await preflight(job, results);
+      if (reason) {
+        console.log(`\n[${job.id}] Omitido: ${reason}`);
+        results[job.id] = { status: 'skipped', reason, ...(inputs ? { inputs } : {}) };
+        continue;
+      }
+      if (warning) console.log(`\n[${job.id}] Aviso: ${warning}, se ejecuta igual`);
+
+      if (job.group) groupCounts[job.group] = (groupCounts[job.group] || 0) + 1;
+
+      const promise = runJob(job, options).then(async result => {
+        if (job.output) {
+          result.output = `public/data/${job.output}/latest.json`;
+          result.output_timestamp = await readOutputTimestamp(job.output);
+        }
+        if (inputs) result.inputs = inputs;
+        if (warning) result.warning = warning;
+        results[job.id] = result;
+        running.delete(job.id);
+        if (job.group) groupCounts[job.group]--;
+      });
+      running.set(job.id, promise);
+    }
+
+    if (running.size > 0) {
+      await Promise.race(running.values());
+    } else if (pending.size > 0) {
+      // Nada corriendo y nada lanzable: dependencias imposibles de resolver
+      for (const job of pending.values()) {
+        results[job.id] = { status: 'skipped', reason: 'dependencias no resueltas' };
+      }
+      pending.clear();
+    }
+  }
+
+  return results;
+}
+
+// ============================================================================
+// MANIFEST
+// ============================================================================
+function buildManifest(jobs, results, options, startedAt) {
+  const finishedAt = new Date();
+  const byStatus = status => jobs.filter(j => results[j.id]?.status === status).map(j => j.id);
+
+  const succeeded = byStatus('succeeded');
+  const skipped = byStatus('skipped');
+  const failed = byStatus('failed');
+
+  let status = 'success';
+  if (failed.length > 0) status = succeeded.length > 0 ? 'partial' : 'failed';
+
+  return {
+    run_id: startedAt.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z',
+    client: options.client,
+    mode: options.mode,
+    status,
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - startedAt,
+    summary: { succeeded, skipped, failed },
+    jobs: Object.fromEntries(jobs.map(j => [j.id, results[j.id]]))
+  };
+}
+
+async function saveManifest(manifest) {
+  await fs.mkdir(RUNS_DIR, { recursive: true });
+
+  const jsonData = JSON.stringify(manifest, null, 2);
+  const fileName = `run_${manifest.run_id}.json`;
+
+  await fs.writeFile(path.join(RUNS_DIR, fileName), jsonData);
+  await fs.writeFile(path.join(RUNS_DIR, 'latest.json'), jsonData);
+
+  console.log('\nManifest guardado:');
+  console.log(`   data/runs/${fileName}`);
+  console.log('   data/runs/latest.json');
+}
+
+function printPlan(jobs, options) {
+  console.log('\nPlan de ejecución:');
+  jobs.forEach(job => {
+    const deps = job.dependsOn?.length ? ` ← ${job.dependsOn.join(', ')}` : '';
+    const missing = missingEnv(job);
+    let note = '';
+    if (job.skipReason) note = ` [omitir: ${job.skipReason}]`;
+    else if (missing.length > 0) note = ` [omitir: credenciales faltantes: ${missing.join(', ')}]`;
+    console.log(`   ${job.id}${deps} (timeout ${resolveTimeoutMs(job, options.mode) / 60000} min, reintentos ${job.retries})${note}`);
+  });
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+async function main() {
+  const options = parseArgs();
+
+  console.log('Scraper Orchestrator');
+  console.log(`   Cliente: ${options.client}`);
+  console.log(`   Modo: ${options.mode}`);
+  console.log(`   Fecha: ${new Date().toLocaleString('es-PE')}`);
+  console.log('='.repeat(50));
+
+  let clientConfig;
+  try {
+    clientConfig = await loadClientConfig(options.client);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const jobs = buildJobs(clientConfig, options);
+
+  printPlan(jobs, options);
+  if (options.dryRun) {
+    process.exit(0);
+  }
+
+  const startedAt = new Date();
+  const results = await runGraph(jobs, options, clientConfig);
+  const manifest = buildManifest(jobs, results, options, startedAt);
+  await saveManifest(manifest);
+
+  console.log('\nResumen:');
+  console.log(`   Exitosos: ${manifest.summary.succeeded.join(', ') || '-'}`);
+  console.log(`   Omitidos: ${manifest.summary.skipped.join(', ') || '-'}`);
+  console.log(`   Fallidos: ${manifest.summary.failed.join(', ') || '-'}`);
+  console.log(`   Estado: ${manifest.status.toUpperCase()}`);
+
+  // Un run parcial publica lo que sí se obtuvo; solo falla si no hubo ninguna fuente exitosa
+  if (manifest.status === 'partial' && process.env.GITHUB_ACTIONS) {
+    console.log(`::warning::Corrida parcial, fallaron: ${manifest.summary.failed.join(', ')}`);
+  }
+  process.exit(manifest.status === 'failed' ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(`\nError fatal: ${error.message}`);
+  process.exit(1);
+});
@@ -7,66 +7,27 @@
  *
  * Uso:
  *   node tiktok_apify.js --client=ucsp
+ *   node tiktok_apify.js --client=ucsp --record                  # guarda items crudos
+ *   node tiktok_apify.js --client=ucsp --replay=<dir>  # sin Apify
  *
  * Documentación completa: docs/APIFY_SCRAPERS.md
  */
 
-import { ApifyClient } from 'apify-client';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { config } from 'dotenv';
+import { runConnector, isMain, createLogger } from './lib/connector.js';
+import { fetchActorItems, apifyCredentials } from './lib/apify.js';
 
-config();
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const APIFY_TOKEN = process.env.APIFY_TOKEN;
 const ACTOR_ID = 'clockworks/tiktok-trends-scraper';
-
-// ============================================================================
-// ARGUMENTOS
-// ============================================================================
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = { client: 'ucsp' };
-  args.forEach(arg => {
-    if (arg.startsWith('--client=')) options.client = arg.split('=')[1];
-  });
-  return options;
-}
-
-// ============================================================================
-// CARGAR CONFIG
-// ============================================================================
-async function loadClientConfig(clientName) {
-  const configPath = path.join(__dirname, 'config', `${clientName}.json`);
-  try {
-    const content = await fs.readFile(configPath, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    console.error(`❌ Config no encontrada: ${configPath}`);
-    process.exit(1);
-  }
-}
+const log = createLogger('tiktok');
 
 // ============================================================================
 // SCRAPER PRINCIPAL
 // ============================================================================
-async function scrapeTikTokTrends(clientConfig) {
-  console.log(`\n🎵 TikTok Trends Scraper - ${clientConfig.client}`);
-  console.log('='.repeat(50));
-  console.log(`📍 País: ${clientConfig.region}`);
-  console.log(`📊 Industria: ${clientConfig.tiktok?.industry || 'Education'}`);
-  console.log('='.repeat(50));
-
-  if (!APIFY_TOKEN) {
-    console.error('\n❌ ERROR: APIFY_TOKEN no configurado');
-    process.exit(1);
-  }
-
-  const client = new ApifyClient({ token: APIFY_TOKEN });
+async function scrapeTikTokTrends(clientConfig, options = {}) {
+  log.info(`\n🎵 TikTok Trends Scraper - ${clientConfig.client}`);
+  log.info('='.repeat(50));
+  log.info(`📍 País: ${clientConfig.region}`);
+  log.info(`📊 Industria: ${clientConfig.tiktok?.industry || 'Education'}`);
+  log.info('='.repeat(50));
 
   // Input para TikTok Trends Scraper (formato correcto del actor)
   // Nota: TikTok solo soporta ciertos países para creators/videos
@@ -110,35 +71,23 @@ async function scrapeTikTokTrends(clientConfig) {
     adsNewOnBoard: false
   };
 
-  console.log(`\n📤 Input para Apify:`);
-  console.log(JSON.stringify(input, null, 2));
+  log.info(`\n📤 Input para Apify:`);
+  log.info(JSON.stringify(input, null, 2));
 
   try {
-    console.log('\n🚀 Iniciando actor de Apify...');
-    const run = await client.actor(ACTOR_ID).start(input);
-    console.log(`   Run ID: ${run.id}`);
-
-    console.log('\n⏳ Esperando que termine (máx 5 min)...');
-    const finishedRun = await client.run(run.id).waitForFinish({
-      waitSecs: 300
+    const { items } = await fetchActorItems({
+      source: 'tiktok',
+      actorId: ACTOR_ID,
+      input,
+      waitSecs: 300,
+      options,
+      log
     });
 
-    if (finishedRun.status !== 'SUCCEEDED') {
-      throw new Error(`Actor terminó con estado: ${finishedRun.status}`);
-    }
-
-    console.log(`\n✅ Actor completado`);
-
-    const { items } = await client.dataset(finishedRun.defaultDatasetId).listItems();
-    console.log(`📊 Items obtenidos: ${items.length}`);
-
-    const data = transformData(items, clientConfig, { hashtagCountry, soundsCountry });
-    await saveResults(data);
-
-    return data;
+    return transformData(items, clientConfig, { hashtagCountry, soundsCountry });
 
   } catch (error) {
-    console.error(`\n❌ Error: ${error.message}`);
+    log.error(`\n❌ Error: ${error.message}`);
     throw error;
   }
 }
@@ -147,7 +96,7 @@ async function scrapeTikTokTrends(clientConfig) {
 // TRANSFORMAR DATOS
 // ============================================================================
 function transformData(items, clientConfig, countries = {}) {
-  console.log('\n[Transform] Transformando datos...');
+  log.info('\n[Transform] Transformando datos...');
 
   // Determine labels based on country used
   const hashtagLabel = countries.hashtagCountry === 'BR' ? 'LATAM' : clientConfig.region;
@@ -208,7 +157,7 @@ function transformData(items, clientConfig, countries = {}) {
 
   // Si no se categorizaron bien, intentar inferir del contenido
   if (trends.hashtags.length === 0 && trends.sounds.length === 0 && items.length > 0) {
-    console.log('   ⚠️ Intentando inferir tipos de items...');
+    log.info('   ⚠️ Intentando inferir tipos de items...');
     items.forEach((item, idx) => {
       // Si tiene videoViews alto, probablemente es hashtag
       if (item.videoViews || item.publishCnt) {
@@ -237,9 +186,9 @@ function transformData(items, clientConfig, countries = {}) {
     });
   }
 
-  console.log(`   ✅ Hashtags: ${trends.hashtags.length}`);
-  console.log(`   ✅ Sounds: ${trends.sounds.length}`);
-  console.log(`   ✅ Creators: ${trends.creators.length}`);
+  log.info(`   ✅ Hashtags: ${trends.hashtags.length}`);
+  log.info(`   ✅ Sounds: ${trends.sounds.length}`);
+  log.info(`   ✅ Creators: ${trends.creators.length}`);
 
   return {
     timestamp: new Date().toISOString(),
@@ -273,40 +222,22 @@ function formatNumber(num) {
 }
 
 // ============================================================================
-// GUARDAR RESULTADOS
+// RESUMEN
 // ============================================================================
-async function saveResults(data) {
-  const dataDir = path.join(__dirname, '../data/tiktok');
-  const publicDir = path.join(__dirname, '../public/data/tiktok');
-
-  await fs.mkdir(dataDir, { recursive: true });
-  await fs.mkdir(publicDir, { recursive: true });
-
-  const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
-  const jsonData = JSON.stringify(data, null, 2);
-
-  await fs.writeFile(path.join(dataDir, `tiktok_${timestamp}.json`), jsonData);
-  await fs.writeFile(path.join(dataDir, 'latest.json'), jsonData);
-  await fs.writeFile(path.join(publicDir, 'latest.json'), jsonData);
-
-  console.log('\n💾 Archivos guardados:');
-  console.log(`   📁 data/tiktok/tiktok_${timestamp}.json`);
-  console.log(`   📁 data/tiktok/latest.json`);
-  console.log(`   📁 public/data/tiktok/latest.json`);
-
+function printSummary(data) {
   // Top hashtags
   if (data.trends.hashtags.length > 0) {
-    console.log('\n🔥 Top Hashtags:');
+    log.info('\n🔥 Top Hashtags:');
     data.trends.hashtags.slice(0, 5).forEach((h, i) => {
-      console.log(`   ${i + 1}. ${h.hashtag}: ${h.views} views`);
+      log.info(`   ${i + 1}. ${h.hashtag}: ${h.views} views`);
     });
   }
 
   // Top sounds
   if (data.trends.sounds.length > 0) {
-    console.log('\n🎵 Top Sounds:');
+    log.info('\n🎵 Top Sounds:');
     data.trends.sounds.slice(0, 3).forEach((s, i) => {
-      console.log(`   ${i + 1}. ${s.soundName}: ${s.usage} uses`);
+      log.info(`   ${i + 1}. ${s.soundName}: ${s.usage} uses`);
     });
   }
 }
@@ -314,21 +245,14 @@ async function saveResults(data) {
 // ============================================================================
 // MAIN
 // ============================================================================
-async function main() {
-  const options = parseArgs();
-
-  console.log('🎵 TikTok Trends Scraper (Apify)');
-  console.log(`   Cliente: ${options.client}`);
-
-  try {
-    const clientConfig = await loadClientConfig(options.client);
-    await scrapeTikTokTrends(clientConfig);
-    console.log('\n✅ Scraping completado');
-    process.exit(0);
-  } catch (error) {
-    console.error(`\n❌ Error fatal: ${error.message}`);
-    process.exit(1);
-  }
+if (isMain(import.meta.url)) {
+  runConnector({
+    source: 'tiktok',
+    title: '🎵 TikTok Trends Scraper (Apify)',
+    credentials: apifyCredentials,
+    run: ({ clientConfig, options }) => scrapeTikTokTrends(clientConfig, options),
+    summarize: printSummary
+  });
 }
 
-main();
+export { scrapeTikTokTrends, transformData, formatNumber };
@@ -75,6 +75,10 @@ async function validateFile(filePath, schema) {
         if (kw.average_interest !== undefined && (kw.average_interest < 0 || kw.average_interest > 100)) {
           errors.push(new ValidationError(fileName, `keywords[${idx}].average_interest`, 'Debe estar entre 0 y 100'));
         }
+        // timeline es opcional (datos curados no lo traen), pero si existe debe ser [{ date, value }]
+        if (kw.timeline !== undefined && (!Array.isArray(kw.timeline) || kw.timeline.some(p => !p?.date))) {
+          errors.push(new ValidationError(fileName, `keywords[${idx}].timeline`, 'Debe ser un array de { date, value }'));
+        }
       });
     }
 
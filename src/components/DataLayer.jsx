@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { Search, TrendingUp, Video, Share2, GraduationCap, RefreshCw, ChevronDown, ChevronUp, BarChart3, Info, Music, Target, DollarSign, Layers, Lightbulb, Users, Globe, MapPin } from 'lucide-react';
+import { LABEL_NAMES, normalizeLabel, isPositive } from '../../packages/sentiment/labels.js';
 
 export default function DataLayer({ dateRange }) {
   const [trendsData, setTrendsData] = useState(null);
@@ -656,13 +657,10 @@ export default function DataLayer({ dateRange }) {
                       </td>
                       <td className="px-4 py-3 text-center">
                         <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
-                          topic.sentiment === 'very positive' ? 'bg-green-100 text-green-700' :
-                          topic.sentiment === 'positive' ? 'bg-green-100 text-green-700' :
-                          topic.sentiment === 'neutral' ? 'bg-gray-100 text-gray-700' : 'bg-yellow-100 text-yellow-700'
+                          isPositive(topic.sentiment) ? 'bg-green-100 text-green-700' :
+                          normalizeLabel(topic.sentiment) === 'neutral' ? 'bg-gray-100 text-gray-700' : 'bg-yellow-100 text-yellow-700'
                         }`}>
-                          {topic.sentiment === 'very positive' ? 'Muy Positivo' :
-                           topic.sentiment === 'positive' ? 'Positivo' :
-                           topic.sentiment === 'neutral' ? 'Neutral' : topic.sentiment}
+                          {LABEL_NAMES[normalizeLabel(topic.sentiment)] || topic.sentiment}
                         </span>
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-600">
@@ -1,8 +1,71 @@
 import { Target, Users, MessageSquare, TrendingUp, Lightbulb, Zap, AlertCircle, GraduationCap, Flame, BarChart3, CheckCircle, FlaskConical } from 'lucide-react';
+import { LineChart, Line, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
 import { OPPORTUNITY_SCORE } from '../data/mockData';
 import { LAYER_CONFIG, KEY_MESSAGES, TARGET_AUDIENCES } from '../data/config';
+import { useMLData } from '../hooks/useRealData';
+
+// Componentes de scores.json (pipeline ML) → claves del score card
+const SCORE_COMPONENT_KEYS = {
+  search: 'search_interest',
+  trend: 'trending_topics',
+  social: 'social_engagement',
+  intent: 'conversion_intent'
+};
+
+const formatDelta = (delta, suffix = '') => {
+  if (delta?.change_pct === null || delta?.change_pct === undefined) return null;
+  return `${delta.change_pct >= 0 ? '+' : ''}${delta.change_pct}%${suffix}`;
+};
+
+// Origen de los pesos del score (ajustados contra HubSpot o de model_config.json)
+const describeWeights = (weightsFit) => {
+  if (!weightsFit) return null;
+  if (weightsFit.source === 'fitted') {
+    const fit = weightsFit.fits?.[weightsFit.outcome]?.fit;
+    return `Pesos ajustados vs ${weightsFit.outcome === 'won_deals' ? 'deals ganados' : 'deals nuevos'} de HubSpot (R² ${fit?.r2.toFixed(2)}, ${fit?.n} semanas)`;
+  }
+  return `Pesos de configuración: ${weightsFit.reason}`;
+};
+
+// Score card desde scores.json (escala 0-10 → 0-100), con deltas WoW/MoM reales.
+// Sin datos del pipeline se mantiene el mock.
+function buildOpportunityScore(scores) {
+  if (!scores?.individual) return { ...OPPORTUNITY_SCORE, isReal: false };
+
+  const components = {};
+  Object.entries(scores.individual).forEach(([key, component]) => {
+    const weight = scores.weights?.[key] || 0;
+    components[SCORE_COMPONENT_KEYS[key] || key] = {
+      score: Math.round(component.final * 10),
+      weight,
+      contribution: component.final * weight * 10,
+      wow: scores.deltas?.wow?.components?.[key] || null,
+      mom: scores.deltas?.mom?.components?.[key] || null
+    };
+  });
+
+  const wow = scores.deltas?.wow?.overall;
+  const mom = scores.deltas?.mom?.overall;
+  return {
+    current_score: Math.round(scores.overall * 10),
+    trend: formatDelta(wow, ' vs semana anterior') || formatDelta(mom, ' vs mes anterior') || 'Sin histórico aún',
+    trend_direction: (wow || mom)?.change < 0 ? 'down' : 'up',
+    mom: formatDelta(mom),
+    weightsNote: describeWeights(scores.weights_fit),
+    components,
+    recommendation: OPPORTUNITY_SCORE.recommendation,
+    isReal: true
+  };
+}
 
 export default function DecisionLayer({ dateRange }) {
+  const { data: mlData } = useMLData();
+  const score = buildOpportunityScore(mlData?.scores);
+  const scoreTrajectory = (mlData?.scoresHistory?.runs || []).map(run => ({
+    date: new Date(run.run_at).toLocaleDateString('es-PE', { day: '2-digit', month: 'short' }),
+    score: Math.round(run.overall * 10)
+  }));
+
   const recommendations = [
     {
       priority: 'high',
@@ -104,26 +167,49 @@ export default function DecisionLayer({ dateRange }) {
 
           <div className="text-center lg:text-right">
             <div className="flex items-baseline gap-2">
-              <span className="text-5xl font-bold">{OPPORTUNITY_SCORE.current_score}</span>
+              <span className="text-5xl font-bold">{score.current_score}</span>
               <span className="text-xl text-white/80">/100</span>
             </div>
             <div className="flex items-center justify-center lg:justify-end gap-3 mt-2">
               <span className={`px-4 py-2 rounded-lg text-base font-bold ${
-                OPPORTUNITY_SCORE.current_score >= 75 ? 'bg-green-500' :
-                OPPORTUNITY_SCORE.current_score >= 60 ? 'bg-yellow-500' : 'bg-red-500'
+                score.current_score >= 75 ? 'bg-green-500' :
+                score.current_score >= 60 ? 'bg-yellow-500' : 'bg-red-500'
               }`}>
-                Grado {getScoreGrade(OPPORTUNITY_SCORE.current_score)}
+                Grado {getScoreGrade(score.current_score)}
               </span>
-              <span className="text-green-300 font-semibold text-sm">
-                {OPPORTUNITY_SCORE.trend} vs período anterior
+              <span className={`font-semibold text-sm ${score.trend_direction === 'down' ? 'text-red-300' : 'text-green-300'}`}>
+                {score.isReal ? score.trend : `${score.trend} vs período anterior`}
               </span>
             </div>
+            {score.isReal && score.mom && score.trend.includes('semana') && (
+              <p className="text-xs text-white/70 mt-1">{score.mom} vs mes anterior</p>
+            )}
           </div>
         </div>
 
+        {/* Trayectoria del score (scores_history.json) */}
+        {scoreTrajectory.length >= 2 && (
+          <div className="mb-6 bg-white/10 backdrop-blur-sm rounded-xl p-4">
+            <p className="text-xs text-white/70 mb-2">Trayectoria del score ({scoreTrajectory.length} runs)</p>
+            <ResponsiveContainer width="100%" height={80}>
+              <LineChart data={scoreTrajectory}>
+                <YAxis hide domain={['dataMin - 5', 'dataMax + 5']} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#fff', border: '1px solid #e5e7eb', borderRadius: '8px', color: '#111827' }}
+                  labelFormatter={(_, payload) => payload?.[0]?.payload.date}
+                />
+                <Line type="monotone" dataKey="score" stroke="#ffffff" strokeWidth={2} dot={{ r: 3 }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
         {/* Componentes del Score */}
+        {score.weightsNote && (
+          <p className="text-xs text-white/70 mb-3">{score.weightsNote}</p>
+        )}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-          {Object.entries(OPPORTUNITY_SCORE.components).map(([key, component]) => (
+          {Object.entries(score.components).map(([key, component]) => (
             <div key={key} className="bg-white/10 backdrop-blur-sm rounded-xl p-5">
               <div className="flex items-center justify-between mb-3">
                 <h4 className="font-semibold text-sm text-white/80">
@@ -142,6 +228,13 @@ export default function DecisionLayer({ dateRange }) {
               <div className="text-xs text-white/70">
                 Contribución: {component.contribution.toFixed(1)} pts
               </div>
+              {(component.wow || component.mom) && (
+                <div className="text-xs text-white/70 mt-1">
+                  {component.wow && <span className={component.wow.change < 0 ? 'text-red-300' : 'text-green-300'}>{formatDelta(component.wow)} WoW</span>}
+                  {component.wow && component.mom && ' · '}
+                  {component.mom && <span className={component.mom.change < 0 ? 'text-red-300' : 'text-green-300'}>{formatDelta(component.mom)} MoM</span>}
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -152,10 +245,10 @@ export default function DecisionLayer({ dateRange }) {
             <Lightbulb className="w-6 h-6 flex-shrink-0 mt-1" />
             <div>
               <p className="font-semibold mb-2 text-sm">Recomendación automática:</p>
-              <p className="text-base">{OPPORTUNITY_SCORE.recommendation.message}</p>
+              <p className="text-base">{score.recommendation.message}</p>
               <p className="text-sm text-white/80 mt-2">
-                Confianza: {OPPORTUNITY_SCORE.recommendation.confidence} |
-                Prioridad: {OPPORTUNITY_SCORE.recommendation.priority.toUpperCase()}
+                Confianza: {score.recommendation.confidence} |
+                Prioridad: {score.recommendation.priority.toUpperCase()}
               </p>
             </div>
           </div>
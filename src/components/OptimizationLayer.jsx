@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { TrendingUp, BarChart3, RefreshCw, Award, Target, Users, Heart, Zap, AlertCircle, GraduationCap, Bell, Globe, FileText, CheckCircle, Lightbulb, Database, XCircle, ChevronDown, ChevronUp, Megaphone, ExternalLink, DollarSign } from 'lucide-react';
-import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, ComposedChart, Area, Legend } from 'recharts';
 import { PERFORMANCE_KPIS, ALERTS, COMPETITOR_INSIGHTS } from '../data/mockData';
 import { LAYER_CONFIG, HUBSPOT_CONFIG } from '../data/config';
 import { useHubSpotData, useMLData } from '../hooks/useRealData';
@@ -405,6 +405,44 @@ function filterCampaignPerformance(campaigns, dateRange, selectedProgram) {
   return filtered;
 }
 
+/**
+ * Weekly actuals vs forecast from predictions.json → lead_forecast.
+ * Uses the selected program's series when available, else total deals.
+ */
+function buildForecastChart(leadForecast, selectedProgram) {
+  if (!leadForecast) return null;
+  const series = selectedProgram ? leadForecast.pipelines?.[selectedProgram] : leadForecast.total;
+  if (!series?.forecast?.length) return null;
+
+  const label = (weekStart) => new Date(`${weekStart}T00:00:00`).toLocaleDateString('es-PE', { day: '2-digit', month: 'short' });
+  const history = series.history.map(week => ({
+    date: label(week.week_start),
+    actual: week.nowcast ?? week.actual
+  }));
+
+  // Join the forecast line to the last actual week
+  const last = history[history.length - 1];
+  if (last) {
+    last.forecast = last.actual;
+    last.band = [last.actual, last.actual];
+  }
+
+  const forecast = series.forecast.map(week => ({
+    date: label(week.week_start),
+    forecast: week.forecast,
+    band: [week.lower_80, week.upper_80],
+    events: week.events
+  }));
+
+  return {
+    data: [...history, ...forecast],
+    nextWeek: series.forecast[0],
+    horizonTotal: series.forecast.reduce((sum, week) => sum + week.forecast, 0),
+    backtest: series.backtest,
+    label: selectedProgram || 'Total deals'
+  };
+}
+
 export default function OptimizationLayer({ dateRange }) {
   const { data: hubspot, loading: hubspotLoading } = useHubSpotData();
   const { data: mlData } = useMLData();
@@ -430,6 +468,10 @@ export default function OptimizationLayer({ dateRange }) {
   const funnelLost = funnelResult?.lost || null;
 
   const crmKpis = buildCRMKpis(hubspot, dateRange, selectedProgram);
+  const forecastChart = buildForecastChart(mlData?.predictions?.lead_forecast, selectedProgram);
+  // Anomaly alerts from the pipeline (already sorted by severity), mock as fallback
+  const mlAlerts = mlData?.alerts?.alerts?.length ? mlData.alerts.alerts : null;
+  const guardrails = mlData?.predictions?.cpl_guardrails || null;
   const pipelineSummary = buildPipelineSummary(hubspot, dateRange, selectedProgram);
   const filteredCampaigns = filterCampaignPerformance(hubspot?.campaign_performance, dateRange, selectedProgram);
 
@@ -794,6 +836,50 @@ export default function OptimizationLayer({ dateRange }) {
         )}
       </div>
 
+      {/* Lead Forecast - ML (predictions.json → lead_forecast) */}
+      {forecastChart && (
+        <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+            <div>
+              <div className="flex items-center gap-2 mb-1">
+                <h3 className="text-base font-bold text-gray-900">Pronóstico de Leads · {forecastChart.label}</h3>
+                <span className="px-2 py-0.5 rounded text-[10px] font-bold bg-blue-100 text-blue-800">ML</span>
+              </div>
+              <p className="text-sm text-gray-600">
+                Semanal · real vs. pronóstico con intervalo de 80%
+                {forecastChart.backtest?.mape != null && ` · error backtest ${forecastChart.backtest.mape}%`}
+              </p>
+            </div>
+            <div className="flex gap-6">
+              <div>
+                <p className="text-xs text-gray-500">Próxima semana</p>
+                <p className="text-xl font-bold text-ucsp-blue">{forecastChart.nextWeek.forecast.toLocaleString()}</p>
+                <p className="text-xs text-gray-500">{forecastChart.nextWeek.lower_80.toLocaleString()} – {forecastChart.nextWeek.upper_80.toLocaleString()}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500">Próximas {mlData.predictions.lead_forecast.horizon_weeks} semanas</p>
+                <p className="text-xl font-bold text-ucsp-burgundy">{forecastChart.horizonTotal.toLocaleString()}</p>
+              </div>
+            </div>
+          </div>
+          <ResponsiveContainer width="100%" height={280}>
+            <ComposedChart data={forecastChart.data}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="date" stroke="#6b7280" style={{ fontSize: '12px' }} />
+              <YAxis stroke="#6b7280" style={{ fontSize: '12px' }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#fff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+                formatter={(value, name) => Array.isArray(value) ? [`${value[0]} – ${value[1]}`, name] : [value, name]}
+              />
+              <Legend wrapperStyle={{ fontSize: '12px' }} />
+              <Area type="monotone" dataKey="band" name="Intervalo 80%" fill="#003B7A" fillOpacity={0.12} stroke="none" />
+              <Line type="monotone" dataKey="actual" name="Real" stroke="#6B1B3D" strokeWidth={2} dot={{ r: 2 }} />
+              <Line type="monotone" dataKey="forecast" name="Pronóstico" stroke="#003B7A" strokeWidth={2} strokeDasharray="6 4" dot={{ r: 3 }} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
       {/* Channel Distribution - REAL from HubSpot */}
       <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
         <div className="flex items-center gap-2 mb-8 text-center md:text-left">
@@ -1325,15 +1411,83 @@ export default function OptimizationLayer({ dateRange }) {
         </div>
       </div>
 
+      {/* Guardrails de CPL (pipeline ML) */}
+      {guardrails && (
+        <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+          <div className="flex items-center gap-3 mb-4">
+            <DollarSign className="w-6 h-6 text-ucsp-burgundy" />
+            <h3 className="text-base font-bold text-gray-900">Guardrails de CPL</h3>
+            <span className="px-2 py-0.5 rounded text-[10px] font-bold bg-blue-100 text-blue-800">ML</span>
+            <span className="text-xs text-gray-500">
+              CPL móvil de {guardrails.window_days} días al {guardrails.window_end}
+            </span>
+          </div>
+          <div className="space-y-4">
+            {[
+              { title: 'Campañas activas', rows: guardrails.campaigns },
+              { title: 'Programas', rows: guardrails.programs }
+            ].filter(group => group.rows.length > 0).map(group => (
+              <div key={group.title}>
+                <h4 className="text-xs font-bold text-gray-500 uppercase mb-2">{group.title}</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-2">
+                  {group.rows.map(row => (
+                    <div key={row.id} className={`p-3 rounded-lg border-l-4 ${
+                      row.status === 'pause' ? 'bg-red-50 border-red-500' :
+                      row.status === 'alert' ? 'bg-yellow-50 border-yellow-500' :
+                      'bg-green-50 border-green-500'
+                    }`}>
+                      <div className="flex items-start justify-between gap-2">
+                        <p className="font-semibold text-gray-900 text-xs">{row.name}</p>
+                        <span className={`px-2 py-0.5 rounded text-[10px] font-bold flex-shrink-0 ${
+                          row.status === 'pause' ? 'bg-red-200 text-red-800' :
+                          row.status === 'alert' ? 'bg-yellow-200 text-yellow-800' :
+                          'bg-green-200 text-green-800'
+                        }`}>
+                          {row.status === 'pause' ? 'PAUSAR' : row.status === 'alert' ? 'ALERTA' : 'OK'}
+                        </span>
+                      </div>
+                      <p className="text-lg font-bold text-gray-900 mt-1">
+                        {row.cpl !== null ? `$${row.cpl.toFixed(2)}` : row.cpl_floor !== null ? `>$${row.cpl_floor.toFixed(0)}` : '—'}
+                      </p>
+                      <p className="text-[11px] text-gray-500">
+                        ${row.spend.toLocaleString('en-US', { maximumFractionDigits: 0 })} · {row.leads.toLocaleString('en-US', { maximumFractionDigits: 0 })} leads · alerta ${row.thresholds?.alert_at} / pausa ${row.thresholds?.pause_at}
+                      </p>
+                      {row.basis === 'campaign_to_date' && (
+                        <p className="text-[10px] text-gray-400">Acumulado de la campaña (sin snapshot previo)</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+            {guardrails.transitions.length > 0 && (
+              <div className="text-xs text-gray-600">
+                <strong>Cambios de estado:</strong>{' '}
+                {guardrails.transitions.map(t => `${t.name} (${t.from} → ${t.to})`).join(' · ')}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Alertas Automáticas */}
       <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
         <div className="flex items-center gap-3 mb-4">
           <AlertCircle className="w-6 h-6 text-ucsp-burgundy" />
           <h3 className="text-base font-bold text-gray-900">Alertas Automáticas</h3>
-          <span className="px-2 py-0.5 rounded text-[10px] font-bold bg-gray-100 text-gray-500">MOCK</span>
+          {mlAlerts ? (
+            <span className="px-2 py-0.5 rounded text-[10px] font-bold bg-blue-100 text-blue-800">ML</span>
+          ) : (
+            <span className="px-2 py-0.5 rounded text-[10px] font-bold bg-gray-100 text-gray-500">MOCK</span>
+          )}
+          {mlAlerts && (
+            <span className="text-xs text-gray-500">
+              {mlAlerts.length} series fuera de rango · últimos {mlData.alerts.method?.check_days || 7} días
+            </span>
+          )}
         </div>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
-          {ALERTS.slice(0, 3).map((alert) => (
+          {(mlAlerts || ALERTS).slice(0, 3).map((alert) => (
             <div key={alert.id} className={`p-4 rounded-lg border-l-4 ${
               alert.severity === 'high' ? 'bg-red-50 border-red-500' :
               alert.severity === 'medium' ? 'bg-yellow-50 border-yellow-500' :
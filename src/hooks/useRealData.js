@@ -42,8 +42,10 @@ export function useMLData() {
       fetchJSON('/data/ml/insights.json'),
       fetchJSON('/data/ml/scores.json'),
       fetchJSON('/data/ml/recommendations.json'),
-    ]).then(([predictions, insights, scores, recommendations]) => {
-      setData({ predictions, insights, scores, recommendations });
+      fetchJSON('/data/ml/scores_history.json'),
+      fetchJSON('/data/ml/alerts.json'),
+    ]).then(([predictions, insights, scores, recommendations, scoresHistory, alerts]) => {
+      setData({ predictions, insights, scores, recommendations, scoresHistory, alerts });
       setLoading(false);
     });
   }, []);